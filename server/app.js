@@ -0,0 +1,50 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { logRequest, errorHandler } = require('./middleware/errorHandler');
+
+/**
+ * Express App
+ *
+ * The API and static file routes, without a listening server, so
+ * server.js can start it and the tests can drive it directly.
+ */
+
+// Import routes
+const claudeRoutes = require('./routes/claudeRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const telemetryRoutes = require('./routes/telemetryRoutes');
+const { ASSET_DIR, ASSET_URL_PREFIX } = require('./services/assetStorage');
+
+// Create Express app
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ limit: '50mb', extended: true }));
+app.use(logRequest);
+
+// API Routes
+app.use('/api/claude', claudeRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/telemetry', telemetryRoutes);
+
+// Uploaded jewelry assets (content-addressed, so safe to cache forever)
+app.use(ASSET_URL_PREFIX, express.static(ASSET_DIR, { immutable: true, maxAge: '1y' }));
+
+// Optional: Serve static files in production
+if (process.env.NODE_ENV === 'production') {
+  // Serve static files from the React app
+  app.use(express.static(path.join(__dirname, '../build')));
+
+  // Handle any requests that don't match the ones above
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, '../build', 'index.html'));
+  });
+}
+
+// Error handling middleware
+app.use(errorHandler);
+
+module.exports = app;
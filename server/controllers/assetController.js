@@ -0,0 +1,87 @@
+const catalogStore = require('../store/catalogStore');
+const { AppError } = require('../middleware/errorHandler');
+const { assertValidCatalogItem } = require('../schemas/catalogItemSchema');
+const { locateAsset, storeAsset, generateThumbnail } = require('../services/assetStorage');
+
+/**
+ * Asset Controller
+ *
+ * Stores uploaded overlay images, thumbnails and GLB models for a
+ * catalog item and writes the resulting URLs back onto the record.
+ * Nothing is written until every file has been decoded and the updated
+ * record has passed validation, so a rejected upload leaves no files behind.
+ */
+
+// Overlay fields a thumbnail can be generated from, in order of preference
+const THUMBNAIL_SOURCES = ['imageUrl', 'leftImageUrl', 'rightImageUrl'];
+
+// Upload assets for a catalog item
+exports.uploadAssets = async (req, res, next) => {
+  try {
+    const existing = await catalogStore.getById(req.params.id);
+
+    if (!existing) {
+      throw new AppError(`Catalog item not found: ${req.params.id}`, 404);
+    }
+
+    const updates = {};
+    const assets = {};
+    const files = [];
+
+    // Each uploaded file is stored under its content hash
+    for (const [field, [file]] of Object.entries(req.files)) {
+      const { hash, url } = locateAsset(file.buffer, file.extension);
+      files.push({ buffer: file.buffer, extension: file.extension });
+      updates[field] = url;
+      assets[field] = {
+        url,
+        hash,
+        size: file.size,
+        mimeType: file.mimetype
+      };
+    }
+
+    // Generate a thumbnail from the overlay when none was uploaded
+    const thumbnailSource = THUMBNAIL_SOURCES.find(field => req.files[field]);
+
+    if (!req.files.thumbnail && thumbnailSource) {
+      const thumbnail = await decodeThumbnail(req.files[thumbnailSource][0].buffer, thumbnailSource);
+      const { hash, url } = locateAsset(thumbnail, 'png');
+      files.push({ buffer: thumbnail, extension: 'png' });
+      updates.thumbnail = url;
+      assets.thumbnail = {
+        url,
+        hash,
+        size: thumbnail.length,
+        mimeType: 'image/png',
+        generatedFrom: thumbnailSource
+      };
+    }
+
+    const item = { ...existing, ...updates };
+    assertValidCatalogItem(item);
+
+    await Promise.all(files.map(file => storeAsset(file.buffer, file.extension)));
+
+    const updated = await catalogStore.update(existing.id, item);
+
+    res.status(200).json({
+      status: 'success',
+      assets,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A PNG signature doesn't mean the image decodes; report one that doesn't as a bad upload
+async function decodeThumbnail(buffer, field) {
+  try {
+    return await generateThumbnail(buffer);
+  } catch (error) {
+    throw new AppError('Invalid asset upload', 400, [
+      { field, message: `${field} could not be decoded as an image` }
+    ]);
+  }
+}
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const catalogStore = require('../store/catalogStore');
+const { AppError } = require('../middleware/errorHandler');
+const { assertValidCatalogItem } = require('../schemas/catalogItemSchema');
+
+/**
+ * Catalog Controller
+ *
+ * Serves the jewelry catalog to the frontend, with filtering
+ * and pagination handled on the server, plus admin endpoints
+ * for creating, updating and deleting items.
+ */
+
+// List catalog items
+exports.listItems = async (req, res) => {
+  try {
+    const { type, metalType, culturalStyle, gemstone } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || undefined;
+
+    const result = await catalogStore.list(
+      { type, metalType, culturalStyle, gemstone },
+      { page, limit }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      count: result.items.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      data: result.items
+    });
+  } catch (error) {
+    console.error('Catalog listing error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list catalog items',
+      error: error.message
+    });
+  }
+};
+
+// Get a single catalog item
+exports.getItem = async (req, res) => {
+  try {
+    const item = await catalogStore.getById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Catalog item not found: ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: item
+    });
+  } catch (error) {
+    console.error('Catalog retrieval error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve catalog item',
+      error: error.message
+    });
+  }
+};
+
+// Create a catalog item
+exports.createItem = async (req, res, next) => {
+  try {
+    const item = {
+      ...req.body,
+      id: req.body.id || generateItemId(req.body.type)
+    };
+
+    assertValidCatalogItem(item);
+
+    if (await catalogStore.getById(item.id)) {
+      throw new AppError(`Catalog item already exists: ${item.id}`, 409);
+    }
+
+    const created = await catalogStore.create(item);
+
+    res.status(201).json({
+      status: 'success',
+      data: created
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a catalog item (fields in the body are merged over the stored record)
+exports.updateItem = async (req, res, next) => {
+  try {
+    const existing = await catalogStore.getById(req.params.id);
+
+    if (!existing) {
+      throw new AppError(`Catalog item not found: ${req.params.id}`, 404);
+    }
+
+    if (req.body.id && req.body.id !== existing.id) {
+      throw new AppError('Invalid catalog item', 400, [
+        { field: 'id', message: 'id cannot be changed' }
+      ]);
+    }
+
+    const item = { ...existing, ...req.body, id: existing.id };
+
+    // Allow clearing optional fields by sending null
+    Object.keys(item).forEach(field => {
+      if (item[field] === null) delete item[field];
+    });
+
+    assertValidCatalogItem(item);
+
+    const updated = await catalogStore.update(existing.id, item);
+
+    res.status(200).json({
+      status: 'success',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a catalog item
+exports.deleteItem = async (req, res, next) => {
+  try {
+    const removed = await catalogStore.remove(req.params.id);
+
+    if (!removed) {
+      throw new AppError(`Catalog item not found: ${req.params.id}`, 404);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Catalog item deleted: ${req.params.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Generate an ID for items created without one
+function generateItemId(type = 'item') {
+  return `${type}-${crypto.randomBytes(4).toString('hex')}`;
+}
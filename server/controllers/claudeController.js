@@ -1,18 +1,20 @@
-const axios = require('axios');
+const llm = require('../services/llm');
+const { validateConversationHistory } = require('../services/llm/messageBuilder');
+const { compactConversation } = require('../services/llm/contextCompactor');
+const { completeStructured } = require('../services/llm/structuredOutput');
+const conversationStore = require('../store/conversationStore');
+const catalogStore = require('../store/catalogStore');
+const { styleAdviceSchema, validateStyleAdvice } = require('../schemas/styleAdviceSchema');
+const { openSSE, writeSSE } = require('../utils/sse');
 
 /**
  * Claude API Controller
  * 
  * Handles communication with the Claude API for both
  * user-facing and system-level intelligence features.
+ * Requests go through the configured LLM provider (see services/llm).
  */
 
-// Claude API configuration
-const CLAUDE_API_BASE_URL = 'https://api.anthropic.com/v1';
-const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
-const CLAUDE_MODEL = process.env.CLAUDE_MODEL || 'claude-3-opus-20240229';
-const MAX_TOKENS = parseInt(process.env.MAX_TOKENS || '4000');
-
 // System prompt templates
 const USER_FACING_SYSTEM_PROMPT = `You are Claude, a helpful AI assistant embedded in a virtual try-on application for clothing and jewelry.
 You can provide style advice, help with the application features, and answer questions about how the technology works.
@@ -23,6 +25,7 @@ Your responses should be helpful, friendly, and concise.
 - Users can upload photos or use their camera for try-on
 - The platform uses AI for clothing warping, 3D jewelry rendering, and size recommendations
 - Key features include AR mode, size recommendations, and style assistance
+- Users can try on several pieces together as a "look"; the context's look lists every piece being worn, and selectedItem is the one picked most recently. Advise on how the pieces work together
 
 ## Response Guidelines
 - Keep your responses focused on fashion, styling, and application help
@@ -41,6 +44,14 @@ Your task is to identify patterns, suggest optimizations, and provide technical
 - Consider device capabilities when making recommendations
 - Format your response with clear sections: Summary, Key Issues, Recommendations`;
 
+const STRUCTURED_STYLE_ADVICE_PROMPT = `## Output Format
+Respond with a single JSON object and nothing else, matching this shape:
+${JSON.stringify(styleAdviceSchema, null, 2)}
+Only set catalogId to the id of one of the catalog items listed in the request; otherwise use null.`;
+
+// Catalog items offered to Claude as complementary suggestions
+const STYLE_ADVICE_CATALOG_LIMIT = 50;
+
 /**
  * Controller for Claude API communication
  */
@@ -48,33 +59,31 @@ Your task is to identify patterns, suggest optimizations, and provide technical
 // Check Claude API health
 exports.pingClaude = async (req, res) => {
   try {
-    // Simple ping to check if the Claude API key is valid
-    const response = await axios.get(`${CLAUDE_API_BASE_URL}/models`, {
-      headers: {
-        'x-api-key': CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
-      }
-    });
+    // Simple ping to check if the provider (and API key) is usable
+    const { models } = await llm.ping();
     
     res.status(200).json({
       status: 'success',
       message: 'Claude API connection successful',
-      models: response.data.models
+      provider: llm.name,
+      models
     });
   } catch (error) {
-    console.error('Claude API ping error:', error.response?.data || error.message);
+    console.error('Claude API ping error:', error.details || error.message);
     res.status(500).json({
       status: 'error',
       message: 'Failed to connect to Claude API',
-      error: error.response?.data?.error?.message || error.message
+      error: error.message
     });
   }
 };
 
-// Handle conversation with Claude
+// Handle conversation with Claude (set `stream: true` to receive Server-Sent Events)
+// Nothing is stored: when older turns are summarised, the reply carries the
+// digest and the client sends it back, without those turns, next time
 exports.conversationWithClaude = async (req, res) => {
   try {
-    const { message, conversationHistory = [], context = {} } = req.body;
+    const { message, conversationHistory = [], digest = null, context = {}, stream = false } = req.body;
     
     if (!message) {
       return res.status(400).json({
@@ -83,73 +92,55 @@ exports.conversationWithClaude = async (req, res) => {
       });
     }
     
-    // Determine if this is a user-facing or system intelligence request
-    const isSystemRequest = context.requestType === 'systemTelemetry';
-    const systemPrompt = isSystemRequest ? SYSTEM_INTELLIGENCE_PROMPT : USER_FACING_SYSTEM_PROMPT;
-    
-    // Prepare messages for Claude API
-    const messages = [
-      { role: 'system', content: systemPrompt }
-    ];
-    
-    // Add context message if needed
-    if (Object.keys(context).length > 0) {
-      messages.push({
-        role: 'user',
-        content: `Here is the current context: ${JSON.stringify(context, null, 2)}`
-      });
-      messages.push({
-        role: 'assistant',
-        content: 'Thank you for providing the context. I will keep this in mind during our conversation.'
+    const historyErrors = validateConversationHistory(conversationHistory);
+    if (historyErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid conversation history',
+        errors: historyErrors
       });
     }
     
-    // Add conversation history
-    for (const msg of conversationHistory) {
-      messages.push({
-        role: msg.role,
-        content: msg.content
+    if (digest !== null && typeof digest !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid conversation digest',
+        errors: [{ field: 'digest', message: 'digest must be a string' }]
       });
     }
     
-    // Add current message
-    messages.push({
-      role: 'user',
-      content: message
+    // System prompt and context go in the system field; history becomes alternating turns,
+    // compacted if the prompt would exceed the token budget
+    const { request, compaction, digest: nextDigest } = await compactConversation({
+      systemPrompt: selectSystemPrompt(context),
+      context,
+      history: conversationHistory,
+      message,
+      digest
     });
     
-    // Call Claude API
-    const response = await axios.post(
-      `${CLAUDE_API_BASE_URL}/messages`,
-      {
-        model: CLAUDE_MODEL,
-        max_tokens: MAX_TOKENS,
-        messages: messages
-      },
-      {
-        headers: {
-          'x-api-key': CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    // Relay tokens as they arrive in streaming mode
+    if (stream) {
+      return await streamConversation(res, request, { compaction, digest: nextDigest });
+    }
     
-    // Extract Claude's response
-    const claudeResponse = response.data.content[0].text;
+    // Call Claude API
+    const response = await llm.complete(request);
     
     res.status(200).json({
       status: 'success',
-      response: claudeResponse,
-      usage: response.data.usage,
-      model: response.data.model
+      response: response.text,
+      usage: response.usage,
+      model: response.model,
+      compaction,
+      digest: nextDigest
     });
   } catch (error) {
-    console.error('Claude API error:', error.response?.data || error.message);
+    console.error('Claude API error:', error.details || error.message);
     res.status(500).json({
       status: 'error',
       message: 'Failed to get response from Claude',
-      error: error.response?.data?.error?.message || error.message
+      error: error.message
     });
   }
 };
@@ -179,48 +170,31 @@ exports.analyzeTelemetry = async (req, res) => {
     5. Device-specific issues`;
     
     // Call Claude API with system intelligence prompt
-    const response = await axios.post(
-      `${CLAUDE_API_BASE_URL}/messages`,
-      {
-        model: CLAUDE_MODEL,
-        max_tokens: MAX_TOKENS,
-        messages: [
-          { role: 'system', content: SYSTEM_INTELLIGENCE_PROMPT },
-          { role: 'user', content: message }
-        ]
-      },
-      {
-        headers: {
-          'x-api-key': CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    // Extract Claude's analysis
-    const analysisResponse = response.data.content[0].text;
+    const response = await llm.complete({
+      system: SYSTEM_INTELLIGENCE_PROMPT,
+      messages: [{ role: 'user', content: message }]
+    });
     
     res.status(200).json({
       status: 'success',
-      analysis: analysisResponse,
-      usage: response.data.usage,
-      model: response.data.model
+      analysis: response.text,
+      usage: response.usage,
+      model: response.model
     });
   } catch (error) {
-    console.error('Claude telemetry analysis error:', error.response?.data || error.message);
+    console.error('Claude telemetry analysis error:', error.details || error.message);
     res.status(500).json({
       status: 'error',
       message: 'Failed to analyze telemetry with Claude',
-      error: error.response?.data?.error?.message || error.message
+      error: error.message
     });
   }
 };
 
-// Get style advice
+// Get style advice (set `structured: true` for typed JSON advice)
 exports.getStyleAdvice = async (req, res) => {
   try {
-    const { item, userPreferences } = req.body;
+    const { item, userPreferences, structured = false } = req.body;
     
     if (!item) {
       return res.status(400).json({
@@ -229,6 +203,10 @@ exports.getStyleAdvice = async (req, res) => {
       });
     }
     
+    if (structured) {
+      return await sendStructuredStyleAdvice(res, item, userPreferences);
+    }
+    
     // Create prompt for style advice
     const message = `I need style advice for this ${item.type}: ${JSON.stringify(item)}. 
     ${userPreferences ? `My style preferences are: ${JSON.stringify(userPreferences)}` : ''}
@@ -240,40 +218,279 @@ exports.getStyleAdvice = async (req, res) => {
     4. Any specific styling tips`;
     
     // Call Claude API
-    const response = await axios.post(
-      `${CLAUDE_API_BASE_URL}/messages`,
-      {
-        model: CLAUDE_MODEL,
-        max_tokens: MAX_TOKENS,
-        messages: [
-          { role: 'system', content: USER_FACING_SYSTEM_PROMPT },
-          { role: 'user', content: message }
-        ]
-      },
-      {
-        headers: {
-          'x-api-key': CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    // Extract Claude's style advice
-    const styleAdvice = response.data.content[0].text;
+    const response = await llm.complete({
+      system: USER_FACING_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: message }]
+    });
     
     res.status(200).json({
       status: 'success',
-      advice: styleAdvice,
-      usage: response.data.usage,
-      model: response.data.model
+      advice: response.text,
+      usage: response.usage,
+      model: response.model
     });
   } catch (error) {
-    console.error('Claude style advice error:', error.response?.data || error.message);
+    console.error('Claude style advice error:', error.details || error.message);
     res.status(500).json({
       status: 'error',
       message: 'Failed to get style advice from Claude',
-      error: error.response?.data?.error?.message || error.message
+      error: error.message
+    });
+  }
+};
+
+// Start a server-side conversation session
+exports.createSession = async (req, res) => {
+  try {
+    const session = await conversationStore.create();
+    
+    res.status(201).json({
+      status: 'success',
+      data: session
+    });
+  } catch (error) {
+    console.error('Conversation session create error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create conversation session',
+      error: error.message
+    });
+  }
+};
+
+// Get a conversation session's transcript
+exports.getSession = async (req, res) => {
+  try {
+    const session = await conversationStore.get(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conversation session not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: session
+    });
+  } catch (error) {
+    console.error('Conversation session retrieval error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve conversation session',
+      error: error.message
+    });
+  }
+};
+
+// Send a message within a conversation session (set `stream: true` for Server-Sent Events)
+exports.sendSessionMessage = async (req, res) => {
+  try {
+    const { message, context = {}, stream = false } = req.body;
+    
+    if (!message) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Message is required'
+      });
+    }
+    
+    const session = await conversationStore.get(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conversation session not found'
+      });
+    }
+    
+    // Older turns live on in the session digest once the token budget is passed
+    const { request, digest, summarizedTurns, compaction } = await compactConversation({
+      systemPrompt: selectSystemPrompt(context),
+      context,
+      history: conversationStore.contextWindow(session),
+      message,
+      digest: session.digest
+    });
+    
+    if (summarizedTurns > 0) {
+      await conversationStore.saveDigest(session.id, digest, (session.digestedTurns || 0) + summarizedTurns);
+    }
+    
+    // Both turns are saved together once Claude has replied
+    const saveExchange = (reply) => conversationStore.appendTurns(session.id, [
+      { role: 'user', content: message },
+      { role: 'assistant', content: reply }
+    ]);
+    
+    if (stream) {
+      return await streamConversation(res, request, { onComplete: saveExchange, compaction });
+    }
+    
+    const response = await llm.complete(request);
+    await saveExchange(response.text);
+    
+    res.status(200).json({
+      status: 'success',
+      sessionId: session.id,
+      response: response.text,
+      usage: response.usage,
+      model: response.model,
+      compaction
+    });
+  } catch (error) {
+    console.error('Claude session message error:', error.details || error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get response from Claude',
+      error: error.message
+    });
+  }
+};
+
+// Delete a conversation session
+exports.deleteSession = async (req, res) => {
+  try {
+    const deleted = await conversationStore.remove(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conversation session not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Conversation session deleted'
+    });
+  } catch (error) {
+    console.error('Conversation session delete error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete conversation session',
+      error: error.message
+    });
+  }
+};
+
+// Determine if this is a user-facing or system intelligence request
+function selectSystemPrompt(context) {
+  const isSystemRequest = context.requestType === 'systemTelemetry';
+  return isSystemRequest ? SYSTEM_INTELLIGENCE_PROMPT : USER_FACING_SYSTEM_PROMPT;
+}
+
+/**
+ * Respond with structured style advice validated against styleAdviceSchema
+ * 
+ * Malformed replies are repaired or retried (see structuredOutput); a 502
+ * is returned if Claude still doesn't produce valid advice.
+ */
+async function sendStructuredStyleAdvice(res, item, userPreferences) {
+  // Offer catalog items so complementary suggestions can link to real products
+  const { items: catalogItems } = await catalogStore.list({}, { limit: STYLE_ADVICE_CATALOG_LIMIT });
+  const candidates = catalogItems
+    .filter(candidate => candidate.id !== item.id)
+    .map(({ id, name, type, metalType, culturalStyle }) => ({ id, name, type, metalType, culturalStyle }));
+  
+  const message = `I need style advice for this ${item.type}: ${JSON.stringify(item)}.
+${userPreferences ? `My style preferences are: ${JSON.stringify(userPreferences)}` : ''}
+
+Catalog items you may recommend as complementary items:
+${JSON.stringify(candidates)}`;
+  
+  const result = await completeStructured(
+    llm,
+    {
+      system: `${USER_FACING_SYSTEM_PROMPT}\n\n${STRUCTURED_STYLE_ADVICE_PROMPT}`,
+      messages: [{ role: 'user', content: message }]
+    },
+    validateStyleAdvice
+  );
+  
+  if (result.errors.length > 0) {
+    console.error('Claude structured style advice invalid:', result.errors);
+    return res.status(502).json({
+      status: 'error',
+      message: 'Claude returned style advice in an invalid format',
+      errors: result.errors,
+      attempts: result.attempts
+    });
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    structured: true,
+    advice: linkCatalogItems(result.data, candidates),
+    attempts: result.attempts,
+    usage: result.usage,
+    model: result.model
+  });
+}
+
+// Keep only catalog ids that exist, matching by name when Claude left the id out
+function linkCatalogItems(advice, candidates) {
+  const findByName = name => candidates.find(candidate => candidate.name.toLowerCase() === name.trim().toLowerCase());
+  
+  return {
+    ...advice,
+    complementaryItems: advice.complementaryItems.map(suggestion => {
+      const match = candidates.find(candidate => candidate.id === suggestion.catalogId) || findByName(suggestion.name);
+      return { ...suggestion, catalogId: match ? match.id : null };
+    })
+  };
+}
+
+/**
+ * Stream a Claude completion to the browser as Server-Sent Events
+ * 
+ * Emits `token` events ({ text }) as text arrives, then a single `done`
+ * event ({ usage, model, compaction }, plus the conversation digest when one
+ * is passed), or an `error` event if the stream fails midway. `onComplete`
+ * (optional) receives the full reply before `done` is sent.
+ */
+async function streamConversation(res, request, { onComplete, compaction = null, digest } = {}) {
+  // Request errors surface here, before any SSE output, as a normal JSON error
+  const stream = await llm.stream(request);
+  
+  openSSE(res);
+  
+  // Stop generating if the browser disconnects
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      stream.abort();
+    }
+  });
+  
+  let reply = '';
+  
+  try {
+    for await (const event of stream.events) {
+      if (event.type === 'text') {
+        reply += event.text;
+        writeSSE(res, 'token', { text: event.text });
+      } else if (event.type === 'done') {
+        if (onComplete) {
+          await onComplete(reply);
+        }
+        writeSSE(res, 'done', {
+          usage: event.usage,
+          model: event.model,
+          compaction,
+          ...(digest !== undefined && { digest })
+        });
+      }
+    }
+  } catch (error) {
+    if (res.destroyed) return;
+    
+    console.error('Claude API stream error:', error.details || error.message);
+    writeSSE(res, 'error', {
+      message: 'Failed to get response from Claude',
+      error: error.message
     });
   }
-};
\ No newline at end of file
+  
+  res.end();
+}
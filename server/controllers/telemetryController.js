@@ -1,4 +1,6 @@
 const claudeController = require('./claudeController');
+const telemetryStore = require('../store/telemetryStore');
+const { isAdmin } = require('../middleware/adminAuth');
 
 /**
  * Telemetry Controller
@@ -7,9 +9,8 @@ const claudeController = require('./claudeController');
  * using Claude for insights and recommendations.
  */
 
-// In-memory store for telemetry data (in production, use a database)
-let telemetryStore = [];
-const MAX_TELEMETRY_ENTRIES = 100;
+// Maximum number of stored entries compiled into one analysis
+const MAX_ANALYSIS_ENTRIES = 100;
 
 // Receive and store telemetry data
 exports.receiveTelemetry = async (req, res) => {
@@ -23,22 +24,11 @@ exports.receiveTelemetry = async (req, res) => {
       });
     }
     
-    // Add timestamp if not provided
-    const telemetryEntry = {
-      ...req.body,
-      received: new Date().toISOString()
-    };
-    
-    // Store telemetry data
-    telemetryStore.unshift(telemetryEntry);
-    
-    // Limit store size
-    if (telemetryStore.length > MAX_TELEMETRY_ENTRIES) {
-      telemetryStore = telemetryStore.slice(0, MAX_TELEMETRY_ENTRIES);
-    }
+    // Store telemetry data (adds an id and received timestamp)
+    const telemetryEntry = await telemetryStore.append(req.body);
     
-    // Analysis request flag
-    const shouldAnalyze = req.query.analyze === 'true';
+    // Analysis request flag (admin only: each analysis is a paid Claude call)
+    const shouldAnalyze = req.query.analyze === 'true' && isAdmin(req);
     
     if (shouldAnalyze) {
       // Send telemetry to Claude for analysis in background
@@ -49,6 +39,7 @@ exports.receiveTelemetry = async (req, res) => {
     res.status(200).json({
       status: 'success',
       message: 'Telemetry data received',
+      id: telemetryEntry.id,
       analyze: shouldAnalyze
     });
   } catch (error) {
@@ -61,11 +52,25 @@ exports.receiveTelemetry = async (req, res) => {
   }
 };
 
-// Get recent telemetry data
-exports.getTelemetry = (req, res) => {
+// Get recent telemetry data, optionally for one session and/or time range
+exports.getTelemetry = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const entries = telemetryStore.slice(0, limit);
+    const range = parseTimeRange(req.query);
+    
+    if (range.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: range.error
+      });
+    }
+    
+    const entries = await telemetryStore.query({
+      sessionId: req.query.session,
+      from: range.from,
+      to: range.to,
+      limit
+    });
     
     res.status(200).json({
       status: 'success',
@@ -83,9 +88,9 @@ exports.getTelemetry = (req, res) => {
 };
 
 // Clear telemetry data
-exports.clearTelemetry = (req, res) => {
+exports.clearTelemetry = async (req, res) => {
   try {
-    telemetryStore = [];
+    await telemetryStore.clear();
     
     res.status(200).json({
       status: 'success',
@@ -119,15 +124,9 @@ exports.analyzeTelemetryWithClaude = async (telemetryData) => {
           } else {
             console.log('Claude telemetry analysis complete');
             
-            // Store analysis in telemetry entry
-            const index = telemetryStore.findIndex(entry => 
-              entry.timestamp === telemetryData.timestamp && 
-              entry.session.id === telemetryData.session.id
-            );
-            
-            if (index !== -1) {
-              telemetryStore[index].analysis = data.analysis;
-            }
+            // Store analysis alongside the telemetry entry
+            telemetryStore.appendAnalysis(telemetryData.id, data.analysis)
+              .catch(err => console.error('Error storing telemetry analysis:', err));
           }
           return data;
         }
@@ -142,10 +141,26 @@ exports.analyzeTelemetryWithClaude = async (telemetryData) => {
   }
 };
 
-// Analyze all stored telemetry
+// Analyze stored telemetry, optionally for one session and/or time range
 exports.analyzeAllTelemetry = async (req, res) => {
   try {
-    if (telemetryStore.length === 0) {
+    const range = parseTimeRange(req.query);
+    
+    if (range.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: range.error
+      });
+    }
+    
+    const entries = await telemetryStore.query({
+      sessionId: req.query.session,
+      from: range.from,
+      to: range.to,
+      limit: MAX_ANALYSIS_ENTRIES
+    });
+    
+    if (entries.length === 0) {
       return res.status(404).json({
         status: 'error',
         message: 'No telemetry data available for analysis'
@@ -155,12 +170,12 @@ exports.analyzeAllTelemetry = async (req, res) => {
     // Compile telemetry for analysis
     const compiledTelemetry = {
       timestamp: new Date().toISOString(),
-      entryCount: telemetryStore.length,
+      entryCount: entries.length,
       metrics: {
-        performance: compilePerformanceMetrics(),
-        errors: compileErrorMetrics(),
-        userInteractions: compileUserInteractionMetrics(),
-        modelPerformance: compileModelMetrics()
+        performance: compilePerformanceMetrics(entries),
+        errors: compileErrorMetrics(entries),
+        userInteractions: compileUserInteractionMetrics(entries),
+        modelPerformance: compileModelMetrics(entries)
       }
     };
     
@@ -189,7 +204,7 @@ exports.analyzeAllTelemetry = async (req, res) => {
     res.status(200).json({
       status: 'success',
       analysis: analysisResult.analysis,
-      dataPoints: telemetryStore.length
+      dataPoints: entries.length
     });
   } catch (error) {
     console.error('Full telemetry analysis error:', error);
@@ -202,13 +217,13 @@ exports.analyzeAllTelemetry = async (req, res) => {
 };
 
 // Helper function to compile performance metrics
-function compilePerformanceMetrics() {
+function compilePerformanceMetrics(entries) {
   const allFrameRates = [];
   const loadTimes = {};
   const renderTimes = {};
   
   // Extract and compile metrics from all entries
-  telemetryStore.forEach(entry => {
+  entries.forEach(entry => {
     const performance = entry.metrics?.performance;
     if (!performance) return;
     
@@ -274,12 +289,12 @@ function compilePerformanceMetrics() {
 }
 
 // Helper function to compile error metrics
-function compileErrorMetrics() {
+function compileErrorMetrics(entries) {
   const allErrors = [];
   const errorCategories = {};
   
   // Extract and compile errors from all entries
-  telemetryStore.forEach(entry => {
+  entries.forEach(entry => {
     const errors = entry.metrics?.errors;
     if (!errors || !Array.isArray(errors)) return;
     
@@ -303,12 +318,12 @@ function compileErrorMetrics() {
 }
 
 // Helper function to compile user interaction metrics
-function compileUserInteractionMetrics() {
+function compileUserInteractionMetrics(entries) {
   const allInteractions = [];
   const interactionTypes = {};
   
   // Extract and compile interactions from all entries
-  telemetryStore.forEach(entry => {
+  entries.forEach(entry => {
     const interactions = entry.metrics?.userInteractions;
     if (!interactions || !Array.isArray(interactions)) return;
     
@@ -331,11 +346,11 @@ function compileUserInteractionMetrics() {
 }
 
 // Helper function to compile model performance metrics
-function compileModelMetrics() {
+function compileModelMetrics(entries) {
   const modelTypes = {};
   
   // Extract and compile model metrics from all entries
-  telemetryStore.forEach(entry => {
+  entries.forEach(entry => {
     const modelPerformance = entry.metrics?.modelPerformance;
     if (!modelPerformance) return;
     
@@ -380,4 +395,21 @@ function compileModelMetrics() {
   });
   
   return modelTypes;
+}
+
+// Helper function to read and validate the from/to query parameters
+function parseTimeRange(query) {
+  const range = {};
+  
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    
+    if (Number.isNaN(new Date(query[key]).getTime())) {
+      return { error: `Invalid '${key}' date: ${query[key]}` };
+    }
+    
+    range[key] = query[key];
+  }
+  
+  return range;
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { AppError } = require('./errorHandler');
+
+/**
+ * Admin Auth Middleware
+ *
+ * Guards admin routes (catalog edits, reading and analysing telemetry)
+ * with a shared key sent in the `x-admin-key` header. When ADMIN_API_KEY
+ * is not configured the routes stay open outside production, for local
+ * development.
+ */
+
+exports.requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    if (process.env.NODE_ENV === 'production') {
+      return next(new AppError('Admin API is not configured', 503));
+    }
+    return next();
+  }
+
+  if (req.get('x-admin-key') !== adminKey) {
+    return next(new AppError('Admin authorization required', 401));
+  }
+
+  next();
+};
+
+/**
+ * Whether a request carries the admin key (or the admin API is open, as it
+ * is outside production without ADMIN_API_KEY), for routes that are public
+ * but have admin-only options
+ *
+ * @param {Object} req Express request
+ * @returns {Boolean} True if the request may use admin features
+ */
+exports.isAdmin = (req) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  return req.get('x-admin-key') === adminKey;
+};
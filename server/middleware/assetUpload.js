@@ -0,0 +1,110 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Asset Upload Middleware
+ *
+ * Parses multipart uploads for catalog assets and checks each file's
+ * MIME type, size and file signature before it reaches the controller.
+ * Field names match the catalog fields the uploaded URLs are written to.
+ */
+
+const MB = 1024 * 1024;
+
+// File signatures ("magic numbers") used to verify the declared MIME type
+const SIGNATURES = {
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpg: Buffer.from([0xff, 0xd8, 0xff]),
+  glb: Buffer.from('glTF', 'ascii')
+};
+
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'model/gltf-binary': 'glb',
+  'application/octet-stream': 'glb'
+};
+
+// Accepted files per catalog field
+const ASSET_FIELDS = {
+  imageUrl: { mimeTypes: ['image/png'], maxSize: 5 * MB },
+  leftImageUrl: { mimeTypes: ['image/png'], maxSize: 5 * MB },
+  rightImageUrl: { mimeTypes: ['image/png'], maxSize: 5 * MB },
+  thumbnail: { mimeTypes: ['image/png', 'image/jpeg'], maxSize: 2 * MB },
+  modelPath: { mimeTypes: ['model/gltf-binary', 'application/octet-stream'], maxSize: 25 * MB }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(...Object.values(ASSET_FIELDS).map(field => field.maxSize)),
+    files: Object.keys(ASSET_FIELDS).length
+  },
+  fileFilter: (req, file, cb) => {
+    // Unknown field names are rejected by multer itself (LIMIT_UNEXPECTED_FILE)
+    const rules = ASSET_FIELDS[file.fieldname];
+
+    if (!rules.mimeTypes.includes(file.mimetype)) {
+      return cb(new AppError('Invalid asset upload', 400, [
+        { field: file.fieldname, message: `${file.fieldname} must be one of: ${rules.mimeTypes.join(', ')}` }
+      ]));
+    }
+
+    cb(null, true);
+  }
+}).fields(Object.keys(ASSET_FIELDS).map(name => ({ name, maxCount: 1 })));
+
+// Check per-field size limits and file signatures once the files are in memory
+function validateFiles(files) {
+  const errors = [];
+
+  Object.entries(files).forEach(([field, [file]]) => {
+    const rules = ASSET_FIELDS[field];
+    const extension = MIME_EXTENSIONS[file.mimetype];
+
+    if (file.size > rules.maxSize) {
+      errors.push({ field, message: `${field} must be at most ${rules.maxSize / MB}MB` });
+      return;
+    }
+
+    if (!file.buffer.subarray(0, SIGNATURES[extension].length).equals(SIGNATURES[extension])) {
+      errors.push({ field, message: `${field} content does not match its ${file.mimetype} type` });
+      return;
+    }
+
+    file.extension = extension;
+  });
+
+  return errors;
+}
+
+exports.ASSET_FIELDS = ASSET_FIELDS;
+
+exports.uploadAssets = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return next(new AppError('Invalid asset upload', statusCode, [
+        { field: err.field || null, message: err.message }
+      ]));
+    }
+
+    if (err) {
+      return next(err);
+    }
+
+    const files = req.files || {};
+
+    if (Object.keys(files).length === 0) {
+      return next(new AppError('No asset files uploaded', 400));
+    }
+
+    const errors = validateFiles(files);
+
+    if (errors.length > 0) {
+      return next(new AppError('Invalid asset upload', 400, errors));
+    }
+
+    next();
+  });
+};
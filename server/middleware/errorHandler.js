@@ -50,18 +50,23 @@ exports.logRequest = (req, res, next) => {
     res.status(statusCode).json({
       status: 'error',
       message: err.message || 'Internal Server Error',
+      errors: err.errors,
       error: process.env.NODE_ENV === 'development' ? err.stack : undefined
     });
   };
   
-  // Custom error class
+  // Custom error class (errors: optional field-level details, e.g. from validation)
   class AppError extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode, errors) {
       super(message);
       this.statusCode = statusCode;
       this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
       this.isOperational = true;
       
+      if (errors) {
+        this.errors = errors;
+      }
+      
       Error.captureStackTrace(this, this.constructor);
     }
   }
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const catalogController = require('../controllers/catalogController');
+const assetController = require('../controllers/assetController');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { uploadAssets } = require('../middleware/assetUpload');
+
+/**
+ * Catalog Routes
+ *
+ * Routes for browsing the jewelry catalog, plus admin
+ * routes for managing catalog items.
+ */
+
+// List items (filters: type, metalType, culturalStyle, gemstone; pagination: page, limit)
+router.get('/', catalogController.listItems);
+
+// Get a single item
+router.get('/:id', catalogController.getItem);
+
+// Admin: create, update and delete items (validated against the catalog item schema)
+router.post('/', requireAdmin, catalogController.createItem);
+router.put('/:id', requireAdmin, catalogController.updateItem);
+router.delete('/:id', requireAdmin, catalogController.deleteItem);
+
+// Admin: upload overlay images, thumbnail and GLB model (multipart, one file per catalog field)
+router.post('/:id/assets', requireAdmin, uploadAssets, assetController.uploadAssets);
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const Jimp = require('jimp');
+const { startTestServer, silenceLogs } = require('../testUtils/testServer');
+
+const ADMIN_KEY = 'test-admin-key';
+
+const ring = {
+  id: 'r-test',
+  name: 'Test Ring',
+  type: 'ring',
+  metalType: 'gold',
+  gemstones: ['ruby'],
+  culturalStyle: 'western',
+  imageUrl: '/models/jewelry/images/test-ring.png',
+  fingerIndex: 3
+};
+
+const necklace = {
+  id: 'n-test',
+  name: 'Test Necklace',
+  type: 'necklace',
+  metalType: 'silver',
+  culturalStyle: 'indian',
+  imageUrl: '/models/jewelry/images/test-necklace.png'
+};
+
+describe('catalog routes', () => {
+  let server;
+
+  before(() => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  after(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  beforeEach(async (t) => {
+    silenceLogs(t.mock);
+    server = await startTestServer({ catalog: [ring, necklace] });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const request = (method, path, { body, admin = true } = {}) => fetch(`${server.url}/api/catalog${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(admin ? { 'x-admin-key': ADMIN_KEY } : {})
+    },
+    body: body && JSON.stringify(body)
+  });
+
+  describe('browsing', () => {
+    it('lists the seeded catalog with filters and pagination', async () => {
+      const all = await (await request('GET', '/')).json();
+      assert.equal(all.total, 2);
+      assert.equal(all.limit, 20);
+
+      const rubies = await (await request('GET', '/?gemstone=ruby')).json();
+      assert.deepEqual(rubies.data.map(item => item.id), ['r-test']);
+
+      const second = await (await request('GET', '/?limit=1&page=2')).json();
+      assert.deepEqual(second.data.map(item => item.id), ['n-test']);
+      assert.equal(second.totalPages, 2);
+    });
+
+    it('gets one item, or 404', async () => {
+      assert.equal((await (await request('GET', '/r-test')).json()).data.name, 'Test Ring');
+      assert.equal((await request('GET', '/missing')).status, 404);
+    });
+  });
+
+  describe('admin', () => {
+    it('requires the admin key to change the catalog', async () => {
+      const responses = await Promise.all([
+        request('POST', '/', { body: { ...ring, id: 'r-new' }, admin: false }),
+        request('PUT', '/r-test', { body: { name: 'Renamed' }, admin: false }),
+        request('DELETE', '/r-test', { admin: false })
+      ]);
+
+      assert.deepEqual(responses.map(response => response.status), [401, 401, 401]);
+      assert.equal((await (await request('GET', '/')).json()).total, 2);
+    });
+
+    it('creates valid items, generating an id when none is given', async () => {
+      const { id, ...unnamed } = ring;
+      const response = await request('POST', '/', { body: unnamed });
+
+      assert.equal(response.status, 201);
+      const { data } = await response.json();
+      assert.match(data.id, /^ring-[0-9a-f]{8}$/);
+      assert.equal((await request('GET', `/${data.id}`)).status, 200);
+    });
+
+    it('rejects invalid items with field errors', async () => {
+      const response = await request('POST', '/', { body: { ...ring, id: 'r-bad', metalType: 'bronze', price: 10 } });
+
+      assert.equal(response.status, 400);
+      const body = await response.json();
+      assert.deepEqual(body.errors.map(error => error.field).sort(), ['metalType', 'price']);
+      assert.equal((await request('GET', '/r-bad')).status, 404);
+    });
+
+    it('rejects duplicate ids', async () => {
+      assert.equal((await request('POST', '/', { body: ring })).status, 409);
+    });
+
+    it('merges updates, clears fields sent as null and validates the result', async () => {
+      const { gemstones, ...plain } = ring;
+      const updated = await request('PUT', '/r-test', { body: { name: 'Renamed', gemstones: null } });
+      assert.equal(updated.status, 200);
+      assert.deepEqual((await updated.json()).data, { ...plain, name: 'Renamed' });
+
+      assert.equal((await request('PUT', '/r-test', { body: { fingerIndex: 7 } })).status, 400);
+      assert.equal((await request('PUT', '/r-test', { body: { id: 'other' } })).status, 400);
+      assert.equal((await request('PUT', '/missing', { body: { name: 'x' } })).status, 404);
+    });
+
+    it('deletes items', async () => {
+      assert.equal((await request('DELETE', '/n-test')).status, 200);
+      assert.equal((await request('GET', '/n-test')).status, 404);
+      assert.equal((await request('DELETE', '/n-test')).status, 404);
+    });
+  });
+
+  describe('asset uploads', () => {
+    const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    const upload = (id, field, buffer) => {
+      const form = new FormData();
+      form.append(field, new Blob([buffer], { type: 'image/png' }), `${field}.png`);
+
+      return fetch(`${server.url}/api/catalog/${id}/assets`, {
+        method: 'POST',
+        headers: { 'x-admin-key': ADMIN_KEY },
+        body: form
+      });
+    };
+
+    // Files in the asset store (its directory is fixed when the app loads)
+    const storedFiles = () => {
+      const { ASSET_DIR } = require('../services/assetStorage');
+      return fs.existsSync(ASSET_DIR) ? fs.readdirSync(ASSET_DIR, { recursive: true }).filter(name => name.includes('.')) : [];
+    };
+
+    it('stores the overlay and a generated thumbnail', async () => {
+      const image = await new Jimp(8, 8, 0xd4af37ff).getBufferAsync(Jimp.MIME_PNG);
+      const response = await upload('r-test', 'imageUrl', image);
+
+      assert.equal(response.status, 200);
+      const { assets, data } = await response.json();
+      assert.equal(data.imageUrl, assets.imageUrl.url);
+      assert.equal(data.thumbnail, assets.thumbnail.url);
+      assert.equal(assets.thumbnail.generatedFrom, 'imageUrl');
+      assert.equal(storedFiles().length, 2);
+    });
+
+    it('rejects an image that does not decode, storing nothing', async () => {
+      const before = storedFiles().length;
+      const response = await upload('r-test', 'imageUrl', Buffer.concat([PNG_SIGNATURE, Buffer.from('not really a png')]));
+
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).errors[0].field, 'imageUrl');
+      assert.equal(storedFiles().length, before);
+      assert.equal((await (await request('GET', '/r-test')).json()).data.imageUrl, ring.imageUrl);
+    });
+  });
+});
@@ -15,6 +15,12 @@ router.get('/ping', claudeController.pingClaude);
 // Main conversation route
 router.post('/conversation', claudeController.conversationWithClaude);
 
+// Conversation session routes (history kept server-side)
+router.post('/sessions', claudeController.createSession);
+router.get('/sessions/:id', claudeController.getSession);
+router.post('/sessions/:id/messages', claudeController.sendSessionMessage);
+router.delete('/sessions/:id', claudeController.deleteSession);
+
 // Telemetry analysis route
 router.post('/analyze-telemetry', claudeController.analyzeTelemetry);
 
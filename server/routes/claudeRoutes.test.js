@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { parseSSE } = require('../utils/sse');
+const { startTestServer, silenceLogs } = require('../testUtils/testServer');
+
+describe('claude routes (mock provider)', () => {
+  let server;
+
+  beforeEach(async (t) => {
+    silenceLogs(t.mock);
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const post = (path, body) => fetch(`${server.url}/api/claude${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  // Every event in an SSE response, in order
+  async function readEvents(response) {
+    const events = [];
+    for await (const event of parseSSE(Readable.fromWeb(response.body))) {
+      events.push(event);
+    }
+    return events;
+  }
+
+  describe('POST /conversation', () => {
+    it('answers with JSON', async () => {
+      const response = await post('/conversation', { message: 'Which ring suits me?' });
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(body.response, 'This is a mock response to: "Which ring suits me?"');
+      assert.equal(body.model, 'mock-llm');
+    });
+
+    it('streams tokens and then a single done event', async () => {
+      const response = await post('/conversation', { message: 'Which ring suits me?', stream: true });
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+      assert.equal(response.headers.get('cache-control'), 'no-cache, no-transform');
+
+      const events = await readEvents(response);
+      const tokens = events.filter(event => event.event === 'token');
+      const done = events[events.length - 1];
+
+      assert.ok(tokens.length > 1);
+      assert.equal(tokens.map(event => event.data.text).join(''), 'This is a mock response to: "Which ring suits me?"');
+      assert.equal(done.event, 'done');
+      assert.equal(done.data.model, 'mock-llm');
+      assert.ok(done.data.usage.output_tokens > 0);
+      assert.equal(events.filter(event => event.event === 'done').length, 1);
+    });
+
+    it('fails with a JSON error before any stream starts', async () => {
+      const response = await post('/conversation', { message: 'Break [mock-error]', stream: true });
+
+      assert.equal(response.status, 500);
+      assert.equal((await response.json()).status, 'error');
+    });
+
+    it('rejects a malformed history', async () => {
+      const response = await post('/conversation', {
+        message: 'Hi',
+        conversationHistory: [{ role: 'assistant', content: 'Hello' }]
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).errors[0].field, 'conversationHistory[0].role');
+    });
+
+    it('returns the digest of summarised turns for the client to send back', async () => {
+      const conversationHistory = Array.from({ length: 10 }, (_, index) => ({
+        role: index % 2 === 0 ? 'user' : 'assistant',
+        content: `Turn ${index} `.padEnd(4000, 'x')
+      }));
+
+      const body = await (await post('/conversation', { message: 'And earrings?', conversationHistory })).json();
+      assert.ok(body.compaction.summarizedTurns > 0);
+      assert.equal(typeof body.digest, 'string');
+
+      const events = await readEvents(await post('/conversation', { message: 'Thanks', digest: body.digest, stream: true }));
+      const done = events[events.length - 1];
+      assert.equal(done.data.compaction, null);
+      assert.equal(done.data.digest, body.digest);
+    });
+
+    it('rejects a digest that is not a string', async () => {
+      const response = await post('/conversation', { message: 'Hi', digest: { summary: 'x' } });
+
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).errors[0].field, 'digest');
+    });
+  });
+
+  describe('sessions', () => {
+    it('saves a streamed exchange to the session once it is done', async () => {
+      const session = (await (await post('/sessions', {})).json()).data;
+
+      const events = await readEvents(await post(`/sessions/${session.id}/messages`, { message: 'Gold or silver?', stream: true }));
+      assert.equal(events[events.length - 1].event, 'done');
+
+      const saved = (await (await fetch(`${server.url}/api/claude/sessions/${session.id}`)).json()).data;
+      assert.deepEqual(saved.turns.map(turn => turn.role), ['user', 'assistant']);
+      assert.equal(saved.turns[1].content, 'This is a mock response to: "Gold or silver?"');
+    });
+
+    it('404s for unknown sessions', async () => {
+      const response = await post('/sessions/00000000-0000-4000-8000-000000000000/messages', { message: 'Hi' });
+
+      assert.equal(response.status, 404);
+    });
+  });
+});
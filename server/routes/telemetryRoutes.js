@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const telemetryController = require('../controllers/telemetryController');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+/**
+ * Telemetry Routes
+ *
+ * Routes for collecting system telemetry from the frontend
+ * and querying or analyzing what has been stored.
+ */
+
+// Receive a telemetry report (admins can add ?analyze=true to queue a Claude analysis)
+router.post('/', telemetryController.receiveTelemetry);
+
+// Admin: query stored telemetry (filters: session, from, to; limit)
+router.get('/', requireAdmin, telemetryController.getTelemetry);
+
+// Admin: analyze stored telemetry with Claude (filters: session, from, to)
+router.post('/analyze', requireAdmin, telemetryController.analyzeAllTelemetry);
+
+// Admin: delete all stored telemetry
+router.delete('/', requireAdmin, telemetryController.clearTelemetry);
+
+module.exports = router;
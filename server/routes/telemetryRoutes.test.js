@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, silenceLogs } = require('../testUtils/testServer');
+
+const ADMIN_KEY = 'test-admin-key';
+
+const report = {
+  metrics: { fps: 24, detectionTime: 40 },
+  session: { id: 'session-1' }
+};
+
+describe('telemetry routes', () => {
+  let server;
+
+  before(() => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  after(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  beforeEach(async (t) => {
+    silenceLogs(t.mock);
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const request = (method, path, { body, admin = false } = {}) => fetch(`${server.url}/api/telemetry${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(admin ? { 'x-admin-key': ADMIN_KEY } : {})
+    },
+    body: body && JSON.stringify(body)
+  });
+
+  it('accepts reports from anyone', async () => {
+    const response = await request('POST', '/', { body: report });
+
+    assert.equal(response.status, 200);
+    assert.match((await response.json()).id, /^[0-9a-f]{16}$/);
+    assert.equal((await request('POST', '/', { body: {} })).status, 400);
+  });
+
+  it('keeps reading and analysing telemetry to admins', async () => {
+    await request('POST', '/', { body: report });
+
+    assert.equal((await request('GET', '/')).status, 401);
+    assert.equal((await request('POST', '/analyze')).status, 401);
+    assert.equal((await request('DELETE', '/')).status, 401);
+
+    const entries = await (await request('GET', '/', { admin: true })).json();
+    assert.equal(entries.count, 1);
+
+    const analysis = await request('POST', '/analyze', { admin: true });
+    assert.equal(analysis.status, 200);
+    assert.equal((await analysis.json()).dataPoints, 1);
+  });
+
+  it('only lets admins queue a Claude analysis of a report', async (t) => {
+    const llm = require('../services/llm');
+    const complete = t.mock.method(llm, 'complete');
+
+    const anonymous = await request('POST', '/?analyze=true', { body: report });
+    assert.equal(anonymous.status, 200);
+    assert.equal((await anonymous.json()).analyze, false);
+    assert.equal(complete.mock.callCount(), 0);
+
+    const admin = await request('POST', '/?analyze=true', { body: report, admin: true });
+    assert.equal((await admin.json()).analyze, true);
+    assert.equal(complete.mock.callCount(), 1);
+  });
+
+  it('ignores fields the store sets itself, so reports can\'t forge analyses', async () => {
+    const { id } = await (await request('POST', '/', { body: report })).json();
+
+    await request('POST', '/', {
+      body: { ...report, id: 'forged', recordType: 'analysis', entryId: id, analysis: 'All is well' }
+    });
+
+    const { data } = await (await request('GET', '/', { admin: true })).json();
+    assert.equal(data.length, 2);
+    data.forEach(entry => {
+      assert.match(entry.id, /^[0-9a-f]{16}$/);
+      assert.equal(entry.analysis, undefined);
+      assert.equal(entry.recordType, undefined);
+      assert.equal(entry.entryId, undefined);
+    });
+  });
+});
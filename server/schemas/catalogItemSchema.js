@@ -0,0 +1,188 @@
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Catalog Item Schema
+ *
+ * Declares the shape of a jewelry catalog record and validates
+ * incoming records against it, reporting errors per field.
+ */
+
+const JEWELRY_TYPES = ['earring', 'necklace', 'ring', 'bracelet', 'watch', 'glasses', 'nose-pin', 'maang-tikka'];
+const METAL_TYPES = ['gold', 'silver', 'platinum', 'rosegold'];
+const CULTURAL_STYLES = ['western', 'indian', 'asian', 'middle-eastern'];
+const HANDS = ['left', 'right'];
+const SIDES = ['left', 'right'];
+const RING_POSITIONS = ['base', 'stacked', 'midi'];
+
+// Field definitions shared by every jewelry type
+const catalogItemSchema = {
+  id: { type: 'string', pattern: /^[a-z0-9][a-z0-9_-]*$/i },
+  name: { type: 'string', required: true },
+  type: { type: 'string', required: true, enum: JEWELRY_TYPES },
+  metalType: { type: 'string', required: true, enum: METAL_TYPES },
+  gemstones: { type: 'array', items: 'string' },
+  culturalStyle: { type: 'string', required: true, enum: CULTURAL_STYLES },
+  thumbnail: { type: 'string' },
+  modelPath: { type: 'string' },
+  leftImageUrl: { type: 'string' },
+  rightImageUrl: { type: 'string' },
+  imageUrl: { type: 'string' },
+  fingerIndex: { type: 'integer', min: 0, max: 4 },
+  sizeAdjustment: { type: 'number', min: 0.1, max: 5 },
+  preferredHand: { type: 'string', enum: HANDS },
+  // Where along the finger a ring sits: its base, stacked above a ring at
+  // the base, or a midi ring above the middle knuckle
+  ringPosition: { type: 'string', enum: RING_POSITIONS },
+  // Wearer's side of the nose a nose pin or ring is worn on
+  noseSide: { type: 'string', enum: SIDES },
+  // Drop earrings and pendants that swing with movement (pendulum length in mm)
+  dangling: { type: 'boolean' },
+  dangleLength: { type: 'number', min: 5, max: 150 },
+  dangleDamping: { type: 'number', min: 0, max: 1 },
+  // Wristwear sizes in mm: a bangle's inner diameter, a chain bracelet's
+  // length, or the smallest and largest wrist a strap or clasp adjusts to
+  innerDiameterMm: { type: 'number', min: 40, max: 90 },
+  lengthMm: { type: 'number', min: 100, max: 300 },
+  wristMinMm: { type: 'number', min: 100, max: 300 },
+  wristMaxMm: { type: 'number', min: 100, max: 300 }
+};
+
+// Extra fields each jewelry type needs before it can be rendered
+const typeRequirements = {
+  earring: ['leftImageUrl', 'rightImageUrl'],
+  necklace: ['imageUrl'],
+  ring: ['imageUrl', 'fingerIndex'],
+  bracelet: ['imageUrl'],
+  watch: ['imageUrl'],
+  glasses: ['imageUrl'],
+  'nose-pin': ['imageUrl'],
+  'maang-tikka': ['imageUrl']
+};
+
+// Check a single value against its field definition
+function validateField(field, value, definition) {
+  switch (definition.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim().length === 0) {
+        return `${field} must be a non-empty string`;
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${field} must be a number`;
+      }
+      if (definition.type === 'integer' && !Number.isInteger(value)) {
+        return `${field} must be an integer`;
+      }
+      if (definition.min !== undefined && value < definition.min) {
+        return `${field} must be at least ${definition.min}`;
+      }
+      if (definition.max !== undefined && value > definition.max) {
+        return `${field} must be at most ${definition.max}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return `${field} must be true or false`;
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return `${field} must be an array`;
+      }
+      if (definition.items && value.some(entry => typeof entry !== definition.items)) {
+        return `${field} must only contain ${definition.items} values`;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (definition.enum && !definition.enum.includes(value)) {
+    return `${field} must be one of: ${definition.enum.join(', ')}`;
+  }
+
+  if (definition.pattern && !definition.pattern.test(value)) {
+    return `${field} has an invalid format`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a catalog item against the schema
+ *
+ * @param {Object} item Catalog record
+ * @returns {Array} Field-level errors ({ field, message }); empty if valid
+ */
+function validateCatalogItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [{ field: null, message: 'Catalog item must be a JSON object' }];
+  }
+
+  const errors = [];
+
+  // Reject fields the schema doesn't know about
+  Object.keys(item).forEach(field => {
+    if (!catalogItemSchema[field]) {
+      errors.push({ field, message: `${field} is not a recognised catalog field` });
+    }
+  });
+
+  // Check declared fields
+  Object.entries(catalogItemSchema).forEach(([field, definition]) => {
+    const value = item[field];
+
+    if (value === undefined || value === null) {
+      if (definition.required) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      return;
+    }
+
+    const message = validateField(field, value, definition);
+    if (message) {
+      errors.push({ field, message });
+    }
+  });
+
+  // Check fields the item's type depends on
+  (typeRequirements[item.type] || []).forEach(field => {
+    const alreadyReported = errors.some(error => error.field === field);
+    if (!alreadyReported && (item[field] === undefined || item[field] === null)) {
+      errors.push({ field, message: `${field} is required for ${item.type} items` });
+    }
+  });
+
+  // Check the wrist range is the right way round
+  const rangeReported = errors.some(error => error.field === 'wristMinMm' || error.field === 'wristMaxMm');
+  if (!rangeReported && item.wristMinMm > item.wristMaxMm) {
+    errors.push({ field: 'wristMaxMm', message: 'wristMaxMm must be at least wristMinMm' });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a catalog item, throwing a 400 AppError when invalid
+ *
+ * @param {Object} item Catalog record
+ */
+function assertValidCatalogItem(item) {
+  const errors = validateCatalogItem(item);
+
+  if (errors.length > 0) {
+    throw new AppError('Invalid catalog item', 400, errors);
+  }
+}
+
+module.exports = {
+  catalogItemSchema,
+  typeRequirements,
+  JEWELRY_TYPES,
+  METAL_TYPES,
+  CULTURAL_STYLES,
+  validateCatalogItem,
+  assertValidCatalogItem
+};
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCatalogItem, assertValidCatalogItem } = require('./catalogItemSchema');
+const { AppError } = require('../middleware/errorHandler');
+
+const ring = {
+  id: 'r-test',
+  name: 'Test Ring',
+  type: 'ring',
+  metalType: 'gold',
+  culturalStyle: 'western',
+  imageUrl: '/models/jewelry/images/test-ring.png',
+  fingerIndex: 3
+};
+
+const fieldsOf = errors => errors.map(error => error.field);
+
+describe('catalogItemSchema', () => {
+  it('accepts a complete item', () => {
+    assert.deepEqual(validateCatalogItem(ring), []);
+    assert.deepEqual(validateCatalogItem({ ...ring, gemstones: ['ruby'], ringPosition: 'midi', dangling: false }), []);
+  });
+
+  it('rejects anything but an object', () => {
+    assert.deepEqual(fieldsOf(validateCatalogItem([])), [null]);
+    assert.deepEqual(fieldsOf(validateCatalogItem(null)), [null]);
+  });
+
+  it('reports missing required fields and fields it does not know', () => {
+    const { name, ...unnamed } = ring;
+
+    assert.deepEqual(fieldsOf(validateCatalogItem({ ...unnamed, price: 10 })), ['price', 'name']);
+  });
+
+  it('checks types, enums, ranges and formats', () => {
+    const errors = validateCatalogItem({
+      ...ring,
+      id: '-bad id',
+      metalType: 'bronze',
+      fingerIndex: 2.5,
+      sizeAdjustment: 9,
+      gemstones: ['ruby', 3],
+      dangling: 'yes'
+    });
+
+    assert.deepEqual(Object.fromEntries(errors.map(error => [error.field, error.message])), {
+      id: 'id has an invalid format',
+      metalType: 'metalType must be one of: gold, silver, platinum, rosegold',
+      gemstones: 'gemstones must only contain string values',
+      fingerIndex: 'fingerIndex must be an integer',
+      sizeAdjustment: 'sizeAdjustment must be at most 5',
+      dangling: 'dangling must be true or false'
+    });
+  });
+
+  it('requires the fields each type is rendered from', () => {
+    const { imageUrl, fingerIndex, ...bare } = ring;
+
+    assert.deepEqual(validateCatalogItem(bare), [
+      { field: 'imageUrl', message: 'imageUrl is required for ring items' },
+      { field: 'fingerIndex', message: 'fingerIndex is required for ring items' }
+    ]);
+  });
+
+  it('requires the wrist range to be the right way round', () => {
+    const watch = { ...ring, type: 'watch', fingerIndex: undefined, wristMinMm: 180, wristMaxMm: 150 };
+
+    assert.deepEqual(fieldsOf(validateCatalogItem(watch)), ['wristMaxMm']);
+  });
+
+  it('throws a 400 with the field errors', () => {
+    assert.throws(() => assertValidCatalogItem({ ...ring, type: 'anklet' }), error => (
+      error instanceof AppError &&
+      error.statusCode === 400 &&
+      error.errors.some(fieldError => fieldError.field === 'type')
+    ));
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Style Advice Schema
+ *
+ * Declares the shape of structured style advice returned by
+ * /api/claude/style-advice in structured mode, and validates model
+ * output against it, reporting errors per field.
+ */
+
+const ADVICE_LIST_FIELDS = ['stylingTips', 'occasions', 'warnings'];
+const MAX_LIST_LENGTH = 10;
+
+const styleAdviceSchema = {
+  summary: 'One or two sentences summarising the advice',
+  stylingTips: ['Short, actionable styling tip'],
+  occasions: ['Occasion the item suits'],
+  complementaryItems: [{
+    name: 'Item name',
+    type: 'Item type (e.g. earring, necklace, ring, bracelet, watch, glasses, nose-pin, maang-tikka, or a clothing type)',
+    reason: 'Why it complements the item',
+    catalogId: 'ID of the matching catalog item, or null'
+  }],
+  warnings: ['Fit, care or styling caveat (may be empty)']
+};
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate structured style advice
+ *
+ * @param {Object} advice Parsed model output
+ * @returns {Array} Field-level errors ({ field, message }); empty if valid
+ */
+function validateStyleAdvice(advice) {
+  if (!advice || typeof advice !== 'object' || Array.isArray(advice)) {
+    return [{ field: null, message: 'Style advice must be a JSON object' }];
+  }
+
+  const errors = [];
+
+  Object.keys(advice).forEach(field => {
+    if (!(field in styleAdviceSchema)) {
+      errors.push({ field, message: `${field} is not a recognised style advice field` });
+    }
+  });
+
+  if (!isNonEmptyString(advice.summary)) {
+    errors.push({ field: 'summary', message: 'summary must be a non-empty string' });
+  }
+
+  ADVICE_LIST_FIELDS.forEach(field => {
+    const value = advice[field];
+
+    if (!Array.isArray(value)) {
+      errors.push({ field, message: `${field} must be an array` });
+    } else if (!value.every(isNonEmptyString)) {
+      errors.push({ field, message: `${field} must only contain non-empty strings` });
+    } else if (value.length > MAX_LIST_LENGTH) {
+      errors.push({ field, message: `${field} must have at most ${MAX_LIST_LENGTH} entries` });
+    }
+  });
+
+  if (!Array.isArray(advice.complementaryItems)) {
+    errors.push({ field: 'complementaryItems', message: 'complementaryItems must be an array' });
+  } else {
+    advice.complementaryItems.forEach((item, index) => {
+      const field = `complementaryItems[${index}]`;
+
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        errors.push({ field, message: `${field} must be an object` });
+        return;
+      }
+
+      ['name', 'type', 'reason'].forEach(key => {
+        if (!isNonEmptyString(item[key])) {
+          errors.push({ field: `${field}.${key}`, message: `${field}.${key} must be a non-empty string` });
+        }
+      });
+
+      if (item.catalogId !== undefined && item.catalogId !== null && !isNonEmptyString(item.catalogId)) {
+        errors.push({ field: `${field}.catalogId`, message: `${field}.catalogId must be a string or null` });
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  styleAdviceSchema,
+  validateStyleAdvice
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+
+/**
+ * Asset Storage Service
+ *
+ * Stores uploaded jewelry assets (overlay images, thumbnails, GLB models)
+ * in a content-addressed directory: each file is named after the SHA-256
+ * of its contents, so identical uploads share one file and URLs never
+ * need cache-busting.
+ */
+
+const ASSET_DIR = process.env.ASSET_STORAGE_DIR || path.join(__dirname, '../uploads/assets');
+const ASSET_URL_PREFIX = '/models/jewelry/assets';
+const THUMBNAIL_SIZE = 256;
+
+/**
+ * Where a buffer lives in the content-addressed store, without writing it
+ *
+ * @param {Buffer} buffer File contents
+ * @param {String} extension File extension without the dot
+ * @returns {Object} Hash, public URL and file path
+ */
+function locateAsset(buffer, extension) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const fileName = `${hash}.${extension}`;
+
+  // Shard by the first two hex characters to keep directories small
+  const shard = hash.slice(0, 2);
+
+  return {
+    hash,
+    url: `${ASSET_URL_PREFIX}/${shard}/${fileName}`,
+    filePath: path.join(ASSET_DIR, shard, fileName)
+  };
+}
+
+/**
+ * Write a buffer to the content-addressed store
+ *
+ * @param {Buffer} buffer File contents
+ * @param {String} extension File extension without the dot
+ * @returns {Object} Hash and public URL of the stored file
+ */
+async function storeAsset(buffer, extension) {
+  const { hash, url, filePath } = locateAsset(buffer, extension);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    // 'wx' fails if the file exists, which is fine: same hash, same content
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  return { hash, url };
+}
+
+/**
+ * Generate a square PNG thumbnail from an overlay image
+ *
+ * @param {Buffer} imageBuffer Source image
+ * @returns {Buffer} Thumbnail PNG
+ * @throws {Error} If the image can't be decoded
+ */
+async function generateThumbnail(imageBuffer) {
+  const image = await Jimp.read(imageBuffer);
+
+  // Fit the overlay inside a transparent square, keeping its aspect ratio
+  image.contain(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+module.exports = {
+  ASSET_DIR,
+  ASSET_URL_PREFIX,
+  locateAsset,
+  storeAsset,
+  generateThumbnail
+};
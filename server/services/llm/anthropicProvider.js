@@ -0,0 +1,183 @@
+const axios = require('axios');
+const { parseSSE } = require('../../utils/sse');
+const LLMProviderError = require('./providerError');
+
+/**
+ * Anthropic Provider
+ *
+ * Talks to the Anthropic Messages API.
+ */
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicProvider {
+  constructor({ apiKey, baseUrl, model, maxTokens }) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.model = model;
+    this.maxTokens = maxTokens;
+  }
+
+  /**
+   * Check the API is reachable with the configured key
+   *
+   * @returns {Object} { models }
+   */
+  async ping() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/models`, {
+        headers: this.headers()
+      });
+
+      return { models: response.data.models || response.data.data };
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  /**
+   * Generate a complete response
+   *
+   * @param {Object} request { system, messages, maxTokens, responseFormat }
+   *   where responseFormat 'json' steers the reply towards a JSON object
+   * @returns {Object} { text, usage, model }
+   */
+  async complete({ system, messages, maxTokens = this.maxTokens, responseFormat = 'text' }) {
+    // Prefill the reply with an opening brace so it starts as a JSON object
+    const prefill = responseFormat === 'json' ? '{' : '';
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/messages`,
+        {
+          model: this.model,
+          max_tokens: maxTokens,
+          ...(system && { system }),
+          messages: prefill ? [...messages, { role: 'assistant', content: prefill }] : messages
+        },
+        { headers: this.headers() }
+      );
+
+      return {
+        text: prefill + response.data.content[0].text,
+        usage: response.data.usage,
+        model: response.data.model
+      };
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  /**
+   * Start a streamed response
+   *
+   * Resolves once the API has accepted the request, so request errors
+   * surface before any output is sent.
+   *
+   * @param {Object} request { system, messages, maxTokens }
+   * @returns {Object} { events, abort } where events yields
+   *   { type: 'text', text } and finally { type: 'done', usage, model }, or
+   *   throws an LLMProviderError if the stream ends before message_stop
+   */
+  async stream({ system, messages, maxTokens = this.maxTokens }) {
+    let response;
+
+    try {
+      response = await axios.post(
+        `${this.baseUrl}/messages`,
+        {
+          model: this.model,
+          max_tokens: maxTokens,
+          ...(system && { system }),
+          messages,
+          stream: true
+        },
+        {
+          headers: this.headers(),
+          responseType: 'stream'
+        }
+      );
+    } catch (error) {
+      // Error bodies arrive as a stream too; read them so the message can be reported
+      if (error.response?.data?.on) {
+        error.response.data = await readJSONStream(error.response.data);
+      }
+      throw toProviderError(error);
+    }
+
+    return {
+      events: relayEvents(response.data),
+      abort: () => response.data.destroy()
+    };
+  }
+
+  headers() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'Content-Type': 'application/json'
+    };
+  }
+}
+
+// Translate Anthropic stream events into provider events
+async function* relayEvents(stream) {
+  let model = null;
+  let usage = {};
+  let stopped = false;
+
+  for await (const { event, data } of parseSSE(stream)) {
+    switch (event) {
+      case 'message_start':
+        model = data.message?.model || null;
+        usage = { ...data.message?.usage };
+        break;
+      case 'content_block_delta':
+        if (data.delta?.type === 'text_delta') {
+          yield { type: 'text', text: data.delta.text };
+        }
+        break;
+      case 'message_delta':
+        usage = { ...usage, ...data.usage };
+        break;
+      case 'message_stop':
+        stopped = true;
+        break;
+      case 'error':
+        throw new LLMProviderError(data.error?.message || 'Claude stream error', null, data);
+      default:
+        break;
+    }
+  }
+
+  // A dropped or truncated connection ends the stream without message_stop
+  if (!stopped) {
+    throw new LLMProviderError('Claude stream ended before the message was complete');
+  }
+
+  yield { type: 'done', usage, model };
+}
+
+// Wrap an axios error, keeping the API's own error message when there is one
+function toProviderError(error) {
+  const details = error.response?.data;
+  const message = details?.error?.message || error.message;
+  return new LLMProviderError(message, error.response?.status || null, details || null);
+}
+
+// Read a small JSON body from a stream (falls back to raw text)
+async function readJSONStream(stream) {
+  let raw = '';
+  for await (const chunk of stream) {
+    raw += chunk.toString('utf8');
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+module.exports = AnthropicProvider;
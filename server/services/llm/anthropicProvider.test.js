@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const axios = require('axios');
+const AnthropicProvider = require('./anthropicProvider');
+const LLMProviderError = require('./providerError');
+
+// Anthropic stream events, serialised the way the API sends them
+const sse = events => events
+  .map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`)
+  .join('');
+
+const START = ['message_start', { message: { model: 'claude-test', usage: { input_tokens: 5 } } }];
+const text = value => ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: value } }];
+const DELTA = ['message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }];
+const STOP = ['message_stop', {}];
+
+describe('AnthropicProvider', () => {
+  const provider = new AnthropicProvider({ apiKey: 'key', baseUrl: 'http://api.test', model: 'claude-test', maxTokens: 100 });
+  const request = { messages: [{ role: 'user', content: 'Hi' }] };
+
+  // Start a stream whose response body is the given events, split into chunks
+  async function streamOf(t, events) {
+    const body = sse(events);
+    t.mock.method(axios, 'post', async () => ({ data: Readable.from([body.slice(0, 40), body.slice(40)]) }));
+    return provider.stream(request);
+  }
+
+  async function collect(events) {
+    const collected = [];
+    for await (const event of events) {
+      collected.push(event);
+    }
+    return collected;
+  }
+
+  describe('stream', () => {
+    it('relays text and ends with done once the message stops', async (t) => {
+      const { events } = await streamOf(t, [START, text('Hello'), text(' there'), DELTA, STOP]);
+
+      assert.deepEqual(await collect(events), [
+        { type: 'text', text: 'Hello' },
+        { type: 'text', text: ' there' },
+        { type: 'done', usage: { input_tokens: 5, output_tokens: 2 }, model: 'claude-test' }
+      ]);
+    });
+
+    it('throws rather than finishing when the stream is cut off before message_stop', async (t) => {
+      const { events } = await streamOf(t, [START, text('Hello'), text(' the')]);
+      const relayed = [];
+
+      await assert.rejects(async () => {
+        for await (const event of events) {
+          relayed.push(event);
+        }
+      }, LLMProviderError);
+      assert.deepEqual(relayed.map(event => event.type), ['text', 'text']);
+    });
+
+    it('throws the API\'s error event', async (t) => {
+      const { events } = await streamOf(t, [START, ['error', { error: { type: 'overloaded_error', message: 'Overloaded' } }]]);
+
+      await assert.rejects(collect(events), { name: 'LLMProviderError', message: 'Overloaded' });
+    });
+  });
+});
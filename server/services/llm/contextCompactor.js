@@ -0,0 +1,183 @@
+const llm = require('./index');
+const { buildMessagesRequest } = require('./messageBuilder');
+const { estimateTokens, estimateRequestTokens, trimTurnsToBudget } = require('./tokenBudget');
+
+/**
+ * Context Compactor
+ *
+ * Keeps conversation prompts inside a token budget. The prompt size is
+ * estimated before each call; once it passes the budget, bulky context
+ * fields are trimmed first, then older turns are folded into a rolling
+ * digest that travels in the system field.
+ */
+
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.CONVERSATION_TOKEN_BUDGET || '8000');
+
+// Context fields that are large and rarely useful to the assistant
+const BULKY_CONTEXT_KEYS = ['userAgent', 'telemetry', 'telemetryData', 'metrics', 'frameData', 'landmarks', 'imageData'];
+const MAX_CONTEXT_STRING = 300;
+const MAX_CONTEXT_ARRAY = 10;
+
+// Room left for the digest when deciding how many turns to keep verbatim
+const DIGEST_RESERVE_TOKENS = 500;
+const DIGEST_MAX_TOKENS = 400;
+const DIGEST_FALLBACK_CHARS = 2000;
+
+const DIGEST_PROMPT = `You maintain a running summary of a conversation between a user and a styling assistant in a virtual try-on app.
+Merge the existing summary (if any) with the new turns into one concise summary.
+Keep the user's preferences, measurements, items discussed and any open questions. Omit pleasantries.
+Reply with the summary only.`;
+
+/**
+ * Build a request for the conversation, compacting it if it is over budget
+ *
+ * @param {Object} options systemPrompt, context, history, message,
+ *   digest (summary of turns already folded away) and budget
+ * @param {Object} provider LLM provider used to write the digest
+ * @returns {Object} { request, digest, summarizedTurns, compaction } where
+ *   compaction is null when nothing had to be compacted
+ */
+async function compactConversation({
+  systemPrompt,
+  context = {},
+  history = [],
+  message,
+  digest = null,
+  budget = DEFAULT_TOKEN_BUDGET
+}, provider = llm) {
+  let request = buildMessagesRequest({ systemPrompt, context, history, message, digest });
+  const tokensBefore = estimateRequestTokens(request);
+
+  if (tokensBefore <= budget) {
+    return { request, digest, summarizedTurns: 0, compaction: null };
+  }
+
+  // 1. Trim bulky context fields
+  const contextFields = [];
+  const trimmedContext = trimContext(context, '', contextFields);
+  const build = (turns, currentDigest) => buildMessagesRequest({
+    systemPrompt,
+    context: trimmedContext,
+    history: turns,
+    message,
+    digest: currentDigest,
+    compactContext: true
+  });
+
+  request = build(history, digest);
+  let tokensAfter = estimateRequestTokens(request);
+
+  // 2. Fold older turns into the rolling digest
+  let summarizedTurns = 0;
+  let nextDigest = digest;
+
+  if (tokensAfter > budget && history.length > 0) {
+    const fixedTokens = tokensAfter - estimateTokens(history);
+    const recent = trimTurnsToBudget(history, Math.max(budget - fixedTokens - DIGEST_RESERVE_TOKENS, 0));
+    const older = history.slice(0, history.length - recent.length);
+
+    if (older.length > 0) {
+      nextDigest = await summarizeTurns(provider, digest, older);
+      summarizedTurns = older.length;
+
+      request = build(recent, nextDigest);
+      tokensAfter = estimateRequestTokens(request);
+    }
+  }
+
+  return {
+    request,
+    digest: nextDigest,
+    summarizedTurns,
+    compaction: {
+      budget,
+      tokensBefore,
+      tokensAfter,
+      contextFields,
+      summarizedTurns
+    }
+  };
+}
+
+/**
+ * Copy context without bulky fields, long strings or long arrays
+ *
+ * @param {*} value Context value
+ * @param {String} fieldPath Path of this value (for reporting)
+ * @param {Array} trimmed Collects the paths of trimmed fields
+ * @returns {*} Trimmed copy
+ */
+function trimContext(value, fieldPath, trimmed) {
+  if (typeof value === 'string' && value.length > MAX_CONTEXT_STRING) {
+    trimmed.push(fieldPath);
+    return `${value.slice(0, MAX_CONTEXT_STRING)}…`;
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length > MAX_CONTEXT_ARRAY) {
+      trimmed.push(fieldPath);
+    }
+    return value
+      .slice(0, MAX_CONTEXT_ARRAY)
+      .map((item, index) => trimContext(item, `${fieldPath}[${index}]`, trimmed));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+
+      if (BULKY_CONTEXT_KEYS.includes(key)) {
+        trimmed.push(childPath);
+        return;
+      }
+
+      result[key] = trimContext(child, childPath, trimmed);
+    });
+
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Merge turns into the rolling digest
+ *
+ * Falls back to a plain extract if the provider call fails, so the
+ * prompt is still bounded.
+ *
+ * @param {Object} provider LLM provider
+ * @param {String|null} previousDigest Existing digest
+ * @param {Array} turns Turns to fold in
+ * @returns {String} Updated digest
+ */
+async function summarizeTurns(provider, previousDigest, turns) {
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+    .join('\n\n');
+
+  try {
+    const response = await provider.complete({
+      system: DIGEST_PROMPT,
+      messages: [{
+        role: 'user',
+        content: `${previousDigest ? `Existing summary:\n${previousDigest}\n\n` : ''}New turns:\n${transcript}`
+      }],
+      maxTokens: DIGEST_MAX_TOKENS
+    });
+
+    return response.text.trim();
+  } catch (error) {
+    console.error('Conversation digest error:', error.details || error.message);
+
+    const extract = [previousDigest, transcript].filter(Boolean).join('\n\n');
+    return extract.slice(-DIGEST_FALLBACK_CHARS);
+  }
+}
+
+module.exports = {
+  compactConversation,
+  trimContext
+};
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compactConversation, trimContext } = require('./contextCompactor');
+const { estimateRequestTokens } = require('./tokenBudget');
+
+const turn = (role, tokens) => ({ role, content: `${role} ${'x'.repeat(tokens * 4)}` });
+const history = [turn('user', 300), turn('assistant', 300), turn('user', 300), turn('assistant', 300)];
+
+// Provider that records digest requests and answers with a fixed summary
+function digestProvider(text = 'Digest so far') {
+  const calls = [];
+  return {
+    calls,
+    complete: async request => {
+      calls.push(request);
+      return { text: ` ${text} ` };
+    }
+  };
+}
+
+describe('contextCompactor', () => {
+  describe('compactConversation', () => {
+    it('leaves requests under budget alone', async () => {
+      const provider = digestProvider();
+      const result = await compactConversation({
+        systemPrompt: 'Prompt',
+        history,
+        message: 'Which ring?',
+        digest: 'Earlier',
+        budget: 12000
+      }, provider);
+
+      assert.equal(result.compaction, null);
+      assert.equal(result.digest, 'Earlier');
+      assert.equal(result.request.messages.length, 5);
+      assert.equal(provider.calls.length, 0);
+    });
+
+    it('trims bulky context before touching the history', async () => {
+      const provider = digestProvider();
+      const result = await compactConversation({
+        systemPrompt: 'Prompt',
+        context: { page: 'try-on', telemetry: 'x'.repeat(4000) },
+        history: history.slice(0, 2),
+        message: 'Which ring?',
+        budget: 700
+      }, provider);
+
+      assert.deepEqual(result.compaction.contextFields, ['telemetry']);
+      assert.equal(result.summarizedTurns, 0);
+      assert.equal(provider.calls.length, 0);
+      assert.ok(result.compaction.tokensAfter <= 700);
+    });
+
+    it('folds older turns into the digest once the history is over budget', async () => {
+      const provider = digestProvider();
+      const result = await compactConversation({
+        systemPrompt: 'Prompt',
+        history,
+        message: 'Which ring?',
+        digest: 'Earlier',
+        budget: 1200
+      }, provider);
+
+      assert.equal(result.digest, 'Digest so far');
+      assert.equal(result.summarizedTurns, 2);
+      assert.deepEqual(result.request.messages.slice(0, 2), history.slice(2, 4));
+      assert.match(result.request.system[1].text, /Digest so far/);
+      assert.equal(result.compaction.tokensAfter, estimateRequestTokens(result.request));
+      assert.ok(result.compaction.tokensAfter < result.compaction.tokensBefore);
+
+      // The old digest and the folded turns both go to the summariser
+      const prompt = provider.calls[0].messages[0].content;
+      assert.match(prompt, /Existing summary:\nEarlier/);
+      assert.ok(prompt.includes(history[0].content));
+    });
+
+    it('falls back to an extract of the turns when the summariser fails', async () => {
+      const provider = { complete: async () => { throw new Error('offline'); } };
+      const { error } = console;
+      console.error = () => {};
+
+      try {
+        const result = await compactConversation({
+          systemPrompt: 'Prompt',
+          history,
+          message: 'Which ring?',
+          budget: 1200
+        }, provider);
+
+        assert.ok(result.digest.length <= 2000);
+        assert.ok(result.digest.endsWith(history[1].content));
+      } finally {
+        console.error = error;
+      }
+    });
+  });
+
+  describe('trimContext', () => {
+    it('drops bulky keys and shortens long strings and arrays, reporting each path', () => {
+      const trimmed = [];
+      const result = trimContext({
+        item: { name: 'Ring', landmarks: [1, 2, 3] },
+        notes: 'n'.repeat(400),
+        history: Array.from({ length: 12 }, (_, index) => index)
+      }, '', trimmed);
+
+      assert.deepEqual(result.item, { name: 'Ring' });
+      assert.equal(result.notes, `${'n'.repeat(300)}…`);
+      assert.equal(result.history.length, 10);
+      assert.deepEqual(trimmed, ['item.landmarks', 'notes', 'history']);
+    });
+  });
+});
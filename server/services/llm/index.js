@@ -0,0 +1,55 @@
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+const LLMProviderError = require('./providerError');
+
+/**
+ * LLM Provider Layer
+ *
+ * Every Claude-backed controller goes through the provider exported here.
+ * The implementation is chosen with LLM_PROVIDER:
+ *
+ *   anthropic (default)  Anthropic Messages API
+ *   mock                 Deterministic offline responses
+ *
+ * Each provider implements:
+ *   ping()                                    -> { models }
+ *   complete({ system, messages, maxTokens }) -> { text, usage, model }
+ *   stream({ system, messages, maxTokens })   -> { events, abort }
+ *
+ * `system` is a string or text blocks; `messages` holds alternating
+ * user/assistant turns (see messageBuilder). complete() also accepts
+ * `responseFormat: 'json'` to ask for a JSON object (see structuredOutput).
+ */
+
+const PROVIDERS = {
+  anthropic: () => new AnthropicProvider({
+    apiKey: process.env.CLAUDE_API_KEY,
+    baseUrl: process.env.CLAUDE_API_BASE_URL || 'https://api.anthropic.com/v1',
+    model: process.env.CLAUDE_MODEL || 'claude-3-opus-20240229',
+    maxTokens: parseInt(process.env.MAX_TOKENS || '4000')
+  }),
+  mock: () => new MockProvider()
+};
+
+/**
+ * Create the provider named by LLM_PROVIDER
+ *
+ * @param {String} name Provider name
+ * @returns {Object} Provider instance
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'anthropic') {
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER '${name}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return factory();
+}
+
+// Export as singleton, with the factory and classes available for tests and tooling
+module.exports = createProvider();
+module.exports.createProvider = createProvider;
+module.exports.LLMProviderError = LLMProviderError;
+module.exports.AnthropicProvider = AnthropicProvider;
+module.exports.MockProvider = MockProvider;
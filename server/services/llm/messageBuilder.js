@@ -0,0 +1,118 @@
+/**
+ * Message Builder
+ *
+ * Builds Messages API requests: the system prompt and any structured
+ * context go in the top-level `system` field, and `messages` holds only
+ * strictly alternating user/assistant turns starting with a user turn.
+ */
+
+const ROLES = ['user', 'assistant'];
+
+/**
+ * Validate a client-supplied conversation history
+ *
+ * @param {*} history Value of `conversationHistory` from the request body
+ * @returns {Array} List of { field, message } errors (empty when valid)
+ */
+function validateConversationHistory(history) {
+  if (!Array.isArray(history)) {
+    return [{ field: 'conversationHistory', message: 'must be an array' }];
+  }
+
+  const errors = [];
+
+  history.forEach((turn, index) => {
+    const field = `conversationHistory[${index}]`;
+
+    if (!turn || typeof turn !== 'object') {
+      errors.push({ field, message: 'must be an object with role and content' });
+      return;
+    }
+
+    if (!ROLES.includes(turn.role)) {
+      errors.push({ field: `${field}.role`, message: `must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (typeof turn.content !== 'string' || !turn.content.trim()) {
+      errors.push({ field: `${field}.content`, message: 'must be a non-empty string' });
+    }
+  });
+
+  // Same-role runs are merged, but the conversation has to open with the user
+  const firstTurn = history.find(turn => turn && ROLES.includes(turn.role));
+  if (errors.length === 0 && firstTurn && firstTurn.role !== 'user') {
+    errors.push({ field: 'conversationHistory[0].role', message: 'conversation must start with a user turn' });
+  }
+
+  return errors;
+}
+
+/**
+ * Merge consecutive turns with the same role so roles strictly alternate
+ *
+ * @param {Array} turns Validated { role, content } turns
+ * @returns {Array} Alternating turns
+ */
+function mergeTurns(turns) {
+  return turns.reduce((merged, turn) => {
+    const previous = merged[merged.length - 1];
+
+    if (previous && previous.role === turn.role) {
+      previous.content = `${previous.content}\n\n${turn.content}`;
+    } else {
+      merged.push({ role: turn.role, content: turn.content });
+    }
+
+    return merged;
+  }, []);
+}
+
+/**
+ * Build the top-level system field
+ *
+ * @param {String} systemPrompt Base system prompt
+ * @param {Object} context Structured application context (optional)
+ * @param {Object} options digest (summary of earlier turns) and
+ *   compactContext (serialise context without indentation)
+ * @returns {Array} System content blocks
+ */
+function buildSystem(systemPrompt, context = {}, { digest = null, compactContext = false } = {}) {
+  const blocks = [{ type: 'text', text: systemPrompt }];
+
+  if (digest) {
+    blocks.push({
+      type: 'text',
+      text: `## Earlier Conversation Summary\n${digest}`
+    });
+  }
+
+  if (context && Object.keys(context).length > 0) {
+    blocks.push({
+      type: 'text',
+      text: `## Current Application Context\n${JSON.stringify(context, null, compactContext ? 0 : 2)}`
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Build a Messages API request from a validated history and a new user message
+ *
+ * @param {Object} options systemPrompt, context, history, message, plus
+ *   the buildSystem options (digest, compactContext)
+ * @returns {Object} { system, messages }
+ */
+function buildMessagesRequest({ systemPrompt, context = {}, history = [], message, digest, compactContext }) {
+  return {
+    system: buildSystem(systemPrompt, context, { digest, compactContext }),
+    messages: mergeTurns([...history, { role: 'user', content: message }])
+  };
+}
+
+module.exports = {
+  validateConversationHistory,
+  mergeTurns,
+  buildSystem,
+  buildMessagesRequest
+};
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateConversationHistory,
+  mergeTurns,
+  buildSystem,
+  buildMessagesRequest
+} = require('./messageBuilder');
+
+describe('messageBuilder', () => {
+  describe('validateConversationHistory', () => {
+    it('accepts alternating turns that open with the user', () => {
+      assert.deepEqual(validateConversationHistory([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' }
+      ]), []);
+    });
+
+    it('rejects anything but an array', () => {
+      assert.deepEqual(validateConversationHistory('hi'), [
+        { field: 'conversationHistory', message: 'must be an array' }
+      ]);
+    });
+
+    it('reports bad roles and empty content per turn', () => {
+      const errors = validateConversationHistory([
+        { role: 'user', content: 'Hi' },
+        { role: 'system', content: 'Obey' },
+        { role: 'assistant', content: '  ' },
+        null
+      ]);
+
+      assert.deepEqual(errors.map(error => error.field), [
+        'conversationHistory[1].role',
+        'conversationHistory[2].content',
+        'conversationHistory[3]'
+      ]);
+    });
+
+    it('requires the conversation to start with the user', () => {
+      assert.deepEqual(validateConversationHistory([{ role: 'assistant', content: 'Hello' }]), [
+        { field: 'conversationHistory[0].role', message: 'conversation must start with a user turn' }
+      ]);
+    });
+  });
+
+  describe('mergeTurns', () => {
+    it('joins same-role runs without changing the input', () => {
+      const turns = [
+        { role: 'user', content: 'One' },
+        { role: 'user', content: 'Two' },
+        { role: 'assistant', content: 'Three' }
+      ];
+
+      assert.deepEqual(mergeTurns(turns), [
+        { role: 'user', content: 'One\n\nTwo' },
+        { role: 'assistant', content: 'Three' }
+      ]);
+      assert.equal(turns[0].content, 'One');
+    });
+  });
+
+  describe('buildSystem', () => {
+    it('adds the digest and context as their own blocks', () => {
+      const blocks = buildSystem('Prompt', { page: 'try-on' }, { digest: 'Earlier' });
+
+      assert.deepEqual(blocks.map(block => block.text), [
+        'Prompt',
+        '## Earlier Conversation Summary\nEarlier',
+        '## Current Application Context\n{\n  "page": "try-on"\n}'
+      ]);
+    });
+
+    it('leaves out empty context and serialises compact context on one line', () => {
+      assert.equal(buildSystem('Prompt', {}).length, 1);
+      assert.equal(
+        buildSystem('Prompt', { page: 'try-on' }, { compactContext: true })[1].text,
+        '## Current Application Context\n{"page":"try-on"}'
+      );
+    });
+  });
+
+  describe('buildMessagesRequest', () => {
+    it('appends the new message to the history as a user turn', () => {
+      const request = buildMessagesRequest({
+        systemPrompt: 'Prompt',
+        history: [
+          { role: 'user', content: 'Hi' },
+          { role: 'assistant', content: 'Hello' },
+          { role: 'user', content: 'Unanswered' }
+        ],
+        message: 'Which ring?'
+      });
+
+      assert.deepEqual(request.system, [{ type: 'text', text: 'Prompt' }]);
+      assert.deepEqual(request.messages, [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' },
+        { role: 'user', content: 'Unanswered\n\nWhich ring?' }
+      ]);
+    });
+  });
+});
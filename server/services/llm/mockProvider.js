@@ -0,0 +1,159 @@
+const LLMProviderError = require('./providerError');
+
+/**
+ * Mock Provider
+ *
+ * Deterministic offline stand-in for a real LLM. Responses depend only on
+ * the request, so the Claude-backed routes can be exercised end to end
+ * without network access or an API key.
+ *
+ * Include `[mock-error]` in the last user message to simulate a failure,
+ * or `[mock-invalid]` to get malformed JSON on the first structured attempt.
+ */
+
+const MOCK_MODEL = 'mock-llm';
+const ERROR_TRIGGER = '[mock-error]';
+const INVALID_JSON_TRIGGER = '[mock-invalid]';
+
+class MockProvider {
+  constructor({ model = MOCK_MODEL } = {}) {
+    this.name = 'mock';
+    this.model = model;
+  }
+
+  async ping() {
+    return { models: [{ id: this.model }] };
+  }
+
+  /**
+   * Generate a complete response
+   *
+   * @param {Object} request { system, messages, responseFormat }
+   * @returns {Object} { text, usage, model }
+   */
+  async complete({ system, messages, responseFormat = 'text' }) {
+    const text = responseFormat === 'json' ? this.respondJSON(messages) : this.respond(messages);
+
+    return {
+      text,
+      usage: this.usage(system, messages, text),
+      model: this.model
+    };
+  }
+
+  /**
+   * Start a streamed response, one word at a time
+   *
+   * @param {Object} request { system, messages }
+   * @returns {Object} { events, abort }
+   */
+  async stream({ system, messages }) {
+    const text = this.respond(messages);
+    const usage = this.usage(system, messages, text);
+    const model = this.model;
+    let aborted = false;
+
+    async function* events() {
+      for (const chunk of text.match(/\S+\s*/g) || []) {
+        if (aborted) return;
+        yield { type: 'text', text: chunk };
+      }
+
+      yield { type: 'done', usage, model };
+    }
+
+    return {
+      events: events(),
+      abort: () => { aborted = true; }
+    };
+  }
+
+  // Pick a canned reply based on what the last user message asks for
+  respond(messages) {
+    const prompt = lastUserText(messages);
+
+    if (prompt.includes(ERROR_TRIGGER)) {
+      throw new LLMProviderError('Mock provider error', 500);
+    }
+
+    const lower = prompt.toLowerCase();
+
+    if (lower.includes('telemetry')) {
+      return [
+        '## Summary',
+        `Mock analysis of ${prompt.length} characters of telemetry data.`,
+        '',
+        '## Key Issues',
+        '- No real analysis was performed (mock provider)',
+        '',
+        '## Recommendations',
+        '- Set LLM_PROVIDER=anthropic to analyse telemetry with Claude'
+      ].join('\n');
+    }
+
+    if (lower.includes('style advice')) {
+      return [
+        'Here is some mock style advice:',
+        '- Pair this piece with neutral tones so it stands out',
+        '- Suitable for both everyday wear and evening occasions',
+        '- Complement it with simple, matching metal accessories',
+        '- Keep other jewelry minimal to avoid competing focal points'
+      ].join('\n');
+    }
+
+    return `This is a mock response to: "${prompt.slice(0, 200)}"`;
+  }
+
+  // Canned structured style advice
+  respondJSON(messages) {
+    const prompt = messages.find(msg => msg.role === 'user');
+    const isRetry = messages.length > 1;
+
+    if (prompt && contentText(prompt.content).includes(INVALID_JSON_TRIGGER) && !isRetry) {
+      return '```json\n{ "summary": "Mock advice", "stylingTips": [\n```';
+    }
+
+    return JSON.stringify({
+      summary: 'Mock style advice: a versatile piece that works best with simple, neutral outfits.',
+      stylingTips: [
+        'Pair with neutral tones so the piece stands out',
+        'Keep other jewelry minimal'
+      ],
+      occasions: ['Everyday wear', 'Evening events'],
+      complementaryItems: [
+        { name: 'Gold Chain Necklace', type: 'necklace', reason: 'Matches the warm metal tone', catalogId: null },
+        { name: 'Silk Scarf', type: 'scarf', reason: 'Adds texture without competing', catalogId: null }
+      ],
+      warnings: []
+    });
+  }
+
+  // Rough token estimate (about four characters per token)
+  usage(system, messages, text) {
+    const inputChars = messages.reduce(
+      (sum, msg) => sum + contentText(msg.content).length,
+      contentText(system).length
+    );
+
+    return {
+      input_tokens: Math.ceil(inputChars / 4),
+      output_tokens: Math.ceil(text.length / 4)
+    };
+  }
+}
+
+function lastUserText(messages) {
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+  return lastUser ? contentText(lastUser.content) : '';
+}
+
+// Content (or a system prompt) may be a string or an array of text blocks
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(block => block.text || '').join('');
+  }
+  return '';
+}
+
+module.exports = MockProvider;
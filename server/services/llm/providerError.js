@@ -0,0 +1,21 @@
+/**
+ * Error raised by an LLM provider
+ *
+ * Normalises upstream failures (HTTP errors, stream errors) so controllers
+ * can report them without knowing which provider produced them.
+ */
+class LLMProviderError extends Error {
+  /**
+   * @param {String} message Human-readable error message
+   * @param {Number} status Upstream HTTP status, if any
+   * @param {*} details Raw upstream error body, for logging
+   */
+  constructor(message, status = null, details = null) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = LLMProviderError;
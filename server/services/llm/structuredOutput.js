@@ -0,0 +1,84 @@
+/**
+ * Structured Output
+ *
+ * Gets JSON out of a model reliably: parses (and repairs) the reply,
+ * validates it, and on failure asks the model to correct its own output.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+/**
+ * Parse JSON from a model reply, repairing common formatting slips
+ *
+ * Handles markdown code fences, prose around the object and trailing commas.
+ *
+ * @param {String} text Model reply
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If no JSON object can be recovered
+ */
+function parseJSONResponse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Fall through to repair
+  }
+
+  let candidate = text.replace(/```(?:json)?/gi, '');
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new SyntaxError('Reply does not contain a JSON object');
+  }
+
+  candidate = candidate.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+  return JSON.parse(candidate);
+}
+
+/**
+ * Request JSON from the provider, retrying with feedback when it is invalid
+ *
+ * @param {Object} provider LLM provider
+ * @param {Object} request { system, messages, maxTokens }
+ * @param {Function} validate Returns a list of { field, message } errors
+ * @param {Object} options maxAttempts
+ * @returns {Object} { data, errors, attempts, usage, model } where errors
+ *   is empty on success and data is null on failure
+ */
+async function completeStructured(provider, request, validate, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const messages = [...request.messages];
+  let errors = [];
+  let response;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    response = await provider.complete({ ...request, messages, responseFormat: 'json' });
+
+    let data;
+    try {
+      data = parseJSONResponse(response.text);
+      errors = validate(data);
+    } catch (error) {
+      errors = [{ field: null, message: `Reply was not valid JSON: ${error.message}` }];
+    }
+
+    if (errors.length === 0) {
+      return { data, errors, attempts: attempt, usage: response.usage, model: response.model };
+    }
+
+    // Show the model what it sent and what was wrong with it
+    messages.push(
+      { role: 'assistant', content: response.text },
+      {
+        role: 'user',
+        content: `That reply did not match the required format:\n${errors.map(error => `- ${error.field ? `${error.field}: ` : ''}${error.message}`).join('\n')}\nReply again with the corrected JSON object only.`
+      }
+    );
+  }
+
+  return { data: null, errors, attempts: maxAttempts, usage: response.usage, model: response.model };
+}
+
+module.exports = {
+  parseJSONResponse,
+  completeStructured
+};
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJSONResponse, completeStructured } = require('./structuredOutput');
+
+// Provider that answers with each reply in turn
+function scriptedProvider(replies) {
+  const calls = [];
+  return {
+    calls,
+    complete: async request => {
+      calls.push(request);
+      return { text: replies[calls.length - 1], usage: { output_tokens: 1 }, model: 'test' };
+    }
+  };
+}
+
+const requireSummary = data => (typeof data.summary === 'string' ? [] : [{ field: 'summary', message: 'is required' }]);
+
+describe('structuredOutput', () => {
+  describe('parseJSONResponse', () => {
+    it('parses plain JSON', () => {
+      assert.deepEqual(parseJSONResponse('{"a":1}'), { a: 1 });
+    });
+
+    it('repairs code fences, surrounding prose and trailing commas', () => {
+      assert.deepEqual(
+        parseJSONResponse('Here you go:\n```json\n{ "a": [1, 2,], "b": "c", }\n```\nEnjoy!'),
+        { a: [1, 2], b: 'c' }
+      );
+    });
+
+    it('throws when there is no object to recover', () => {
+      assert.throws(() => parseJSONResponse('No JSON here'), SyntaxError);
+    });
+  });
+
+  describe('completeStructured', () => {
+    const request = { system: 'Prompt', messages: [{ role: 'user', content: 'Advise me' }] };
+
+    it('returns valid data from the first reply', async () => {
+      const provider = scriptedProvider(['{"summary":"Nice"}']);
+      const result = await completeStructured(provider, request, requireSummary);
+
+      assert.deepEqual(result.data, { summary: 'Nice' });
+      assert.equal(result.attempts, 1);
+      assert.equal(provider.calls[0].responseFormat, 'json');
+    });
+
+    it('shows the model its invalid reply and retries', async () => {
+      const provider = scriptedProvider(['{"tips":[]}', '{"summary":"Fixed"}']);
+      const result = await completeStructured(provider, request, requireSummary);
+
+      assert.deepEqual(result.data, { summary: 'Fixed' });
+      assert.equal(result.attempts, 2);
+
+      const retry = provider.calls[1].messages;
+      assert.deepEqual(retry[1], { role: 'assistant', content: '{"tips":[]}' });
+      assert.match(retry[2].content, /- summary: is required/);
+      assert.equal(request.messages.length, 1);
+    });
+
+    it('gives up after the last attempt with the errors', async () => {
+      const provider = scriptedProvider(['not json', 'still not json']);
+      const result = await completeStructured(provider, request, requireSummary);
+
+      assert.equal(result.data, null);
+      assert.equal(result.attempts, 2);
+      assert.match(result.errors[0].message, /not valid JSON/);
+    });
+  });
+});
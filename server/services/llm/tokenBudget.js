@@ -0,0 +1,71 @@
+/**
+ * Token Budget
+ *
+ * Rough token accounting for keeping conversation history inside a budget.
+ * Uses the common ~4 characters per token estimate; it only needs to be
+ * close enough to keep requests comfortably under the model's limit.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a string, a list of turns or text blocks
+ *
+ * @param {String|Array} value Text, { content } turns or { text } blocks
+ * @returns {Number} Estimated tokens
+ */
+function estimateTokens(value) {
+  if (Array.isArray(value)) {
+    return value.reduce((sum, item) => {
+      const text = typeof item === 'string' ? item : item.content ?? item.text ?? '';
+      return sum + estimateTokens(text);
+    }, 0);
+  }
+
+  return Math.ceil(String(value).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the prompt size of a Messages API request
+ *
+ * @param {Object} request { system, messages }
+ * @returns {Number} Estimated tokens
+ */
+function estimateRequestTokens({ system = '', messages = [] }) {
+  return estimateTokens(Array.isArray(system) ? system : [system]) + estimateTokens(messages);
+}
+
+/**
+ * Keep the most recent turns that fit in the budget
+ *
+ * The result always starts with a user turn so it can be sent as-is.
+ *
+ * @param {Array} turns Alternating { role, content } turns, oldest first
+ * @param {Number} budget Token budget
+ * @returns {Array} The trailing turns that fit
+ */
+function trimTurnsToBudget(turns, budget) {
+  let used = 0;
+  let start = turns.length;
+
+  while (start > 0) {
+    const cost = estimateTokens(turns[start - 1].content);
+    if (used + cost > budget) break;
+
+    used += cost;
+    start--;
+  }
+
+  // Don't open the window on an assistant reply
+  while (start < turns.length && turns[start].role !== 'user') {
+    start++;
+  }
+
+  return turns.slice(start);
+}
+
+module.exports = {
+  estimateTokens,
+  estimateRequestTokens,
+  trimTurnsToBudget
+};
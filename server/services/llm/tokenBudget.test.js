@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, estimateRequestTokens, trimTurnsToBudget } = require('./tokenBudget');
+
+// A turn costing exactly `tokens` tokens
+const turn = (role, tokens) => ({ role, content: 'x'.repeat(tokens * 4) });
+
+describe('tokenBudget', () => {
+  describe('estimateTokens', () => {
+    it('counts about four characters per token, rounding up', () => {
+      assert.equal(estimateTokens(''), 0);
+      assert.equal(estimateTokens('abcd'), 1);
+      assert.equal(estimateTokens('abcde'), 2);
+    });
+
+    it('sums strings, turns and text blocks', () => {
+      assert.equal(estimateTokens(['abcd', { content: 'abcdabcd' }, { text: 'abcd' }]), 4);
+    });
+  });
+
+  describe('estimateRequestTokens', () => {
+    it('counts a string or block system prompt and the messages', () => {
+      const messages = [turn('user', 3)];
+
+      assert.equal(estimateRequestTokens({ system: 'abcd', messages }), 4);
+      assert.equal(estimateRequestTokens({ system: [{ type: 'text', text: 'abcdabcd' }], messages }), 5);
+    });
+  });
+
+  describe('trimTurnsToBudget', () => {
+    const turns = [turn('user', 10), turn('assistant', 10), turn('user', 10), turn('assistant', 10)];
+
+    it('keeps every turn when they fit', () => {
+      assert.equal(trimTurnsToBudget(turns, 40).length, 4);
+    });
+
+    it('keeps the newest turns that fit, opening on a user turn', () => {
+      assert.deepEqual(trimTurnsToBudget(turns, 25), turns.slice(2));
+      assert.deepEqual(trimTurnsToBudget(turns, 35), turns.slice(2));
+    });
+
+    it('returns nothing when not even the last turn fits', () => {
+      assert.deepEqual(trimTurnsToBudget(turns, 5), []);
+    });
+  });
+});
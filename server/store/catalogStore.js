@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Catalog Store
+ *
+ * JSON-file backed store for jewelry catalog items. The whole catalog
+ * is small enough to keep in memory; every write is flushed back to disk.
+ * Writes are serialised, and memory only changes once the write has landed,
+ * so memory and disk never disagree.
+ */
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '../data/catalog.json');
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class CatalogStore {
+  constructor(filePath = DEFAULT_CATALOG_PATH) {
+    this.filePath = filePath;
+    this.items = null;
+
+    // Serialise writes so each one sees the catalog the last one left
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load catalog items from disk (once)
+   *
+   * @returns {Array} Catalog items
+   */
+  async load() {
+    if (this.items) return this.items;
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      this.items = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      // Start with an empty catalog if the file doesn't exist yet
+      this.items = [];
+    }
+
+    return this.items;
+  }
+
+  /**
+   * Replace the catalog contents (used to seed local test data)
+   *
+   * @param {Array} items Catalog items
+   */
+  async seed(items = []) {
+    return this.commit(() => items.map(item => ({ ...item })));
+  }
+
+  /**
+   * List catalog items matching filters, one page at a time
+   *
+   * @param {Object} filters type, metalType, culturalStyle, gemstone
+   * @param {Object} pagination page (1-based) and limit
+   * @returns {Object} Matching items and pagination details
+   */
+  async list(filters = {}, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const items = await this.load();
+    const { type, metalType, culturalStyle, gemstone } = filters;
+
+    const matches = items.filter(item => (
+      (!type || item.type === type) &&
+      (!metalType || item.metalType === metalType) &&
+      (!culturalStyle || item.culturalStyle === culturalStyle) &&
+      (!gemstone || (item.gemstones || []).includes(gemstone))
+    ));
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const currentPage = Math.max(page, 1);
+    const start = (currentPage - 1) * pageSize;
+
+    return {
+      items: matches.slice(start, start + pageSize),
+      total: matches.length,
+      page: currentPage,
+      limit: pageSize,
+      totalPages: Math.ceil(matches.length / pageSize)
+    };
+  }
+
+  /**
+   * Get a single catalog item
+   *
+   * @param {String} id Item ID
+   * @returns {Object|null} Catalog item, or null if not found
+   */
+  async getById(id) {
+    const items = await this.load();
+    return items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Add a new catalog item
+   *
+   * @param {Object} item Catalog item (must have a unique id)
+   * @returns {Object} The stored item
+   */
+  async create(item) {
+    const stored = { ...item };
+
+    await this.commit(items => [...items, stored]);
+    return stored;
+  }
+
+  /**
+   * Replace an existing catalog item
+   *
+   * @param {String} id Item ID
+   * @param {Object} item Full replacement record
+   * @returns {Object|null} The stored item, or null if not found
+   */
+  async update(id, item) {
+    const stored = { ...item, id };
+    let found = false;
+
+    await this.commit(items => items.map(existing => {
+      if (existing.id !== id) return existing;
+      found = true;
+      return stored;
+    }));
+    return found ? stored : null;
+  }
+
+  /**
+   * Remove a catalog item
+   *
+   * @param {String} id Item ID
+   * @returns {Boolean} Whether an item was removed
+   */
+  async remove(id) {
+    let found = false;
+
+    await this.commit(items => items.filter(item => {
+      if (item.id !== id) return true;
+      found = true;
+      return false;
+    }));
+    return found;
+  }
+
+  /**
+   * Internal helpers
+   */
+
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+
+    // Keep the queue alive after a failed write
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Work out the next catalog from the current one, write it, and only then
+  // make it the catalog in memory
+  commit(change) {
+    return this.enqueue(async () => {
+      const next = change(await this.load());
+
+      await this.write(next);
+      this.items = next;
+      return next;
+    });
+  }
+
+  async write(items) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written
+    // catalog; the name is unique so no two writes share one
+    const tempPath = `${this.filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(items, null, 2) + '\n');
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+// Export as singleton, with the class available for tests and tooling
+const catalogStore = new CatalogStore(process.env.CATALOG_DATA_PATH || DEFAULT_CATALOG_PATH);
+
+module.exports = catalogStore;
+module.exports.CatalogStore = CatalogStore;
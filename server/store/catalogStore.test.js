@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CatalogStore } = require('./catalogStore');
+const { validateCatalogItem } = require('../schemas/catalogItemSchema');
+
+const SEED_CATALOG = path.join(__dirname, '../data/catalog.json');
+
+describe('CatalogStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-store-'));
+    store = new CatalogStore(path.join(directory, 'catalog.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('seeding', () => {
+    it('ships seed data that passes the catalog schema', () => {
+      const items = JSON.parse(fs.readFileSync(SEED_CATALOG, 'utf8'));
+
+      assert.ok(items.length > 0);
+      items.forEach(item => assert.deepEqual(validateCatalogItem(item), [], item.id));
+      assert.equal(new Set(items.map(item => item.id)).size, items.length);
+    });
+
+    it('starts empty when the catalog file does not exist', async () => {
+      assert.deepEqual(await store.load(), []);
+    });
+
+    it('replaces the catalog and writes it to disk', async () => {
+      await store.seed([{ id: 'old' }]);
+      await store.seed([{ id: 'r1', type: 'ring' }, { id: 'n1', type: 'necklace' }]);
+
+      const reloaded = new CatalogStore(store.filePath);
+      assert.deepEqual((await reloaded.load()).map(item => item.id), ['r1', 'n1']);
+    });
+
+    it('copies seeded items rather than keeping the caller\'s objects', async () => {
+      const item = { id: 'r1' };
+      await store.seed([item]);
+      item.id = 'changed';
+
+      assert.deepEqual(await store.load(), [{ id: 'r1' }]);
+    });
+  });
+
+  describe('list', () => {
+    beforeEach(async () => {
+      await store.seed([
+        { id: 'a', type: 'ring', metalType: 'gold', culturalStyle: 'western', gemstones: ['diamond'] },
+        { id: 'b', type: 'ring', metalType: 'silver', culturalStyle: 'indian', gemstones: ['ruby'] },
+        { id: 'c', type: 'necklace', metalType: 'gold', culturalStyle: 'indian' },
+        { id: 'd', type: 'earring', metalType: 'gold', culturalStyle: 'western', gemstones: ['diamond', 'ruby'] }
+      ]);
+    });
+
+    it('filters by type, metal, style and gemstone', async () => {
+      const ids = async filters => (await store.list(filters)).items.map(item => item.id);
+
+      assert.deepEqual(await ids({ type: 'ring' }), ['a', 'b']);
+      assert.deepEqual(await ids({ metalType: 'gold', culturalStyle: 'indian' }), ['c']);
+      assert.deepEqual(await ids({ gemstone: 'ruby' }), ['b', 'd']);
+    });
+
+    it('pages through matches and clamps the page size', async () => {
+      const second = await store.list({}, { page: 2, limit: 3 });
+      assert.deepEqual(second.items.map(item => item.id), ['d']);
+      assert.equal(second.total, 4);
+      assert.equal(second.totalPages, 2);
+
+      assert.equal((await store.list({}, { limit: 1000 })).limit, 100);
+      assert.equal((await store.list({}, { page: 0 })).page, 1);
+    });
+  });
+
+  describe('writes', () => {
+    it('keeps every concurrent write', async () => {
+      await store.seed([{ id: 'a' }]);
+
+      await Promise.all([
+        store.create({ id: 'b' }),
+        store.create({ id: 'c' }),
+        store.update('a', { name: 'Updated' }),
+        store.remove('missing')
+      ]);
+
+      const onDisk = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+      assert.deepEqual(onDisk, [{ name: 'Updated', id: 'a' }, { id: 'b' }, { id: 'c' }]);
+      assert.deepEqual(fs.readdirSync(directory), ['catalog.json']);
+    });
+
+    it('reports missing items on update and remove', async () => {
+      assert.equal(await store.update('missing', { name: 'x' }), null);
+      assert.equal(await store.remove('missing'), false);
+    });
+
+    it('leaves memory unchanged when the write fails', async () => {
+      await store.seed([{ id: 'a' }]);
+      fs.rmSync(directory, { recursive: true, force: true });
+      fs.writeFileSync(directory, 'not a directory');
+
+      await assert.rejects(store.create({ id: 'b' }));
+      assert.deepEqual((await store.load()).map(item => item.id), ['a']);
+
+      fs.rmSync(directory);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Conversation Store
+ *
+ * Server-side assistant conversations, one JSON file per session, so a
+ * chat survives page reloads and server restarts. The full transcript is
+ * kept; turns that have been folded into the session's rolling digest
+ * (see services/llm/contextCompactor) are no longer sent back to Claude.
+ */
+
+const DEFAULT_CONVERSATION_DIR = path.join(__dirname, '../data/conversations');
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class ConversationStore {
+  constructor({ directory = DEFAULT_CONVERSATION_DIR } = {}) {
+    this.directory = directory;
+
+    // Serialise writes so concurrent turns never overwrite each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Start a new, empty session
+   *
+   * @returns {Object} The new session
+   */
+  async create() {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      turns: [],
+      digest: null,
+      digestedTurns: 0
+    };
+
+    await this.enqueue(() => this.write(session));
+    return session;
+  }
+
+  /**
+   * Get a session with its full transcript
+   *
+   * @param {String} id Session ID
+   * @returns {Object|null} The session, or null if not found
+   */
+  async get(id) {
+    if (!SESSION_ID_PATTERN.test(id)) return null;
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath(id), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Append turns to a session
+   *
+   * @param {String} id Session ID
+   * @param {Array} turns { role, content } turns to append
+   * @returns {Object|null} The updated session, or null if not found
+   */
+  async appendTurns(id, turns) {
+    return this.enqueue(async () => {
+      const session = await this.get(id);
+      if (!session) return null;
+
+      const timestamp = new Date().toISOString();
+      session.turns.push(...turns.map(turn => ({ role: turn.role, content: turn.content, timestamp })));
+      session.updatedAt = timestamp;
+
+      await this.write(session);
+      return session;
+    });
+  }
+
+  /**
+   * Record the rolling digest after older turns were summarised
+   *
+   * @param {String} id Session ID
+   * @param {String} digest Summary of the digested turns
+   * @param {Number} digestedTurns How many leading turns the digest covers
+   * @returns {Object|null} The updated session, or null if not found
+   */
+  async saveDigest(id, digest, digestedTurns) {
+    return this.enqueue(async () => {
+      const session = await this.get(id);
+      if (!session) return null;
+
+      session.digest = digest;
+      session.digestedTurns = digestedTurns;
+
+      await this.write(session);
+      return session;
+    });
+  }
+
+  /**
+   * Delete a session
+   *
+   * @param {String} id Session ID
+   * @returns {Boolean} Whether a session was deleted
+   */
+  async remove(id) {
+    if (!SESSION_ID_PATTERN.test(id)) return false;
+
+    return this.enqueue(async () => {
+      try {
+        await fs.promises.unlink(this.filePath(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * The turns not yet covered by the session's digest
+   *
+   * @param {Object} session Session
+   * @returns {Array} { role, content } turns
+   */
+  contextWindow(session) {
+    return session.turns
+      .slice(session.digestedTurns || 0)
+      .map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Internal helpers
+   */
+
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+
+    // Keep the queue alive after a failed write
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async write(session) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written session
+    const filePath = this.filePath(session.id);
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(session, null, 2) + '\n');
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+// Export as singleton, with the class available for tests and tooling
+const conversationStore = new ConversationStore({
+  directory: process.env.CONVERSATION_DATA_DIR || DEFAULT_CONVERSATION_DIR
+});
+
+module.exports = conversationStore;
+module.exports.ConversationStore = ConversationStore;
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Telemetry Store
+ *
+ * Durable, append-only telemetry store backed by NDJSON files
+ * (one JSON record per line). The active file is rotated once it
+ * grows past a size limit, and the oldest files are removed once
+ * more than the retention count exist.
+ *
+ * Records are never rewritten: follow-up data such as a Claude analysis
+ * is appended as its own record and merged onto the entry when queried.
+ */
+
+const DEFAULT_TELEMETRY_DIR = path.join(__dirname, '../data/telemetry');
+const FILE_PREFIX = 'telemetry-';
+const FILE_SUFFIX = '.ndjson';
+
+// Fields the store writes itself; a client payload never sets them
+const RESERVED_FIELDS = ['id', 'received', 'recordType', 'entryId', 'analysis'];
+
+class TelemetryStore {
+  constructor({
+    directory = DEFAULT_TELEMETRY_DIR,
+    maxFileBytes = 5 * 1024 * 1024,
+    maxFiles = 10
+  } = {}) {
+    this.directory = directory;
+    this.maxFileBytes = maxFileBytes;
+    this.maxFiles = maxFiles;
+
+    this.currentFile = null;
+    this.currentSize = 0;
+    this.lastFileStamp = 0;
+
+    // Serialise writes so appended lines never interleave
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Append a telemetry entry
+   *
+   * @param {Object} entry Telemetry payload (reserved fields are dropped, so
+   *   a client can't pass its report off as another entry's analysis)
+   * @returns {Object} The stored entry, with id and received timestamp
+   */
+  async append(entry) {
+    const payload = { ...entry };
+    RESERVED_FIELDS.forEach(field => delete payload[field]);
+
+    const record = {
+      ...payload,
+      id: crypto.randomBytes(8).toString('hex'),
+      received: new Date().toISOString()
+    };
+
+    await this.enqueue(() => this.writeRecord(record));
+    return record;
+  }
+
+  /**
+   * Attach a Claude analysis to a stored entry
+   *
+   * @param {String} entryId Entry ID
+   * @param {String} analysis Analysis text
+   */
+  async appendAnalysis(entryId, analysis) {
+    const record = {
+      recordType: 'analysis',
+      entryId,
+      analysis,
+      received: new Date().toISOString()
+    };
+
+    await this.enqueue(() => this.writeRecord(record));
+  }
+
+  /**
+   * Query stored entries, newest first
+   *
+   * @param {Object} options sessionId, from/to (ISO dates, matched on received time) and limit
+   * @returns {Array} Matching telemetry entries
+   */
+  async query({ sessionId, from, to, limit = 10 } = {}) {
+    // Let pending writes land before reading
+    await this.writeQueue;
+
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const files = (await this.listFiles()).reverse();
+    const analyses = {};
+    const entries = [];
+
+    for (const file of files) {
+      // Files only hold records received after they were created
+      if (this.fileStamp(file) > toTime) continue;
+
+      const records = await this.readRecords(file);
+
+      // Walk newest to oldest; an analysis is always newer than its entry
+      for (let i = records.length - 1; i >= 0; i--) {
+        const record = records[i];
+
+        if (record.recordType === 'analysis') {
+          analyses[record.entryId] = analyses[record.entryId] || record.analysis;
+          continue;
+        }
+
+        const receivedTime = new Date(record.received).getTime();
+        if (receivedTime < fromTime || receivedTime > toTime) continue;
+        if (sessionId && record.session?.id !== sessionId) continue;
+
+        entries.push(analyses[record.id] ? { ...record, analysis: analyses[record.id] } : record);
+
+        if (entries.length >= limit) return entries;
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Delete all stored telemetry
+   */
+  async clear() {
+    await this.enqueue(async () => {
+      const files = await this.listFiles();
+      await Promise.all(files.map(file => fs.promises.unlink(path.join(this.directory, file))));
+
+      this.currentFile = null;
+      this.currentSize = 0;
+    });
+  }
+
+  /**
+   * Internal helpers
+   */
+
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+
+    // Keep the queue alive after a failed write
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async writeRecord(record) {
+    const line = JSON.stringify(record) + '\n';
+    const lineBytes = Buffer.byteLength(line);
+
+    if (!this.currentFile) {
+      await this.openCurrentFile();
+    }
+
+    if (this.currentSize > 0 && this.currentSize + lineBytes > this.maxFileBytes) {
+      await this.rotate();
+    }
+
+    await fs.promises.appendFile(path.join(this.directory, this.currentFile), line);
+    this.currentSize += lineBytes;
+  }
+
+  // Resume the newest file after a restart, or start a fresh one
+  async openCurrentFile() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const files = await this.listFiles();
+    const newest = files[files.length - 1];
+
+    if (newest) {
+      const stats = await fs.promises.stat(path.join(this.directory, newest));
+      this.currentFile = newest;
+      this.currentSize = stats.size;
+      this.lastFileStamp = this.fileStamp(newest);
+      return;
+    }
+
+    await this.rotate();
+  }
+
+  // Start a new file and drop the oldest files beyond the retention limit
+  async rotate() {
+    // File names sort chronologically; never reuse a stamp
+    const stamp = Math.max(Date.now(), this.lastFileStamp + 1);
+    this.lastFileStamp = stamp;
+    this.currentFile = `${FILE_PREFIX}${stamp}${FILE_SUFFIX}`;
+    this.currentSize = 0;
+
+    await fs.promises.writeFile(path.join(this.directory, this.currentFile), '');
+
+    const files = await this.listFiles();
+    const expired = files.slice(0, Math.max(files.length - this.maxFiles, 0));
+    await Promise.all(expired.map(file => fs.promises.unlink(path.join(this.directory, file))));
+  }
+
+  async listFiles() {
+    try {
+      const files = await fs.promises.readdir(this.directory);
+      return files
+        .filter(file => file.startsWith(FILE_PREFIX) && file.endsWith(FILE_SUFFIX))
+        .sort((a, b) => this.fileStamp(a) - this.fileStamp(b));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async readRecords(file) {
+    const raw = await fs.promises.readFile(path.join(this.directory, file), 'utf8');
+    const records = [];
+
+    raw.split('\n').forEach(line => {
+      if (!line.trim()) return;
+
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Skip a line left half-written by a crash
+        console.warn(`Skipping malformed telemetry record in ${file}`);
+      }
+    });
+
+    return records;
+  }
+
+  fileStamp(file) {
+    return parseInt(file.slice(FILE_PREFIX.length, -FILE_SUFFIX.length), 10);
+  }
+}
+
+// Export as singleton, with the class available for tests and tooling
+const telemetryStore = new TelemetryStore({
+  directory: process.env.TELEMETRY_DATA_DIR || DEFAULT_TELEMETRY_DIR,
+  maxFileBytes: parseInt(process.env.TELEMETRY_MAX_FILE_BYTES || `${5 * 1024 * 1024}`),
+  maxFiles: parseInt(process.env.TELEMETRY_MAX_FILES || '10')
+});
+
+module.exports = telemetryStore;
+module.exports.TelemetryStore = TelemetryStore;
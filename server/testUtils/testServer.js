@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test Server
+ *
+ * Starts the app on a free port for route tests, with the offline mock
+ * LLM provider and every store and upload directory in a fresh temp
+ * directory, so tests never touch the real data.
+ */
+
+/**
+ * Start the app
+ *
+ * @param {Object} options catalog: items to seed the catalog with
+ * @returns {Object} { url, directory, close }
+ */
+async function startTestServer({ catalog = [] } = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tryon-server-'));
+
+  // Read when the provider and asset storage modules load
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.ASSET_STORAGE_DIR = path.join(directory, 'assets');
+
+  const app = require('../app');
+  const catalogStore = require('../store/catalogStore');
+  const conversationStore = require('../store/conversationStore');
+  const telemetryStore = require('../store/telemetryStore');
+
+  catalogStore.filePath = path.join(directory, 'catalog.json');
+  catalogStore.items = null;
+  conversationStore.directory = path.join(directory, 'conversations');
+  telemetryStore.directory = path.join(directory, 'telemetry');
+  telemetryStore.currentFile = null;
+  await catalogStore.seed(catalog);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    directory,
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Silence request logging for the rest of the test file
+ *
+ * @param {Object} mock The node:test mock tracker
+ */
+function silenceLogs(mock) {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+}
+
+module.exports = {
+  startTestServer,
+  silenceLogs
+};
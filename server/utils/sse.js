@@ -0,0 +1,93 @@
+/**
+ * Server-Sent Events helpers
+ *
+ * Parses SSE streams coming from the Claude API and writes
+ * SSE events out to the browser.
+ */
+
+/**
+ * Parse a readable stream of SSE text into events
+ *
+ * @param {Readable} stream Node readable stream (e.g. an axios 'stream' response)
+ * @yields {Object} { event, data } with data JSON-parsed when possible
+ */
+async function* parseSSE(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+
+    // Events are separated by a blank line
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const event = parseEventBlock(block);
+      if (event) yield event;
+
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+
+  // Flush a final event that wasn't followed by a blank line
+  const event = parseEventBlock(buffer);
+  if (event) yield event;
+}
+
+// Parse one "event: ...\ndata: ..." block
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join('\n');
+  try {
+    return { event, data: JSON.parse(raw) };
+  } catch (error) {
+    return { event, data: raw };
+  }
+}
+
+/**
+ * Prepare an Express response for streaming SSE
+ *
+ * @param {Response} res Express response
+ */
+function openSSE(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform stops proxies compressing or buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write one SSE event to the response
+ *
+ * @param {Response} res Express response
+ * @param {String} event Event name
+ * @param {Object} data JSON-serialisable payload
+ */
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  parseSSE,
+  openSSE,
+  writeSSE
+};
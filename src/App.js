@@ -12,7 +12,16 @@ import {
   IconButton,
   Drawer,
   useMediaQuery,
-  useTheme
+  useTheme,
+  Alert,
+  Chip,
+  Stack,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material';
 import {
   Menu as MenuIcon,
@@ -32,20 +41,32 @@ import ARVirtualTryOn from './components/ARVirtualTryOn';
 import ClaudeAssistant from './components/ClaudeAssistant';
 import LoadingIndicator from './components/LoadingIndicator';
 
+// Models
+import Look from './models/Look';
+import { entryKey, describeFinger } from './models/Look';
+import { HANDS, describeHands, handOf } from './models/Handedness';
+import { FINGERS, FINGER_LABELS, RING_POSITIONS, fingerOf, ringPositionOf } from './models/HandKeypoints';
+
 // Utils
 import claudeService from './utils/ClaudeService';
+import catalogService from './utils/CatalogService';
+import tryOnCompositor from './utils/TryOnCompositor';
 import systemTelemetry from './utils/SystemTelemetry';
 
 // Styles
 import './App.css';
 
 function App() {
-  // State
+  // State (the look holds every piece being tried on; selectedJewelry is the one picked last)
+  const [look, setLook] = useState(() => new Look());
   const [selectedJewelry, setSelectedJewelry] = useState(null);
+  const [userMeasurements, setUserMeasurements] = useState(null);
   const [mediaSource, setMediaSource] = useState(null);
   const [processedMedia, setProcessedMedia] = useState(null);
   const [currentView, setCurrentView] = useState('select'); // 'select', 'capture', 'tryOn', 'results', 'ar'
   const [isProcessing, setIsProcessing] = useState(false);
+  const [processingStatus, setProcessingStatus] = useState(null);
+  const [processingError, setProcessingError] = useState(null);
   const [culturalStyle, setCulturalStyle] = useState('western');
   const [claudeMinimized, setClaudeMinimized] = useState(false);
   const [menuOpen, setMenuOpen] = useState(false);
@@ -78,25 +99,79 @@ function App() {
     };
   }, [isMobile]);
   
-  // Handle jewelry selection
+  // Replace the look, keeping the most recently picked item if still in it
+  const updateLook = (nextLook, pickedItem = null) => {
+    setLook(nextLook);
+    setSelectedJewelry(pickedItem && nextLook.has(pickedItem.id)
+      ? pickedItem
+      : nextLook.items[nextLook.items.length - 1] || null);
+    
+    // Record the whole look after every change
+    systemTelemetry.recordUserInteraction('updateLook', nextLook.toTelemetry());
+  };
+  
+  // Handle jewelry selection: add the item to the look, or take it out
   const handleJewelrySelect = (item) => {
-    setSelectedJewelry(item);
+    const adding = !look.has(item.id);
     
     // Record user interaction
-    systemTelemetry.recordUserInteraction('selectJewelry', {
+    systemTelemetry.recordUserInteraction(adding ? 'selectJewelry' : 'deselectJewelry', {
       itemId: item.id,
       itemType: item.type,
       culturalStyle: item.culturalStyle
     });
     
-    // Automatically move to capture view
-    setCurrentView('capture');
+    updateLook(look.toggle(item), adding ? item : null);
+  };
+  
+  // Wear a ring on the left hand, the right, or both
+  const handleRingHands = (ring, choice) => {
+    const hands = choice === 'both' ? HANDS : [choice];
+    
+    systemTelemetry.recordUserInteraction('chooseRingHands', {
+      itemId: ring.id,
+      hands
+    });
+    
+    updateLook(look.withRingOn(ring, hands), ring);
+  };
+  
+  // Move a ring to another finger, or along its finger
+  const handleRingPlacement = (ring, placement) => {
+    systemTelemetry.recordUserInteraction('chooseRingFinger', {
+      itemId: ring.id,
+      ...placement
+    });
+    
+    updateLook(look.withRingAt(ring.id, placement), ring);
+  };
+  
+  // Handle a catalog item linked from Claude's style advice
+  const handleCatalogItemLink = async (itemId) => {
+    try {
+      const item = await catalogService.getItem(itemId);
+      
+      // Record user interaction
+      systemTelemetry.recordUserInteraction('selectRecommendedJewelry', {
+        itemId: item.id,
+        itemType: item.type
+      });
+      
+      // Added like a pick from the selector (beside any rings already worn)
+      updateLook(look.has(item.id) ? look : look.toggle(item), item);
+      
+      // Show the item in the selector
+      setCurrentView('select');
+    } catch (error) {
+      console.error('Error loading recommended item:', error);
+    }
   };
   
   // Handle media capture
   const handleMediaCaptured = (media) => {
     setMediaSource(media);
     setIsProcessing(true);
+    setProcessingError(null);
     
     // Record user interaction
     systemTelemetry.recordUserInteraction('mediaCapture', {
@@ -112,38 +187,44 @@ function App() {
     try {
       // Different processing for photo vs video
       if (media.type === 'photo') {
-        // In a real implementation, this would involve AI models
-        // For now, we'll simulate processing time
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        // Detect landmarks and composite every piece at full resolution
+        const tryOn = await tryOnCompositor.processPhoto(media, look);
         
         // Set the processed result to display
         setProcessedMedia({
           type: 'photo',
           original: media.src,
-          result: media.src, // In a real app, this would be the processed image
-          item: selectedJewelry
+          result: tryOn.url,
+          blob: tryOn.blob,
+          width: tryOn.width,
+          height: tryOn.height,
+          detection: tryOn.detection,
+          placement: tryOn.placement,
+          look
         });
         
         // Move to results view
         setCurrentView('results');
       } else if (media.type === 'video') {
-        // Simulate video processing (would be frame-by-frame in real implementation)
-        const totalFrames = 30; // Arbitrary for simulation
-        
-        for (let i = 1; i <= totalFrames; i++) {
-          // Update progress every 100ms
-          await new Promise(resolve => setTimeout(resolve, 100));
-          
-          // In a real implementation, you would process each frame here
-          // and update the progress
-        }
+        // Track and composite every frame, then re-encode
+        const tryOn = await tryOnCompositor.processVideo(media, look, {
+          onProgress: setProcessingStatus
+        });
         
         // Set the processed result to display
         setProcessedMedia({
           type: 'video',
           original: media.src,
-          result: media.src, // In a real app, this would be the processed video
-          item: selectedJewelry
+          result: tryOn.url,
+          blob: tryOn.blob,
+          width: tryOn.width,
+          height: tryOn.height,
+          frameData: tryOn.frameData,
+          processingStatus: {
+            totalFrames: tryOn.frameData.length,
+            processedFrames: tryOn.frameData.length
+          },
+          look
         });
         
         // Move to results view
@@ -151,8 +232,16 @@ function App() {
       }
     } catch (error) {
       console.error('Error processing media:', error);
+      setProcessingError(`Failed to process your ${media.type}: ${error.message}`);
+      
+      // Record error in telemetry
+      systemTelemetry.recordError('mediaProcessing', error.message, {
+        ...look.toTelemetry(),
+        mediaType: media.type
+      });
     } finally {
       setIsProcessing(false);
+      setProcessingStatus(null);
     }
   };
   
@@ -162,16 +251,40 @@ function App() {
       type: 'photo',
       original: capturedFrame.src,
       result: capturedFrame.src,
-      item: selectedJewelry
+      look
     });
     
     // Move to results view
     setCurrentView('results');
   };
   
+  // Keep measurements taken in live AR for sizing advice
+  const handleMeasure = (measurements) => {
+    setUserMeasurements(prev => ({ ...prev, ...measurements }));
+    
+    if (measurements.ringSize) {
+      systemTelemetry.recordUserInteraction('measureRingSize', {
+        finger: measurements.ringSize.finger,
+        circumferenceMm: measurements.ringSize.circumferenceMm,
+        samples: measurements.ringSize.samples,
+        calibration: measurements.ringSize.calibration
+      });
+    }
+    
+    if (measurements.wristSize) {
+      systemTelemetry.recordUserInteraction('measureWristSize', {
+        circumferenceMm: measurements.wristSize.circumferenceMm,
+        method: measurements.wristSize.method,
+        rotationCoverage: measurements.wristSize.rotationCoverage,
+        samples: measurements.wristSize.samples,
+        calibration: measurements.wristSize.calibration
+      });
+    }
+  };
+  
   // Start AR experience
   const startARExperience = () => {
-    if (!selectedJewelry) {
+    if (look.isEmpty()) {
       // Prompt user to select jewelry first
       return;
     }
@@ -179,18 +292,31 @@ function App() {
     setCurrentView('ar');
     
     // Record user interaction
-    systemTelemetry.recordUserInteraction('startAR', {
-      itemType: selectedJewelry.type
-    });
+    systemTelemetry.recordUserInteraction('startAR', look.toTelemetry());
+  };
+  
+  // Move on from selection to capturing media for the look
+  const startTryOn = () => {
+    if (look.isEmpty()) return;
+    
+    systemTelemetry.recordUserInteraction('tryOnLook', look.toTelemetry());
+    setCurrentView('capture');
   };
   
   // Reset the flow to start over
   const resetFlow = () => {
+    // Release the composited photo
+    if (processedMedia?.blob) {
+      URL.revokeObjectURL(processedMedia.result);
+    }
+    
+    setLook(new Look());
     setSelectedJewelry(null);
     setMediaSource(null);
     setProcessedMedia(null);
     setCurrentView('select');
     setIsProcessing(false);
+    setProcessingError(null);
   };
   
   // Change try-on mode
@@ -210,8 +336,79 @@ function App() {
             <JewelrySelector 
               onSelectJewelry={handleJewelrySelect}
               selectedJewelry={selectedJewelry}
+              look={look}
+              wristSize={userMeasurements?.wristSize}
               culturalStyle={culturalStyle}
             />
+            
+            {/* The look so far: pick more pieces to wear them together */}
+            <Box className="look-summary">
+              <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap sx={{ flexGrow: 1 }}>
+                {look.isEmpty() ? (
+                  <Typography variant="body2" color="textSecondary">
+                    Pick one or more pieces to try on together
+                  </Typography>
+                ) : look.items.map(item => (
+                  <Chip
+                    key={entryKey(item)}
+                    label={item.type === 'ring' ? `${item.name} (${describeFinger(item)})` : item.name}
+                    onDelete={() => updateLook(look.withoutEntry(entryKey(item)))}
+                  />
+                ))}
+                {ringsIn(look).map(ring => (
+                  <Box key={`hands-${ring.id}`} className="ring-hands">
+                    <Typography variant="caption" color="textSecondary">
+                      {ring.name} on
+                    </Typography>
+                    <ToggleButtonGroup
+                      size="small"
+                      exclusive
+                      value={look.handsFor(ring.id).length > 1 ? 'both' : look.handsFor(ring.id)[0]}
+                      onChange={(_, choice) => choice && handleRingHands(ring, choice)}
+                      aria-label={`Hands to wear ${ring.name} on`}
+                    >
+                      <ToggleButton value="left">Left</ToggleButton>
+                      <ToggleButton value="right">Right</ToggleButton>
+                      <ToggleButton value="both">Both</ToggleButton>
+                    </ToggleButtonGroup>
+                    <FormControl size="small" sx={{ minWidth: 100 }}>
+                      <InputLabel id={`finger-${ring.id}-label`}>Finger</InputLabel>
+                      <Select
+                        labelId={`finger-${ring.id}-label`}
+                        value={fingerOf(ring)}
+                        label="Finger"
+                        onChange={(e) => handleRingPlacement(ring, { finger: e.target.value })}
+                      >
+                        {FINGERS.map(finger => (
+                          <MenuItem key={finger} value={finger}>{FINGER_LABELS[finger]}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <FormControl size="small" sx={{ minWidth: 100 }}>
+                      <InputLabel id={`position-${ring.id}-label`}>Position</InputLabel>
+                      <Select
+                        labelId={`position-${ring.id}-label`}
+                        value={ringPositionOf(ring)}
+                        label="Position"
+                        onChange={(e) => handleRingPlacement(ring, { position: e.target.value })}
+                      >
+                        {Object.entries(RING_POSITIONS).map(([position, { label }]) => (
+                          <MenuItem key={position} value={position}>{label}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Box>
+                ))}
+              </Stack>
+              <Button
+                variant="contained"
+                color="primary"
+                onClick={startTryOn}
+                disabled={look.isEmpty()}
+              >
+                {look.size > 1 ? `Try On Look (${look.size})` : 'Try On'}
+              </Button>
+            </Box>
           </Box>
         );
         
@@ -222,6 +419,12 @@ function App() {
               Capture Media
             </Typography>
             
+            {processingError && (
+              <Alert severity="error" onClose={() => setProcessingError(null)} sx={{ mb: 2 }}>
+                {processingError}
+              </Alert>
+            )}
+            
             <Tabs
               value={tryOnMode}
               onChange={handleTryOnModeChange}
@@ -275,20 +478,49 @@ function App() {
             
             {processedMedia?.type === 'photo' ? (
               <Box className="results-container">
+                {missingTargets(processedMedia).length > 0 && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    {`We couldn't find ${describeTargets(missingTargets(processedMedia))} in this photo, so ${describeItemsOn(processedMedia.look, missingTargets(processedMedia))} couldn't be placed.`}
+                  </Alert>
+                )}
+                {missingHands(processedMedia).length > 0 && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    {`Your ${describeHands(missingHands(processedMedia))} wasn't in this photo, so ${describeItemsOnHands(processedMedia.look, missingHands(processedMedia))} couldn't be placed.`}
+                  </Alert>
+                )}
+                {processedMedia.placement?.length > 0 && !processedMedia.placement.some(p => p.drawn) && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    The jewelry image for this item couldn't be loaded.
+                  </Alert>
+                )}
                 <img 
                   src={processedMedia.result} 
                   alt="Try-on result" 
                   className="result-image"
                 />
                 <Typography variant="subtitle1" align="center" sx={{ mt: 2 }}>
-                  {selectedJewelry?.name}
+                  {processedMedia.look?.describe()}
                 </Typography>
               </Box>
             ) : processedMedia?.type === 'video' ? (
-              <VideoResultsDisplay 
-                processedVideoUrl={processedMedia.result}
-                originalVideoUrl={processedMedia.original}
-              />
+              <Box className="results-container">
+                {missingTargets(processedMedia).length > 0 && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    {`We couldn't find ${describeTargets(missingTargets(processedMedia))} in this video, so ${describeItemsOn(processedMedia.look, missingTargets(processedMedia))} couldn't be placed.`}
+                  </Alert>
+                )}
+                {missingHands(processedMedia).length > 0 && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    {`Your ${describeHands(missingHands(processedMedia))} wasn't in this video, so ${describeItemsOnHands(processedMedia.look, missingHands(processedMedia))} couldn't be placed.`}
+                  </Alert>
+                )}
+                <VideoResultsDisplay 
+                  processedVideoUrl={processedMedia.result}
+                  originalVideoUrl={processedMedia.original}
+                  frameData={processedMedia.frameData}
+                  processingStatus={processedMedia.processingStatus}
+                />
+              </Box>
             ) : null}
             
             <Box className="action-buttons">
@@ -315,8 +547,9 @@ function App() {
         return (
           <Box className="section ar-section">
             <ARVirtualTryOn 
-              selectedItem={selectedJewelry}
+              look={look}
               onCapture={handleARCapture}
+              onMeasure={handleMeasure}
               onClose={() => setCurrentView(processedMedia ? 'results' : 'capture')}
               qualitySetting="auto"
             />
@@ -372,10 +605,12 @@ function App() {
         {isProcessing ? (
           <Box className="processing-container">
             <LoadingIndicator 
-              message="Processing your media..."
-              showProgress={tryOnMode === 'video'}
-              progress={50} // This would be dynamic in a real implementation
-              type={tryOnMode === 'video' ? 'bar' : 'spinner'}
+              message={processingStatus?.phase === 'encoding' ? 'Encoding your video...' : 'Processing your media...'}
+              showProgress={Boolean(processingStatus)}
+              progress={processingStatus
+                ? Math.round((processingStatus.processedFrames / processingStatus.totalFrames) * 100)
+                : 0}
+              type={processingStatus ? 'bar' : 'spinner'}
             />
           </Box>
         ) : (
@@ -389,9 +624,12 @@ function App() {
       <Box className={`claude-container ${claudeMinimized ? 'minimized' : ''}`}>
         <ClaudeAssistant
           selectedItem={selectedJewelry}
+          look={look}
+          userMeasurements={userMeasurements}
           tryOnResults={processedMedia}
           isMinimized={claudeMinimized}
           onToggleMinimize={() => setClaudeMinimized(!claudeMinimized)}
+          onSelectCatalogItem={handleCatalogItemLink}
           systemContext={{
             currentView,
             tryOnMode,
@@ -462,4 +700,58 @@ function App() {
   );
 }
 
+/**
+ * Detection targets the try-on needed but never found: for a photo, those
+ * not detected; for a video, those not detected in any frame
+ */
+function missingTargets(processedMedia) {
+  if (!processedMedia?.look) return [];
+  
+  const targets = processedMedia.look.targets();
+  if (processedMedia.type === 'video') {
+    return targets.filter(target => !processedMedia.frameData.some(frame => frame.detectedTargets?.includes(target)));
+  }
+  
+  // Live AR captures carry no detection to check
+  if (!processedMedia.detection) return [];
+  return targets.filter(target => !processedMedia.detection[target]);
+}
+
+/**
+ * Hands the look's hand items are worn on that never showed up, when some
+ * hand did (a look missing every hand is reported by missingTargets)
+ */
+function missingHands(processedMedia) {
+  if (!processedMedia?.look || missingTargets(processedMedia).includes('hand')) return [];
+  
+  let seen;
+  if (processedMedia.type === 'video') {
+    seen = processedMedia.frameData.flatMap(frame => frame.detectedHands || []);
+  } else if (processedMedia.detection) {
+    seen = (processedMedia.detection.hand?.hands || []).map(hand => hand.handedness.toLowerCase());
+  } else {
+    return [];
+  }
+  
+  return processedMedia.look.handsNeeded().filter(hand => !seen.includes(hand));
+}
+
+function describeItemsOnHands(look, hands) {
+  return new Look(look.itemsFor('hand').filter(item => hands.includes(handOf(item)))).describe();
+}
+
+// Each ring in a look once, however many hands it's worn on
+function ringsIn(look) {
+  const rings = look.items.filter(item => item.type === 'ring');
+  return rings.filter((ring, index) => rings.findIndex(other => other.id === ring.id) === index);
+}
+
+function describeTargets(targets) {
+  return targets.map(target => (target === 'face' ? 'a face' : 'a hand')).join(' or ');
+}
+
+function describeItemsOn(look, targets) {
+  return new Look(targets.flatMap(target => look.itemsFor(target))).describe();
+}
+
 export default App;
\ No newline at end of file
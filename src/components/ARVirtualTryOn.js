@@ -14,7 +14,9 @@ import {
   Stack, 
   Tooltip,
   Chip,
-  CircularProgress
+  CircularProgress,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   FlipCameraIos as FlipCameraIcon,
@@ -30,47 +32,76 @@ import {
   Face as FaceIcon
 } from '@mui/icons-material';
 
-// Debug log for imports
-console.log('Importing FaceLandmarkDetector and HandPoseDetector');
-import FaceLandmarkDetector from '../models/FaceLandmarkDetector';
-import HandPoseDetector from '../models/HandPoseDetector';
+import WorkerDetector from '../models/WorkerDetector';
+import { getFaceAnchor } from '../models/FaceAnchors';
+import Look, { DETECTION_TARGETS, detectionTargetFor, entryKey } from '../models/Look';
+import TrackingFilter from '../utils/TrackingFilter';
+import DanglePhysics, { getDangleParams, mmPerUnitFromEars } from '../utils/DanglePhysics';
+import RingSizer, { RING_FINGERS, calibrateFromIris } from '../utils/RingSizing';
+import WristSizer, { assessFit } from '../utils/WristSizing';
+import { describeHands, findHand, handOf } from '../models/Handedness';
+import { fingerOf, ringPlacement, ringPositionOf } from '../models/HandKeypoints';
 import systemTelemetry from '../utils/SystemTelemetry';
 import './ARVirtualTryOn.css';
 
+// Earrings fainter than this (far ear turned away) are not drawn at all
+const MIN_EARRING_VISIBILITY = 0.05;
+
+// Items worn on the wrist, and the chip colour for how well each fits
+const WRISTWEAR_TYPES = ['bracelet', 'watch'];
+const FIT_COLORS = {
+  fits: 'success',
+  borderline: 'warning',
+  'too-small': 'error',
+  'too-large': 'error',
+  unknown: 'default'
+};
+
+// Debug overlay label for the detectors that are running
+const describeTracking = targets => {
+  if (targets.length > 1) return 'Face and hand tracking';
+  return targets[0] === 'face' ? 'Face tracking' : 'Hand tracking';
+};
+
 /**
  * ARVirtualTryOn Component
  * 
  * Provides real-time augmented reality (AR) try-on experience 
  * for jewelry and clothing using webcam feed with tracking.
+ * Every item in the look is drawn, back to front, with face and hand
+ * tracking both running when the look needs them.
  */
 const ARVirtualTryOn = ({ 
-  selectedItem, 
+  look: lookProp = null,
+  selectedItem = null,
   onCapture,
   onClose,
+  onMeasure,
   qualitySetting = 'auto' // 'low', 'medium', 'high', or 'auto'
 }) => {
-  console.log('ARVirtualTryOn component rendering with selectedItem:', selectedItem);
-  console.log('Quality setting:', qualitySetting);
+  // A single selected item is tried on as a look of one
+  const look = Look.from(lookProp || selectedItem);
+  const lookKey = look.items.map(entryKey).join(',');
 
   // State
   const [streaming, setStreaming] = useState(false);
   const [facingMode, setFacingMode] = useState('user'); // 'user' for front, 'environment' for back
-  const [detectionQuality, setDetectionQuality] = useState(0);
   const [framerate, setFramerate] = useState(0);
   const [isTracking, setIsTracking] = useState(false);
-  const [trackingType, setTrackingType] = useState('');
+  const [trackingTargets, setTrackingTargets] = useState([]);
   const [showSettings, setShowSettings] = useState(false);
-  const [showGuide, setShowGuide] = useState(true);
   const [isFullscreen, setIsFullscreen] = useState(false);
-  const [captureCountdown, setCaptureCountdown] = useState(0);
   const [loadingModels, setLoadingModels] = useState(true);
   const [modelLoadProgress, setModelLoadProgress] = useState(0);
   const [error, setError] = useState(null);
   const [adaptiveQuality, setAdaptiveQuality] = useState(qualitySetting === 'auto');
   const [quality, setQuality] = useState(qualitySetting === 'auto' ? 'medium' : qualitySetting);
   const [zoomLevel, setZoomLevel] = useState(1.0);
-  const [framesProcessed, setFramesProcessed] = useState(0);
-  const [lastProcessedFrame, setLastProcessedFrame] = useState(0);
+  const [measuringRingSize, setMeasuringRingSize] = useState(false);
+  const [ringSize, setRingSize] = useState(null);
+  const [measuringWristSize, setMeasuringWristSize] = useState(false);
+  const [wristSize, setWristSize] = useState(null);
+  const [missingHands, setMissingHands] = useState([]);
   const [itemAdjustments, setItemAdjustments] = useState({
     scale: 1.0,
     xOffset: 0,
@@ -87,12 +118,52 @@ const ARVirtualTryOn = ({
   const faceLandmarkDetectorRef = useRef(null);
   const handPoseDetectorRef = useRef(null);
   const fpsCounterRef = useRef({ lastTime: 0, frames: 0 });
+  const frameCountRef = useRef(0);
   const frameSkipRef = useRef(0);
   const processingRef = useRef(false);
+  const latestDetectionRef = useRef(null);
+  const trackingFiltersRef = useRef({});
+  const danglePhysicsRef = useRef(null);
+  
+  // Set up and tear down tracking; the effects call these through a ref so
+  // they get the latest handlers without re-running on every render
+  const lifecycleRef = useRef(null);
+  
+  // The frame loop runs outside React renders, so it reads these instead of
+  // props and state
+  const lookRef = useRef(look);
+  const trackingTargetsRef = useRef([]);
+  const measuringRef = useRef(false);
+  const qualityRef = useRef(quality);
+  const adaptiveQualityRef = useRef(adaptiveQuality);
+  const zoomLevelRef = useRef(zoomLevel);
+  const itemAdjustmentsRef = useRef(itemAdjustments);
+  const onMeasureRef = useRef(onMeasure);
+  lookRef.current = look;
+  measuringRef.current = measuringRingSize || measuringWristSize;
+  qualityRef.current = quality;
+  adaptiveQualityRef.current = adaptiveQuality;
+  zoomLevelRef.current = zoomLevel;
+  itemAdjustmentsRef.current = itemAdjustments;
+  onMeasureRef.current = onMeasure;
+  
+  // Ring size measured over the frames seen while measuring
+  const ringSizerRef = useRef(null);
+  const reportedRingSizeRef = useRef(null);
+  const ringItem = look.items.find(item => item.type === 'ring');
+  
+  // Wrist measured the same way, from frames at several rotations, and how
+  // each bracelet or watch in the look fits it
+  const wristSizerRef = useRef(null);
+  const reportedWristSizeRef = useRef(null);
+  const missingHandsRef = useRef('');
+  const frameCanvasRef = useRef(null);
+  const wristItems = look.items.filter(item => WRISTWEAR_TYPES.includes(item.type));
+  const wristFits = wristItems.map(item => assessFit(item, wristSize));
   
   // Initialize component
   useEffect(() => {
-    console.log('ARVirtualTryOn component mounted');
+    const { initializeDetection, startWebcam, stopWebcam, stopTracking, handleResize } = lifecycleRef.current;
     
     // Start telemetry collection
     systemTelemetry.startCollection();
@@ -108,7 +179,6 @@ const ARVirtualTryOn = ({
     
     // Clean up function
     return () => {
-      console.log('ARVirtualTryOn component unmounting');
       stopWebcam();
       stopTracking();
       cancelAnimationFrame(animationRef.current);
@@ -117,15 +187,19 @@ const ARVirtualTryOn = ({
     };
   }, []);
   
-  // Reinitialize when selected item changes
+  // Reinitialize when the items in the look change, or sizing starts or stops
   useEffect(() => {
-    console.log('Selected item changed to:', selectedItem);
-    initializeDetection();
-  }, [selectedItem]);
+    ringSizerRef.current = measuringRingSize ? new RingSizer() : null;
+    reportedRingSizeRef.current = null;
+    setRingSize(null);
+    wristSizerRef.current = measuringWristSize ? new WristSizer() : null;
+    reportedWristSizeRef.current = null;
+    setWristSize(null);
+    lifecycleRef.current.initializeDetection();
+  }, [lookKey, measuringRingSize, measuringWristSize]);
   
   // Update frame processing settings when quality changes
   useEffect(() => {
-    console.log('Quality changed to:', quality);
     updateQualitySettings(quality);
   }, [quality]);
   
@@ -138,16 +212,14 @@ const ARVirtualTryOn = ({
       // Match canvas size to video
       canvas.width = video.videoWidth;
       canvas.height = video.videoHeight;
-      console.log('Resized canvas to match video:', canvas.width, 'x', canvas.height);
     }
   };
   
-  // Initialize the appropriate detection models based on selected item
+  // Initialize the detection models the items in the look need
   const initializeDetection = async () => {
-    console.log('Initializing detection for item:', selectedItem);
+    const currentLook = lookRef.current;
     
-    if (!selectedItem) {
-      console.log('No item selected, skipping detection initialization');
+    if (currentLook.isEmpty()) {
       return;
     }
     
@@ -156,28 +228,32 @@ const ARVirtualTryOn = ({
       setModelLoadProgress(0);
       setError(null);
       
-      // Determine what detection is needed for this item
-      const needsFaceDetection = ['earring', 'necklace', 'glasses'].includes(selectedItem.type);
-      const needsHandDetection = ['ring', 'bracelet', 'watch'].includes(selectedItem.type);
+      // Determine what detection is needed for the look (ring and wrist sizing
+      // take their scale from the iris, so they need the face as well as the hand)
+      const targets = measuringRef.current ? DETECTION_TARGETS : currentLook.targets();
       
-      console.log('Detection needs - Face:', needsFaceDetection, 'Hand:', needsHandDetection);
+      // Smooth face and hand landmarks separately, each with settings tuned
+      // for the front-most item placed on it
+      trackingFiltersRef.current = Object.fromEntries(targets.map(target => {
+        const front = currentLook.itemsFor(target).slice(-1)[0];
+        return [target, new TrackingFilter(front?.type)];
+      }));
+      danglePhysicsRef.current = new DanglePhysics();
+      latestDetectionRef.current = null;
+      trackingTargetsRef.current = targets;
+      setTrackingTargets(targets);
       
-      if (needsFaceDetection) {
-        console.log('Setting tracking type to face');
-        setTrackingType('face');
+      if (targets.includes('face')) {
         await initializeFaceDetection();
       }
       
-      if (needsHandDetection) {
-        console.log('Setting tracking type to hand');
-        setTrackingType('hand');
+      if (targets.includes('hand')) {
         await initializeHandDetection();
       }
       
       // Update progress
       setModelLoadProgress(100);
       setLoadingModels(false);
-      console.log('Model loading complete');
       
       // Start processing frames
       startProcessing();
@@ -188,7 +264,7 @@ const ARVirtualTryOn = ({
       
       // Record error in telemetry
       systemTelemetry.recordError('modelInitialization', err.message, {
-        selectedItem,
+        ...currentLook.toTelemetry(),
         severity: 'high'
       });
     }
@@ -196,25 +272,21 @@ const ARVirtualTryOn = ({
   
   // Initialize face landmark detection
   const initializeFaceDetection = async () => {
-    console.log('Initializing face landmark detection');
     try {
       // Clean up existing detector if any
       if (faceLandmarkDetectorRef.current) {
-        console.log('Disposing existing face detector');
         faceLandmarkDetectorRef.current.dispose();
       }
       
       // Create new detector
-      console.log('Creating new FaceLandmarkDetector instance');
-      faceLandmarkDetectorRef.current = new FaceLandmarkDetector();
+      // Runs in a worker when supported so inference doesn't stall the UI
+      faceLandmarkDetectorRef.current = new WorkerDetector('face');
       
       // Initialize the model
       const startTime = performance.now();
       setModelLoadProgress(30);
       
-      console.log('Calling initialize() on face detector');
       const success = await faceLandmarkDetectorRef.current.initialize();
-      console.log('Face detector initialization result:', success);
       
       setModelLoadProgress(70);
       
@@ -232,7 +304,6 @@ const ARVirtualTryOn = ({
         success: true
       });
       
-      console.log('Face detection initialized successfully');
       return true;
     } catch (err) {
       console.error('Error initializing face detection:', err);
@@ -242,25 +313,21 @@ const ARVirtualTryOn = ({
   
   // Initialize hand pose detection
   const initializeHandDetection = async () => {
-    console.log('Initializing hand pose detection');
     try {
       // Clean up existing detector if any
       if (handPoseDetectorRef.current) {
-        console.log('Disposing existing hand detector');
         handPoseDetectorRef.current.dispose();
       }
       
       // Create new detector
-      console.log('Creating new HandPoseDetector instance');
-      handPoseDetectorRef.current = new HandPoseDetector();
+      // Runs in a worker when supported so inference doesn't stall the UI
+      handPoseDetectorRef.current = new WorkerDetector('hand');
       
       // Initialize the model
       const startTime = performance.now();
       setModelLoadProgress(30);
       
-      console.log('Calling initialize() on hand detector');
       const success = await handPoseDetectorRef.current.initialize();
-      console.log('Hand detector initialization result:', success);
       
       setModelLoadProgress(70);
       
@@ -278,7 +345,6 @@ const ARVirtualTryOn = ({
         success: true
       });
       
-      console.log('Hand detection initialized successfully');
       return true;
     } catch (err) {
       console.error('Error initializing hand detection:', err);
@@ -288,45 +354,36 @@ const ARVirtualTryOn = ({
   
   // Start webcam stream
   const startWebcam = async () => {
-    console.log('Starting webcam');
     try {
       if (streamRef.current) {
-        console.log('Stopping existing webcam stream');
         stopWebcam();
       }
       
       // Get video constraints based on quality settings
       const constraints = getVideoConstraints();
-      console.log('Using video constraints:', constraints);
       
       // Request camera access
-      console.log('Requesting camera access via getUserMedia');
       const stream = await navigator.mediaDevices.getUserMedia({
         video: constraints,
         audio: false
       });
       
-      console.log('Camera access granted:', stream);
-      
       // Store stream for cleanup
       streamRef.current = stream;
       
       // Set video source
       if (videoRef.current) {
-        console.log('Setting video source');
         videoRef.current.srcObject = stream;
         await videoRef.current.play();
         
         // Set up canvas to match video dimensions
         if (canvasRef.current) {
-          console.log('Setting canvas dimensions to match video:', videoRef.current.videoWidth, 'x', videoRef.current.videoHeight);
           canvasRef.current.width = videoRef.current.videoWidth;
           canvasRef.current.height = videoRef.current.videoHeight;
         }
       }
       
       setStreaming(true);
-      console.log('Webcam streaming started');
     } catch (err) {
       console.error('Error starting webcam:', err);
       setError(`Failed to access camera: ${err.message}`);
@@ -341,7 +398,6 @@ const ARVirtualTryOn = ({
   
   // Stop webcam stream
   const stopWebcam = () => {
-    console.log('Stopping webcam');
     if (streamRef.current) {
       streamRef.current.getTracks().forEach(track => track.stop());
       streamRef.current = null;
@@ -352,13 +408,13 @@ const ARVirtualTryOn = ({
     }
     
     setStreaming(false);
-    console.log('Webcam stopped');
   };
   
   // Flip camera (switch between front and back)
   const flipCamera = async () => {
-    console.log('Flipping camera from', facingMode, 'to', facingMode === 'user' ? 'environment' : 'user');
     setFacingMode(prev => prev === 'user' ? 'environment' : 'user');
+    resetTrackingFilters();
+    danglePhysicsRef.current?.reset();
     await startWebcam();
   };
   
@@ -367,13 +423,11 @@ const ARVirtualTryOn = ({
     if (!containerRef.current) return;
     
     if (!document.fullscreenElement) {
-      console.log('Entering fullscreen mode');
       containerRef.current.requestFullscreen().catch(err => {
         console.error('Error attempting to enable fullscreen:', err);
       });
       setIsFullscreen(true);
     } else {
-      console.log('Exiting fullscreen mode');
       document.exitFullscreen();
       setIsFullscreen(false);
     }
@@ -410,7 +464,6 @@ const ARVirtualTryOn = ({
   
   // Update settings based on quality level
   const updateQualitySettings = (qualityLevel) => {
-    console.log('Updating quality settings to:', qualityLevel);
     switch (qualityLevel) {
       case 'high':
         frameSkipRef.current = 0; // Process every frame
@@ -425,18 +478,14 @@ const ARVirtualTryOn = ({
         frameSkipRef.current = 1; // Default to medium
     }
     
-    console.log('Frame skip set to:', frameSkipRef.current);
-    
     // Update detector configurations if available
     if (faceLandmarkDetectorRef.current) {
-      console.log('Updating face detector config');
       faceLandmarkDetectorRef.current.updateConfig({
         detectionConfidence: qualityLevel === 'low' ? 0.6 : 0.8
       });
     }
     
     if (handPoseDetectorRef.current) {
-      console.log('Updating hand detector config');
       handPoseDetectorRef.current.updateConfig({
         detectionConfidence: qualityLevel === 'low' ? 0.6 : 0.7
       });
@@ -445,7 +494,6 @@ const ARVirtualTryOn = ({
   
   // Start processing frames for AR
   const startProcessing = () => {
-    console.log('Starting frame processing');
     if (animationRef.current) {
       cancelAnimationFrame(animationRef.current);
     }
@@ -455,7 +503,6 @@ const ARVirtualTryOn = ({
   
   // Stop tracking and processing
   const stopTracking = () => {
-    console.log('Stopping tracking and processing');
     if (animationRef.current) {
       cancelAnimationFrame(animationRef.current);
       animationRef.current = null;
@@ -471,14 +518,21 @@ const ARVirtualTryOn = ({
       handPoseDetectorRef.current = null;
     }
     
+    latestDetectionRef.current = null;
+    resetTrackingFilters();
+    danglePhysicsRef.current?.reset();
     setIsTracking(false);
-    console.log('Tracking stopped');
   };
   
+  const resetTrackingFilters = () => {
+    Object.values(trackingFiltersRef.current).forEach(filter => filter.reset());
+  };
+  
+  lifecycleRef.current = { initializeDetection, startWebcam, stopWebcam, stopTracking, handleResize };
+  
   // Process a single video frame
   const processFrame = async () => {
-    if (!videoRef.current || !canvasRef.current || !selectedItem) {
-      // console.log('Missing refs or selected item, skipping frame processing');
+    if (!videoRef.current || !canvasRef.current || lookRef.current.isEmpty()) {
       animationRef.current = requestAnimationFrame(processFrame);
       return;
     }
@@ -496,41 +550,38 @@ const ARVirtualTryOn = ({
     if (elapsed >= 1000) {
       // Update FPS once per second
       const newFramerate = Math.round((fpsCounterRef.current.frames * 1000) / elapsed);
-      // console.log('Updated framerate:', newFramerate);
       setFramerate(newFramerate);
       fpsCounterRef.current.frames = 0;
       fpsCounterRef.current.lastTime = now;
-    }
-    
-    // Adaptive quality control
-    if (adaptiveQuality && framerate > 0) {
-      if (framerate < 15 && quality !== 'low') {
-        console.log('Low framerate detected, switching to low quality');
-        setQuality('low');
-      } else if (framerate > 25 && quality === 'low') {
-        console.log('Framerate improved, switching to medium quality');
-        setQuality('medium');
-      } else if (framerate > 45 && quality === 'medium') {
-        console.log('High framerate detected, switching to high quality');
-        setQuality('high');
+      
+      // Adaptive quality control, on the framerate just measured
+      const currentQuality = qualityRef.current;
+      if (adaptiveQualityRef.current && newFramerate > 0) {
+        if (newFramerate < 15 && currentQuality !== 'low') {
+          setQuality('low');
+        } else if (newFramerate > 25 && currentQuality === 'low') {
+          setQuality('medium');
+        } else if (newFramerate > 45 && currentQuality === 'medium') {
+          setQuality('high');
+        }
       }
     }
     
     // Frame skipping for performance
-    const frameCount = framesProcessed + 1;
-    setFramesProcessed(frameCount);
+    frameCountRef.current++;
+    const frameCount = frameCountRef.current;
     
     const shouldProcessThisFrame = frameCount % (frameSkipRef.current + 1) === 0;
-    // console.log('Processing frame:', frameCount, 'Should process:', shouldProcessThisFrame);
     
     // Always draw the video frame
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
     // Apply zoom if needed
-    if (zoomLevel !== 1.0) {
+    const zoom = zoomLevelRef.current;
+    if (zoom !== 1.0) {
       const centerX = canvas.width / 2;
       const centerY = canvas.height / 2;
-      const scale = zoomLevel;
+      const scale = zoom;
       
       ctx.save();
       ctx.translate(centerX, centerY);
@@ -542,92 +593,195 @@ const ARVirtualTryOn = ({
       ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
     }
     
-    // Skip detection and processing if needed for performance
+    // Start detection without waiting for it; frames keep drawing meanwhile
     if (shouldProcessThisFrame && !processingRef.current) {
       processingRef.current = true;
+      detectFrame(video, now, frameCount).finally(() => {
+        processingRef.current = false;
+      });
+    }
+    
+    // Draw the AR content for the most recent detections, predicted forward
+    // when frames are being skipped so the jewelry keeps up with movement
+    const detections = frameSkipRef.current > 0
+      ? Object.fromEntries(Object.entries(trackingFiltersRef.current)
+        .map(([target, filter]) => [target, filter.predict(now)]))
+      : latestDetectionRef.current;
+    
+    if (detections) {
+      await drawARContent(ctx, detections, now);
+    }
+    
+    // Request next frame
+    animationRef.current = requestAnimationFrame(processFrame);
+  };
+  
+  // Run detection on a video frame and keep the result for drawing
+  // (only one runs at a time, which paces detection instead of the detector's
+  // own throttle; a throttled null would be mistaken for losing tracking)
+  const detectFrame = async (video, now, frameCount) => {
+    try {
+      // Face and hands are detected side by side when the look needs both
+      const targets = trackingTargetsRef.current;
+      const results = await Promise.all(targets.map(target => detectTarget(target, video)));
       
-      try {
-        let detectionResult = null;
-        const detectionStart = performance.now();
-        
-        // Perform detection based on tracking type
-        if (trackingType === 'face' && faceLandmarkDetectorRef.current) {
-          console.log('Attempting face detection on video frame');
-          detectionResult = await faceLandmarkDetectorRef.current.detect(video);
-          
-          // FOR TESTING: If regular detection fails, try mock data
-          if (!detectionResult && faceLandmarkDetectorRef.current.mockDetect) {
-            console.log('Using mock face detection data for testing');
-            detectionResult = faceLandmarkDetectorRef.current.mockDetect();
-          }
-        } else if (trackingType === 'hand' && handPoseDetectorRef.current) {
-          console.log('Attempting hand detection on video frame');
-          detectionResult = await handPoseDetectorRef.current.detect(video);
-        }
-        
-        const detectionEnd = performance.now();
-        console.log('Detection result:', detectionResult ? 'Success' : 'No detection', 
-                    'Time:', (detectionEnd - detectionStart).toFixed(2), 'ms');
-        
-        // Record detection performance
-        systemTelemetry.recordModelPerformance(trackingType === 'face' ? 'faceDetection' : 'handPose', {
-          event: 'inference',
-          duration: detectionEnd - detectionStart,
-          success: !!detectionResult
-        });
-        
-        // Update tracking status
-        setIsTracking(!!detectionResult);
-        
-        // Update detection quality metric (0-1 scale)
-        if (detectionResult) {
-          if (Array.isArray(detectionResult)) {
-            const confidence = detectionResult[0]?.confidence || 0;
-            setDetectionQuality(confidence);
-          } else {
-            setDetectionQuality(0.8); // Default good value if not provided
-          }
-          
-          // Draw the AR content on canvas based on detection
-          await drawARContent(ctx, detectionResult);
-          
-          // Record last processed frame timestamp
-          setLastProcessedFrame(now);
-        } else {
-          setDetectionQuality(0);
-        }
-      } catch (err) {
-        console.error('Error processing frame:', err);
-        
-        // Record error in telemetry
-        systemTelemetry.recordError('frameProcessing', err.message, {
-          timestamp: now,
-          frameNumber: frameCount,
-          severity: 'medium'
-        });
+      // Update tracking status (tracking means everything the look needs was found)
+      const allFound = results.length > 0 && results.every(Boolean);
+      setIsTracking(allFound);
+      
+      if (measuringRef.current) {
+        measureRingSize(targets, results);
+        measureWristSize(targets, results, video);
+      }
+      
+      if (targets.includes('hand')) {
+        updateMissingHands(results[targets.indexOf('hand')]);
       }
       
-      processingRef.current = false;
+      // Frames drawn from now on use the smoothed results (reset when tracking is lost)
+      latestDetectionRef.current = Object.fromEntries(targets.map((target, index) => {
+        const filter = trackingFiltersRef.current[target];
+        return [target, filter ? filter.update(results[index], now) : results[index]];
+      }));
+    } catch (err) {
+      console.error('Error processing frame:', err);
+      
+      // Record error in telemetry
+      systemTelemetry.recordError('frameProcessing', err.message, {
+        timestamp: now,
+        frameNumber: frameCount,
+        severity: 'medium'
+      });
     }
+  };
+  
+  // Note which of the hands the look's pieces are worn on are out of view,
+  // so the user can be asked to show them
+  const updateMissingHands = (hands) => {
+    const visible = (hands || []).map(hand => hand.handedness.toLowerCase());
+    const missing = lookRef.current.handsNeeded().filter(hand => !visible.includes(hand));
     
-    // Request next frame
-    animationRef.current = requestAnimationFrame(processFrame);
+    // Only update state when it changes, not on every frame
+    if (missing.join() !== missingHandsRef.current) {
+      missingHandsRef.current = missing.join();
+      setMissingHands(missing);
+    }
+  };
+  
+  // Add a frame to the ring size measurement, scaled by the iris of a face
+  // the hand is held up beside
+  const measureRingSize = (targets, results) => {
+    const face = results[targets.indexOf('face')]?.[0];
+    const hands = results[targets.indexOf('hand')];
+    const sizer = ringSizerRef.current;
+    if (!face || !hands || !sizer) return;
+    
+    const ring = lookRef.current.items.find(item => item.type === 'ring');
+    const hand = findHand(hands, handOf(ring));
+    if (!hand) return;
+    
+    const calibration = calibrateFromIris(face.landmarks);
+    if (!sizer.addSample(hand, calibration)) return;
+    
+    const finger = fingerOf(ring);
+    const estimate = sizer.estimate(RING_FINGERS[finger] ? finger : 'ring');
+    if (!estimate) return;
+    
+    setRingSize(estimate);
+    
+    // Only pass it on when the sizes change, not on every frame
+    const reported = JSON.stringify([estimate.sizes, estimate.sizeRanges]);
+    if (reported !== reportedRingSizeRef.current) {
+      reportedRingSizeRef.current = reported;
+      onMeasureRef.current?.({ ringSize: estimate });
+    }
+  };
+  
+  // Add a frame to the wrist measurement; its edges are found in the video
+  // frame itself, so the frame is copied out at the landmarks' resolution
+  const measureWristSize = (targets, results, video) => {
+    const face = results[targets.indexOf('face')]?.[0];
+    const hands = results[targets.indexOf('hand')];
+    const sizer = wristSizerRef.current;
+    if (!face || !hands || !sizer || !video.videoWidth) return;
+    
+    const wristwear = lookRef.current.items.find(item => WRISTWEAR_TYPES.includes(item.type));
+    const hand = findHand(hands, handOf(wristwear));
+    if (!hand) return;
+    
+    if (!frameCanvasRef.current) {
+      frameCanvasRef.current = document.createElement('canvas');
+    }
+    const frameCanvas = frameCanvasRef.current;
+    frameCanvas.width = video.videoWidth;
+    frameCanvas.height = video.videoHeight;
+    const frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    frameCtx.drawImage(video, 0, 0);
+    const imageData = frameCtx.getImageData(0, 0, frameCanvas.width, frameCanvas.height);
+    
+    const calibration = calibrateFromIris(face.landmarks);
+    if (!sizer.addSample(hand, calibration, imageData)) return;
+    
+    const estimate = sizer.estimate();
+    if (!estimate) return;
+    
+    setWristSize(estimate);
+    
+    // Only pass it on when the suggestions change, not on every frame
+    const reported = JSON.stringify([
+      Math.round(estimate.circumferenceMm),
+      estimate.suggestions.bangleSize,
+      estimate.rotationCoverage
+    ]);
+    if (reported !== reportedWristSizeRef.current) {
+      reportedWristSizeRef.current = reported;
+      onMeasureRef.current?.({ wristSize: estimate });
+    }
   };
   
-  // Draw AR content on canvas based on detection results
-  const drawARContent = async (ctx, detectionResult) => {
-    if (!ctx || !detectionResult || !selectedItem) return;
+  // Run one detector on a video frame and record how long it took
+  const detectTarget = async (target, video) => {
+    const detectionStart = performance.now();
+    let detectionResult = null;
+    
+    if (target === 'face' && faceLandmarkDetectorRef.current) {
+      detectionResult = await faceLandmarkDetectorRef.current.detect(video, { throttle: false });
+    } else if (target === 'hand' && handPoseDetectorRef.current) {
+      // Camera frames aren't mirrored, whichever way the camera faces
+      detectionResult = await handPoseDetectorRef.current.detect(video, { throttle: false, mirrored: false });
+    }
+    
+    const detectionEnd = performance.now();
+    
+    // Record detection performance
+    systemTelemetry.recordModelPerformance(target === 'face' ? 'faceDetection' : 'handPose', {
+      event: 'inference',
+      duration: detectionEnd - detectionStart,
+      success: !!detectionResult
+    });
+    
+    return detectionResult;
+  };
+  
+  // Draw every item in the look, back to front, on the detections for its target
+  const drawARContent = async (ctx, detections, now = performance.now()) => {
+    const currentLook = lookRef.current;
+    if (!ctx || !detections || currentLook.isEmpty()) return;
     
     try {
       const renderStart = performance.now();
       
       // Apply the item specific rendering based on type
-      if (trackingType === 'face') {
-        console.log('Drawing face-based jewelry');
-        await drawFaceItem(ctx, detectionResult, selectedItem);
-      } else if (trackingType === 'hand') {
-        console.log('Drawing hand-based jewelry');
-        await drawHandItem(ctx, detectionResult, selectedItem);
+      for (const item of currentLook.items) {
+        const target = detectionTargetFor(item);
+        const detectionResult = detections[target];
+        if (!detectionResult) continue;
+        
+        if (target === 'face') {
+          await drawFaceItem(ctx, detectionResult, item, now);
+        } else if (target === 'hand') {
+          await drawHandItem(ctx, detectionResult, item);
+        }
       }
       
       const renderEnd = performance.now();
@@ -639,81 +793,72 @@ const ARVirtualTryOn = ({
       
       // Record error in telemetry
       systemTelemetry.recordError('arRendering', err.message, {
-        itemType: selectedItem.type,
+        itemTypes: currentLook.items.map(item => item.type),
         severity: 'medium'
       });
     }
   };
   
-  // Draw face-based jewelry (earrings, necklaces)
-  const drawFaceItem = async (ctx, faceDetections, item) => {
+  // Draw face-based jewelry (earrings, necklaces, glasses, nose pins, maang tikka)
+  const drawFaceItem = async (ctx, faceDetections, item, now = performance.now()) => {
     if (!faceDetections || faceDetections.length === 0) return;
     
+    const adjustments = itemAdjustmentsRef.current;
+    
     // Get the first detected face
     const face = faceDetections[0];
     const keypoints = face.keypoints || {};
     
-    console.log('Drawing face item of type:', item.type);
-    console.log('Face detection keypoints:', keypoints);
-    
     // Apply different drawing logic based on item type
     switch (item.type) {
       case 'earring':
         if (keypoints.leftEar && keypoints.rightEar) {
-          console.log('Drawing earrings at left ear:', keypoints.leftEar, 'and right ear:', keypoints.rightEar);
           // Draw left earring
           if (item.leftImageUrl) {
-            await drawImage(
-              ctx, 
-              item.leftImageUrl,
-              keypoints.leftEar.x,
-              keypoints.leftEar.y,
-              item.sizeAdjustment * itemAdjustments.scale,
-              itemAdjustments.rotation,
-              itemAdjustments.xOffset,
-              itemAdjustments.yOffset
-            );
+            await drawEarring(ctx, item, item.leftImageUrl, keypoints.leftEar, 'left', face, now);
           }
           
           // Draw right earring
           if (item.rightImageUrl) {
-            await drawImage(
-              ctx, 
-              item.rightImageUrl,
-              keypoints.rightEar.x,
-              keypoints.rightEar.y,
-              item.sizeAdjustment * itemAdjustments.scale,
-              itemAdjustments.rotation,
-              itemAdjustments.xOffset,
-              itemAdjustments.yOffset
-            );
+            await drawEarring(ctx, item, item.rightImageUrl, keypoints.rightEar, 'right', face, now);
           }
-        } else {
-          console.log('Missing ear keypoints for earring placement');
         }
         break;
         
       case 'necklace':
-        if (keypoints.neckBase) {
-          console.log('Drawing necklace at neck base:', keypoints.neckBase);
+        if (keypoints.chainDrape) {
+          // Draw the chain resting on the collarbones
+          drawChain(ctx, keypoints.chainDrape, keypoints.neckBase, item.sizeAdjustment * adjustments.scale);
+        } else if (keypoints.neckBase) {
           // Draw necklace
           if (item.imageUrl) {
             await drawImage(
               ctx, 
+              item.type,
               item.imageUrl,
               keypoints.neckBase.x,
               keypoints.neckBase.y,
-              item.sizeAdjustment * itemAdjustments.scale,
-              itemAdjustments.rotation,
-              itemAdjustments.xOffset,
-              itemAdjustments.yOffset
+              item.sizeAdjustment * adjustments.scale,
+              adjustments.rotation,
+              adjustments.xOffset,
+              adjustments.yOffset
             );
           }
-        } else {
-          console.log('Missing neck keypoint for necklace placement');
         }
         break;
         
+      case 'glasses':
+      case 'nose-pin':
+      case 'maang-tikka': {
+        const anchor = getFaceAnchor(keypoints, item);
+        if (anchor) {
+          if (item.imageUrl) {
+            await drawAnchoredItem(ctx, item, anchor, face, now);
+          }
+        }
+        break;
+      }
+        
       default:
         console.warn(`Unsupported face item type: ${item.type}`);
     }
@@ -723,108 +868,84 @@ const ARVirtualTryOn = ({
   const drawHandItem = async (ctx, handDetections, item) => {
     if (!handDetections || handDetections.length === 0) return;
     
-    // Determine which hand to use based on item preference
-    let targetHand = null;
-    if (item.preferredHand === 'left') {
-      targetHand = handDetections.find(hand => hand.handedness === 'Left');
-      if (!targetHand && handDetections.length > 0) {
-        targetHand = handDetections[0]; // Fallback to any hand
-      }
-    } else {
-      targetHand = handDetections.find(hand => hand.handedness === 'Right');
-      if (!targetHand && handDetections.length > 0) {
-        targetHand = handDetections[0]; // Fallback to any hand
-      }
-    }
+    const adjustments = itemAdjustmentsRef.current;
+    
+    // Only on the hand the item is worn on (the user is asked to show it)
+    const targetHand = findHand(handDetections, handOf(item));
     
     if (!targetHand) {
-      console.log('No suitable hand detected for item placement');
       return;
     }
     
     const keypoints = targetHand.keypoints || {};
-    console.log('Drawing hand item of type:', item.type);
-    console.log('Hand detection keypoints:', keypoints);
     
     // Apply different drawing logic based on item type
     switch (item.type) {
-      case 'ring':
-        const fingerIndex = item.fingerIndex || 3; // Default to ring finger (index 3)
-        const fingerBase = keypoints[`${fingerIndex}_mcp`];
-        const fingerMiddle = keypoints[`${fingerIndex}_pip`];
+      case 'ring': {
+        // On its finger and position along it, from the pixel landmarks
+        const placement = ringPlacement(targetHand.imageLandmarks, fingerOf(item), ringPositionOf(item));
         
-        if (fingerBase && fingerMiddle) {
-          // Calculate position between joints for ring placement
-          const ringX = fingerBase.x * 0.3 + fingerMiddle.x * 0.7;
-          const ringY = fingerBase.y * 0.3 + fingerMiddle.y * 0.7;
-          
-          // Calculate rotation angle based on finger orientation
-          const angle = Math.atan2(
-            fingerMiddle.y - fingerBase.y,
-            fingerMiddle.x - fingerBase.x
-          ) * (180 / Math.PI);
-          
-          console.log('Drawing ring at position:', ringX, ringY, 'with angle:', angle);
+        if (placement) {
+          // drawImage sizes shapes by a tenth of the canvas, so scale the
+          // finger's width to that
+          const fingerScale = placement.width * (item.sizeAdjustment || 1.2) /
+            (Math.min(ctx.canvas.width, ctx.canvas.height) * 0.1);
           
           // Draw ring
           if (item.imageUrl) {
             await drawImage(
               ctx, 
+              item.type,
               item.imageUrl,
-              ringX,
-              ringY,
-              item.sizeAdjustment * itemAdjustments.scale,
-              angle + itemAdjustments.rotation,
-              itemAdjustments.xOffset,
-              itemAdjustments.yOffset
+              placement.x,
+              placement.y,
+              fingerScale * adjustments.scale,
+              placement.angle + adjustments.rotation,
+              adjustments.xOffset,
+              adjustments.yOffset
             );
           }
-        } else {
-          console.log('Missing finger keypoints for ring placement');
         }
         break;
+      }
         
       case 'bracelet':
         const wrist = keypoints.wrist;
         if (wrist) {
-          console.log('Drawing bracelet at wrist:', wrist);
           // Draw bracelet at wrist
           if (item.imageUrl) {
             await drawImage(
               ctx, 
+              item.type,
               item.imageUrl,
               wrist.x,
               wrist.y,
-              item.sizeAdjustment * itemAdjustments.scale,
-              targetHand.orientation?.angles.roll + itemAdjustments.rotation || itemAdjustments.rotation,
-              itemAdjustments.xOffset,
-              itemAdjustments.yOffset
+              item.sizeAdjustment * adjustments.scale,
+              targetHand.orientation?.angles.roll + adjustments.rotation || adjustments.rotation,
+              adjustments.xOffset,
+              adjustments.yOffset
             );
           }
-        } else {
-          console.log('Missing wrist keypoint for bracelet placement');
         }
         break;
         
       case 'watch':
         const watchPoint = keypoints.wrist;
         if (watchPoint) {
-          console.log('Drawing watch at wrist:', watchPoint);
           // Draw watch at wrist with slight offset
           if (item.imageUrl) {
             await drawImage(
               ctx, 
+              item.type,
               item.imageUrl,
               watchPoint.x,
               watchPoint.y,
-              item.sizeAdjustment * itemAdjustments.scale,
-              targetHand.orientation?.angles.roll + itemAdjustments.rotation || itemAdjustments.rotation,
-              itemAdjustments.xOffset,
-              itemAdjustments.yOffset
+              item.sizeAdjustment * adjustments.scale,
+              targetHand.orientation?.angles.roll + adjustments.rotation || adjustments.rotation,
+              adjustments.xOffset,
+              adjustments.yOffset
             );
           }
-        } else {
-          console.log('Missing wrist keypoint for watch placement');
         }
         break;
         
@@ -833,8 +954,147 @@ const ARVirtualTryOn = ({
     }
   };
   
+  // Draw one earring, faded and clipped by the face as that ear turns away,
+  // and swinging from the lobe if it dangles
+  const drawEarring = async (ctx, item, imageUrl, ear, side, face, now) => {
+    const adjustments = itemAdjustmentsRef.current;
+    const occlusion = face.earVisibility;
+    const visibility = occlusion ? occlusion[side] : 1;
+    if (visibility < MIN_EARRING_VISIBILITY) return;
+    
+    ctx.save();
+    ctx.globalAlpha *= visibility;
+    
+    // Hide whatever has passed behind the cheek and jaw line
+    if (occlusion?.farSide === side && visibility < 1 && face.landmarks) {
+      clipOutsideFace(ctx, face.landmarks, occlusion.silhouette);
+    }
+    
+    const scale = item.sizeAdjustment * adjustments.scale;
+    let hang = 0;
+    
+    // Hang below the lobe if the earring dangles
+    if (swingAbout(ctx, side, ear, item, face, now)) {
+      hang = Math.min(ctx.canvas.width, ctx.canvas.height) * 0.1 * scale / 2;
+    }
+    
+    await drawImage(
+      ctx, 
+      item.type,
+      imageUrl,
+      ear.x,
+      ear.y,
+      scale,
+      adjustments.rotation,
+      adjustments.xOffset,
+      adjustments.yOffset + hang
+    );
+    
+    ctx.restore();
+  };
+  
+  // Draw glasses, a nose pin or a maang tikka at its face anchor, turned with
+  // the head's roll and sized from the distance between the pupils
+  const drawAnchoredItem = async (ctx, item, anchor, face, now) => {
+    const adjustments = itemAdjustmentsRef.current;
+    const baseSize = Math.min(ctx.canvas.width, ctx.canvas.height) * 0.1;
+    const scale = anchor.size / baseSize * adjustments.scale;
+    let rotation = (face.rotation?.roll ?? anchor.roll) + adjustments.rotation;
+    let hang = 0;
+    
+    ctx.save();
+    
+    // Hanging pieces drop from their hook under gravity, swinging if they dangle
+    if (anchor.hang) {
+      swingAbout(ctx, item.type, anchor.point, item, face, now);
+      rotation = adjustments.rotation;
+      hang = baseSize * scale / 2;
+    }
+    
+    await drawImage(
+      ctx,
+      item.type,
+      item.imageUrl,
+      anchor.point.x,
+      anchor.point.y,
+      scale,
+      rotation,
+      adjustments.xOffset,
+      adjustments.yOffset + hang
+    );
+    
+    ctx.restore();
+  };
+  
+  // Turn the canvas about a pivot by the dangle physics swing for a dangling
+  // item (positive swing moves the hanging end towards image right)
+  const swingAbout = (ctx, key, pivot, item, face, now) => {
+    const adjustments = itemAdjustmentsRef.current;
+    const dangle = getDangleParams(item);
+    if (!dangle || !danglePhysicsRef.current) return false;
+    
+    const { leftEar, rightEar } = face.keypoints;
+    const swing = danglePhysicsRef.current.update(key, pivot, now, {
+      ...dangle,
+      mmPerUnit: leftEar && rightEar ? mmPerUnitFromEars(leftEar, rightEar, face.rotation?.yaw) : 0
+    });
+    
+    const pivotX = pivot.x + adjustments.xOffset;
+    const pivotY = pivot.y + adjustments.yOffset;
+    ctx.translate(pivotX, pivotY);
+    ctx.rotate(-swing * Math.PI / 180);
+    ctx.translate(-pivotX, -pivotY);
+    return true;
+  };
+  
+  // Restrict drawing to outside the face silhouette (landmark indices in order)
+  const clipOutsideFace = (ctx, landmarks, silhouette) => {
+    const outline = (silhouette || []).map(index => landmarks[index]).filter(Boolean);
+    if (outline.length < 3) return;
+    
+    ctx.beginPath();
+    ctx.rect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    outline.forEach((point, index) => {
+      if (index === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    });
+    ctx.closePath();
+    ctx.clip('evenodd');
+  };
+  
+  // Draw a necklace chain along the drape curve, scaled about the neck base
+  const drawChain = (ctx, drapeCurve, neckBase, scale = 1.0) => {
+    const adjustments = itemAdjustmentsRef.current;
+    const size = Math.min(ctx.canvas.width, ctx.canvas.height) * 0.1 * scale;
+    
+    ctx.save();
+    ctx.translate(neckBase.x + adjustments.xOffset, neckBase.y + adjustments.yOffset);
+    ctx.rotate(adjustments.rotation * Math.PI / 180);
+    ctx.scale(scale, scale);
+    
+    ctx.beginPath();
+    drapeCurve.forEach((point, index) => {
+      const x = point.x - neckBase.x;
+      const y = point.y - neckBase.y;
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.strokeStyle = 'rgba(192, 192, 192, 0.7)'; // Silver color
+    ctx.lineWidth = size / (5 * scale);
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+    
+    ctx.restore();
+  };
+  
   // Draw an image on canvas with given position, scale, and rotation
-  const drawImage = async (ctx, imageUrl, x, y, scale = 1.0, rotation = 0, xOffset = 0, yOffset = 0) => {
+  const drawImage = async (ctx, itemType, imageUrl, x, y, scale = 1.0, rotation = 0, xOffset = 0, yOffset = 0) => {
     // Instead of loading an image, draw a colored shape to represent the jewelry
     const size = Math.min(ctx.canvas.width, ctx.canvas.height) * 0.1 * scale;
     
@@ -843,7 +1103,7 @@ const ARVirtualTryOn = ({
     ctx.rotate(rotation * Math.PI / 180);
     
     // Draw different shapes based on item type
-    if (selectedItem.type === 'earring') {
+    if (itemType === 'earring') {
       // Draw a circle for earrings
       ctx.beginPath();
       ctx.arc(0, 0, size/2, 0, 2 * Math.PI, false);
@@ -852,14 +1112,43 @@ const ARVirtualTryOn = ({
       ctx.lineWidth = 2;
       ctx.strokeStyle = '#000';
       ctx.stroke();
-    } else if (selectedItem.type === 'necklace') {
+    } else if (itemType === 'necklace') {
       // Draw a semi-circle for necklaces
       ctx.beginPath();
       ctx.arc(0, 0, size, Math.PI, 2 * Math.PI, false);
       ctx.strokeStyle = 'rgba(192, 192, 192, 0.7)'; // Silver color
       ctx.lineWidth = size / 5;
       ctx.stroke();
-    } else if (selectedItem.type === 'ring') {
+    } else if (itemType === 'glasses') {
+      // Draw two lenses joined by a bridge
+      ctx.beginPath();
+      ctx.arc(-size / 4, 0, size / 5, 0, 2 * Math.PI, false);
+      ctx.moveTo(size / 4 + size / 5, 0);
+      ctx.arc(size / 4, 0, size / 5, 0, 2 * Math.PI, false);
+      ctx.moveTo(-size / 20, 0);
+      ctx.lineTo(size / 20, 0);
+      ctx.strokeStyle = 'rgba(40, 40, 40, 0.8)';
+      ctx.lineWidth = Math.max(size / 40, 2);
+      ctx.stroke();
+    } else if (itemType === 'nose-pin') {
+      // Draw a small stud
+      ctx.beginPath();
+      ctx.arc(0, 0, size / 2, 0, 2 * Math.PI, false);
+      ctx.fillStyle = 'rgba(255, 215, 0, 0.9)'; // Gold color
+      ctx.fill();
+    } else if (itemType === 'maang-tikka') {
+      // Draw a chain from the hairline down to a pendant
+      ctx.beginPath();
+      ctx.moveTo(0, -size / 2);
+      ctx.lineTo(0, 0);
+      ctx.strokeStyle = 'rgba(255, 215, 0, 0.9)';
+      ctx.lineWidth = Math.max(size / 30, 1);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(0, size / 5, size / 4, 0, 2 * Math.PI, false);
+      ctx.fillStyle = 'rgba(255, 215, 0, 0.7)'; // Gold color
+      ctx.fill();
+    } else if (itemType === 'ring') {
       // Draw a ring shape
       ctx.beginPath();
       ctx.arc(0, 0, size/2, 0, 2 * Math.PI, false);
@@ -869,13 +1158,13 @@ const ARVirtualTryOn = ({
       ctx.arc(0, 0, size/3, 0, 2 * Math.PI, false);
       ctx.fillStyle = '#000'; // Black hole
       ctx.fill();
-    } else if (selectedItem.type === 'bracelet' || selectedItem.type === 'watch') {
+    } else if (itemType === 'bracelet' || itemType === 'watch') {
       // Draw a rectangle with rounded corners for watches/bracelets
       const rectWidth = size * 1.5;
       const rectHeight = size * 0.8;
       ctx.beginPath();
       ctx.roundRect(-rectWidth/2, -rectHeight/2, rectWidth, rectHeight, size/4);
-      ctx.fillStyle = selectedItem.type === 'watch' ? 'rgba(50, 50, 50, 0.8)' : 'rgba(255, 215, 0, 0.7)';
+      ctx.fillStyle = itemType === 'watch' ? 'rgba(50, 50, 50, 0.8)' : 'rgba(255, 215, 0, 0.7)';
       ctx.fill();
       ctx.strokeStyle = '#fff';
       ctx.lineWidth = 2;
@@ -892,7 +1181,7 @@ const ARVirtualTryOn = ({
     ctx.fillStyle = '#fff';
     ctx.font = `${size/4}px Arial`;
     ctx.textAlign = 'center';
-    ctx.fillText(selectedItem.type, 0, size/2 + size/3);
+    ctx.fillText(itemType, 0, size/2 + size/3);
     
     ctx.restore();
     
@@ -916,32 +1205,13 @@ const ARVirtualTryOn = ({
   const captureFrame = () => {
     if (!canvasRef.current) return;
     
-    // Start countdown if enabled
-    if (captureCountdown > 0) {
-      let count = captureCountdown;
-      const countdownInterval = setInterval(() => {
-        count--;
-        if (count <= 0) {
-          clearInterval(countdownInterval);
-          performCapture();
-        }
-      }, 1000);
-    } else {
-      performCapture();
-    }
-  };
-  
-  // Perform the actual frame capture
-  const performCapture = () => {
-    if (!canvasRef.current) return;
-    
     const capturedImage = canvasRef.current.toDataURL('image/jpeg');
     
     if (onCapture) {
       onCapture({ 
         type: 'photo', 
         src: capturedImage, 
-        itemType: selectedItem?.type,
+        itemTypes: look.items.map(item => item.type),
         timestamp: new Date().toISOString()
       });
     }
@@ -969,6 +1239,37 @@ const ARVirtualTryOn = ({
     }
   };
   
+  // Tracking guide text for what the camera needs to see
+  const getGuideMessage = () => {
+    if (isTracking && missingHands.length > 0) {
+      return `Show your ${describeHands(missingHands)}`;
+    }
+    if (measuringRingSize) {
+      return 'Hold your hand up beside your face, fingers together';
+    }
+    if (measuringWristSize) {
+      return 'Hold your wrist up beside your face, palm to the camera';
+    }
+    if (trackingTargets.length > 1) {
+      return 'Position your face and hands in the frame';
+    }
+    return trackingTargets[0] === 'face' 
+      ? 'Position your face in the frame' 
+      : 'Show your hands in the frame';
+  };
+  
+  // Wrist measurement so far, prompting for the side view its depth needs
+  const getWristSizeLabel = () => {
+    if (!wristSize) {
+      return 'Measuring wrist...';
+    }
+    const around = `Wrist: ${wristSize.circumferenceMm.toFixed(0)} mm`;
+    if (!wristSize.rotationCoverage.edgeOn) {
+      return `${around}, now turn your wrist side on`;
+    }
+    return `${around} (${wristSize.interval.lowMm.toFixed(0)} to ${wristSize.interval.highMm.toFixed(0)})`;
+  };
+  
   // Show loading screen while models initialize
   if (loadingModels) {
     return (
@@ -1045,21 +1346,20 @@ const ARVirtualTryOn = ({
             <Typography variant="caption" component="div">
               Camera: {streaming ? 'Active' : 'Inactive'}<br/>
               Tracking: {isTracking ? 'Detected' : 'Not detected'}<br/>
-              Mode: {trackingType === 'face' ? 'Face tracking' : 'Hand tracking'}<br/>
+              Mode: {describeTracking(trackingTargets)}<br/>
               FPS: {framerate}<br/>
-              Item: {selectedItem?.type || 'None'}
+              Items: {look.items.map(item => item.type).join(', ') || 'None'}
             </Typography>
           </Box>
           
           {/* Tracking guide overlay */}
-          {streaming && showGuide && !isTracking && (
+          {streaming && (!isTracking || missingHands.length > 0) && (
             <Box className="tracking-guide">
               <Typography variant="body1">
-                {trackingType === 'face' 
-                  ? 'Position your face in the frame' 
-                  : 'Show your hands in the frame'}
+                {getGuideMessage()}
               </Typography>
-              {trackingType === 'face' ? <FaceIcon /> : <HandIcon />}
+              {trackingTargets.includes('face') && <FaceIcon />}
+              {trackingTargets.includes('hand') && <HandIcon />}
             </Box>
           )}
           
@@ -1080,6 +1380,39 @@ const ARVirtualTryOn = ({
               variant="outlined"
               sx={{ ml: 1 }}
             />
+            
+            {measuringRingSize && (
+              <Chip 
+                size="small" 
+                label={ringSize
+                  ? `Ring size: US ${ringSize.sizes.us || '?'} (${ringSize.sizeRanges.us[0] || '?'} to ${ringSize.sizeRanges.us[1] || '?'})`
+                  : 'Measuring ring size...'}
+                color="primary"
+                variant="outlined"
+                sx={{ ml: 1 }}
+              />
+            )}
+            
+            {measuringWristSize && (
+              <Chip 
+                size="small" 
+                label={getWristSizeLabel()}
+                color="primary"
+                variant="outlined"
+                sx={{ ml: 1 }}
+              />
+            )}
+            
+            {measuringWristSize && wristSize && wristFits.map(fit => (
+              <Chip 
+                key={fit.itemId}
+                size="small" 
+                label={fit.message}
+                color={FIT_COLORS[fit.status]}
+                variant="outlined"
+                sx={{ ml: 1 }}
+              />
+            ))}
           </Box>
         </Box>
         
@@ -1205,6 +1538,42 @@ const ARVirtualTryOn = ({
                     />
                   </Box>
                   
+                  {/* Ring Sizing */}
+                  {ringItem && (
+                    <Box className="settings-control">
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            checked={measuringRingSize}
+                            onChange={(e) => setMeasuringRingSize(e.target.checked)}
+                          />
+                        }
+                        label="Measure ring size"
+                      />
+                      <Typography variant="caption" color="textSecondary">
+                        Hold your hand up beside your face, fingers together
+                      </Typography>
+                    </Box>
+                  )}
+                  
+                  {/* Wrist Sizing */}
+                  {wristItems.length > 0 && (
+                    <Box className="settings-control">
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            checked={measuringWristSize}
+                            onChange={(e) => setMeasuringWristSize(e.target.checked)}
+                          />
+                        }
+                        label="Measure wrist size"
+                      />
+                      <Typography variant="caption" color="textSecondary">
+                        Hold your wrist up beside your face, then turn it slowly until its side faces the camera
+                      </Typography>
+                    </Box>
+                  )}
+                  
                   {/* Quality Settings */}
                   <Box className="settings-control">
                     <FormControl fullWidth size="small">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   Box, 
   Typography, 
@@ -11,9 +11,10 @@ import {
   Divider,
   Avatar
 } from '@mui/material';
-import { Send as SendIcon, Refresh as RefreshIcon, Close as CloseIcon } from '@mui/icons-material';
+import { Send as SendIcon, Refresh as RefreshIcon, Close as CloseIcon, Style as StyleIcon, Straighten as SizeIcon } from '@mui/icons-material';
 import claudeService from '../utils/ClaudeService';
 import ClaudeErrorBoundary from './ClaudeErrorBoundary';
+import StyleAdviceCards from './StyleAdviceCards';
 import './ClaudeAssistant.css';
 
 /**
@@ -21,25 +22,40 @@ import './ClaudeAssistant.css';
  * 
  * A conversational interface powered by Claude AI that provides
  * style advice, product recommendations, and technical assistance.
+ * Claude is told about the whole look being tried on, not just the item
+ * picked last.
  */
 const ClaudeAssistant = ({
   selectedItem = null,
+  look = null,
   userMeasurements = null,
   tryOnResults = null,
   isMinimized = false,
   onToggleMinimize,
+  onSelectCatalogItem,
   systemContext = {}
 }) => {
   // State for conversation
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [error, setError] = useState(null);
   const [suggestedQuestions, setSuggestedQuestions] = useState([]);
   
   // Reference for auto-scrolling the conversation
   const messagesEndRef = useRef(null);
   
+  // Plain description of the look for the context sent with each request
+  const lookContext = useMemo(() => (look && !look.isEmpty() ? look.toContext() : null), [look]);
+  
+  // Read when the assistant starts, which shouldn't restart as the look changes
+  const lookContextRef = useRef(lookContext);
+  lookContextRef.current = lookContext;
+  
+  // Ring or wrist measured in live AR
+  const hasSizeMeasurement = Boolean(userMeasurements?.ringSize || userMeasurements?.wristSize);
+  
   // Initialize Claude service with system context
   useEffect(() => {
     const initializeAssistant = async () => {
@@ -47,19 +63,27 @@ const ClaudeAssistant = ({
         const claudeContext = {
           ...systemContext,
           selectedItem,
+          look: lookContextRef.current,
           userMeasurements,
           tryOnResults
         };
         
         await claudeService.initialize(claudeContext);
         
+        // Restore the conversation kept on the server (start fresh if unavailable)
+        const session = await claudeService.loadSession().catch(err => {
+          console.error('Error loading Claude session:', err);
+          return { turns: [] };
+        });
+        
         // Add initial welcome message if no messages exist
         if (messages.length === 0) {
           setMessages([
             {
               role: 'assistant',
               content: "Hi there! I'm Claude, your personal styling assistant. How can I help you today? I can provide style advice, recommend jewelry or clothing, or answer questions about your virtual try-on experience."
-            }
+            },
+            ...session.turns.map(({ role, content }) => ({ role, content }))
           ]);
           
           // Generate initial suggested questions
@@ -74,10 +98,11 @@ const ClaudeAssistant = ({
     initializeAssistant();
   }, [systemContext]);
   
-  // Update Claude context when selected item or results change
+  // Update Claude context when the look, selected item or results change
   useEffect(() => {
     claudeService.updateSystemContext({
       selectedItem,
+      look: lookContext,
       userMeasurements,
       tryOnResults
     });
@@ -86,7 +111,7 @@ const ClaudeAssistant = ({
     if (messages.length > 0) {
       generateSuggestedQuestions();
     }
-  }, [selectedItem, userMeasurements, tryOnResults]);
+  }, [selectedItem, lookContext, userMeasurements, tryOnResults]);
   
   // Auto-scroll to bottom when messages change
   useEffect(() => {
@@ -106,38 +131,47 @@ const ClaudeAssistant = ({
     setMessages(prevMessages => [...prevMessages, userMessage]);
     setInputMessage('');
     setIsLoading(true);
+    setIsStreaming(true);
     setError(null);
     
     try {
       // Get context from current state
       const context = {
         selectedItem,
+        look: lookContext,
         userMeasurements,
         tryOnResults,
         ...systemContext
       };
       
-      // Send message to Claude
-      const response = await claudeService.sendMessage(message, {
-        context,
-        includeHistory: true  // Include conversation history for context
-      });
-      
-      // Add Claude's response to conversation
-      const claudeMessage = {
-        role: 'assistant',
-        content: response.response
-      };
+      // Stream Claude's response, rendering partial text as it arrives
+      let started = false;
       
-      setMessages(prevMessages => [...prevMessages, claudeMessage]);
+      // The server keeps the conversation history for this session
+      for await (const chunk of claudeService.streamSessionMessage(message, { context })) {
+        if (!started) {
+          started = true;
+          setIsLoading(false);
+          setMessages(prevMessages => [...prevMessages, { role: 'assistant', content: chunk }]);
+          continue;
+        }
+        
+        // Append to the last (assistant) message
+        setMessages(prevMessages => {
+          const last = prevMessages[prevMessages.length - 1];
+          return [...prevMessages.slice(0, -1), { ...last, content: last.content + chunk }];
+        });
+      }
       
       // Generate new suggested questions
       generateSuggestedQuestions();
     } catch (err) {
+      // Any partial response already shown is kept
       setError('Failed to get response from Claude');
       console.error('Error getting Claude response:', err);
     } finally {
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
   
@@ -158,13 +192,74 @@ const ClaudeAssistant = ({
     }
   };
   
+  // Request structured style advice for the selected item
+  const handleRequestStyleAdvice = async () => {
+    if (!selectedItem) return;
+    
+    setMessages(prevMessages => [
+      ...prevMessages,
+      { role: 'user', content: `Style advice for ${selectedItem.name || selectedItem.type}` }
+    ]);
+    setIsLoading(true);
+    setError(null);
+    
+    try {
+      const advice = await claudeService.getStructuredStyleAdvice(
+        selectedItem,
+        systemContext.userPreferences
+      );
+      
+      setMessages(prevMessages => [
+        ...prevMessages,
+        { role: 'assistant', content: advice.summary, advice }
+      ]);
+    } catch (err) {
+      setError('Failed to get style advice from Claude');
+      console.error('Error getting structured style advice:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Request a size recommendation from the finger or wrist measured in live AR
+  const handleRequestSizeAdvice = async () => {
+    if (!hasSizeMeasurement) return;
+    
+    // The piece in the look that was measured for
+    const sizedItem = look?.items.find(item => (
+      (item.type === 'ring' && userMeasurements.ringSize) ||
+      ((item.type === 'bracelet' || item.type === 'watch') && userMeasurements.wristSize)
+    )) || selectedItem;
+    
+    setMessages(prevMessages => [
+      ...prevMessages,
+      { role: 'user', content: `What size should I get${sizedItem ? ` for the ${sizedItem.name || sizedItem.type}` : ''}?` }
+    ]);
+    setIsLoading(true);
+    setError(null);
+    
+    try {
+      const data = await claudeService.getSizeRecommendation(userMeasurements, sizedItem);
+      
+      setMessages(prevMessages => [
+        ...prevMessages,
+        { role: 'assistant', content: data.response }
+      ]);
+    } catch (err) {
+      setError('Failed to get size advice from Claude');
+      console.error('Error getting size recommendation:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
   // Handle clicking a suggested question
   const handleSuggestedQuestionClick = (question) => {
     handleSendMessage(question);
   };
   
   // Handle clearing the conversation
-  const handleClearConversation = () => {
+  const handleClearConversation = async () => {
     setMessages([
       {
         role: 'assistant',
@@ -173,6 +268,12 @@ const ClaudeAssistant = ({
     ]);
     claudeService.clearConversationHistory();
     generateSuggestedQuestions();
+    
+    try {
+      await claudeService.resetSession();
+    } catch (err) {
+      console.error('Error resetting Claude session:', err);
+    }
   };
   
   // Render message content with basic formatting
@@ -230,6 +331,26 @@ const ClaudeAssistant = ({
           <Avatar alt="Claude" src="/claude-logo.png" className="claude-avatar" />
           <Typography variant="subtitle1">Claude Assistant</Typography>
           <Box sx={{ flexGrow: 1 }} />
+          {selectedItem && (
+            <IconButton
+              size="small"
+              onClick={handleRequestStyleAdvice}
+              disabled={isLoading || isStreaming}
+              title="Get style advice for the selected item"
+            >
+              <StyleIcon fontSize="small" />
+            </IconButton>
+          )}
+          {hasSizeMeasurement && (
+            <IconButton
+              size="small"
+              onClick={handleRequestSizeAdvice}
+              disabled={isLoading || isStreaming}
+              title="Get a size recommendation from your measurements"
+            >
+              <SizeIcon fontSize="small" />
+            </IconButton>
+          )}
           <IconButton size="small" onClick={handleClearConversation}>
             <RefreshIcon fontSize="small" />
           </IconButton>
@@ -247,7 +368,11 @@ const ClaudeAssistant = ({
               key={index} 
               className={`message ${msg.role === 'user' ? 'user-message' : 'claude-message'}`}
             >
-              {renderMessageContent(msg.content)}
+              {msg.advice ? (
+                <StyleAdviceCards advice={msg.advice} onSelectCatalogItem={onSelectCatalogItem} />
+              ) : (
+                renderMessageContent(msg.content)
+              )}
             </Box>
           ))}
           
@@ -309,14 +434,14 @@ const ClaudeAssistant = ({
               }
             }}
             size="small"
-            disabled={isLoading}
+            disabled={isStreaming}
             multiline
             maxRows={3}
           />
           <IconButton 
             color="primary" 
             onClick={() => handleSendMessage()}
-            disabled={isLoading || !inputMessage.trim()}
+            disabled={isStreaming || !inputMessage.trim()}
           >
             <SendIcon />
           </IconButton>
@@ -12,19 +12,36 @@ import {
   InputLabel, 
   Select, 
   MenuItem,
-  Chip
+  Chip,
+  Pagination
 } from '@mui/material';
+import catalogService from '../utils/CatalogService';
+import { assessFit } from '../utils/WristSizing';
 import './JewelrySelector.css';
 
+// Short labels for how a bracelet or watch fits the measured wrist
+const FIT_LABELS = {
+  fits: 'Fits',
+  borderline: 'Check fit',
+  'too-small': 'Too small',
+  'too-large': 'Too large'
+};
+
 /**
  * JewelrySelector Component
  * 
  * Allows users to browse and select jewelry items for virtual try-on.
- * Includes filtering by type, material, and cultural style.
+ * Includes filtering by type, material, gemstone and cultural style, one
+ * page at a time (the catalog API sets the page size).
+ * When given a look, every item in it is shown as selected, and clicking an
+ * item is expected to add it to the look or take it out. Once the wrist has
+ * been measured, bracelets and watches that won't fit are flagged.
  */
 const JewelrySelector = ({ 
   onSelectJewelry, 
   selectedJewelry = null,
+  look = null,
+  wristSize = null,
   culturalStyle = 'western'
 }) => {
   // State for jewelry items and filters
@@ -35,40 +52,77 @@ const JewelrySelector = ({
   // Filter states
   const [jewelryType, setJewelryType] = useState('all');
   const [metalType, setMetalType] = useState('all');
+  const [gemstone, setGemstone] = useState('all');
   const [selectedStyle, setSelectedStyle] = useState(culturalStyle);
   
-  // Fetch jewelry items from API or mock data
+  // Pagination state
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  
+  // Fetch jewelry items from the catalog API whenever filters change
   useEffect(() => {
-    // In a real app, this would be an API call
-    // For now, we'll use mock data
-    setLoading(true);
+    let cancelled = false;
     
-    // Simulating API delay
-    setTimeout(() => {
+    const loadJewelry = async () => {
+      setLoading(true);
+      setError(null);
+      
       try {
-        const mockJewelryData = getMockJewelryData();
-        setJewelryItems(mockJewelryData);
-        setLoading(false);
+        const result = await catalogService.listItems(
+          {
+            type: jewelryType,
+            metalType,
+            gemstone,
+            culturalStyle: selectedStyle
+          },
+          { page }
+        );
+        
+        if (!cancelled) {
+          setJewelryItems(result.items);
+          setTotalPages(Math.max(result.totalPages, 1));
+        }
       } catch (err) {
-        setError('Failed to load jewelry items');
-        setLoading(false);
+        console.error('Error loading jewelry catalog:', err);
+        if (!cancelled) {
+          setError('Failed to load jewelry items');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
       }
-    }, 500);
-  }, [selectedStyle]);
+    };
+    
+    loadJewelry();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [jewelryType, metalType, gemstone, selectedStyle, page]);
   
   // Handle jewelry type filter change
   const handleTypeChange = (event, newValue) => {
     setJewelryType(newValue);
+    setPage(1);
   };
   
   // Handle metal type filter change
   const handleMetalChange = (event) => {
     setMetalType(event.target.value);
+    setPage(1);
+  };
+  
+  // Handle gemstone filter change
+  const handleGemstoneChange = (event) => {
+    setGemstone(event.target.value);
+    setPage(1);
   };
   
   // Handle cultural style change
   const handleStyleChange = (event) => {
     setSelectedStyle(event.target.value);
+    setPage(1);
   };
   
   // Handle jewelry item selection
@@ -78,14 +132,27 @@ const JewelrySelector = ({
     }
   };
   
-  // Filter jewelry items based on current filters
-  const filteredJewelryItems = jewelryItems.filter(item => {
+  // Items are already filtered by the catalog API
+  const filteredJewelryItems = jewelryItems;
+  
+  const isSelected = (item) => (look ? look.has(item.id) : selectedJewelry?.id === item.id);
+  
+  // Fit against the measured wrist, for items with a size listed
+  const renderFitChip = (item) => {
+    if (!wristSize) return null;
+    
+    const fit = assessFit(item, wristSize);
+    if (fit.status === 'unknown') return null;
+    
     return (
-      (jewelryType === 'all' || item.type === jewelryType) &&
-      (metalType === 'all' || item.metalType === metalType) &&
-      (item.culturalStyle === selectedStyle)
+      <Chip 
+        size="small" 
+        label={FIT_LABELS[fit.status]} 
+        title={fit.message}
+        className={`fit-chip fit-${fit.status}`}
+      />
     );
-  });
+  };
   
   return (
     <Box className="jewelry-selector-container">
@@ -107,6 +174,9 @@ const JewelrySelector = ({
         <Tab value="ring" label="Rings" />
         <Tab value="bracelet" label="Bracelets" />
         <Tab value="watch" label="Watches" />
+        <Tab value="glasses" label="Glasses" />
+        <Tab value="nose-pin" label="Nose Pins" />
+        <Tab value="maang-tikka" label="Maang Tikka" />
       </Tabs>
       
       {/* Filter Controls */}
@@ -128,6 +198,24 @@ const JewelrySelector = ({
           </Select>
         </FormControl>
         
+        <FormControl variant="outlined" size="small" sx={{ minWidth: 120 }}>
+          <InputLabel id="gemstone-label">Gemstone</InputLabel>
+          <Select
+            labelId="gemstone-label"
+            id="gemstone-select"
+            value={gemstone}
+            onChange={handleGemstoneChange}
+            label="Gemstone"
+          >
+            <MenuItem value="all">All Gemstones</MenuItem>
+            <MenuItem value="diamond">Diamond</MenuItem>
+            <MenuItem value="ruby">Ruby</MenuItem>
+            <MenuItem value="emerald">Emerald</MenuItem>
+            <MenuItem value="sapphire">Sapphire</MenuItem>
+            <MenuItem value="pearl">Pearl</MenuItem>
+          </Select>
+        </FormControl>
+        
         <FormControl variant="outlined" size="small" sx={{ minWidth: 120 }}>
           <InputLabel id="cultural-style-label">Style</InputLabel>
           <Select
@@ -159,7 +247,7 @@ const JewelrySelector = ({
           {filteredJewelryItems.map((item) => (
             <Grid item xs={6} sm={4} md={3} key={item.id}>
               <Card 
-                className={`jewelry-item-card ${selectedJewelry?.id === item.id ? 'selected' : ''}`}
+                className={`jewelry-item-card ${isSelected(item) ? 'selected' : ''}`}
                 onClick={() => handleSelectJewelry(item)}
               >
                 <CardMedia
@@ -185,6 +273,7 @@ const JewelrySelector = ({
                         className="gem-chip"
                       />
                     )}
+                    {renderFitChip(item)}
                   </Box>
                 </CardContent>
               </Card>
@@ -200,171 +289,20 @@ const JewelrySelector = ({
           )}
         </Grid>
       )}
+      
+      {/* Pagination */}
+      {!loading && !error && totalPages > 1 && (
+        <Box className="jewelry-pagination">
+          <Pagination
+            count={totalPages}
+            page={page}
+            onChange={(_, value) => setPage(value)}
+            size="small"
+          />
+        </Box>
+      )}
     </Box>
   );
 };
 
-/**
- * Mock jewelry data for demonstration
- */
-const getMockJewelryData = () => {
-  return [
-    {
-      id: 'e1',
-      name: 'Diamond Stud Earrings',
-      type: 'earring',
-      metalType: 'gold',
-      gemstones: ['diamond'],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/diamond-studs.jpg',
-      modelPath: '/models/jewelry/earrings/diamond-studs.glb',
-      leftImageUrl: '/models/jewelry/images/diamond-stud-left.png',
-      rightImageUrl: '/models/jewelry/images/diamond-stud-right.png',
-      sizeAdjustment: 1.0
-    },
-    {
-      id: 'e2',
-      name: 'Gold Hoop Earrings',
-      type: 'earring',
-      metalType: 'gold',
-      gemstones: [],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/gold-hoops.jpg',
-      modelPath: '/models/jewelry/earrings/gold-hoops.glb',
-      leftImageUrl: '/models/jewelry/images/gold-hoop-left.png',
-      rightImageUrl: '/models/jewelry/images/gold-hoop-right.png',
-      sizeAdjustment: 1.2
-    },
-    {
-      id: 'e3',
-      name: 'Jhumka Earrings',
-      type: 'earring',
-      metalType: 'gold',
-      gemstones: ['ruby', 'emerald'],
-      culturalStyle: 'indian',
-      thumbnail: '/models/jewelry/thumbnails/jhumka.jpg',
-      modelPath: '/models/jewelry/earrings/jhumka.glb',
-      leftImageUrl: '/models/jewelry/images/jhumka-left.png',
-      rightImageUrl: '/models/jewelry/images/jhumka-right.png',
-      sizeAdjustment: 1.3
-    },
-    {
-      id: 'n1',
-      name: 'Diamond Pendant Necklace',
-      type: 'necklace',
-      metalType: 'silver',
-      gemstones: ['diamond'],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/diamond-pendant.jpg',
-      modelPath: '/models/jewelry/necklaces/diamond-pendant.glb',
-      imageUrl: '/models/jewelry/images/diamond-pendant.png',
-      sizeAdjustment: 1.0
-    },
-    {
-      id: 'n2',
-      name: 'Gold Chain Necklace',
-      type: 'necklace',
-      metalType: 'gold',
-      gemstones: [],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/gold-chain.jpg',
-      modelPath: '/models/jewelry/necklaces/gold-chain.glb',
-      imageUrl: '/models/jewelry/images/gold-chain.png',
-      sizeAdjustment: 1.0
-    },
-    {
-      id: 'n3',
-      name: 'Kundan Necklace',
-      type: 'necklace',
-      metalType: 'gold',
-      gemstones: ['ruby', 'emerald'],
-      culturalStyle: 'indian',
-      thumbnail: '/models/jewelry/thumbnails/kundan-necklace.jpg',
-      modelPath: '/models/jewelry/necklaces/kundan.glb',
-      imageUrl: '/models/jewelry/images/kundan-necklace.png',
-      sizeAdjustment: 1.2
-    },
-    {
-      id: 'r1',
-      name: 'Diamond Solitaire Ring',
-      type: 'ring',
-      metalType: 'platinum',
-      gemstones: ['diamond'],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/diamond-ring.jpg',
-      modelPath: '/models/jewelry/rings/diamond-solitaire.glb',
-      imageUrl: '/models/jewelry/images/diamond-ring.png',
-      fingerIndex: 3, // Ring finger
-      sizeAdjustment: 1.0,
-      preferredHand: 'left'
-    },
-    {
-      id: 'r2',
-      name: 'Gold Band Ring',
-      type: 'ring',
-      metalType: 'gold',
-      gemstones: [],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/gold-band.jpg',
-      modelPath: '/models/jewelry/rings/gold-band.glb',
-      imageUrl: '/models/jewelry/images/gold-band.png',
-      fingerIndex: 3, // Ring finger
-      sizeAdjustment: 1.0,
-      preferredHand: 'left'
-    },
-    {
-      id: 'b1',
-      name: 'Silver Charm Bracelet',
-      type: 'bracelet',
-      metalType: 'silver',
-      gemstones: [],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/charm-bracelet.jpg',
-      modelPath: '/models/jewelry/bracelets/charm-bracelet.glb',
-      imageUrl: '/models/jewelry/images/charm-bracelet.png',
-      sizeAdjustment: 1.0,
-      preferredHand: 'right'
-    },
-    {
-      id: 'b2',
-      name: 'Gold Bangle',
-      type: 'bracelet',
-      metalType: 'gold',
-      gemstones: [],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/gold-bangle.jpg',
-      modelPath: '/models/jewelry/bracelets/gold-bangle.glb',
-      imageUrl: '/models/jewelry/images/gold-bangle.png',
-      sizeAdjustment: 1.0,
-      preferredHand: 'right'
-    },
-    {
-      id: 'w1',
-      name: 'Classic Analog Watch',
-      type: 'watch',
-      metalType: 'silver',
-      gemstones: [],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/analog-watch.jpg',
-      modelPath: '/models/jewelry/watches/analog-watch.glb',
-      imageUrl: '/models/jewelry/images/analog-watch.png',
-      sizeAdjustment: 1.0,
-      preferredHand: 'left'
-    },
-    {
-      id: 'w2',
-      name: 'Gold Luxury Watch',
-      type: 'watch',
-      metalType: 'gold',
-      gemstones: [],
-      culturalStyle: 'western',
-      thumbnail: '/models/jewelry/thumbnails/luxury-watch.jpg',
-      modelPath: '/models/jewelry/watches/luxury-watch.glb',
-      imageUrl: '/models/jewelry/images/luxury-watch.png',
-      sizeAdjustment: 1.0,
-      preferredHand: 'left'
-    }
-  ];
-};
-
 export default JewelrySelector;
\ No newline at end of file
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Box, CircularProgress, Typography, Button, Stack } from '@mui/material';
 import FaceLandmarkDetector from '../models/FaceLandmarkDetector';
 import HandPoseDetector from '../models/HandPoseDetector';
+import { fingerOf, ringPlacement, ringPositionOf } from '../models/HandKeypoints';
 import LoadingIndicator from './LoadingIndicator';
 
 /**
@@ -129,15 +130,15 @@ const JewelryTryOn = ({
         }
       } else if (handPoses && ['ring', 'bracelet', 'watch'].includes(selectedJewelry.type)) {
         if (selectedJewelry.type === 'ring') {
-          // Draw ring on ring finger
-          const fingerIndex = 3; // ring finger
-          const baseJoint = handPoses[0].keypoints[`ring_finger_mcp`];
-          const middleJoint = handPoses[0].keypoints[`ring_finger_pip`];
+          // Draw ring on the finger and at the position the item is worn at
+          const placement = ringPlacement(
+            handPoses[0].imageLandmarks,
+            fingerOf(selectedJewelry),
+            ringPositionOf(selectedJewelry)
+          );
           
-          if (baseJoint && middleJoint) {
-            const ringX = baseJoint.x * 0.3 + middleJoint.x * 0.7;
-            const ringY = baseJoint.y * 0.3 + middleJoint.y * 0.7;
-            drawPlaceholderJewelry(ctx, selectedJewelry.type, ringX, ringY, 0.8);
+          if (placement) {
+            drawPlaceholderJewelry(ctx, selectedJewelry.type, placement.x, placement.y, 0.8);
           }
         } else if (selectedJewelry.type === 'bracelet' || selectedJewelry.type === 'watch') {
           // Draw bracelet/watch at wrist
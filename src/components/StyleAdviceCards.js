@@ -0,0 +1,88 @@
+import React from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Typography
+} from '@mui/material';
+import {
+  TipsAndUpdates as TipIcon,
+  Event as OccasionIcon,
+  Diamond as ItemIcon,
+  WarningAmber as WarningIcon
+} from '@mui/icons-material';
+import './StyleAdviceCards.css';
+
+/**
+ * StyleAdviceCards Component
+ * 
+ * Renders structured style advice as cards. Complementary items that
+ * exist in the catalog are clickable so the user can jump to them.
+ */
+const StyleAdviceCards = ({ advice, onSelectCatalogItem }) => {
+  const listSections = [
+    { key: 'stylingTips', title: 'Styling Tips', icon: <TipIcon fontSize="small" /> },
+    { key: 'occasions', title: 'Occasions', icon: <OccasionIcon fontSize="small" /> },
+    { key: 'warnings', title: 'Good to Know', icon: <WarningIcon fontSize="small" /> }
+  ];
+  
+  return (
+    <Box className="style-advice-cards">
+      <Typography variant="body1" paragraph>
+        {advice.summary}
+      </Typography>
+      
+      {listSections
+        .filter(section => advice[section.key]?.length > 0)
+        .map(section => (
+          <Card key={section.key} variant="outlined" className="style-advice-card">
+            <CardContent>
+              <Box className="style-advice-card-title">
+                {section.icon}
+                <Typography variant="subtitle2">{section.title}</Typography>
+              </Box>
+              <ul>
+                {advice[section.key].map((entry, index) => (
+                  <li key={index}>
+                    <Typography variant="body2">{entry}</Typography>
+                  </li>
+                ))}
+              </ul>
+            </CardContent>
+          </Card>
+        ))}
+      
+      {advice.complementaryItems?.length > 0 && (
+        <Card variant="outlined" className="style-advice-card">
+          <CardContent>
+            <Box className="style-advice-card-title">
+              <ItemIcon fontSize="small" />
+              <Typography variant="subtitle2">Pairs Well With</Typography>
+            </Box>
+            {advice.complementaryItems.map((item, index) => (
+              <Box key={index} className="complementary-item">
+                {item.catalogId && onSelectCatalogItem ? (
+                  <Chip
+                    label={item.name}
+                    size="small"
+                    color="primary"
+                    clickable
+                    onClick={() => onSelectCatalogItem(item.catalogId)}
+                  />
+                ) : (
+                  <Chip label={item.name} size="small" variant="outlined" />
+                )}
+                <Typography variant="body2" className="complementary-item-reason">
+                  {item.reason}
+                </Typography>
+              </Box>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </Box>
+  );
+};
+
+export default StyleAdviceCards;
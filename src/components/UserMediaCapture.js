@@ -192,7 +192,10 @@ const UserMediaCapture = ({
     
     try {
       const imageSrc = webcamRef.current.getScreenshot();
-      setCapturedMedia({ type: 'photo', src: imageSrc });
+      
+      // Screenshots are mirrored like the front camera preview; recordings
+      // and uploads are not (hands are told apart differently in a mirror image)
+      setCapturedMedia({ type: 'photo', src: imageSrc, mirrored: facingMode === 'user' });
       setIsCapturing(false);
     } catch (err) {
       console.error('Error capturing photo:', err);
@@ -0,0 +1,136 @@
+/**
+ * EarVisibilityEstimator
+ * 
+ * Estimates how much of each ear can be seen, so the earring on the far side
+ * of a turned head can be faded, clipped or hidden. Combines three cues: head
+ * yaw from HeadPoseEstimator, how far the cheek contour has closed in towards
+ * the eye on each side, and any per-landmark visibility score the detector
+ * provides. Also reports which landmarks form the visible face silhouette,
+ * which is what hides the far ear.
+ * 
+ * Left and right are image sides, matching the keypoint names
+ * FaceLandmarkDetector uses.
+ */
+
+// MediaPipe Face Mesh indices
+const LEFT_EAR = 234;
+const RIGHT_EAR = 454;
+const LEFT_EYE_OUTER = 33;
+const RIGHT_EYE_OUTER = 263;
+
+// Far ear starts disappearing behind the cheek, and is gone, at these yaws (degrees)
+const YAW_FADE_START = 20;
+const YAW_HIDDEN = 55;
+
+// Far-side over near-side ear-to-eye span at which the far ear is gone, and fully visible
+const SPAN_HIDDEN = 0.25;
+const SPAN_VISIBLE = 0.6;
+
+// Span ratio below which the head counts as turned when there is no pose fit
+const TURNED_SPAN_RATIO = 0.9;
+
+class EarVisibilityEstimator {
+  /**
+   * Estimate ear visibility
+   * 
+   * @param {Array} landmarks Face mesh landmarks ({ x, y, z })
+   * @param {Object} headPose HeadPoseEstimator result, if available
+   * @returns {Object|null} { left, right } visibility from 0 (hidden) to 1,
+   *   farSide: 'left'|'right'|null, and silhouette: landmark indices around
+   *   the visible outline of the face, in order; or null
+   */
+  estimate(landmarks, headPose = null) {
+    const leftEar = landmarks?.[LEFT_EAR];
+    const rightEar = landmarks?.[RIGHT_EAR];
+    const leftEye = landmarks?.[LEFT_EYE_OUTER];
+    const rightEye = landmarks?.[RIGHT_EYE_OUTER];
+    
+    if (!leftEar || !rightEar || !leftEye || !rightEye) {
+      return null;
+    }
+    
+    const leftSpan = distance(leftEar, leftEye);
+    const rightSpan = distance(rightEar, rightEye);
+    const spanRatio = Math.min(leftSpan, rightSpan) / (Math.max(leftSpan, rightSpan) || 1);
+    
+    // Positive yaw turns the nose towards image right, taking the right ear away
+    let farSide = null;
+    if (headPose) {
+      farSide = headPose.yaw > 0 ? 'right' : 'left';
+    } else if (spanRatio < TURNED_SPAN_RATIO) {
+      farSide = rightSpan < leftSpan ? 'right' : 'left';
+    }
+    
+    const visibility = {
+      left: landmarkScore(leftEar),
+      right: landmarkScore(rightEar)
+    };
+    
+    if (farSide) {
+      const fromYaw = headPose
+        ? 1 - smoothstep(YAW_FADE_START, YAW_HIDDEN, Math.abs(headPose.yaw))
+        : 1;
+      const fromSpan = smoothstep(SPAN_HIDDEN, SPAN_VISIBLE, spanRatio);
+      
+      visibility[farSide] = Math.min(visibility[farSide], fromYaw, fromSpan);
+    }
+    
+    return {
+      ...visibility,
+      farSide,
+      silhouette: this.silhouette(landmarks)
+    };
+  }
+  
+  /**
+   * Indices of the landmarks on the convex hull of the face, which follows
+   * the cheek and jaw line the far ear passes behind
+   * 
+   * @param {Array} landmarks Face mesh landmarks
+   * @returns {Array} Landmark indices in order around the outline
+   */
+  silhouette(landmarks) {
+    const indices = landmarks
+      .map((point, index) => index)
+      .filter(index => landmarks[index])
+      .sort((a, b) => (landmarks[a].x - landmarks[b].x) || (landmarks[a].y - landmarks[b].y));
+    
+    if (indices.length < 3) return indices;
+    
+    // Andrew's monotone chain
+    const chain = sorted => {
+      const hull = [];
+      sorted.forEach(index => {
+        while (hull.length >= 2 &&
+          cross(landmarks[hull[hull.length - 2]], landmarks[hull[hull.length - 1]], landmarks[index]) <= 0) {
+          hull.pop();
+        }
+        hull.push(index);
+      });
+      hull.pop();
+      return hull;
+    };
+    
+    return [...chain(indices), ...chain([...indices].reverse())];
+  }
+}
+
+function landmarkScore(point) {
+  const score = point.visibility ?? point.score;
+  return typeof score === 'number' ? Math.min(Math.max(score, 0), 1) : 1;
+}
+
+function smoothstep(edge0, edge1, value) {
+  const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export default EarVisibilityEstimator;
@@ -0,0 +1,73 @@
+import EarVisibilityEstimator from './EarVisibilityEstimator';
+
+// Ears and outer eye corners; the right ear sits rightSpan px out from its eye
+function face({ rightSpan = 63.25, leftEar = {}, rightEar = {} } = {}) {
+  const landmarks = [];
+  landmarks[234] = { x: 100, y: 200, ...leftEar };
+  landmarks[33] = { x: 160, y: 180 };
+  landmarks[263] = { x: 240, y: 180 };
+  landmarks[454] = { x: 240 + rightSpan, y: 180, ...rightEar };
+  return landmarks;
+}
+
+describe('EarVisibilityEstimator', () => {
+  const estimator = new EarVisibilityEstimator();
+  
+  test('shows both ears on a face looking at the camera', () => {
+    const ears = estimator.estimate(face(), { yaw: 0 });
+    
+    expect(ears.left).toBe(1);
+    expect(ears.right).toBe(1);
+  });
+  
+  test('fades the far ear as the head turns, and hides it past the cut-off', () => {
+    const slight = estimator.estimate(face(), { yaw: 30 });
+    expect(slight.farSide).toBe('right');
+    expect(slight.right).toBeCloseTo(0.8017, 3);
+    expect(slight.left).toBe(1);
+    
+    expect(estimator.estimate(face(), { yaw: -60 }).left).toBe(0);
+    expect(estimator.estimate(face(), { yaw: 10 }).right).toBe(1);
+  });
+  
+  test('falls back to how far the cheek has closed in when there is no pose', () => {
+    const frontal = estimator.estimate(face());
+    expect(frontal.farSide).toBeNull();
+    
+    const turned = estimator.estimate(face({ rightSpan: 24 }));
+    expect(turned.farSide).toBe('right');
+    expect(turned.right).toBeGreaterThan(0);
+    expect(turned.right).toBeLessThan(1);
+    
+    expect(estimator.estimate(face({ rightSpan: 10 })).right).toBe(0);
+  });
+  
+  test('never shows an ear more than the detector scored it', () => {
+    const ears = estimator.estimate(face({ leftEar: { visibility: 0.4 }, rightEar: { score: 0.7 } }), { yaw: 0 });
+    
+    expect(ears.left).toBe(0.4);
+    expect(ears.right).toBe(0.7);
+  });
+  
+  test('returns null without both ears and eyes', () => {
+    const landmarks = face();
+    delete landmarks[454];
+    
+    expect(estimator.estimate(landmarks)).toBeNull();
+    expect(estimator.estimate(null)).toBeNull();
+  });
+  
+  test('traces the outline of the face, leaving out interior points', () => {
+    const landmarks = [];
+    landmarks[0] = { x: 0, y: 0 };
+    landmarks[1] = { x: 10, y: 0 };
+    landmarks[2] = { x: 10, y: 10 };
+    landmarks[3] = { x: 0, y: 10 };
+    landmarks[4] = { x: 5, y: 5 };
+    
+    const outline = estimator.silhouette(landmarks);
+    
+    expect(outline).toHaveLength(4);
+    expect([...outline].sort()).toEqual([0, 1, 2, 3]);
+  });
+});
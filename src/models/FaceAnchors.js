@@ -0,0 +1,145 @@
+/**
+ * FaceAnchors
+ * 
+ * Where each face-worn item type sits on the MediaPipe Face Mesh, and the
+ * measurements used to size and turn it. FaceLandmarkDetector adds the
+ * named anchor points to its keypoints; ARVirtualTryOn, JewelryRenderer and
+ * Jewelry3DRenderer all place items from them, so every renderer puts an
+ * item in the same spot.
+ * 
+ * Left and right are image sides, matching the keypoint names
+ * FaceLandmarkDetector uses; in an unmirrored image the wearer's left is on
+ * the image's right.
+ */
+
+// MediaPipe Face Mesh indices (iris centres need refineLandmarks)
+export const FACE_LANDMARKS = {
+  leftPupil: 468,
+  rightPupil: 473,
+  leftEyeOuter: 33,
+  leftEyeInner: 133,
+  rightEyeInner: 362,
+  rightEyeOuter: 263,
+  noseBridge: 168,
+  // Sides of the nose where a pin is pierced
+  leftNostril: 129,
+  rightNostril: 358,
+  // Top of the face mesh, close to the hairline, and the middle of the forehead
+  hairline: 10,
+  forehead: 151
+};
+
+// Face items placed on face mesh anchors, besides earrings and necklaces
+export const FACE_ANCHOR_TYPES = ['glasses', 'nose-pin', 'maang-tikka'];
+
+/**
+ * Item width relative to the inter-pupil distance. Frames are about twice
+ * the pupil span; pins and tikkas are sized by their image's full extent.
+ */
+export const ANCHOR_SIZES = {
+  glasses: 2.2,
+  'nose-pin': 0.12,
+  'maang-tikka': 0.45
+};
+
+/**
+ * Image-side nostril for a nose pin worn on the wearer's left or right
+ * 
+ * @param {Object} item Nose pin item (noseSide: 'left'|'right', default left)
+ * @returns {String} 'leftNostril' or 'rightNostril'
+ */
+export function nostrilFor(item) {
+  return item?.noseSide === 'right' ? 'leftNostril' : 'rightNostril';
+}
+
+/**
+ * Centre of each pupil, from the iris landmarks or else the eye corners
+ * 
+ * @param {Array} landmarks Face mesh landmarks
+ * @returns {Object|null} { left, right }
+ */
+export function getPupils(landmarks) {
+  const left = landmarks?.[FACE_LANDMARKS.leftPupil] ||
+    midpoint(landmarks?.[FACE_LANDMARKS.leftEyeOuter], landmarks?.[FACE_LANDMARKS.leftEyeInner]);
+  const right = landmarks?.[FACE_LANDMARKS.rightPupil] ||
+    midpoint(landmarks?.[FACE_LANDMARKS.rightEyeInner], landmarks?.[FACE_LANDMARKS.rightEyeOuter]);
+  
+  return left && right ? { left, right } : null;
+}
+
+/**
+ * Named anchor points from the face mesh
+ * 
+ * @param {Array} landmarks Face mesh landmarks
+ * @returns {Object} { leftPupil, rightPupil, noseBridge, leftNostril,
+ *   rightNostril, hairline, forehead }, leaving out any that are missing
+ */
+export function getAnchorPoints(landmarks) {
+  const points = {};
+  
+  const pupils = getPupils(landmarks);
+  if (pupils) {
+    points.leftPupil = pupils.left;
+    points.rightPupil = pupils.right;
+  }
+  
+  ['noseBridge', 'leftNostril', 'rightNostril', 'hairline', 'forehead'].forEach(name => {
+    const point = landmarks?.[FACE_LANDMARKS[name]];
+    if (point) {
+      points[name] = point;
+    }
+  });
+  
+  return points;
+}
+
+/**
+ * Anchor point, size and roll for a face item
+ * 
+ * @param {Object} points Named anchor points (see getAnchorPoints), all in
+ *   one coordinate space
+ * @param {Object} item Face item (glasses, nose-pin or maang-tikka)
+ * @returns {Object|null} { point, size, roll (degrees), hang } where hang
+ *   means the item hangs down from the point rather than being centred on
+ *   it; null if the points it needs are missing
+ */
+export function getFaceAnchor(points, item) {
+  const { leftPupil, rightPupil } = points || {};
+  if (!leftPupil || !rightPupil) return null;
+  
+  const interPupil = Math.hypot(rightPupil.x - leftPupil.x, rightPupil.y - leftPupil.y);
+  const roll = Math.atan2(rightPupil.y - leftPupil.y, rightPupil.x - leftPupil.x) * (180 / Math.PI);
+  const size = interPupil * (ANCHOR_SIZES[item.type] || 1) * (item.sizeAdjustment || 1.0);
+  
+  let point = null;
+  let hang = false;
+  
+  switch (item.type) {
+    case 'glasses':
+      // Lenses centred on the pupils
+      point = midpoint(leftPupil, rightPupil);
+      break;
+    case 'nose-pin':
+      point = points[nostrilFor(item)];
+      break;
+    case 'maang-tikka':
+      // Hooked at the hairline, with the pendant on the forehead
+      point = points.hairline;
+      hang = true;
+      break;
+    default:
+      return null;
+  }
+  
+  return point ? { point, size, roll, hang } : null;
+}
+
+function midpoint(a, b) {
+  if (!a || !b) return null;
+  
+  return {
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2,
+    z: ((a.z || 0) + (b.z || 0)) / 2
+  };
+}
@@ -0,0 +1,100 @@
+import { FACE_LANDMARKS, getAnchorPoints, getFaceAnchor, getPupils, nostrilFor } from './FaceAnchors';
+
+// Face mesh landmarks at the given named positions
+function mesh(points) {
+  const landmarks = [];
+  Object.entries(points).forEach(([name, point]) => {
+    landmarks[FACE_LANDMARKS[name]] = point;
+  });
+  return landmarks;
+}
+
+const EYES = {
+  leftEyeOuter: { x: 80, y: 100, z: 0 },
+  leftEyeInner: { x: 120, y: 100, z: 0 },
+  rightEyeInner: { x: 180, y: 100, z: 0 },
+  rightEyeOuter: { x: 220, y: 100, z: 0 }
+};
+
+const POINTS = {
+  leftPupil: { x: 100, y: 100 },
+  rightPupil: { x: 200, y: 100 },
+  leftNostril: { x: 140, y: 160 },
+  rightNostril: { x: 160, y: 160 },
+  hairline: { x: 150, y: 20 }
+};
+
+describe('nostrilFor', () => {
+  test('puts a pin on the wearer\'s left on the image-right nostril', () => {
+    expect(nostrilFor({ noseSide: 'left' })).toBe('rightNostril');
+    expect(nostrilFor({ noseSide: 'right' })).toBe('leftNostril');
+    expect(nostrilFor({})).toBe('rightNostril');
+  });
+});
+
+describe('getPupils', () => {
+  test('uses the iris centres when the mesh has them', () => {
+    const pupils = getPupils(mesh({ ...EYES, leftPupil: { x: 101, y: 99 }, rightPupil: { x: 199, y: 99 } }));
+    
+    expect(pupils).toEqual({ left: { x: 101, y: 99 }, right: { x: 199, y: 99 } });
+  });
+  
+  test('falls back to the middle of each eye', () => {
+    const pupils = getPupils(mesh(EYES));
+    
+    expect(pupils.left).toEqual({ x: 100, y: 100, z: 0 });
+    expect(pupils.right).toEqual({ x: 200, y: 100, z: 0 });
+  });
+  
+  test('is null without both eyes', () => {
+    expect(getPupils(mesh({ leftEyeOuter: EYES.leftEyeOuter, leftEyeInner: EYES.leftEyeInner }))).toBeNull();
+    expect(getPupils(null)).toBeNull();
+  });
+});
+
+describe('getAnchorPoints', () => {
+  test('names the anchor points present in the mesh', () => {
+    const points = getAnchorPoints(mesh({ ...EYES, noseBridge: { x: 150, y: 100 }, hairline: { x: 150, y: 20 } }));
+    
+    expect(Object.keys(points).sort()).toEqual(['hairline', 'leftPupil', 'noseBridge', 'rightPupil']);
+    expect(points.noseBridge).toEqual({ x: 150, y: 100 });
+  });
+});
+
+describe('getFaceAnchor', () => {
+  test('centres glasses between the pupils, sized from their span', () => {
+    const anchor = getFaceAnchor(POINTS, { type: 'glasses' });
+    
+    expect(anchor.point).toEqual({ x: 150, y: 100, z: 0 });
+    expect(anchor.size).toBeCloseTo(220);
+    expect(anchor.roll).toBeCloseTo(0);
+    expect(anchor.hang).toBe(false);
+  });
+  
+  test('puts a nose pin on the nostril for its side, scaled by the item\'s size adjustment', () => {
+    const anchor = getFaceAnchor(POINTS, { type: 'nose-pin', noseSide: 'right', sizeAdjustment: 2 });
+    
+    expect(anchor.point).toBe(POINTS.leftNostril);
+    expect(anchor.size).toBeCloseTo(24);
+  });
+  
+  test('hangs a maang tikka from the hairline', () => {
+    const anchor = getFaceAnchor(POINTS, { type: 'maang-tikka' });
+    
+    expect(anchor.point).toBe(POINTS.hairline);
+    expect(anchor.size).toBeCloseTo(45);
+    expect(anchor.hang).toBe(true);
+  });
+  
+  test('rolls with the line between the pupils', () => {
+    const tilted = { ...POINTS, rightPupil: { x: 200, y: 200 } };
+    
+    expect(getFaceAnchor(tilted, { type: 'glasses' }).roll).toBeCloseTo(45);
+  });
+  
+  test('is null for other items or when the points it needs are missing', () => {
+    expect(getFaceAnchor(POINTS, { type: 'ring' })).toBeNull();
+    expect(getFaceAnchor({ ...POINTS, hairline: undefined }, { type: 'maang-tikka' })).toBeNull();
+    expect(getFaceAnchor({ rightPupil: POINTS.rightPupil }, { type: 'glasses' })).toBeNull();
+  });
+});
@@ -1,13 +1,10 @@
-// Add debug logs at the module level
-console.log('FaceLandmarkDetector module loading');
-
 import * as tf from '@tensorflow/tfjs';
 import * as faceLandmarksDetection from '@tensorflow-models/face-landmarks-detection';
 import '@tensorflow/tfjs-backend-webgl';
-
-// Log imported modules
-console.log('TensorFlow imported as:', tf);
-console.log('faceLandmarksDetection imported as:', faceLandmarksDetection);
+import NeckEstimator from './NeckEstimator';
+import HeadPoseEstimator from './HeadPoseEstimator';
+import EarVisibilityEstimator from './EarVisibilityEstimator';
+import { getAnchorPoints } from './FaceAnchors';
 
 /**
  * FaceLandmarkDetector
@@ -17,34 +14,28 @@ console.log('faceLandmarksDetection imported as:', faceLandmarksDetection);
  */
 class FaceLandmarkDetector {
   constructor() {
-    console.log('FaceLandmarkDetector constructor called');
     this.model = null;
     this.isInitialized = false;
     this.lastPredictionTime = 0;
     this.detectionConfidence = 0.8;
+    this.neckEstimator = new NeckEstimator();
+    this.headPoseEstimator = new HeadPoseEstimator();
+    this.earVisibilityEstimator = new EarVisibilityEstimator();
+    
+    // Calibrated { fx, fy, cx, cy } in pixels; approximated from the frame size when null
+    this.cameraIntrinsics = null;
   }
   
   /**
    * Initialize the face landmark detector
    */
   async initialize() {
-    console.log('FaceLandmarkDetector initialize method called');
     try {
       // Ensure TensorFlow backend is initialized
-      console.log('About to set WebGL backend');
       await tf.setBackend('webgl');
-      console.log('WebGL backend set, calling tf.ready()');
       await tf.ready();
-      console.log('TensorFlow ready, backend:', tf.getBackend());
       
       // Load the MediaPipe FaceMesh model using the updated API
-      console.log('About to create face detection model with config:', {
-        runtime: 'tfjs',
-        maxFaces: 1,
-        refineLandmarks: true,
-        detectionConfidence: this.detectionConfidence
-      });
-      
       this.model = await faceLandmarksDetection.createDetector(
         faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
         {
@@ -55,7 +46,6 @@ class FaceLandmarkDetector {
         }
       );
       
-      console.log('Face mesh model loaded successfully:', this.model);
       this.isInitialized = true;
       console.log('Face landmark detector initialized successfully');
       return true;
@@ -69,11 +59,13 @@ class FaceLandmarkDetector {
    * Detect face landmarks from an image or video frame
    * 
    * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageData} input 
+   * @param {Object} options throttle: skip calls made too soon after the last one
+   *   (set false for still images and offline frame processing); shoulders:
+   *   { left, right } keypoints from a pose model, in input pixels, to anchor
+   *   the neck and collarbones when available
    * @returns {Array} Array of face landmarks with 3D coordinates
    */
-  async detect(input) {
-    console.log('Detect method called with input:', input);
-    
+  async detect(input, { throttle = true, shoulders = null } = {}) {
     if (!this.isInitialized || !this.model) {
       console.error('Face landmark detector not initialized');
       throw new Error('Face landmark detector not initialized');
@@ -82,24 +74,22 @@ class FaceLandmarkDetector {
     try {
       // Limit detection frequency for performance
       const now = performance.now();
-      if (now - this.lastPredictionTime < 50) {  // Max 20 FPS
-        console.log('Skipping detection due to frequency limit');
+      if (throttle && now - this.lastPredictionTime < 50) {  // Max 20 FPS
         return null;
       }
       this.lastPredictionTime = now;
       
-      console.log('About to call model.estimateFaces()');
       // Perform face landmarks detection using updated API
       const predictions = await this.model.estimateFaces(input);
-      console.log('Raw face predictions:', predictions);
       
       if (predictions && predictions.length > 0) {
-        const processedResults = this.processPredictions(predictions);
-        console.log('Processed face predictions:', processedResults);
-        return processedResults;
+        const frameSize = {
+          width: input.videoWidth || input.naturalWidth || input.width,
+          height: input.videoHeight || input.naturalHeight || input.height
+        };
+        return this.processPredictions(predictions, { shoulders, frameSize });
       }
       
-      console.log('No faces detected');
       return null;
     } catch (error) {
       console.error('Error detecting face landmarks:', error);
@@ -111,16 +101,28 @@ class FaceLandmarkDetector {
    * Process and normalize the model predictions
    * 
    * @param {Array} predictions Raw predictions from the model
+   * @param {Object} options shoulders from a pose model (see detect), and the
+   *   input's frameSize ({ width, height }) for head pose estimation
    * @returns {Array} Processed and enriched face data
    */
-  processPredictions(predictions) {
-    console.log('Processing predictions:', predictions);
+  processPredictions(predictions, { shoulders = null, frameSize = null } = {}) {
     return predictions.map(prediction => {
+      // Estimate neck and collarbones for necklaces
+      const neck = this.neckEstimator.estimate(prediction.keypoints || prediction.mesh, { shoulders });
+      
       // Extract key points for jewelry positioning
-      const keypoints = this.extractKeypoints(prediction);
+      const keypoints = this.extractKeypoints(prediction, neck);
+      
+      // Fit a 3D head pose to the landmarks
+      const headPose = frameSize
+        ? this.headPoseEstimator.estimate(prediction.keypoints || prediction.mesh, frameSize, this.cameraIntrinsics)
+        : null;
+      
+      // How much of each ear the head hides, for earring occlusion
+      const earVisibility = this.earVisibilityEstimator.estimate(prediction.keypoints || prediction.mesh, headPose);
       
       // Calculate face rotation from landmarks
-      const rotation = this.calculateFaceRotation(prediction);
+      const rotation = this.calculateFaceRotation(prediction, headPose);
       
       // Calculate face size and scale
       const faceSize = this.calculateFaceSize(prediction);
@@ -129,7 +131,10 @@ class FaceLandmarkDetector {
         landmarks: prediction.keypoints || prediction.mesh,
         keypoints: keypoints,
         rotation: rotation,
+        headPose: headPose,
+        earVisibility: earVisibility,
         faceSize: faceSize,
+        neck: neck,
         boundingBox: prediction.box || prediction.boundingBox,
         confidence: prediction.score || prediction.faceInViewConfidence
       };
@@ -140,14 +145,13 @@ class FaceLandmarkDetector {
    * Extract key landmark points for jewelry positioning
    * 
    * @param {Object} prediction Face prediction data
+   * @param {Object} neck NeckEstimator result, if available
    * @returns {Object} Object containing key face points
    */
-  extractKeypoints(prediction) {
+  extractKeypoints(prediction, neck = null) {
     const keypoints = {};
     const landmarks = prediction.keypoints || prediction.mesh;
     
-    console.log('Extracting keypoints from landmarks:', landmarks ? landmarks.length : 'none');
-    
     if (!landmarks || landmarks.length === 0) {
       return keypoints;
     }
@@ -171,16 +175,17 @@ class FaceLandmarkDetector {
     keypoints.upperLip = landmarks[13] || landmarks[0]; // Upper lip
     keypoints.lowerLip = landmarks[14] || landmarks[17]; // Lower lip
     
-    // Neck - approximate based on face landmarks
-    if (keypoints.leftEar && keypoints.rightEar) {
-      keypoints.neckBase = {
-        x: (keypoints.leftEar.x + keypoints.rightEar.x) / 2,
-        y: Math.max(keypoints.leftEar.y, keypoints.rightEar.y) + 50,
-        z: (keypoints.leftEar.z + keypoints.rightEar.z) / 2
-      };
+    // Anchors for glasses, nose pins and maang tikka
+    Object.assign(keypoints, getAnchorPoints(landmarks));
+    
+    // Neck and collarbones
+    if (neck) {
+      keypoints.neckBase = neck.neckBase;
+      keypoints.collarLeft = neck.collarLeft;
+      keypoints.collarRight = neck.collarRight;
+      keypoints.chainDrape = neck.drapeCurve;
     }
     
-    console.log('Extracted keypoints:', keypoints);
     return keypoints;
   }
   
@@ -188,42 +193,28 @@ class FaceLandmarkDetector {
    * Calculate face rotation from landmarks
    * 
    * @param {Object} prediction Face prediction data
-   * @returns {Object} Object containing rotation angles
+   * @param {Object} headPose HeadPoseEstimator result, if available
+   * @returns {Object} Pitch, yaw and roll in degrees
    */
-  calculateFaceRotation(prediction) {
-    const landmarks = prediction.keypoints || prediction.mesh;
-    
-    if (!landmarks || landmarks.length < 468) {
-      return { pitch: 0, yaw: 0, roll: 0 };
+  calculateFaceRotation(prediction, headPose = null) {
+    if (headPose) {
+      const { pitch, yaw, roll } = headPose;
+      return { pitch, yaw, roll };
     }
     
-    // Simplified rotation calculation based on eye and nose positions
-    const leftEye = landmarks[33] || landmarks[159];
-    const rightEye = landmarks[263] || landmarks[386];
-    const noseTip = landmarks[1] || landmarks[19];
+    const landmarks = prediction.keypoints || prediction.mesh;
+    
+    // Without a pose fit only roll can be measured reliably (from the eye line)
+    const leftEye = landmarks?.[33] || landmarks?.[159];
+    const rightEye = landmarks?.[263] || landmarks?.[386];
     
-    if (!leftEye || !rightEye || !noseTip) {
+    if (!leftEye || !rightEye) {
       return { pitch: 0, yaw: 0, roll: 0 };
     }
     
-    // Calculate roll (rotation around z-axis)
-    const deltaY = rightEye.y - leftEye.y;
-    const deltaX = rightEye.x - leftEye.x;
-    const roll = Math.atan2(deltaY, deltaX) * (180 / Math.PI);
-    
-    // Calculate yaw (rotation around y-axis)
-    const eyeCenter = {
-      x: (leftEye.x + rightEye.x) / 2,
-      y: (leftEye.y + rightEye.y) / 2
-    };
-    const eyeToNoseX = noseTip.x - eyeCenter.x;
-    const yaw = eyeToNoseX * 100; // Simplified approximation
+    const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x) * (180 / Math.PI);
     
-    // Calculate pitch (rotation around x-axis)
-    const eyeToNoseY = noseTip.y - eyeCenter.y;
-    const pitch = eyeToNoseY * 100; // Simplified approximation
-    
-    return { pitch, yaw, roll };
+    return { pitch: 0, yaw: 0, roll };
   }
   
   /**
@@ -262,14 +253,12 @@ class FaceLandmarkDetector {
    * Clean up resources
    */
   dispose() {
-    console.log('Disposing face landmark detector');
     try {
       if (this.model && typeof this.model.dispose === 'function') {
         this.model.dispose();
       }
       this.model = null;
       this.isInitialized = false;
-      console.log('Face landmark detector disposed');
     } catch (error) {
       console.error('Error disposing face landmark detector:', error);
     }
@@ -281,42 +270,16 @@ class FaceLandmarkDetector {
    * @param {Object} config Configuration options
    */
   updateConfig(config) {
-    console.log('Updating detector config:', config);
     if (config.detectionConfidence !== undefined) {
       this.detectionConfidence = config.detectionConfidence;
       
       // Reinitialize with new configuration if already initialized
       if (this.isInitialized) {
-        console.log('Reinitializing with new configuration');
         this.dispose();
         this.initialize();
       }
     }
   }
-  
-  /**
-   * FOR TESTING: Return mock data if needed
-   */
-  mockDetect() {
-    console.log('Using mock detection data');
-    return [{
-      keypoints: {
-        leftEar: { x: 100, y: 150, z: 0 },
-        rightEar: { x: 300, y: 150, z: 0 },
-        neckBase: { x: 200, y: 250, z: 0 },
-        leftEye: { x: 150, y: 100, z: 0 },
-        rightEye: { x: 250, y: 100, z: 0 },
-        noseTip: { x: 200, y: 150, z: 0 },
-        upperLip: { x: 200, y: 180, z: 0 },
-        lowerLip: { x: 200, y: 200, z: 0 }
-      },
-      confidence: 0.9,
-      faceSize: { width: 200, height: 250 },
-      rotation: { pitch: 0, yaw: 0, roll: 0 }
-    }];
-  }
 }
 
-// Export the class
-console.log('Exporting FaceLandmarkDetector class');
 export default FaceLandmarkDetector;
\ No newline at end of file
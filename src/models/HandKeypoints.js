@@ -0,0 +1,148 @@
+/**
+ * HandKeypoints
+ * 
+ * The MediaPipe Hands landmarks by name, the joints along each finger, and
+ * where on a finger a ring sits. HandPoseDetector names its keypoints from
+ * here; ARVirtualTryOn, JewelryRenderer and Jewelry3DRenderer all place rings
+ * with ringPlacement, so every renderer puts a ring on the same spot.
+ * 
+ * Fingers are named thumb to pinky; the catalog's fingerIndex numbers them
+ * in the same order from 0. A ring sits at the base of the finger, stacked
+ * just above a ring at the base, or as a midi ring above the middle knuckle.
+ */
+
+import { measureFingerWidth } from '../utils/RingSizing';
+
+// MediaPipe Hands landmark names, by landmark index
+export const HAND_LANDMARK_NAMES = [
+  'wrist',                // 0
+  'thumb_cmc',            // 1
+  'thumb_mcp',            // 2
+  'thumb_ip',             // 3
+  'thumb_tip',            // 4
+  'index_finger_mcp',     // 5
+  'index_finger_pip',     // 6
+  'index_finger_dip',     // 7
+  'index_finger_tip',     // 8
+  'middle_finger_mcp',    // 9
+  'middle_finger_pip',    // 10
+  'middle_finger_dip',    // 11
+  'middle_finger_tip',    // 12
+  'ring_finger_mcp',      // 13
+  'ring_finger_pip',      // 14
+  'ring_finger_dip',      // 15
+  'ring_finger_tip',      // 16
+  'pinky_mcp',            // 17
+  'pinky_pip',            // 18
+  'pinky_dip',            // 19
+  'pinky_tip'             // 20
+];
+
+// Fingers by fingerIndex
+export const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+export const FINGER_LABELS = {
+  thumb: 'Thumb',
+  index: 'Index',
+  middle: 'Middle',
+  ring: 'Ring',
+  pinky: 'Pinky'
+};
+
+// Finger a ring goes on when the catalog doesn't say
+export const DEFAULT_RING_FINGER = 'ring';
+
+/**
+ * Landmark indices at each end of a finger's bones, from the knuckle out.
+ * The thumb has no middle bone; a midi ring goes on its tip bone instead.
+ */
+export const PHALANGES = {
+  thumb: { proximal: [2, 3], distal: [3, 4] },
+  index: { proximal: [5, 6], middle: [6, 7], distal: [7, 8] },
+  middle: { proximal: [9, 10], middle: [10, 11], distal: [11, 12] },
+  ring: { proximal: [13, 14], middle: [14, 15], distal: [15, 16] },
+  pinky: { proximal: [17, 18], middle: [18, 19], distal: [19, 20] }
+};
+
+/**
+ * Where along a finger a ring sits: the bone, how far along it from the
+ * knuckle, and the finger's width there relative to its base
+ */
+export const RING_POSITIONS = {
+  base: { label: 'Base', phalanx: 'proximal', along: 0.55, widthScale: 1 },
+  stacked: { label: 'Stacked', phalanx: 'proximal', along: 0.8, widthScale: 0.95 },
+  midi: { label: 'Midi', phalanx: 'middle', along: 0.5, widthScale: 0.85 }
+};
+
+export const DEFAULT_RING_POSITION = 'base';
+
+// The thumb has no neighbour on both sides to measure it by, so it is taken
+// as a little wider than the index finger
+const THUMB_WIDTH_RATIO = 1.15;
+
+/**
+ * Finger a ring is worn on
+ * 
+ * @param {Object} ring Ring item (fingerIndex 0 to 4)
+ * @returns {String} One of FINGERS
+ */
+export function fingerOf(ring) {
+  return FINGERS[ring?.fingerIndex] || DEFAULT_RING_FINGER;
+}
+
+/**
+ * Where along its finger a ring is worn
+ * 
+ * @param {Object} ring Ring item
+ * @returns {String} Key of RING_POSITIONS
+ */
+export function ringPositionOf(ring) {
+  return RING_POSITIONS[ring?.ringPosition] ? ring.ringPosition : DEFAULT_RING_POSITION;
+}
+
+/**
+ * Where to draw a ring on a detected hand
+ * 
+ * @param {Array} landmarks Hand landmarks in MediaPipe order, in pixels,
+ *   normalised image units or 3D
+ * @param {String} finger One of FINGERS
+ * @param {String} position Key of RING_POSITIONS
+ * @returns {Object|null} { x, y, z } centre of the ring, angle (degrees of
+ *   the finger's axis in the image, pointing to the tip), axis (unit vector
+ *   along the finger) and width (the finger's width there, in the landmarks'
+ *   units), or null if the finger's landmarks are missing
+ */
+export function ringPlacement(landmarks, finger = DEFAULT_RING_FINGER, position = DEFAULT_RING_POSITION) {
+  const phalanges = PHALANGES[finger];
+  const { phalanx, along, widthScale } = RING_POSITIONS[position] || RING_POSITIONS[DEFAULT_RING_POSITION];
+  if (!phalanges) return null;
+  
+  const [from, to] = (phalanges[phalanx] || phalanges.distal).map(index => landmarks?.[index]);
+  if (!from || !to) return null;
+  
+  const width = fingerWidth(landmarks, finger);
+  if (!width) return null;
+  
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dz = (to.z || 0) - (from.z || 0);
+  const length = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+  
+  return {
+    x: from.x + dx * along,
+    y: from.y + dy * along,
+    z: (from.z || 0) + dz * along,
+    angle: Math.atan2(dy, dx) * (180 / Math.PI),
+    axis: { x: dx / length, y: dy / length, z: dz / length },
+    width: width * widthScale
+  };
+}
+
+// Width of a finger at its base, from the knuckle spacing (see RingSizing)
+function fingerWidth(landmarks, finger) {
+  if (finger === 'thumb') {
+    const index = measureFingerWidth(landmarks, 'index')?.widthPx;
+    return index ? index * THUMB_WIDTH_RATIO : null;
+  }
+  return measureFingerWidth(landmarks, finger)?.widthPx || null;
+}
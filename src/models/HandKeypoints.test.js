@@ -0,0 +1,52 @@
+import { ringPlacement, fingerOf, ringPositionOf } from './HandKeypoints';
+import { syntheticHand } from '../testUtils/hands';
+
+// Knuckles 40px apart, so a finger is 40 * 0.95 = 38px wide at its base
+const { keypoints } = syntheticHand();
+
+describe('HandKeypoints', () => {
+  test('fingerOf and ringPositionOf fall back to a ring at the base of the ring finger', () => {
+    expect(fingerOf({ fingerIndex: 1 })).toBe('index');
+    expect(fingerOf({ fingerIndex: 9 })).toBe('ring');
+    expect(fingerOf(null)).toBe('ring');
+    expect(ringPositionOf({ ringPosition: 'midi' })).toBe('midi');
+    expect(ringPositionOf({ ringPosition: 'toe' })).toBe('base');
+  });
+  
+  test('places a base ring along the first bone, pointing to the fingertip', () => {
+    const placement = ringPlacement(keypoints, 'ring', 'base');
+    
+    expect(placement.x).toBeCloseTo(340);
+    expect(placement.y).toBeCloseTo(300 - 30 * 0.55);
+    expect(placement.angle).toBeCloseTo(-90);
+    expect(placement.axis).toEqual({ x: 0, y: -1, z: 0 });
+    expect(placement.width).toBeCloseTo(38);
+  });
+  
+  test('places stacked rings higher and midi rings on the middle bone, narrower', () => {
+    const stacked = ringPlacement(keypoints, 'middle', 'stacked');
+    const midi = ringPlacement(keypoints, 'middle', 'midi');
+    
+    expect(stacked.y).toBeCloseTo(300 - 30 * 0.8);
+    expect(stacked.width).toBeCloseTo(38 * 0.95);
+    expect(midi.y).toBeCloseTo(270 - 30 * 0.5);
+    expect(midi.width).toBeCloseTo(38 * 0.85);
+  });
+  
+  test('sizes the thumb from the index finger and puts its midi ring on the tip bone', () => {
+    const thumb = ringPlacement(keypoints, 'thumb', 'midi');
+    
+    expect(thumb.x).toBeCloseTo(222.5);
+    expect(thumb.y).toBeCloseTo(322.5);
+    expect(thumb.width).toBeCloseTo(38 * 1.15 * 0.85);
+  });
+  
+  test('returns null when the finger\'s landmarks are missing', () => {
+    const partial = keypoints.slice();
+    partial[14] = undefined;
+    
+    expect(ringPlacement(partial, 'ring')).toBeNull();
+    expect(ringPlacement(keypoints, 'toe')).toBeNull();
+    expect(ringPlacement(null)).toBeNull();
+  });
+});
@@ -1,6 +1,18 @@
 import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
-import '@tensorflow/tfjs-core';
+import * as tf from '@tensorflow/tfjs-core';
 import '@tensorflow/tfjs-backend-webgl';
+import { measureFingerWidth } from '../utils/RingSizing';
+import { estimateWristWidth } from '../utils/WristSizing';
+import { resolveHandedness } from './Handedness';
+import { HAND_LANDMARK_NAMES } from './HandKeypoints';
+
+// Knuckle (MCP) landmark index of each finger that takes a ring
+const FINGER_NAMES = {
+  5: 'index',
+  9: 'middle',
+  13: 'ring',
+  17: 'pinky'
+};
 
 /**
  * HandPoseDetector
@@ -49,9 +61,13 @@ class HandPoseDetector {
    * Detect hand poses from an image or video frame
    * 
    * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageData} input 
-   * @returns {Array} Array of hand pose data
+   * @param {Object} options throttle: skip calls made too soon after the last one
+   *   (set false for still images and offline frame processing); mirrored:
+   *   whether the input is a mirror image, such as a front camera photo taken
+   *   from a mirrored preview (camera frames themselves never are)
+   * @returns {Array} Array of hand pose data, handedness being the wearer's hand
    */
-  async detect(input) {
+  async detect(input, { throttle = true, mirrored = false } = {}) {
     if (!this.isInitialized || !this.model) {
       throw new Error('Hand pose detector not initialized');
     }
@@ -59,7 +75,7 @@ class HandPoseDetector {
     try {
       // Limit detection frequency for performance
       const now = performance.now();
-      if (now - this.lastPredictionTime < 100) {  // Max 10 FPS
+      if (throttle && now - this.lastPredictionTime < 100) {  // Max 10 FPS
         return null;
       }
       this.lastPredictionTime = now;
@@ -68,7 +84,7 @@ class HandPoseDetector {
       const predictions = await this.model.estimateHands(input);
       
       if (predictions && predictions.length > 0) {
-        return this.processPredictions(predictions);
+        return this.processPredictions(predictions, { mirrored });
       }
       
       return null;
@@ -82,13 +98,14 @@ class HandPoseDetector {
    * Process and normalize the model predictions
    * 
    * @param {Array} predictions Raw predictions from the model
+   * @param {Object} options mirrored: whether the input was a mirror image
    * @returns {Array} Processed and enriched hand data
    */
-  processPredictions(predictions) {
-    return predictions.map(prediction => {
-      // Determine handedness (left or right)
-      const handedness = prediction.handedness === 'Left' ? 'Left' : 'Right';
-      
+  processPredictions(predictions, { mirrored = false } = {}) {
+    // Determine handedness (the wearer's left or right, see Handedness)
+    const handedness = resolveHandedness(predictions, { mirrored });
+    
+    return predictions.map((prediction, index) => {
       // Extract keypoints for jewelry positioning
       const keypoints = this.extractKeypoints(prediction);
       
@@ -100,8 +117,9 @@ class HandPoseDetector {
       
       return {
         landmarks: prediction.keypoints3D || prediction.keypoints,
+        imageLandmarks: prediction.keypoints, // Pixel coordinates in the input image
         keypoints: keypoints,
-        handedness: handedness,
+        handedness: handedness[index],
         measurements: measurements,
         orientation: orientation,
         confidence: prediction.score
@@ -118,37 +136,11 @@ class HandPoseDetector {
   extractKeypoints(prediction) {
     const landmarks = prediction.keypoints3D || prediction.keypoints;
     
-    // Define indices for key hand features
-    // These correspond to the MediaPipe Hands model keypoints
-    const handLandmarkNames = [
-      'wrist',                // 0
-      'thumb_cmc',            // 1
-      'thumb_mcp',            // 2
-      'thumb_ip',             // 3
-      'thumb_tip',            // 4
-      'index_finger_mcp',     // 5
-      'index_finger_pip',     // 6
-      'index_finger_dip',     // 7
-      'index_finger_tip',     // 8
-      'middle_finger_mcp',    // 9
-      'middle_finger_pip',    // 10
-      'middle_finger_dip',    // 11
-      'middle_finger_tip',    // 12
-      'ring_finger_mcp',      // 13
-      'ring_finger_pip',      // 14
-      'ring_finger_dip',      // 15
-      'ring_finger_tip',      // 16
-      'pinky_mcp',            // 17
-      'pinky_pip',            // 18
-      'pinky_dip',            // 19
-      'pinky_tip'             // 20
-    ];
-    
-    // Create keypoints object with named hand landmarks
+    // Create keypoints object with named hand landmarks (see HandKeypoints)
     const keypoints = {};
     for (let i = 0; i < landmarks.length; i++) {
-      if (handLandmarkNames[i] && landmarks[i]) {
-        keypoints[handLandmarkNames[i]] = {
+      if (HAND_LANDMARK_NAMES[i] && landmarks[i]) {
+        keypoints[HAND_LANDMARK_NAMES[i]] = {
           x: landmarks[i].x,
           y: landmarks[i].y,
           z: landmarks[i].z || 0
@@ -187,11 +179,15 @@ class HandPoseDetector {
   /**
    * Calculate hand measurements from landmarks
    * 
+   * Measured in image pixels; RingSizing and WristSizing turn them into
+   * millimetres once the pixel scale is calibrated.
+   * 
    * @param {Object} prediction Raw prediction from the model
    * @returns {Object} Hand measurement metrics
    */
   calculateHandMeasurements(prediction) {
-    const landmarks = prediction.keypoints3D || prediction.keypoints;
+    const landmarks = prediction.keypoints;
+    const worldLandmarks = prediction.keypoints3D || null;
     
     try {
       // Calculate palm width (distance between pinky_mcp and index_finger_mcp)
@@ -216,25 +212,28 @@ class HandPoseDetector {
       
       // Calculate finger measurements for ring sizing
       const fingerMeasurements = {
-        index: this.calculateFingerDimensions(landmarks, 5),  // index finger
-        middle: this.calculateFingerDimensions(landmarks, 9), // middle finger
-        ring: this.calculateFingerDimensions(landmarks, 13),  // ring finger
-        pinky: this.calculateFingerDimensions(landmarks, 17)  // pinky finger
+        index: this.calculateFingerDimensions(landmarks, 5, worldLandmarks),  // index finger
+        middle: this.calculateFingerDimensions(landmarks, 9, worldLandmarks), // middle finger
+        ring: this.calculateFingerDimensions(landmarks, 13, worldLandmarks),  // ring finger
+        pinky: this.calculateFingerDimensions(landmarks, 17, worldLandmarks)  // pinky finger
       };
       
-      // Calculate wrist circumference (approximation)
-      const wristCircumference = palmWidth * 2.5;
+      // Wrist width across the screen from the knuckles; a circumference needs
+      // the wrist seen at several rotations (see WristSizing)
+      const wristWidth = estimateWristWidth(landmarks) || 0;
       
       return {
+        units: 'px',
         palmWidth,
         handLength,
         fingerMeasurements,
-        wristCircumference,
+        wristWidth,
         aspectRatio: handLength / palmWidth
       };
     } catch (error) {
       console.error('Error calculating hand measurements:', error);
       return {
+        units: 'px',
         palmWidth: 0,
         handLength: 0,
         fingerMeasurements: {
@@ -243,7 +242,7 @@ class HandPoseDetector {
           ring: { width: 0, length: 0 },
           pinky: { width: 0, length: 0 }
         },
-        wristCircumference: 0,
+        wristWidth: 0,
         aspectRatio: 0
       };
     }
@@ -254,9 +253,10 @@ class HandPoseDetector {
    * 
    * @param {Array} landmarks Hand landmarks array
    * @param {Number} baseIndex Base index of the finger
+   * @param {Array} worldLandmarks 3D landmarks, to correct the width for a tilted palm
    * @returns {Object} Finger dimensions
    */
-  calculateFingerDimensions(landmarks, baseIndex) {
+  calculateFingerDimensions(landmarks, baseIndex, worldLandmarks = null) {
     try {
       // Get key points for this finger
       const mcp = landmarks[baseIndex];        // Metacarpophalangeal joint (base)
@@ -271,10 +271,11 @@ class HandPoseDetector {
         Math.pow((tip.z || 0) - (mcp.z || 0), 2)
       );
       
-      // Calculate finger width (approximation based on pip)
-      // This is a rough approximation - in reality we'd need points on either
-      // side of the finger to get width, but MediaPipe doesn't provide these directly
-      const fingerWidth = fingerLength * 0.15; // Typical finger width ratio
+      // Calculate finger width from the spacing of the knuckles
+      // MediaPipe has no points on either side of the finger, but fingers held
+      // together touch, so neighbouring knuckles are about a finger-width apart
+      const finger = FINGER_NAMES[baseIndex];
+      const fingerWidth = measureFingerWidth(landmarks, finger, worldLandmarks)?.widthPx || 0;
       
       // Calculate segment lengths
       const mcpToPip = Math.sqrt(
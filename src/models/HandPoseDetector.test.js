@@ -0,0 +1,35 @@
+import * as tf from '@tensorflow/tfjs-core';
+import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
+import HandPoseDetector from './HandPoseDetector';
+import { syntheticHand } from '../testUtils/hands';
+
+jest.mock('@tensorflow/tfjs-core', () => ({ setBackend: jest.fn(async () => true) }));
+jest.mock('@tensorflow/tfjs-backend-webgl', () => ({}));
+jest.mock('@tensorflow-models/hand-pose-detection', () => ({
+  SupportedModels: { MediaPipeHands: 'MediaPipeHands' },
+  createDetector: jest.fn()
+}));
+
+describe('HandPoseDetector', () => {
+  test('initialize sets the WebGL backend and loads MediaPipe Hands', async () => {
+    handPoseDetection.createDetector.mockResolvedValue({ estimateHands: jest.fn() });
+    const detector = new HandPoseDetector();
+    
+    await expect(detector.initialize()).resolves.toBe(true);
+    expect(tf.setBackend).toHaveBeenCalledWith('webgl');
+    expect(detector.isInitialized).toBe(true);
+  });
+  
+  test('detect names keypoints and resolves the wearer\'s hand', async () => {
+    const detector = new HandPoseDetector();
+    detector.model = { estimateHands: jest.fn(async () => [syntheticHand({ handedness: 'Left' })]) };
+    detector.isInitialized = true;
+    
+    const [hand] = await detector.detect({}, { throttle: false });
+    
+    // An unmirrored frame: MediaPipe's label is swapped
+    expect(hand.handedness).toBe('Right');
+    expect(hand.keypoints.ring_finger_mcp).toEqual(expect.objectContaining({ x: expect.any(Number) }));
+    expect(hand.imageLandmarks).toHaveLength(21);
+  });
+});
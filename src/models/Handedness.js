@@ -0,0 +1,82 @@
+/**
+ * Handedness
+ * 
+ * Which of the wearer's hands a detected hand is, and which hand an item is
+ * worn on. Hands are always named from the wearer's side: 'Left' and 'Right'
+ * on detections (as MediaPipe spells them), 'left' and 'right' in catalog
+ * fields such as preferredHand.
+ * 
+ * MediaPipe Hands labels hands as if the image were mirrored, the way a
+ * selfie preview is. Camera frames themselves are never mirrored, whichever
+ * way the camera faces; only previews are, and photos taken from a mirrored
+ * preview (react-webcam mirrors its screenshots). So the label is taken as
+ * it is for mirrored images and swapped for everything else.
+ */
+
+export const HANDS = ['left', 'right'];
+
+// Hand an item goes on when the catalog doesn't say
+export const DEFAULT_HAND = 'right';
+
+/**
+ * Wearer's hand for each detected hand
+ * 
+ * @param {Array} predictions Hand predictions with MediaPipe's handedness
+ *   ('Left' or 'Right') and score
+ * @param {Object} options mirrored: whether the image was mirrored
+ * @returns {Array} 'Left' or 'Right' for each prediction
+ */
+export function resolveHandedness(predictions, { mirrored = false } = {}) {
+  const labels = predictions.map(prediction => {
+    const labelledLeft = prediction.handedness === 'Left';
+    return labelledLeft === mirrored ? 'Left' : 'Right';
+  });
+  
+  // Two hands can't both be the same hand; trust the more confident label
+  if (labels.length === 2 && labels[0] === labels[1]) {
+    const lessSure = (predictions[0].score ?? 0) < (predictions[1].score ?? 0) ? 0 : 1;
+    labels[lessSure] = labels[lessSure] === 'Left' ? 'Right' : 'Left';
+  }
+  
+  return labels;
+}
+
+/**
+ * Hand an item is worn on
+ * 
+ * @param {Object} item Jewelry item
+ * @returns {String} 'left' or 'right'
+ */
+export function handOf(item) {
+  return HANDS.includes(item?.preferredHand) ? item.preferredHand : DEFAULT_HAND;
+}
+
+/**
+ * Detection label for a hand
+ * 
+ * @param {String} hand 'left' or 'right'
+ * @returns {String} 'Left' or 'Right'
+ */
+export function handLabel(hand) {
+  return hand === 'left' ? 'Left' : 'Right';
+}
+
+/**
+ * The detected hand that is the wearer's given hand
+ * 
+ * @param {Array} hands Detected hands (HandPoseDetector results)
+ * @param {String} hand 'left' or 'right'
+ * @returns {Object|null} The hand, or null when it isn't in view
+ */
+export function findHand(hands, hand) {
+  return hands?.find(candidate => candidate.handedness === handLabel(hand)) || null;
+}
+
+/**
+ * @param {Array} hands Some of 'left' and 'right'
+ * @returns {String} e.g. "left hand" or "both hands"
+ */
+export function describeHands(hands) {
+  const unique = HANDS.filter(hand => hands.includes(hand));
+  return unique.length > 1 ? 'both hands' : `${unique[0]} hand`;
+}
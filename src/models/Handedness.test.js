@@ -0,0 +1,44 @@
+import { resolveHandedness, handOf, handLabel, findHand, describeHands } from './Handedness';
+
+describe('Handedness', () => {
+  test('swaps MediaPipe\'s label for unmirrored images', () => {
+    expect(resolveHandedness([{ handedness: 'Left', score: 0.9 }])).toEqual(['Right']);
+    expect(resolveHandedness([{ handedness: 'Right', score: 0.9 }])).toEqual(['Left']);
+  });
+  
+  test('keeps the label for mirrored images', () => {
+    expect(resolveHandedness([{ handedness: 'Left', score: 0.9 }], { mirrored: true })).toEqual(['Left']);
+  });
+  
+  test('gives two hands with the same label different hands, trusting the surer one', () => {
+    const predictions = [
+      { handedness: 'Left', score: 0.6 },
+      { handedness: 'Left', score: 0.9 }
+    ];
+    
+    expect(resolveHandedness(predictions)).toEqual(['Left', 'Right']);
+    expect(resolveHandedness(predictions, { mirrored: true })).toEqual(['Right', 'Left']);
+  });
+  
+  test('handOf falls back to the right hand', () => {
+    expect(handOf({ preferredHand: 'left' })).toBe('left');
+    expect(handOf({ preferredHand: 'both' })).toBe('right');
+    expect(handOf(null)).toBe('right');
+  });
+  
+  test('findHand matches detections by the wearer\'s hand', () => {
+    const left = { handedness: 'Left' };
+    const right = { handedness: 'Right' };
+    
+    expect(handLabel('left')).toBe('Left');
+    expect(findHand([left, right], 'right')).toBe(right);
+    expect(findHand([left], 'right')).toBeNull();
+    expect(findHand(null, 'left')).toBeNull();
+  });
+  
+  test('describeHands names one hand or both', () => {
+    expect(describeHands(['left'])).toBe('left hand');
+    expect(describeHands(['right', 'right'])).toBe('right hand');
+    expect(describeHands(['right', 'left'])).toBe('both hands');
+  });
+});
@@ -0,0 +1,393 @@
+/**
+ * HeadPoseEstimator
+ * 
+ * Recovers a 6-DoF head pose by fitting a canonical 3D face model to face mesh
+ * landmarks (perspective-n-point, as in OpenCV's solvePnP). A scaled
+ * orthographic fit gives the starting pose, which Gauss-Newton iterations then
+ * refine against the perspective reprojection error.
+ * 
+ * Camera intrinsics are approximated from the frame size (focal length equal
+ * to the frame width, about a 53° horizontal field of view, which suits most
+ * webcams and phone front cameras) unless calibrated values are supplied.
+ * 
+ * Coordinates follow the camera: x right, y down, z away from the camera.
+ * Angles are in degrees: positive pitch looks down, positive yaw turns the
+ * nose towards the right of the image, positive roll tilts the head clockwise
+ * in the image.
+ */
+
+// Canonical face model in millimetres (nose tip at the origin), in camera
+// axes, keyed by MediaPipe Face Mesh index
+const CANONICAL_FACE = {
+  1: [0, 0, 0], // Nose tip
+  152: [0, 63.6, 12.5], // Chin
+  33: [-43.3, -32.7, 26.0], // Image-left eye, outer corner
+  263: [43.3, -32.7, 26.0], // Image-right eye, outer corner
+  133: [-17.0, -32.0, 30.0], // Image-left eye, inner corner
+  362: [17.0, -32.0, 30.0], // Image-right eye, inner corner
+  61: [-28.9, 28.9, 24.1], // Image-left mouth corner
+  291: [28.9, 28.9, 24.1], // Image-right mouth corner
+  168: [0, -38.0, 20.0] // Bridge of the nose between the eyes
+};
+
+const MODEL_INDICES = Object.keys(CANONICAL_FACE).map(Number);
+
+const MAX_ITERATIONS = 10;
+const CONVERGENCE_THRESHOLD = 1e-6;
+const JACOBIAN_STEP = 1e-6;
+
+class HeadPoseEstimator {
+  /**
+   * Estimate the head pose
+   * 
+   * @param {Array} landmarks Face mesh landmarks in image pixels
+   * @param {Object} frameSize { width, height } of the image
+   * @param {Object} intrinsics Optional calibrated { fx, fy, cx, cy }
+   * @returns {Object|null} { pitch, yaw, roll, rotationMatrix (3x3, row-major),
+   *   translation { x, y, z } in millimetres, intrinsics, reprojectionError
+   *   (root mean square, in pixels) }, or null
+   */
+  estimate(landmarks, frameSize, intrinsics = null) {
+    if (!landmarks || !frameSize?.width || !frameSize?.height) return null;
+    
+    const camera = intrinsics || this.defaultIntrinsics(frameSize);
+    const model = [];
+    const image = [];
+    
+    MODEL_INDICES.forEach(index => {
+      const point = landmarks[index];
+      if (point) {
+        model.push(CANONICAL_FACE[index]);
+        image.push([point.x, point.y]);
+      }
+    });
+    
+    if (model.length < 6) return null;
+    
+    const initial = this.solveScaledOrthographic(model, image, camera);
+    if (!initial) return null;
+    
+    const { rotation, translation } = this.refine(model, image, camera, initial);
+    const rotationMatrix = rodrigues(rotation);
+    
+    return {
+      ...eulerAngles(rotationMatrix),
+      rotationMatrix,
+      translation: { x: translation[0], y: translation[1], z: translation[2] },
+      intrinsics: camera,
+      reprojectionError: Math.sqrt(
+        squaredNorm(residuals(model, image, camera, rotation, translation)) / model.length
+      )
+    };
+  }
+  
+  /**
+   * Intrinsics for an uncalibrated camera
+   */
+  defaultIntrinsics({ width, height }) {
+    return { fx: width, fy: width, cx: width / 2, cy: height / 2 };
+  }
+  
+  /**
+   * Initial pose from a scaled orthographic projection fit
+   */
+  solveScaledOrthographic(model, image, camera) {
+    const modelCenter = mean(model);
+    const imageCenter = mean(image);
+    const centered = model.map(point => subtract(point, modelCenter));
+    
+    // Least squares for the first two rows of scale * R
+    const normal = multiplyTransposed(centered, centered);
+    const inverse = invert3(normal);
+    if (!inverse) return null;
+    
+    const rowX = multiplyVector(inverse, centered.reduce(
+      (sum, point, i) => add(sum, scale(point, image[i][0] - imageCenter[0])), [0, 0, 0]
+    ));
+    const rowY = multiplyVector(inverse, centered.reduce(
+      (sum, point, i) => add(sum, scale(point, image[i][1] - imageCenter[1])), [0, 0, 0]
+    ));
+    
+    const scaleX = norm(rowX);
+    const scaleY = norm(rowY);
+    if (!scaleX || !scaleY) return null;
+    
+    // Orthonormalise the rows and complete the rotation
+    const r1 = scale(rowX, 1 / scaleX);
+    const r2Raw = scale(rowY, 1 / scaleY);
+    const r2 = normalize(subtract(r2Raw, scale(r1, dot(r1, r2Raw))));
+    const r3 = cross(r1, r2);
+    const rotationMatrix = [r1, r2, r3];
+    
+    // Scale is focal length over depth
+    const depth = ((camera.fx / scaleX) + (camera.fy / scaleY)) / 2;
+    const rotatedCenter = multiplyVector(rotationMatrix, modelCenter);
+    
+    return {
+      rotation: rotationVector(rotationMatrix),
+      translation: [
+        ((imageCenter[0] - camera.cx) * depth) / camera.fx - rotatedCenter[0],
+        ((imageCenter[1] - camera.cy) * depth) / camera.fy - rotatedCenter[1],
+        depth - rotatedCenter[2]
+      ]
+    };
+  }
+  
+  /**
+   * Gauss-Newton refinement of rotation vector and translation
+   */
+  refine(model, image, camera, { rotation, translation }) {
+    let params = [...rotation, ...translation];
+    let error = squaredNorm(residuals(model, image, camera, params.slice(0, 3), params.slice(3)));
+    
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      const current = residuals(model, image, camera, params.slice(0, 3), params.slice(3));
+      
+      // Numerical Jacobian of the residuals
+      const jacobian = current.map(() => new Array(6).fill(0));
+      for (let j = 0; j < 6; j++) {
+        const stepped = [...params];
+        const step = JACOBIAN_STEP * Math.max(1, Math.abs(params[j]));
+        stepped[j] += step;
+        
+        const next = residuals(model, image, camera, stepped.slice(0, 3), stepped.slice(3));
+        next.forEach((value, i) => {
+          jacobian[i][j] = (value - current[i]) / step;
+        });
+      }
+      
+      const delta = solveNormalEquations(jacobian, current);
+      if (!delta) break;
+      
+      const candidate = params.map((value, i) => value - delta[i]);
+      const candidateError = squaredNorm(
+        residuals(model, image, camera, candidate.slice(0, 3), candidate.slice(3))
+      );
+      
+      // Stop once an update no longer helps
+      if (!(candidateError < error)) break;
+      
+      const improvement = error - candidateError;
+      params = candidate;
+      error = candidateError;
+      
+      if (improvement < CONVERGENCE_THRESHOLD * error) break;
+    }
+    
+    return { rotation: params.slice(0, 3), translation: params.slice(3) };
+  }
+}
+
+/**
+ * Reprojection residuals (projected minus observed, in pixels)
+ */
+function residuals(model, image, camera, rotation, translation) {
+  const rotationMatrix = rodrigues(rotation);
+  const result = [];
+  
+  model.forEach((point, i) => {
+    const p = add(multiplyVector(rotationMatrix, point), translation);
+    const z = p[2] || 1e-9;
+    result.push(camera.fx * (p[0] / z) + camera.cx - image[i][0]);
+    result.push(camera.fy * (p[1] / z) + camera.cy - image[i][1]);
+  });
+  
+  return result;
+}
+
+/**
+ * Solve (JᵀJ) x = Jᵀr for the 6 pose parameters
+ */
+function solveNormalEquations(jacobian, residual) {
+  const size = jacobian[0].length;
+  const a = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+  
+  jacobian.forEach((row, i) => {
+    for (let j = 0; j < size; j++) {
+      for (let k = 0; k < size; k++) {
+        a[j][k] += row[j] * row[k];
+      }
+      a[j][size] += row[j] * residual[i];
+    }
+  });
+  
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    
+    for (let row = col + 1; row < size; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= size; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+  
+  const x = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = a[row][size];
+    for (let k = row + 1; k < size; k++) {
+      sum -= a[row][k] * x[k];
+    }
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Rotation vector (axis * angle) to rotation matrix
+ */
+function rodrigues(vector) {
+  const angle = norm(vector);
+  if (angle < 1e-12) {
+    return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  }
+  
+  const [x, y, z] = scale(vector, 1 / angle);
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const t = 1 - c;
+  
+  return [
+    [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+    [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+    [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+  ];
+}
+
+/**
+ * Rotation matrix to rotation vector
+ */
+function rotationVector(matrix) {
+  const cosAngle = Math.min(1, Math.max(-1, (matrix[0][0] + matrix[1][1] + matrix[2][2] - 1) / 2));
+  const angle = Math.acos(cosAngle);
+  if (angle < 1e-12) return [0, 0, 0];
+  
+  const axis = [
+    matrix[2][1] - matrix[1][2],
+    matrix[0][2] - matrix[2][0],
+    matrix[1][0] - matrix[0][1]
+  ];
+  const length = norm(axis);
+  
+  // Near 180° the antisymmetric part vanishes; use the diagonal instead
+  if (length < 1e-9) {
+    const diagonal = [matrix[0][0], matrix[1][1], matrix[2][2]].map(value => Math.sqrt(Math.max(0, (value + 1) / 2)));
+    return scale(diagonal, angle);
+  }
+  
+  return scale(axis, angle / length);
+}
+
+/**
+ * Pitch (x), yaw (y) and roll (z) in degrees from R = Rz · Ry · Rx
+ */
+function eulerAngles(matrix) {
+  const toDegrees = 180 / Math.PI;
+  const yaw = Math.asin(Math.max(-1, Math.min(1, -matrix[2][0])));
+  const pitch = Math.atan2(matrix[2][1], matrix[2][2]);
+  const roll = Math.atan2(matrix[1][0], matrix[0][0]);
+  
+  return {
+    pitch: pitch * toDegrees,
+    // A positive turn about the downward y axis swings the nose left
+    yaw: -yaw * toDegrees,
+    roll: roll * toDegrees
+  };
+}
+
+function mean(points) {
+  const sum = points.reduce((total, point) => total.map((value, i) => value + point[i]), new Array(points[0].length).fill(0));
+  return sum.map(value => value / points.length);
+}
+
+function add(a, b) {
+  return a.map((value, i) => value + b[i]);
+}
+
+function subtract(a, b) {
+  return a.map((value, i) => value - b[i]);
+}
+
+function scale(vector, factor) {
+  return vector.map(value => value * factor);
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ];
+}
+
+function norm(vector) {
+  return Math.sqrt(dot(vector, vector));
+}
+
+function squaredNorm(vector) {
+  return dot(vector, vector);
+}
+
+function normalize(vector) {
+  const length = norm(vector);
+  return length ? scale(vector, 1 / length) : vector;
+}
+
+function multiplyVector(matrix, vector) {
+  return matrix.map(row => dot(row, vector));
+}
+
+/**
+ * AᵀA for a list of 3D row vectors
+ */
+function multiplyTransposed(rows, others) {
+  const result = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  rows.forEach((row, i) => {
+    for (let j = 0; j < 3; j++) {
+      for (let k = 0; k < 3; k++) {
+        result[j][k] += row[j] * others[i][k];
+      }
+    }
+  });
+  return result;
+}
+
+function invert3(m) {
+  const determinant =
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  
+  if (Math.abs(determinant) < 1e-12) return null;
+  
+  const inverse = 1 / determinant;
+  return [
+    [
+      (m[1][1] * m[2][2] - m[1][2] * m[2][1]) * inverse,
+      (m[0][2] * m[2][1] - m[0][1] * m[2][2]) * inverse,
+      (m[0][1] * m[1][2] - m[0][2] * m[1][1]) * inverse
+    ],
+    [
+      (m[1][2] * m[2][0] - m[1][0] * m[2][2]) * inverse,
+      (m[0][0] * m[2][2] - m[0][2] * m[2][0]) * inverse,
+      (m[0][2] * m[1][0] - m[0][0] * m[1][2]) * inverse
+    ],
+    [
+      (m[1][0] * m[2][1] - m[1][1] * m[2][0]) * inverse,
+      (m[0][1] * m[2][0] - m[0][0] * m[2][1]) * inverse,
+      (m[0][0] * m[1][1] - m[0][1] * m[1][0]) * inverse
+    ]
+  ];
+}
+
+export default HeadPoseEstimator;
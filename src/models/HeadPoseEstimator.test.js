@@ -0,0 +1,95 @@
+import HeadPoseEstimator from './HeadPoseEstimator';
+
+// The estimator's canonical face, which the tests project to fake landmarks
+const FACE = {
+  1: [0, 0, 0],
+  152: [0, 63.6, 12.5],
+  33: [-43.3, -32.7, 26.0],
+  263: [43.3, -32.7, 26.0],
+  133: [-17.0, -32.0, 30.0],
+  362: [17.0, -32.0, 30.0],
+  61: [-28.9, 28.9, 24.1],
+  291: [28.9, 28.9, 24.1],
+  168: [0, -38.0, 20.0]
+};
+
+const FRAME = { width: 640, height: 480 };
+const CAMERA = { fx: 640, fy: 640, cx: 320, cy: 240 };
+
+// R = Rz(roll) · Ry(-yaw) · Rx(pitch), matching the estimator's conventions
+function rotation({ pitch, yaw, roll }) {
+  const [x, y, z] = [pitch, -yaw, roll].map(angle => angle * Math.PI / 180);
+  const rx = [[1, 0, 0], [0, Math.cos(x), -Math.sin(x)], [0, Math.sin(x), Math.cos(x)]];
+  const ry = [[Math.cos(y), 0, Math.sin(y)], [0, 1, 0], [-Math.sin(y), 0, Math.cos(y)]];
+  const rz = [[Math.cos(z), -Math.sin(z), 0], [Math.sin(z), Math.cos(z), 0], [0, 0, 1]];
+  const multiply = (a, b) => a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+  return multiply(rz, multiply(ry, rx));
+}
+
+// Face mesh landmarks for a head at the given pose and position
+function project(pose, translation, camera = CAMERA) {
+  const matrix = rotation(pose);
+  const landmarks = [];
+  
+  Object.entries(FACE).forEach(([index, point]) => {
+    const [x, y, z] = matrix.map((row, i) => row.reduce((sum, value, k) => sum + value * point[k], 0) + translation[i]);
+    landmarks[index] = { x: camera.fx * (x / z) + camera.cx, y: camera.fy * (y / z) + camera.cy };
+  });
+  
+  return landmarks;
+}
+
+describe('HeadPoseEstimator', () => {
+  const estimator = new HeadPoseEstimator();
+  
+  test('recovers a frontal head at its distance from the camera', () => {
+    const pose = estimator.estimate(project({ pitch: 0, yaw: 0, roll: 0 }, [0, 0, 500]), FRAME);
+    
+    expect(pose.pitch).toBeCloseTo(0, 1);
+    expect(pose.yaw).toBeCloseTo(0, 1);
+    expect(pose.roll).toBeCloseTo(0, 1);
+    expect(pose.translation.z).toBeCloseTo(500, 0);
+    expect(pose.reprojectionError).toBeLessThan(0.01);
+  });
+  
+  test('recovers pitch, yaw and roll with their documented signs', () => {
+    const pose = estimator.estimate(project({ pitch: 10, yaw: 25, roll: -8 }, [20, -10, 550]), FRAME);
+    
+    expect(pose.pitch).toBeCloseTo(10, 1);
+    expect(pose.yaw).toBeCloseTo(25, 1);
+    expect(pose.roll).toBeCloseTo(-8, 1);
+    expect(pose.translation.x).toBeCloseTo(20, 0);
+    expect(pose.translation.y).toBeCloseTo(-10, 0);
+    expect(pose.translation.z).toBeCloseTo(550, 0);
+    expect(pose.reprojectionError).toBeLessThan(0.01);
+  });
+  
+  test('turning the nose towards the right of the image is a positive yaw', () => {
+    const landmarks = project({ pitch: 0, yaw: 20, roll: 0 }, [0, 0, 500]);
+    const pose = estimator.estimate(landmarks, FRAME);
+    
+    expect(landmarks[1].x).toBeGreaterThan((landmarks[33].x + landmarks[263].x) / 2);
+    expect(pose.yaw).toBeGreaterThan(0);
+  });
+  
+  test('uses calibrated intrinsics when given them', () => {
+    const camera = { fx: 900, fy: 900, cx: 300, cy: 250 };
+    const pose = estimator.estimate(project({ pitch: -5, yaw: -15, roll: 5 }, [0, 0, 600], camera), FRAME, camera);
+    
+    expect(pose.intrinsics).toBe(camera);
+    expect(pose.yaw).toBeCloseTo(-15, 1);
+    expect(pose.translation.z).toBeCloseTo(600, 0);
+  });
+  
+  test('returns null without landmarks, a frame size or enough model points', () => {
+    const landmarks = project({ pitch: 0, yaw: 0, roll: 0 }, [0, 0, 500]);
+    const sparse = [];
+    [1, 152, 33, 263, 61].forEach(index => {
+      sparse[index] = landmarks[index];
+    });
+    
+    expect(estimator.estimate(null, FRAME)).toBeNull();
+    expect(estimator.estimate(landmarks, { width: 0, height: 480 })).toBeNull();
+    expect(estimator.estimate(sparse, FRAME)).toBeNull();
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * Look
+ * 
+ * A set of pieces tried on together, such as earrings with a necklace and a
+ * ring. A look holds at most one item per slot: one per jewelry type, except
+ * rings, which take one slot per hand, finger and position along the finger
+ * (see HandKeypoints). The same ring can be worn on both hands, several rings
+ * on one hand, and a stacked or midi ring on a finger that already has one;
+ * each ring in the look is a copy of the catalog item with the hand
+ * (preferredHand), finger (fingerIndex) and position (ringPosition) it is
+ * worn at. Items are kept in drawing order: pieces that
+ * sit further back come first, so drawing them in order layers them
+ * correctly. For example, a necklace is drawn under dangling earrings, and
+ * glasses over a nose pin.
+ * 
+ * Looks are immutable so they can be held in React state; withItem,
+ * withoutItem and toggle return a new look.
+ */
+
+import { FACE_ANCHOR_TYPES } from './FaceAnchors';
+import { handOf } from './Handedness';
+import { FINGERS, FINGER_LABELS, fingerOf, ringPositionOf } from './HandKeypoints';
+
+// Which landmarks each jewelry type is placed on
+export const FACE_ITEM_TYPES = ['earring', 'necklace', ...FACE_ANCHOR_TYPES];
+export const HAND_ITEM_TYPES = ['ring', 'bracelet', 'watch'];
+
+// Detection targets in the order they are run and reported
+export const DETECTION_TARGETS = ['face', 'hand'];
+
+// Fingers tried in turn when a ring's own finger is taken, nearest first
+const RING_FINGER_ORDER = ['ring', 'middle', 'pinky', 'index', 'thumb'];
+
+// Drawing order, back to front
+export const LAYER_ORDER = [
+  'necklace',
+  'maang-tikka',
+  'earring',
+  'nose-pin',
+  'glasses',
+  'watch',
+  'bracelet',
+  'ring'
+];
+
+/**
+ * Which landmarks an item is placed on
+ * 
+ * @param {Object} item Jewelry item
+ * @returns {String|null} 'face', 'hand' or null if unsupported
+ */
+export function detectionTargetFor(item) {
+  if (FACE_ITEM_TYPES.includes(item?.type)) return 'face';
+  if (HAND_ITEM_TYPES.includes(item?.type)) return 'hand';
+  return null;
+}
+
+/**
+ * Slot an item occupies; adding an item replaces any item in the same slot
+ * 
+ * @param {Object} item Jewelry item
+ * @returns {String} Slot name
+ */
+export function slotOf(item) {
+  if (item.type === 'ring') {
+    return `ring:${handOf(item)}:${fingerOf(item)}:${ringPositionOf(item)}`;
+  }
+  return item.type;
+}
+
+/**
+ * Key for an item in a look, unique even when an item is worn twice
+ * 
+ * @param {Object} item Jewelry item in a look
+ * @returns {String}
+ */
+export function entryKey(item) {
+  return `${item.id}@${slotOf(item)}`;
+}
+
+/**
+ * Where a ring is worn, e.g. "left ring finger" or "right thumb (midi)"
+ * 
+ * @param {Object} ring Ring item in a look
+ * @returns {String}
+ */
+export function describeFinger(ring) {
+  const finger = fingerOf(ring);
+  const fingerName = finger === 'thumb' ? 'thumb' : `${FINGER_LABELS[finger].toLowerCase()} finger`;
+  const position = ringPositionOf(ring);
+  
+  return `${handOf(ring)} ${fingerName}${position === 'base' ? '' : ` (${position})`}`;
+}
+
+class Look {
+  /**
+   * @param {Array} items Jewelry items in any order; when two share a slot
+   *   the later one is kept
+   */
+  constructor(items = []) {
+    const bySlot = new Map();
+    items.filter(Boolean).forEach(item => bySlot.set(slotOf(item), item));
+    
+    this.items = [...bySlot.values()].sort((a, b) => layerIndex(a) - layerIndex(b));
+  }
+  
+  /**
+   * A look from a look, an array of items, a single item or nothing
+   * 
+   * @param {Look|Array|Object|null} value
+   * @returns {Look}
+   */
+  static from(value) {
+    if (value instanceof Look) return value;
+    if (Array.isArray(value)) return new Look(value);
+    return new Look(value ? [value] : []);
+  }
+  
+  get size() {
+    return this.items.length;
+  }
+  
+  isEmpty() {
+    return this.items.length === 0;
+  }
+  
+  /**
+   * @param {String} itemId Catalog item id
+   * @returns {Boolean} Whether the item is in the look
+   */
+  has(itemId) {
+    return this.items.some(item => item.id === itemId);
+  }
+  
+  /**
+   * @param {Object} item Item to add, replacing any item in its slot
+   * @returns {Look} New look
+   */
+  withItem(item) {
+    return new Look([...this.items, item]);
+  }
+  
+  /**
+   * @param {String} itemId Catalog item id
+   * @returns {Look} New look without the item (on every hand it's worn on)
+   */
+  withoutItem(itemId) {
+    return new Look(this.items.filter(item => item.id !== itemId));
+  }
+  
+  /**
+   * @param {String} key entryKey of one item in the look
+   * @returns {Look} New look without that one
+   */
+  withoutEntry(key) {
+    return new Look(this.items.filter(item => entryKey(item) !== key));
+  }
+  
+  /**
+   * Add the item, or take it out if it's already in the look. Rings are
+   * added beside any already worn rather than replacing them.
+   * 
+   * @param {Object} item Jewelry item
+   * @returns {Look} New look
+   */
+  toggle(item) {
+    if (this.has(item.id)) return this.withoutItem(item.id);
+    return this.withItem(item.type === 'ring' ? this.placeRing(item) : item);
+  }
+  
+  /**
+   * Where a ring goes on a hand: its own finger if that's free at its
+   * position, otherwise the nearest finger that is (or its own finger,
+   * replacing the ring there, when none is)
+   * 
+   * @param {Object} ring Ring item
+   * @param {String} hand 'left' or 'right'; defaults to the ring's own
+   * @returns {Object} Copy of the ring with preferredHand, fingerIndex and
+   *   ringPosition set
+   */
+  placeRing(ring, hand = handOf(ring)) {
+    const own = fingerOf(ring);
+    const ringPosition = ringPositionOf(ring);
+    const taken = new Set(this.items
+      .filter(item => item.type === 'ring' && item.id !== ring.id && handOf(item) === hand)
+      .filter(item => ringPositionOf(item) === ringPosition)
+      .map(fingerOf));
+    
+    const finger = [own, ...RING_FINGER_ORDER].find(candidate => !taken.has(candidate)) || own;
+    return { ...ring, preferredHand: hand, fingerIndex: FINGERS.indexOf(finger), ringPosition };
+  }
+  
+  /**
+   * Move a ring to a finger and position on every hand it's worn on,
+   * replacing any ring already there
+   * 
+   * @param {String} itemId Catalog item id of a ring in the look
+   * @param {Object} placement finger: one of FINGERS; position: key of
+   *   RING_POSITIONS (see HandKeypoints); either keeps the ring's own
+   * @returns {Look} New look
+   */
+  withRingAt(itemId, { finger, position } = {}) {
+    const moved = this.items
+      .filter(item => item.id === itemId && item.type === 'ring')
+      .map(ring => ({
+        ...ring,
+        fingerIndex: FINGERS.indexOf(finger || fingerOf(ring)),
+        ringPosition: position || ringPositionOf(ring)
+      }));
+    
+    // Later items win their slot, so the moved ring displaces what was there
+    return new Look([...this.withoutItem(itemId).items, ...moved]);
+  }
+  
+  /**
+   * Wear a ring on the given hands (one copy per hand), replacing wherever
+   * it was worn before
+   * 
+   * @param {Object} ring Ring item
+   * @param {Array} hands Some of 'left' and 'right'
+   * @returns {Look} New look
+   */
+  withRingOn(ring, hands) {
+    return hands.reduce(
+      (look, hand) => look.withItem(look.placeRing(ring, hand)),
+      this.withoutItem(ring.id)
+    );
+  }
+  
+  /**
+   * @param {String} itemId Catalog item id
+   * @returns {Array} Hands the item is worn on, some of 'left' and 'right'
+   */
+  handsFor(itemId) {
+    return [...new Set(this.items.filter(item => item.id === itemId).map(handOf))];
+  }
+  
+  /**
+   * Hands the look's rings, bracelets and watches are worn on
+   * 
+   * @returns {Array} Some of 'left' and 'right'
+   */
+  handsNeeded() {
+    return [...new Set(this.itemsFor('hand').map(handOf))];
+  }
+  
+  /**
+   * Detection targets the look needs, in DETECTION_TARGETS order
+   * 
+   * @returns {Array} Some of 'face' and 'hand'
+   */
+  targets() {
+    return DETECTION_TARGETS.filter(target => this.itemsFor(target).length > 0);
+  }
+  
+  /**
+   * Items placed on one detection target, in drawing order
+   * 
+   * @param {String} target 'face' or 'hand'
+   * @returns {Array} Items
+   */
+  itemsFor(target) {
+    return this.items.filter(item => detectionTargetFor(item) === target);
+  }
+  
+  /**
+   * Short human-readable description, e.g. "Pearl Drops and Gold Band on
+   * the left ring finger"
+   * 
+   * @returns {String}
+   */
+  describe() {
+    const names = this.items.map(describeItem);
+    if (names.length <= 1) return names[0] || '';
+    
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+  
+  /**
+   * What the assistant is told about the look
+   * 
+   * @returns {Object} { description, items } with the catalog fields that
+   *   matter for styling, the hand pieces are worn on and, for rings, the
+   *   finger and position, in drawing order
+   */
+  toContext() {
+    return {
+      description: this.describe(),
+      items: this.items.map(item => ({
+        id: item.id,
+        name: item.name,
+        type: item.type,
+        metalType: item.metalType,
+        gemstones: item.gemstones,
+        culturalStyle: item.culturalStyle,
+        hand: detectionTargetFor(item) === 'hand' ? handOf(item) : undefined,
+        finger: item.type === 'ring' ? fingerOf(item) : undefined,
+        ringPosition: item.type === 'ring' ? ringPositionOf(item) : undefined
+      }))
+    };
+  }
+  
+  /**
+   * Telemetry fields describing the look
+   * 
+   * @returns {Object} { itemIds, itemTypes, itemCount }
+   */
+  toTelemetry() {
+    return {
+      itemIds: this.items.map(item => item.id),
+      itemTypes: this.items.map(item => item.type),
+      itemCount: this.items.length
+    };
+  }
+}
+
+// Name, with where pieces worn on a hand go
+function describeItem(item) {
+  const name = item.name || item.type;
+  if (item.type === 'ring') return `${name} on the ${describeFinger(item)}`;
+  if (detectionTargetFor(item) === 'hand') return `${name} on the ${handOf(item)} wrist`;
+  return name;
+}
+
+function layerIndex(item) {
+  const index = LAYER_ORDER.indexOf(item.type);
+  return index === -1 ? LAYER_ORDER.length : index;
+}
+
+export default Look;
@@ -0,0 +1,96 @@
+import Look, { slotOf, entryKey, describeFinger, detectionTargetFor } from './Look';
+
+const earrings = { id: 'e1', name: 'Pearl Drops', type: 'earring' };
+const studs = { id: 'e2', name: 'Diamond Studs', type: 'earring' };
+const necklace = { id: 'n1', name: 'Gold Chain', type: 'necklace' };
+const band = { id: 'r1', name: 'Gold Band', type: 'ring', fingerIndex: 3 };
+const solitaire = { id: 'r2', name: 'Solitaire', type: 'ring', fingerIndex: 3 };
+const watch = { id: 'w1', name: 'Steel Watch', type: 'watch', preferredHand: 'left' };
+
+describe('Look', () => {
+  test('keeps one item per slot, the later one, in drawing order', () => {
+    const look = new Look([earrings, band, necklace, studs, null]);
+    
+    expect(look.items.map(item => item.id)).toEqual(['n1', 'e2', 'r1']);
+    expect(look.size).toBe(3);
+  });
+  
+  test('gives rings a slot per hand, finger and position', () => {
+    expect(slotOf(band)).toBe('ring:right:ring:base');
+    expect(slotOf({ ...band, preferredHand: 'left', ringPosition: 'midi' })).toBe('ring:left:ring:midi');
+    expect(entryKey(band)).toBe('r1@ring:right:ring:base');
+    expect(slotOf(necklace)).toBe('necklace');
+  });
+  
+  test('from accepts a look, items, one item or nothing', () => {
+    const look = new Look([band]);
+    
+    expect(Look.from(look)).toBe(look);
+    expect(Look.from([band, necklace]).size).toBe(2);
+    expect(Look.from(band).has('r1')).toBe(true);
+    expect(Look.from(null).isEmpty()).toBe(true);
+  });
+  
+  test('is immutable', () => {
+    const look = new Look([earrings]);
+    const withNecklace = look.withItem(necklace);
+    
+    expect(look.size).toBe(1);
+    expect(withNecklace.size).toBe(2);
+    expect(withNecklace.withoutItem('e1').items).toEqual([necklace]);
+  });
+  
+  test('toggle adds and removes items, and moves a second ring to a free finger', () => {
+    const look = new Look().toggle(band).toggle(solitaire);
+    
+    expect(look.items.map(describeFinger)).toEqual(['right ring finger', 'right middle finger']);
+    expect(look.toggle(band).items.map(item => item.id)).toEqual(['r2']);
+  });
+  
+  test('withRingOn wears one copy per hand, and withoutEntry removes one of them', () => {
+    const look = new Look().withRingOn(band, ['left', 'right']);
+    
+    expect(look.handsFor('r1')).toEqual(['left', 'right']);
+    expect(look.withRingOn(band, ['left']).handsFor('r1')).toEqual(['left']);
+    
+    const rightOnly = look.withoutEntry(entryKey({ ...band, preferredHand: 'left' }));
+    expect(rightOnly.handsFor('r1')).toEqual(['right']);
+  });
+  
+  test('withRingAt moves a ring, displacing the ring already there', () => {
+    const look = new Look().toggle(band).toggle(solitaire).withRingAt('r2', { finger: 'ring' });
+    
+    expect(look.items).toEqual([{ ...solitaire, preferredHand: 'right', fingerIndex: 3, ringPosition: 'base' }]);
+    
+    const stacked = new Look().toggle(band).toggle(solitaire).withRingAt('r2', { finger: 'ring', position: 'stacked' });
+    expect(stacked.items.map(describeFinger)).toEqual(['right ring finger', 'right ring finger (stacked)']);
+  });
+  
+  test('reports the detection targets and hands it needs', () => {
+    const look = new Look([necklace, watch, band]);
+    
+    expect(detectionTargetFor(necklace)).toBe('face');
+    expect(detectionTargetFor({ type: 'anklet' })).toBeNull();
+    expect(look.targets()).toEqual(['face', 'hand']);
+    expect(look.itemsFor('hand').map(item => item.id)).toEqual(['w1', 'r1']);
+    expect(look.handsNeeded()).toEqual(['left', 'right']);
+    expect(new Look([earrings]).targets()).toEqual(['face']);
+  });
+  
+  test('describes itself for people, the assistant and telemetry', () => {
+    const look = new Look([earrings, watch, band]);
+    
+    expect(look.describe()).toBe('Pearl Drops, Steel Watch on the left wrist and Gold Band on the right ring finger');
+    expect(new Look().describe()).toBe('');
+    
+    const [, watchContext, ringContext] = look.toContext().items;
+    expect(watchContext).toMatchObject({ hand: 'left', finger: undefined });
+    expect(ringContext).toMatchObject({ hand: 'right', finger: 'ring', ringPosition: 'base' });
+    
+    expect(look.toTelemetry()).toEqual({
+      itemIds: ['e1', 'w1', 'r1'],
+      itemTypes: ['earring', 'watch', 'ring'],
+      itemCount: 3
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * NeckEstimator
+ * 
+ * Estimates the base of the neck (sternal notch), where a chain rests on the
+ * collarbones, and how a necklace drapes between them. Uses body proportions
+ * relative to the face, so it scales with distance from the camera and follows
+ * head tilt and turn. Shoulder keypoints from a pose model, when available,
+ * take priority since they locate the torso directly.
+ * 
+ * Works in any 2D coordinate space (pixels or normalised) as long as all
+ * inputs share it. Left and right are image sides, matching the keypoint
+ * names FaceLandmarkDetector uses.
+ */
+
+// MediaPipe Face Mesh indices
+const FOREHEAD_TOP = 10;
+const CHIN = 152;
+const LEFT_CHEEK = 234;
+const RIGHT_CHEEK = 454;
+const LEFT_JAW_ANGLE = 172;
+const RIGHT_JAW_ANGLE = 397;
+
+// Cheek-to-cheek width over forehead-to-chin height for a typical face
+const FACE_ASPECT = 0.8;
+
+// Jaw angles to sternal notch, in face heights
+const NECK_LENGTH = 0.7;
+
+// How much of the head's tilt the neck and the shoulders follow
+const NECK_FOLLOW = 0.5;
+const TORSO_FOLLOW = 0.2;
+
+// Sternal notch to where a chain crosses each collarbone, in face heights
+const COLLAR_SPREAD = 0.45;
+const COLLAR_RISE = 0.06;
+
+// Pose-based proportions, in shoulder widths
+const SHOULDER_NOTCH_RISE = 0.05;
+const SHOULDER_COLLAR_SPREAD = 0.25;
+const SHOULDER_COLLAR_RISE = 0.03;
+const MIN_SHOULDER_SCORE = 0.3;
+
+// Default chain drop below the collar line, as a fraction of the collar span
+const DEFAULT_DRAPE_DROP = 0.35;
+const DEFAULT_DRAPE_SEGMENTS = 16;
+
+class NeckEstimator {
+  /**
+   * Estimate neck and collarbone anchors
+   * 
+   * @param {Array} landmarks Face mesh landmarks ({ x, y, z })
+   * @param {Object} options shoulders: { left, right } keypoints from a pose
+   *   model (each { x, y, score? }); drop and segments for the drape curve
+   * @returns {Object|null} { neckBase, collarLeft, collarRight, drapeCurve,
+   *   angle (degrees), width, source: 'pose'|'face' }, or null
+   */
+  estimate(landmarks, { shoulders = null, drop, segments } = {}) {
+    const anchors = this.fromShoulders(shoulders) || this.fromFace(landmarks);
+    if (!anchors) return null;
+    
+    const { collarLeft, collarRight } = anchors;
+    
+    return {
+      ...anchors,
+      drapeCurve: this.drapeCurve(anchors, { drop, segments }),
+      angle: Math.atan2(collarRight.y - collarLeft.y, collarRight.x - collarLeft.x) * (180 / Math.PI),
+      width: distance(collarLeft, collarRight)
+    };
+  }
+  
+  /**
+   * Anchors from face landmarks alone
+   */
+  fromFace(landmarks) {
+    const top = landmarks?.[FOREHEAD_TOP];
+    const chin = landmarks?.[CHIN];
+    const leftCheek = landmarks?.[LEFT_CHEEK];
+    const rightCheek = landmarks?.[RIGHT_CHEEK];
+    const leftJaw = landmarks?.[LEFT_JAW_ANGLE];
+    const rightJaw = landmarks?.[RIGHT_JAW_ANGLE];
+    
+    if (!top || !chin || !leftCheek || !rightCheek || !leftJaw || !rightJaw) {
+      return null;
+    }
+    
+    // Face height shrinks when the head pitches and width when it turns;
+    // the larger of the two is the better estimate of true size
+    const faceHeight = Math.max(distance(top, chin), distance(leftCheek, rightCheek) / FACE_ASPECT);
+    if (!faceHeight) return null;
+    
+    const headDown = normalize(subtract(chin, top));
+    const neckDown = normalize(blend({ x: 0, y: 1 }, headDown, NECK_FOLLOW));
+    const torsoDown = normalize(blend({ x: 0, y: 1 }, headDown, TORSO_FOLLOW));
+    const across = { x: torsoDown.y, y: -torsoDown.x };
+    
+    // The neck column sits between the jaw angles, which stay over the torso
+    // when the head turns (the chin swings away from it)
+    const jawCenter = midpoint(leftJaw, rightJaw);
+    const neckBase = offset(jawCenter, neckDown, faceHeight * NECK_LENGTH);
+    
+    return {
+      neckBase,
+      collarLeft: this.collarPoint(neckBase, across, torsoDown, -faceHeight * COLLAR_SPREAD, faceHeight * COLLAR_RISE),
+      collarRight: this.collarPoint(neckBase, across, torsoDown, faceHeight * COLLAR_SPREAD, faceHeight * COLLAR_RISE),
+      source: 'face'
+    };
+  }
+  
+  /**
+   * Anchors from pose-model shoulder keypoints
+   */
+  fromShoulders(shoulders) {
+    const { left, right } = shoulders || {};
+    
+    if (!left || !right || [left, right].some(point => (point.score ?? 1) < MIN_SHOULDER_SCORE)) {
+      return null;
+    }
+    
+    const shoulderWidth = distance(left, right);
+    if (!shoulderWidth) return null;
+    
+    // Pose models name shoulders from the subject's side; work in image sides
+    const [imageLeft, imageRight] = left.x <= right.x ? [left, right] : [right, left];
+    
+    // Perpendicular to the shoulder line, pointing down the torso
+    const across = normalize(subtract(imageRight, imageLeft));
+    const torsoDown = { x: -across.y, y: across.x };
+    const neckBase = offset(midpoint(left, right), torsoDown, -shoulderWidth * SHOULDER_NOTCH_RISE);
+    
+    return {
+      neckBase,
+      collarLeft: this.collarPoint(neckBase, across, torsoDown, -shoulderWidth * SHOULDER_COLLAR_SPREAD, shoulderWidth * SHOULDER_COLLAR_RISE),
+      collarRight: this.collarPoint(neckBase, across, torsoDown, shoulderWidth * SHOULDER_COLLAR_SPREAD, shoulderWidth * SHOULDER_COLLAR_RISE),
+      source: 'pose'
+    };
+  }
+  
+  /**
+   * Sample the curve a chain follows hanging between the collar points
+   * 
+   * @param {Object} anchors { neckBase, collarLeft, collarRight }
+   * @param {Object} options drop: depth below the collar line as a fraction
+   *   of the collar span; segments: number of intervals to sample
+   * @returns {Array} Points from collarLeft to collarRight
+   */
+  drapeCurve({ collarLeft, collarRight }, { drop = DEFAULT_DRAPE_DROP, segments = DEFAULT_DRAPE_SEGMENTS } = {}) {
+    const collarCenter = midpoint(collarLeft, collarRight);
+    const span = distance(collarLeft, collarRight);
+    const across = normalize(subtract(collarRight, collarLeft));
+    const down = { x: -across.y, y: across.x };
+    
+    // Lowest point hangs below the middle of the collar line
+    const lowest = offset(collarCenter, down, span * drop);
+    
+    // Quadratic Bezier whose midpoint passes through the lowest point
+    const control = {
+      x: 2 * lowest.x - collarCenter.x,
+      y: 2 * lowest.y - collarCenter.y,
+      z: 2 * (lowest.z || 0) - (collarCenter.z || 0)
+    };
+    
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const t = i / segments;
+      const a = (1 - t) * (1 - t);
+      const b = 2 * (1 - t) * t;
+      const c = t * t;
+      
+      points.push({
+        x: a * collarLeft.x + b * control.x + c * collarRight.x,
+        y: a * collarLeft.y + b * control.y + c * collarRight.y,
+        z: a * (collarLeft.z || 0) + b * control.z + c * (collarRight.z || 0)
+      });
+    }
+    
+    return points;
+  }
+  
+  collarPoint(neckBase, across, down, spread, rise) {
+    return {
+      x: neckBase.x + across.x * spread - down.x * rise,
+      y: neckBase.y + across.y * spread - down.y * rise,
+      z: neckBase.z || 0
+    };
+  }
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y };
+}
+
+function normalize(vector) {
+  const length = Math.hypot(vector.x, vector.y);
+  return length ? { x: vector.x / length, y: vector.y / length } : { x: 0, y: 1 };
+}
+
+function blend(from, to, amount) {
+  return {
+    x: from.x + (to.x - from.x) * amount,
+    y: from.y + (to.y - from.y) * amount
+  };
+}
+
+function midpoint(a, b) {
+  return {
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2,
+    z: ((a.z || 0) + (b.z || 0)) / 2
+  };
+}
+
+function offset(point, direction, amount) {
+  return {
+    x: point.x + direction.x * amount,
+    y: point.y + direction.y * amount,
+    z: point.z || 0
+  };
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export default NeckEstimator;
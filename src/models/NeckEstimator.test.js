@@ -0,0 +1,87 @@
+import NeckEstimator from './NeckEstimator';
+
+// Upright face 200px tall and 160px across the cheeks
+function uprightFace() {
+  const landmarks = [];
+  landmarks[10] = { x: 200, y: 100 };
+  landmarks[152] = { x: 200, y: 300 };
+  landmarks[234] = { x: 120, y: 200 };
+  landmarks[454] = { x: 280, y: 200 };
+  landmarks[172] = { x: 140, y: 260 };
+  landmarks[397] = { x: 260, y: 260 };
+  return landmarks;
+}
+
+// The same face tilted clockwise about its centre
+function tiltedFace(degrees) {
+  const angle = degrees * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  
+  return uprightFace().map(point => point && {
+    x: 200 + (point.x - 200) * cos - (point.y - 200) * sin,
+    y: 200 + (point.x - 200) * sin + (point.y - 200) * cos
+  });
+}
+
+const expectPoint = (point, x, y) => {
+  expect(point.x).toBeCloseTo(x);
+  expect(point.y).toBeCloseTo(y);
+};
+
+describe('NeckEstimator', () => {
+  const estimator = new NeckEstimator();
+  
+  test('places the neck base below the jaw and the collarbones either side, in face heights', () => {
+    const neck = estimator.estimate(uprightFace());
+    
+    expect(neck.source).toBe('face');
+    expectPoint(neck.neckBase, 200, 400);
+    expectPoint(neck.collarLeft, 110, 388);
+    expectPoint(neck.collarRight, 290, 388);
+    expect(neck.angle).toBeCloseTo(0);
+    expect(neck.width).toBeCloseTo(180);
+  });
+  
+  test('follows only part of a head tilt, since the shoulders stay level', () => {
+    const neck = estimator.estimate(tiltedFace(30));
+    
+    expect(neck.angle).toBeGreaterThan(0);
+    expect(neck.angle).toBeLessThan(15);
+    expect(neck.neckBase.x).toBeLessThan(200);
+  });
+  
+  test('prefers shoulder keypoints from a pose model, in either order', () => {
+    const shoulders = { left: { x: 100, y: 300, score: 0.9 }, right: { x: 300, y: 300, score: 0.9 } };
+    const neck = estimator.estimate(uprightFace(), { shoulders });
+    
+    expect(neck.source).toBe('pose');
+    expectPoint(neck.neckBase, 200, 290);
+    expectPoint(neck.collarLeft, 150, 284);
+    expectPoint(neck.collarRight, 250, 284);
+    
+    const swapped = estimator.estimate(uprightFace(), { shoulders: { left: shoulders.right, right: shoulders.left } });
+    expectPoint(swapped.collarLeft, 150, 284);
+  });
+  
+  test('falls back to the face when the shoulders are unsure, and to null without either', () => {
+    const shoulders = { left: { x: 100, y: 300, score: 0.1 }, right: { x: 300, y: 300, score: 0.9 } };
+    
+    expect(estimator.estimate(uprightFace(), { shoulders }).source).toBe('face');
+    expect(estimator.estimate([], { shoulders })).toBeNull();
+    expect(estimator.estimate(null)).toBeNull();
+  });
+  
+  test('drapes the chain between the collar points, lowest in the middle', () => {
+    const curve = estimator.drapeCurve(
+      { collarLeft: { x: 0, y: 0 }, collarRight: { x: 100, y: 0 } },
+      { drop: 0.3, segments: 10 }
+    );
+    
+    expect(curve).toHaveLength(11);
+    expectPoint(curve[0], 0, 0);
+    expectPoint(curve[10], 100, 0);
+    expectPoint(curve[5], 50, 30);
+    expect(Math.max(...curve.map(point => point.y))).toBeCloseTo(30);
+  });
+});
@@ -0,0 +1,193 @@
+import FaceLandmarkDetector from './FaceLandmarkDetector';
+import HandPoseDetector from './HandPoseDetector';
+
+/**
+ * WorkerDetector
+ * 
+ * Runs a FaceLandmarkDetector or HandPoseDetector in a Web Worker so model
+ * inference doesn't block rendering. Frames are sent as transferable
+ * ImageBitmaps and the worker's TensorFlow.js backend draws to an
+ * OffscreenCanvas. Keeps the detectors' initialize()/detect()/dispose() API,
+ * and runs the detector on the main thread instead when workers,
+ * OffscreenCanvas or createImageBitmap are unavailable, or the worker fails
+ * to start.
+ */
+
+const DETECTORS = {
+  face: FaceLandmarkDetector,
+  hand: HandPoseDetector
+};
+
+class WorkerDetector {
+  /**
+   * @param {String} target 'face' or 'hand'
+   * @param {Object} config Initial detector settings (e.g. detectionConfidence)
+   */
+  constructor(target, config = {}) {
+    this.target = target;
+    this.config = config;
+    this.worker = null;
+    this.fallback = null;
+    this.isInitialized = false;
+    this.requests = new Map();
+    this.nextRequestId = 0;
+    this.framesInFlight = 0;
+  }
+  
+  /**
+   * Whether this browser can run detection in a worker
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined';
+  }
+  
+  /**
+   * Start the worker and load the model, falling back to the main thread
+   * 
+   * @returns {Boolean} Whether the detector is ready
+   */
+  async initialize() {
+    if (WorkerDetector.isSupported()) {
+      try {
+        this.startWorker();
+        
+        if (await this.request('initialize', { target: this.target, config: this.config })) {
+          this.isInitialized = true;
+          return true;
+        }
+        
+        console.warn(`${this.target} detector failed to initialize in a worker, using the main thread`);
+      } catch (error) {
+        console.warn(`Error starting ${this.target} detection worker, using the main thread:`, error);
+      }
+      
+      this.stopWorker();
+    }
+    
+    this.fallback = new DETECTORS[this.target]();
+    Object.assign(this.fallback, this.config);
+    this.isInitialized = await this.fallback.initialize();
+    return this.isInitialized;
+  }
+  
+  /**
+   * Detect landmarks in an image or video frame
+   * 
+   * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap|ImageData} input
+   * @param {Object} options throttle: skip calls made too soon after the last
+   *   one, or while the worker is still busy with an earlier frame; any other
+   *   options are passed to the wrapped detector
+   * @returns {Array|null} The wrapped detector's results
+   */
+  async detect(input, { throttle = true, ...options } = {}) {
+    if (!this.isInitialized) {
+      throw new Error(`${this.target} detector not initialized`);
+    }
+    
+    if (this.fallback) {
+      return this.fallback.detect(input, { throttle, ...options });
+    }
+    
+    // Drop live frames rather than queueing them behind a slow inference
+    if (throttle && this.framesInFlight > 0) {
+      return null;
+    }
+    
+    this.framesInFlight++;
+    try {
+      const bitmap = await createImageBitmap(input);
+      return await this.request('detect', { bitmap, options: { throttle, ...options } }, [bitmap]);
+    } catch (error) {
+      console.error(`Error detecting ${this.target} in worker:`, error);
+      return null;
+    } finally {
+      this.framesInFlight--;
+    }
+  }
+  
+  /**
+   * Update detector configuration
+   * 
+   * @param {Object} config Configuration options
+   */
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+    
+    if (this.fallback) {
+      this.fallback.updateConfig(config);
+    } else if (this.worker) {
+      this.request('updateConfig', { config }).catch(error => {
+        console.error(`Error updating ${this.target} detector config:`, error);
+      });
+    }
+  }
+  
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    if (this.fallback) {
+      this.fallback.dispose();
+      this.fallback = null;
+    }
+    
+    this.stopWorker();
+    this.isInitialized = false;
+  }
+  
+  startWorker() {
+    this.worker = new Worker(new URL('./detection.worker.js', import.meta.url));
+    
+    this.worker.onmessage = ({ data }) => {
+      const pending = this.requests.get(data.id);
+      if (!pending) return;
+      
+      this.requests.delete(data.id);
+      if (data.error) {
+        pending.reject(new Error(data.error));
+      } else {
+        pending.resolve(data.result);
+      }
+    };
+    
+    // An uncaught error leaves the worker in an unknown state
+    this.worker.onerror = event => {
+      event.preventDefault();
+      this.rejectPending(new Error(event.message || 'Detection worker error'));
+    };
+  }
+  
+  stopWorker() {
+    if (!this.worker) return;
+    
+    // Terminating also releases the worker's WebGL context
+    this.worker.terminate();
+    this.worker = null;
+    this.rejectPending(new Error(`${this.target} detection worker stopped`));
+  }
+  
+  /**
+   * Send a message to the worker and wait for its reply
+   */
+  request(type, payload, transfer = []) {
+    return new Promise((resolve, reject) => {
+      if (!this.worker) {
+        reject(new Error(`${this.target} detection worker not running`));
+        return;
+      }
+      
+      const id = ++this.nextRequestId;
+      this.requests.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...payload }, transfer);
+    });
+  }
+  
+  rejectPending(error) {
+    this.requests.forEach(({ reject }) => reject(error));
+    this.requests.clear();
+  }
+}
+
+export default WorkerDetector;
@@ -0,0 +1,57 @@
+import FaceLandmarkDetector from './FaceLandmarkDetector';
+import HandPoseDetector from './HandPoseDetector';
+
+/**
+ * Detection worker
+ * 
+ * Hosts one FaceLandmarkDetector or HandPoseDetector off the main thread.
+ * TensorFlow.js renders to an OffscreenCanvas here, and frames arrive as
+ * transferred ImageBitmaps. Driven by WorkerDetector.
+ */
+
+const DETECTORS = {
+  face: FaceLandmarkDetector,
+  hand: HandPoseDetector
+};
+
+let detector = null;
+
+const handlers = {
+  async initialize({ target, config }) {
+    detector = new DETECTORS[target]();
+    Object.assign(detector, config);
+    return detector.initialize();
+  },
+  
+  async detect({ bitmap, options }) {
+    try {
+      return await detector.detect(bitmap, options);
+    } finally {
+      bitmap.close();
+    }
+  },
+  
+  async updateConfig({ config }) {
+    detector.updateConfig(config);
+    return true;
+  },
+  
+  async dispose() {
+    if (detector) {
+      detector.dispose();
+      detector = null;
+    }
+    return true;
+  }
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, ...payload } = data;
+  
+  try {
+    const result = await handlers[type](payload);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Hand fixtures for tests
+ * 
+ * A MediaPipe Hands prediction for an open hand held upright, fingers
+ * together, in a 640x480 frame.
+ */
+
+import { HAND_LANDMARK_NAMES } from '../models/HandKeypoints';
+
+// Knuckle x positions of the index to pinky fingers, 40px apart
+const KNUCKLE_X = [260, 300, 340, 380];
+const KNUCKLE_Y = 300;
+const BONE_LENGTH = 30;
+
+/**
+ * @param {Object} options handedness: MediaPipe's label; score; offsetX to
+ *   move the hand across the frame
+ * @returns {Object} Prediction as estimateHands returns it
+ */
+export function syntheticHand({ handedness = 'Right', score = 0.95, offsetX = 0 } = {}) {
+  const points = [
+    { x: 320, y: 420 },
+    // Thumb, angled out to the side
+    { x: 280, y: 390 },
+    { x: 250, y: 360 },
+    { x: 230, y: 335 },
+    { x: 215, y: 310 }
+  ];
+  
+  KNUCKLE_X.forEach(x => {
+    for (let joint = 0; joint < 4; joint++) {
+      points.push({ x, y: KNUCKLE_Y - joint * BONE_LENGTH });
+    }
+  });
+  
+  const keypoints = points.map((point, index) => ({
+    x: point.x + offsetX,
+    y: point.y,
+    name: HAND_LANDMARK_NAMES[index]
+  }));
+  
+  return {
+    handedness,
+    score,
+    keypoints,
+    // World landmarks in metres, hand-centred, 1px = 0.25mm
+    keypoints3D: keypoints.map(point => ({
+      x: (point.x - 320 - offsetX) / 4000,
+      y: (point.y - 300) / 4000,
+      z: 0,
+      name: point.name
+    }))
+  };
+}
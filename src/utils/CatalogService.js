@@ -0,0 +1,70 @@
+/**
+ * CatalogService.js
+ *
+ * Utility class for loading jewelry items from the server catalog API.
+ */
+
+class CatalogService {
+    constructor() {
+      this.baseUrl = process.env.REACT_APP_API_BASE_URL || '/api';
+    }
+
+    /**
+     * List catalog items matching the given filters
+     *
+     * @param {Object} filters type, metalType, culturalStyle, gemstone ('all' or empty to skip)
+     * @param {Object} pagination page, and limit (the server's page size
+     *   when left out)
+     * @returns {Object} Items plus pagination details from the server
+     */
+    async listItems(filters = {}, { page = 1, limit } = {}) {
+      const params = new URLSearchParams({ page });
+
+      if (limit) {
+        params.append('limit', limit);
+      }
+
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value && value !== 'all') {
+          params.append(key, value);
+        }
+      });
+
+      const response = await fetch(`${this.baseUrl}/catalog?${params.toString()}`);
+
+      if (!response.ok) {
+        throw new Error(`Error loading catalog: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      return {
+        items: data.data,
+        total: data.total,
+        page: data.page,
+        limit: data.limit,
+        totalPages: data.totalPages
+      };
+    }
+
+    /**
+     * Get a single catalog item
+     *
+     * @param {String} id Item ID
+     * @returns {Object} Catalog item
+     */
+    async getItem(id) {
+      const response = await fetch(`${this.baseUrl}/catalog/${encodeURIComponent(id)}`);
+
+      if (!response.ok) {
+        throw new Error(`Error loading catalog item: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.data;
+    }
+  }
+
+  // Export as singleton
+  const catalogService = new CatalogService();
+  export default catalogService;
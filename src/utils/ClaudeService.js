@@ -5,12 +5,21 @@
  * including both user-facing and system-level intelligence features.
  */
 
+import { describeRingSize } from './RingSizing';
+import { assessFit, describeWristSize } from './WristSizing';
+
+// localStorage key for the server-side conversation session
+const SESSION_STORAGE_KEY = 'claudeSessionId';
+
 class ClaudeService {
     constructor() {
       this.baseUrl = process.env.REACT_APP_API_BASE_URL || '/api';
       this.isInitialized = false;
       this.systemContext = {};
       this.conversationHistory = [];
+      // Server's summary of turns dropped from conversationHistory
+      this.conversationDigest = null;
+      this.sessionId = null;
     }
     
     /**
@@ -57,6 +66,7 @@ class ClaudeService {
         const payload = {
           message,
           conversationHistory: options.includeHistory ? this.conversationHistory : [],
+          digest: options.includeHistory ? this.conversationDigest : null,
           context: {
             ...this.systemContext,
             ...options.context
@@ -76,19 +86,7 @@ class ClaudeService {
         }
         
         const data = await response.json();
-        
-        // Add to conversation history if enabled
-        if (options.updateHistory !== false) {
-          this.conversationHistory.push({
-            role: 'user',
-            content: message
-          });
-          
-          this.conversationHistory.push({
-            role: 'assistant',
-            content: data.response
-          });
-        }
+        this.recordExchange(message, data, options);
         
         return data;
       } catch (error) {
@@ -97,6 +95,249 @@ class ClaudeService {
       }
     }
     
+    /**
+     * Send a user message to Claude and stream the response as it is generated
+     * 
+     * Yields text chunks as they arrive. Conversation history is only updated
+     * once the full response has been received.
+     * 
+     * @param {String} message User's message
+     * @param {Object} options Additional options (same as sendMessage, plus an AbortSignal as `signal`)
+     * @yields {String} Partial response text
+     */
+    async *streamMessage(message, options = {}) {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+      
+      const payload = {
+        message,
+        conversationHistory: options.includeHistory ? this.conversationHistory : [],
+        digest: options.includeHistory ? this.conversationDigest : null,
+        context: {
+          ...this.systemContext,
+          ...options.context
+        },
+        stream: true
+      };
+      
+      const data = yield* this.streamResponse(`${this.baseUrl}/claude/conversation`, payload, options.signal);
+      this.recordExchange(message, data, options);
+    }
+    
+    /**
+     * Add an exchange to the conversation history (unless updateHistory is
+     * false), first swapping any turns the server summarised for its digest
+     * 
+     * @param {String} message User's message
+     * @param {Object} data Response data ({ response, compaction, digest })
+     * @param {Object} options includeHistory and updateHistory, as sent
+     */
+    recordExchange(message, data, options) {
+      const summarizedTurns = data.compaction?.summarizedTurns || 0;
+      
+      // The digest only covers the history when the history was sent
+      if (options.includeHistory && summarizedTurns > 0) {
+        this.conversationHistory.splice(0, summarizedTurns);
+        this.conversationDigest = data.digest;
+      }
+      
+      if (options.updateHistory !== false) {
+        this.conversationHistory.push({
+          role: 'user',
+          content: message
+        });
+        
+        this.conversationHistory.push({
+          role: 'assistant',
+          content: data.response
+        });
+      }
+    }
+    
+    /**
+     * Load the server-side conversation session, creating one if needed
+     * 
+     * The session ID is kept in localStorage so the conversation
+     * survives page reloads.
+     * 
+     * @returns {Object} Session with its transcript ({ id, turns })
+     */
+    async loadSession() {
+      const storedId = this.sessionId || localStorage.getItem(SESSION_STORAGE_KEY);
+      
+      if (storedId) {
+        const response = await fetch(`${this.baseUrl}/claude/sessions/${storedId}`);
+        
+        if (response.ok) {
+          const { data } = await response.json();
+          this.sessionId = data.id;
+          return data;
+        }
+        
+        // Session expired or was deleted; start a new one
+        if (response.status !== 404) {
+          throw new Error(`Error loading conversation session: ${response.status}`);
+        }
+      }
+      
+      return this.createSession();
+    }
+    
+    /**
+     * Start a new server-side conversation session
+     * 
+     * @returns {Object} The new session
+     */
+    async createSession() {
+      const response = await fetch(`${this.baseUrl}/claude/sessions`, { method: 'POST' });
+      
+      if (!response.ok) {
+        throw new Error(`Error creating conversation session: ${response.status}`);
+      }
+      
+      const { data } = await response.json();
+      this.sessionId = data.id;
+      localStorage.setItem(SESSION_STORAGE_KEY, data.id);
+      return data;
+    }
+    
+    /**
+     * Delete the current session and start a fresh one
+     * 
+     * @returns {Object} The new session
+     */
+    async resetSession() {
+      if (this.sessionId) {
+        await fetch(`${this.baseUrl}/claude/sessions/${this.sessionId}`, { method: 'DELETE' })
+          .catch(error => console.error('Error deleting conversation session:', error));
+      }
+      
+      this.sessionId = null;
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+      return this.createSession();
+    }
+    
+    /**
+     * Send a message in the server-side session and stream the response
+     * 
+     * The server stores both turns and supplies the history itself.
+     * 
+     * @param {String} message User's message
+     * @param {Object} options context and an optional AbortSignal as `signal`
+     * @yields {String} Partial response text
+     */
+    async *streamSessionMessage(message, options = {}) {
+      if (!this.sessionId) {
+        await this.loadSession();
+      }
+      
+      const payload = {
+        message,
+        context: {
+          ...this.systemContext,
+          ...options.context
+        },
+        stream: true
+      };
+      
+      yield* this.streamResponse(`${this.baseUrl}/claude/sessions/${this.sessionId}/messages`, payload, options.signal);
+    }
+    
+    /**
+     * POST a streaming request and yield the response text as it arrives
+     * 
+     * The server ends every complete response with a `done` event, so a
+     * stream that closes without one (a dropped connection or a proxy
+     * timeout) is an error rather than a shorter reply.
+     * 
+     * @param {String} url Endpoint URL
+     * @param {Object} payload Request body
+     * @param {AbortSignal} signal Optional abort signal
+     * @yields {String} Partial response text
+     * @returns {Object} The `done` event's data, with the full text as `response`
+     * @throws {Error} If the server reports an error or the stream ends early
+     */
+    async *streamResponse(url, payload, signal) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream'
+        },
+        body: JSON.stringify(payload),
+        signal
+      });
+      
+      if (!response.ok || !response.body) {
+        throw new Error(`Error from Claude API: ${response.status}`);
+      }
+      
+      let text = '';
+      let result = null;
+      
+      for await (const { event, data } of this.readEvents(response.body)) {
+        if (event === 'token') {
+          text += data.text;
+          yield data.text;
+        } else if (event === 'done') {
+          result = { ...data, response: text };
+        } else if (event === 'error') {
+          throw new Error(data.error || data.message || 'Claude stream failed');
+        }
+      }
+      
+      if (!result) {
+        throw new Error('Claude stream ended before the response was complete');
+      }
+      
+      return result;
+    }
+    
+    /**
+     * Parse Server-Sent Events from a fetch response body
+     * 
+     * @param {ReadableStream} body Response body
+     * @yields {Object} { event, data } with data JSON-parsed
+     */
+    async *readEvents(body) {
+      const reader = body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          
+          buffer += decoder.decode(value, { stream: true });
+          
+          // Events are separated by a blank line
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          
+          for (const block of blocks) {
+            let event = 'message';
+            let data = '';
+            
+            block.split('\n').forEach(line => {
+              if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+              } else if (line.startsWith('data:')) {
+                data += line.slice(5).trim();
+              }
+            });
+            
+            if (data) {
+              yield { event, data: JSON.parse(data) };
+            }
+          }
+        }
+      } finally {
+        reader.releaseLock();
+      }
+    }
+    
     /**
      * Get style advice for a specific item or combination
      * 
@@ -125,10 +366,42 @@ class ClaudeService {
       }
     }
     
+    /**
+     * Get structured style advice for an item
+     * 
+     * @param {Object} item Item data
+     * @param {Object} userPreferences Optional style preferences
+     * @returns {Object} Advice with summary, stylingTips, occasions,
+     *   complementaryItems (with catalogId when in the catalog) and warnings
+     */
+    async getStructuredStyleAdvice(item, userPreferences = null) {
+      try {
+        const response = await fetch(`${this.baseUrl}/claude/style-advice`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ item, userPreferences, structured: true })
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Error from Claude API: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return data.advice;
+      } catch (error) {
+        console.error('Error getting structured style advice:', error);
+        throw error;
+      }
+    }
+    
     /**
      * Get sizing recommendations based on measurements
      * 
-     * @param {Object} measurements User measurements
+     * @param {Object} measurements User measurements; ringSize is a
+     *   RingSizer estimate in millimetres with sizes in each system, and
+     *   wristSize a WristSizer estimate with bangle and bracelet suggestions
      * @param {Object} item Item to get sizing for
      * @returns {Object} Size recommendations
      */
@@ -140,7 +413,17 @@ class ClaudeService {
           itemDetails: item
         };
         
-        const message = `Please recommend the best size for me based on these measurements: ${JSON.stringify(measurements)}`;
+        let message = `Please recommend the best size for me based on these measurements: ${JSON.stringify(measurements)}`;
+        const wristwear = item?.type === 'bracelet' || item?.type === 'watch';
+        
+        if (measurements?.wristSize && (wristwear || !measurements.ringSize)) {
+          // Include how the item itself fits when its size is listed
+          const fit = wristwear ? assessFit(item, measurements.wristSize) : null;
+          const fitNote = fit && fit.status !== 'unknown' ? ` ${fit.message}.` : '';
+          message = `Please recommend the best bracelet or watch size for me based on this measurement. ${describeWristSize(measurements.wristSize)}.${fitNote}`;
+        } else if (measurements?.ringSize) {
+          message = `Please recommend the best ring size for me based on this measurement. ${describeRingSize(measurements.ringSize)}.`;
+        }
         
         return await this.sendMessage(message, {
           context,
@@ -222,6 +505,7 @@ class ClaudeService {
      */
     clearConversationHistory() {
       this.conversationHistory = [];
+      this.conversationDigest = null;
     }
     
     /**
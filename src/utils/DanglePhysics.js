@@ -0,0 +1,199 @@
+/**
+ * DanglePhysics
+ * 
+ * Makes the hanging parts of drop earrings and pendants swing as the wearer
+ * moves. Each hanging part is a damped pendulum whose pivot follows the
+ * tracked anchor (an ear, the neck base): the pivot's acceleration, worked
+ * out from consecutive detections, pushes the pendulum and gravity pulls it
+ * back. Runs in millimetres so the swing looks the same at any distance from
+ * the camera; callers pass how many millimetres one of their units covers.
+ * 
+ * Angles are in degrees, positive when the hanging part has swung towards +x
+ * (image right). Positions use image axes (y down); renderers with y up flip
+ * y before calling update().
+ */
+
+// Gravity in mm/s²
+const GRAVITY = 9810;
+
+// Longest simulation step, and the gap after which tracking counts as lost (seconds)
+const MAX_STEP = 1 / 240;
+const MAX_GAP = 0.25;
+
+// Time constant for smoothing the pivot's velocity, which detection noise
+// would otherwise turn into large accelerations (seconds)
+const VELOCITY_SMOOTHING = 0.04;
+
+// Limits that keep a tracking jump from flinging the piece around
+const MAX_ACCELERATION = 4 * GRAVITY;
+const MAX_SWING = 75;
+
+// Typical width across the face at landmarks 234 and 454, in mm
+const FACE_WIDTH_MM = 140;
+
+/**
+ * Pendulum length (mm) and damping ratio (0 swings freely, 1 settles
+ * without overshooting) for items that don't set their own
+ */
+export const DANGLE_DEFAULTS = {
+  earring: { length: 30, damping: 0.15 },
+  necklace: { length: 25, damping: 0.2 },
+  'nose-pin': { length: 10, damping: 0.3 },
+  'maang-tikka': { length: 30, damping: 0.15 },
+  default: { length: 25, damping: 0.2 }
+};
+
+/**
+ * Pendulum parameters for a catalog item, or null if it doesn't dangle
+ * 
+ * @param {Object} item Jewelry item (dangling, dangleLength, dangleDamping)
+ * @returns {Object|null} { length, damping }
+ */
+export function getDangleParams(item) {
+  if (!item?.dangling) return null;
+  
+  const defaults = DANGLE_DEFAULTS[item.type] || DANGLE_DEFAULTS.default;
+  return {
+    length: item.dangleLength ?? defaults.length,
+    damping: item.dangleDamping ?? defaults.damping
+  };
+}
+
+/**
+ * Millimetres per unit, from the distance between the ear landmarks
+ * 
+ * @param {Object} leftEar Ear landmark ({ x, y })
+ * @param {Object} rightEar Ear landmark ({ x, y })
+ * @param {Number} yaw Head yaw in degrees, which narrows the face on screen
+ */
+export function mmPerUnitFromEars(leftEar, rightEar, yaw = 0) {
+  const turn = Math.max(Math.cos(yaw * Math.PI / 180), 0.5);
+  const span = Math.hypot(rightEar.x - leftEar.x, rightEar.y - leftEar.y) / turn;
+  return span ? FACE_WIDTH_MM / span : 0;
+}
+
+/**
+ * A damped pendulum hanging from a moving pivot
+ */
+export class Pendulum {
+  /**
+   * @param {Object} params length in mm, damping ratio
+   */
+  constructor({ length, damping }) {
+    this.length = length;
+    this.damping = damping;
+    this.reset();
+  }
+  
+  /**
+   * Advance the simulation
+   * 
+   * @param {Object} acceleration Pivot acceleration { x, y } in mm/s²
+   * @param {Number} dt Time step in seconds
+   */
+  step(acceleration, dt) {
+    const naturalFrequency = Math.sqrt(GRAVITY / this.length);
+    
+    // Split long frames so fast pendulums stay stable (semi-implicit Euler)
+    const steps = Math.ceil(dt / MAX_STEP);
+    const h = dt / steps;
+    
+    for (let i = 0; i < steps; i++) {
+      // In the pivot's frame the piece feels gravity minus the pivot's acceleration
+      const torque = (-acceleration.x * Math.cos(this.angle) -
+        (GRAVITY - acceleration.y) * Math.sin(this.angle)) / this.length;
+      const friction = 2 * this.damping * naturalFrequency * this.angularVelocity;
+      
+      this.angularVelocity += (torque - friction) * h;
+      this.angle += this.angularVelocity * h;
+    }
+    
+    const limit = MAX_SWING * Math.PI / 180;
+    if (Math.abs(this.angle) > limit) {
+      this.angle = Math.sign(this.angle) * limit;
+      this.angularVelocity = 0;
+    }
+  }
+  
+  reset() {
+    this.angle = 0;
+    this.angularVelocity = 0;
+  }
+}
+
+export class DanglePhysics {
+  constructor() {
+    this.anchors = new Map();
+  }
+  
+  /**
+   * Move an anchor to its newly tracked position and simulate the part
+   * hanging from it
+   * 
+   * @param {String} key Which anchor (e.g. 'leftEar'); each has its own pendulum
+   * @param {Object} pivot Anchor position { x, y }
+   * @param {Number} timestamp Frame time in milliseconds
+   * @param {Object} options length and damping (see getDangleParams), and
+   *   mmPerUnit converting the pivot's units to millimetres
+   * @returns {Number} Swing angle in degrees
+   */
+  update(key, pivot, timestamp, { length, damping, mmPerUnit }) {
+    let anchor = this.anchors.get(key);
+    const dt = anchor ? (timestamp - anchor.time) / 1000 : 0;
+    
+    // Start at rest when first seen or after losing tracking
+    if (!anchor || dt > MAX_GAP || !mmPerUnit) {
+      anchor = { pendulum: new Pendulum({ length, damping }), velocity: null };
+      this.anchors.set(key, anchor);
+    } else if (dt > 0) {
+      anchor.pendulum.length = length;
+      anchor.pendulum.damping = damping;
+      
+      const rawVelocity = {
+        x: (pivot.x - anchor.pivot.x) * mmPerUnit / dt,
+        y: (pivot.y - anchor.pivot.y) * mmPerUnit / dt
+      };
+      
+      const alpha = dt / (dt + VELOCITY_SMOOTHING);
+      const velocity = anchor.velocity
+        ? {
+          x: anchor.velocity.x + (rawVelocity.x - anchor.velocity.x) * alpha,
+          y: anchor.velocity.y + (rawVelocity.y - anchor.velocity.y) * alpha
+        }
+        : rawVelocity;
+      
+      const acceleration = anchor.velocity
+        ? clampMagnitude({
+          x: (velocity.x - anchor.velocity.x) / dt,
+          y: (velocity.y - anchor.velocity.y) / dt
+        }, MAX_ACCELERATION)
+        : { x: 0, y: 0 };
+      
+      anchor.pendulum.step(acceleration, dt);
+      anchor.velocity = velocity;
+    } else if (dt < 0) {
+      return anchor.pendulum.angle * (180 / Math.PI);
+    }
+    
+    anchor.pivot = { x: pivot.x, y: pivot.y };
+    anchor.time = timestamp;
+    
+    return anchor.pendulum.angle * (180 / Math.PI);
+  }
+  
+  /**
+   * Let everything come to rest (item changed, tracking lost, camera switched)
+   */
+  reset() {
+    this.anchors.clear();
+  }
+}
+
+function clampMagnitude(vector, max) {
+  const length = Math.hypot(vector.x, vector.y);
+  return length > max
+    ? { x: vector.x * max / length, y: vector.y * max / length }
+    : vector;
+}
+
+export default DanglePhysics;
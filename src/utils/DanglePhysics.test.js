@@ -0,0 +1,128 @@
+import DanglePhysics, { DANGLE_DEFAULTS, getDangleParams, mmPerUnitFromEars, Pendulum } from './DanglePhysics';
+
+const GRAVITY = 9810;
+
+// Run a pendulum for a while with the pivot held still
+function swing(pendulum, seconds, dt = 1 / 60) {
+  for (let time = 0; time < seconds - 1e-9; time += dt) {
+    pendulum.step({ x: 0, y: 0 }, dt);
+  }
+}
+
+describe('getDangleParams', () => {
+  test('is null for items that do not dangle', () => {
+    expect(getDangleParams({ type: 'earring' })).toBeNull();
+    expect(getDangleParams(null)).toBeNull();
+  });
+  
+  test('uses the defaults for the item type unless the item sets its own', () => {
+    expect(getDangleParams({ type: 'earring', dangling: true })).toEqual(DANGLE_DEFAULTS.earring);
+    expect(getDangleParams({ type: 'bracelet', dangling: true })).toEqual(DANGLE_DEFAULTS.default);
+    expect(getDangleParams({ type: 'necklace', dangling: true, dangleLength: 40, dangleDamping: 0 }))
+      .toEqual({ length: 40, damping: 0 });
+  });
+});
+
+describe('mmPerUnitFromEars', () => {
+  test('scales the ear span to a typical face width', () => {
+    expect(mmPerUnitFromEars({ x: 100, y: 200 }, { x: 240, y: 200 })).toBeCloseTo(1);
+    expect(mmPerUnitFromEars({ x: 100, y: 200 }, { x: 170, y: 200 })).toBeCloseTo(2);
+  });
+  
+  test('allows for a turned face looking narrower, up to a limit', () => {
+    expect(mmPerUnitFromEars({ x: 100, y: 200 }, { x: 170, y: 200 }, 60)).toBeCloseTo(1);
+    expect(mmPerUnitFromEars({ x: 100, y: 200 }, { x: 170, y: 200 }, 85)).toBeCloseTo(1);
+  });
+  
+  test('is zero when the ears coincide', () => {
+    expect(mmPerUnitFromEars({ x: 100, y: 200 }, { x: 100, y: 200 })).toBe(0);
+  });
+});
+
+describe('Pendulum', () => {
+  test('swings with the period of a simple pendulum when undamped', () => {
+    const pendulum = new Pendulum({ length: 30, damping: 0 });
+    const period = 2 * Math.PI * Math.sqrt(30 / GRAVITY);
+    pendulum.angle = 0.1;
+    
+    swing(pendulum, period / 2, period / 200);
+    expect(pendulum.angle).toBeCloseTo(-0.1, 2);
+    
+    swing(pendulum, period / 2, period / 200);
+    expect(pendulum.angle).toBeCloseTo(0.1, 2);
+  });
+  
+  test('comes to rest with damping', () => {
+    const pendulum = new Pendulum({ length: 30, damping: 0.5 });
+    pendulum.angle = 0.5;
+    
+    swing(pendulum, 2);
+    
+    expect(Math.abs(pendulum.angle)).toBeLessThan(1e-3);
+  });
+  
+  test('swings away from the way the pivot accelerates, up to the swing limit', () => {
+    const pendulum = new Pendulum({ length: 30, damping: 0.2 });
+    
+    pendulum.step({ x: 2000, y: 0 }, 1 / 60);
+    expect(pendulum.angle).toBeLessThan(0);
+    
+    for (let i = 0; i < 60; i++) {
+      pendulum.step({ x: 100 * GRAVITY, y: 0 }, 1 / 60);
+    }
+    expect(pendulum.angle * 180 / Math.PI).toBeCloseTo(-75);
+  });
+  
+  test('reset puts it back at rest', () => {
+    const pendulum = new Pendulum({ length: 30, damping: 0.2 });
+    pendulum.step({ x: 2000, y: 0 }, 1 / 60);
+    
+    pendulum.reset();
+    
+    expect(pendulum.angle).toBe(0);
+    expect(pendulum.angularVelocity).toBe(0);
+  });
+});
+
+describe('DanglePhysics', () => {
+  const params = { length: 30, damping: 0.15, mmPerUnit: 1 };
+  
+  // Track an anchor through frames 16ms apart, returning the last angle
+  function track(physics, xs, start = 0) {
+    let angle = 0;
+    xs.forEach((x, i) => {
+      angle = physics.update('leftEar', { x, y: 100 }, start + i * 16, params);
+    });
+    return angle;
+  }
+  
+  test('hangs straight down while the anchor is still', () => {
+    const physics = new DanglePhysics();
+    
+    expect(track(physics, [50, 50, 50, 50, 50])).toBe(0);
+  });
+  
+  test('lags behind an anchor that speeds up', () => {
+    const physics = new DanglePhysics();
+    
+    expect(track(physics, [0, 0, 2, 6, 12, 20])).toBeLessThan(0);
+  });
+  
+  test('keeps a separate pendulum for each anchor', () => {
+    const physics = new DanglePhysics();
+    track(physics, [0, 0, 2, 6, 12, 20]);
+    
+    expect(physics.update('rightEar', { x: 20, y: 100 }, 96, params)).toBe(0);
+  });
+  
+  test('starts again at rest after a gap in tracking, or a reset', () => {
+    const physics = new DanglePhysics();
+    track(physics, [0, 0, 2, 6, 12, 20]);
+    
+    expect(physics.update('leftEar', { x: 20, y: 100 }, 1000, params)).toBe(0);
+    
+    track(physics, [0, 0, 2, 6, 12, 20], 2000);
+    physics.reset();
+    expect(physics.update('leftEar', { x: 20, y: 100 }, 2100, params)).toBe(0);
+  });
+});
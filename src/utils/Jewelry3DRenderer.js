@@ -1,6 +1,28 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+import DanglePhysics, { getDangleParams, mmPerUnitFromEars } from './DanglePhysics';
+import modelLoader from './ModelLoader';
+import { FACE_ANCHOR_TYPES, getFaceAnchor } from '../models/FaceAnchors';
+import { estimateWristWidth } from './WristSizing';
+import { findHand, handOf } from '../models/Handedness';
+import { fingerOf, ringPlacement, ringPositionOf } from '../models/HandKeypoints';
+
+// Head occluder radii, and how far its centre sits behind the ears, in half ear spans
+const HEAD_OCCLUDER_WIDTH = 0.9;
+const HEAD_OCCLUDER_HEIGHT = 1.3;
+const HEAD_OCCLUDER_DEPTH = 1.2;
+const HEAD_CENTER_DEPTH = 0.2;
+
+// Below this opacity the model is hidden instead of drawn faintly
+const MIN_VISIBLE_OPACITY = 0.05;
+
+// Mesh groups a model names (on the mesh or any parent) to take a material
+// from this.materials; chains are metal too
+const MESH_GROUPS = ['metal', 'gem', 'chain'];
+
+// Loaded models are scaled to this size across, the placeholder's diameter,
+// so positioning scales them alike
+const MODEL_SIZE = 2;
 
 /**
  * Jewelry3DRenderer
@@ -9,12 +31,22 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
  * Handles loading, positioning, and rendering jewelry models with realistic materials.
  */
 class Jewelry3DRenderer {
-  constructor({ container, canvas, quality = 'medium', culturalStyle = 'western' }) {
+  constructor({ container, canvas, quality = 'medium', culturalStyle = 'western', trackingFilter = null, dangle = null }) {
     this.container = container;
     this.canvas = canvas;
     this.quality = quality;
     this.culturalStyle = culturalStyle;
     
+    // Optional TrackingFilter applied to landmarks before positioning
+    this.trackingFilter = trackingFilter;
+    
+    // Pendulum parameters (from getDangleParams) when the item dangles
+    this.dangle = dangle;
+    this.physics = new DanglePhysics();
+    
+    // Catalog item being shown, for per-item placement (e.g. a nose pin's side)
+    this.item = null;
+    
     // Three.js objects
     this.scene = null;
     this.camera = null;
@@ -30,6 +62,9 @@ class Jewelry3DRenderer {
     this.modelRotation = new THREE.Euler(0, 0, 0);
     this.modelScale = 1.0;
     
+    // Invisible stand-in for the head that hides earrings turned behind it
+    this.headOccluder = null;
+    
     // Material settings
     this.materials = {
       gold: new THREE.MeshStandardMaterial({
@@ -44,6 +79,18 @@ class Jewelry3DRenderer {
         roughness: 0.2,
         envMapIntensity: 1.0
       }),
+      platinum: new THREE.MeshStandardMaterial({
+        color: 0xe5e4e2,
+        metalness: 1.0,
+        roughness: 0.15,
+        envMapIntensity: 1.0
+      }),
+      rosegold: new THREE.MeshStandardMaterial({
+        color: 0xb76e79,
+        metalness: 1.0,
+        roughness: 0.3,
+        envMapIntensity: 1.0
+      }),
       diamond: new THREE.MeshPhysicalMaterial({
         color: 0xffffff,
         metalness: 0.0,
@@ -234,26 +281,110 @@ class Jewelry3DRenderer {
   }
   
   /**
-   * Load a placeholder model instead of the actual 3D model
+   * Load a jewelry model (GLB or GLTF, Draco or meshopt compressed) and show
+   * it in place of the current one, with the item's metal and gems applied.
+   * A placeholder is shown instead when there is no model or it fails to load.
+   * 
+   * @param {String} modelPath Model URL; defaults to the item's modelPath
+   * @param {Object} options onProgress: called with ModelLoader progress
+   *   ({ url, loaded, total, progress }) while the model downloads
+   * @returns {Promise<THREE.Object3D>} The model added to the scene
    */
-  loadModel(modelPath) {
-    // Create a placeholder object instead of loading a model
-    const geometry = new THREE.SphereGeometry(1, 32, 32);
-    const material = new THREE.MeshStandardMaterial({ 
-      color: 0xffd700,  // Gold color
-      metalness: 1.0,
-      roughness: 0.3
-    });
+  async loadModel(modelPath = this.item?.modelPath, { onProgress } = {}) {
+    let model;
     
-    this.model = new THREE.Mesh(geometry, material);
+    try {
+      if (!modelPath) throw new Error('No model path');
+      
+      const gltf = await modelLoader.load(modelPath, { onProgress });
+      model = this.fitModel(gltf.scene.clone(true));
+    } catch (error) {
+      console.error(`Error loading model ${modelPath}, using a placeholder:`, error);
+      model = this.createPlaceholder();
+    }
+    
+    // The renderer may have been disposed while the model loaded
+    if (!this.scene) return null;
+    
+    this.removeModel();
+    this.model = model;
     this.scene.add(this.model);
     
-    console.log(`Placeholder created for model: ${modelPath}`);
-    return Promise.resolve(this.model);
+    this.setMaterial({
+      metal: this.item?.metalType,
+      gems: this.item?.gemstones
+    });
+    
+    return this.model;
+  }
+  
+  /**
+   * Centre a loaded model on the origin and scale it to MODEL_SIZE across
+   * 
+   * @param {THREE.Object3D} scene Model scene
+   * @returns {THREE.Group} Group holding the fitted scene
+   */
+  fitModel(scene) {
+    const box = new THREE.Box3().setFromObject(scene);
+    const size = box.getSize(new THREE.Vector3());
+    const largest = Math.max(size.x, size.y, size.z);
+    
+    if (largest > 0) {
+      scene.position.sub(box.getCenter(new THREE.Vector3()));
+      scene.position.multiplyScalar(MODEL_SIZE / largest);
+      scene.scale.multiplyScalar(MODEL_SIZE / largest);
+    }
+    
+    // Positioning moves, turns and scales the group, leaving the fit alone
+    const group = new THREE.Group();
+    group.add(scene);
+    return group;
+  }
+  
+  /**
+   * Stand-in shown when a model can't be loaded: a metal sphere
+   * 
+   * @returns {THREE.Mesh}
+   */
+  createPlaceholder() {
+    const placeholder = new THREE.Mesh(
+      new THREE.SphereGeometry(MODEL_SIZE / 2, 32, 32),
+      this.materials.gold
+    );
+    placeholder.name = 'metal';
+    placeholder.userData.placeholder = true;
+    return placeholder;
+  }
+  
+  /**
+   * Take the current model out of the scene, freeing what it alone uses
+   * (geometry of loaded models stays cached in ModelLoader)
+   */
+  removeModel() {
+    if (!this.model) return;
+    
+    this.scene?.remove(this.model);
+    this.model.traverse(object => {
+      if (object.userData.placeholder) {
+        object.geometry.dispose();
+      }
+      if (object.userData.ownMaterial) {
+        object.material.dispose();
+      }
+    });
+    this.model = null;
   }
   
   /**
    * Set material properties for the model
+   * 
+   * Meshes named for a group in MESH_GROUPS (on the mesh or a parent) take
+   * the matching material: metal and chain meshes the metal, gem meshes the
+   * gem named in the mesh's name (e.g. "gem_ruby") or else the item's gems in
+   * turn. Other meshes keep the model's own materials.
+   * 
+   * @param {Object} options metal: key of this.materials; gems: gemstone
+   *   names; color: tint for the metal
    */
   setMaterial({ metal = 'gold', gems = [], color = null }) {
     if (!this.model) return;
@@ -261,25 +392,66 @@ class Jewelry3DRenderer {
     // Get base metal material
     const metalMaterial = this.materials[metal] || this.materials.gold;
     
-    // Apply color override if provided
-    if (color) {
-      metalMaterial.color.set(color);
+    // Gems the materials cover, diamond when the item names none
+    const gemMaterials = (gems || []).filter(gem => this.materials[gem]);
+    if (gemMaterials.length === 0) {
+      gemMaterials.push('diamond');
     }
     
-    // Apply material directly to the placeholder model
-    this.model.material = metalMaterial.clone();
-    
-    // Enable shadows
-    this.model.castShadow = this.quality !== 'low';
-    this.model.receiveShadow = this.quality !== 'low';
+    let gemCount = 0;
+    this.model.traverse(object => {
+      if (!object.isMesh) return;
+      
+      // Enable shadows
+      object.castShadow = this.quality !== 'low';
+      object.receiveShadow = this.quality !== 'low';
+      
+      const group = meshGroupOf(object);
+      if (!group) return;
+      
+      let material;
+      if (group === 'gem') {
+        const named = gemMaterials.find(gem => object.name.toLowerCase().includes(gem));
+        material = this.materials[named || gemMaterials[gemCount % gemMaterials.length]].clone();
+        gemCount += 1;
+      } else {
+        material = metalMaterial.clone();
+        // Apply color override if provided
+        if (color) {
+          material.color.set(color);
+        }
+      }
+      
+      if (object.userData.ownMaterial) {
+        object.material.dispose();
+      }
+      object.material = material;
+      object.userData.ownMaterial = true;
+    });
   }
   
   /**
-   * Position jewelry using face landmarks (for earrings, necklaces)
+   * Position jewelry using face landmarks (for earrings, necklaces, glasses,
+   * nose pins and maang tikka)
+   * 
+   * @param {Array} landmarks Named landmarks, or null when tracking is lost
+   * @param {String} jewelryType Jewelry type
+   * @param {Number} timestamp Frame capture time in milliseconds (for smoothing)
+   * @param {Object} headPose FaceLandmarkDetector headPose, to turn the piece with the head
+   * @param {Object} earVisibility FaceLandmarkDetector earVisibility, to fade an earring on a turned-away ear
    */
-  positionWithFaceLandmarks(landmarks, jewelryType) {
+  positionWithFaceLandmarks(landmarks, jewelryType, timestamp = performance.now(), headPose = null, earVisibility = null) {
+    landmarks = this.filterTracking(landmarks, timestamp);
     if (!this.model || !landmarks) return;
     
+    // Only earrings can pass behind the head
+    if (this.headOccluder && jewelryType !== 'earring') {
+      this.headOccluder.visible = false;
+    }
+    
+    // Where a dangling piece hangs from, and how far below it its centre sits
+    let swingAnchor = null;
+    
     if (jewelryType === 'earring') {
       // Find ear landmarks
       const rightEar = landmarks.find(lm => lm.name === 'rightEar');
@@ -295,6 +467,13 @@ class Jewelry3DRenderer {
         const earSize = this.calculateDistance(rightEar, leftEar) * 0.2;
         this.modelScale = earSize;
         this.model.scale.set(this.modelScale, this.modelScale, this.modelScale);
+        
+        // Let the head hide the earring when that ear turns away, and fade
+        // it out before it disappears completely
+        this.updateHeadOccluder(leftEar, rightEar, headPose);
+        this.setModelOpacity(earVisibility ? earVisibility.right : 1);
+        
+        swingAnchor = { key: 'rightEar', pivot: rightEar, drop: this.modelScale, rotation: 0 };
       }
     } else if (jewelryType === 'necklace') {
       // Find neck landmarks
@@ -305,10 +484,44 @@ class Jewelry3DRenderer {
         this.modelPosition.set(neckBase.x, neckBase.y, neckBase.z);
         this.model.position.copy(this.modelPosition);
         
-        // Scale based on neck size
-        const shoulderDistance = this.estimateShoulderDistance(landmarks);
-        this.modelScale = shoulderDistance * 0.5;
+        const collarLeft = landmarks.find(lm => lm.name === 'collarLeft');
+        const collarRight = landmarks.find(lm => lm.name === 'collarRight');
+        
+        if (collarLeft && collarRight) {
+          // Span the collarbones and follow their slope (from NeckEstimator)
+          this.modelScale = this.calculateDistance(collarLeft, collarRight) * 1.25;
+          this.model.rotation.z = -Math.atan2(collarRight.y - collarLeft.y, collarRight.x - collarLeft.x);
+        } else {
+          // Scale based on neck size
+          const shoulderDistance = this.estimateShoulderDistance(landmarks);
+          this.modelScale = shoulderDistance * 0.5;
+        }
+        this.model.scale.set(this.modelScale, this.modelScale, this.modelScale);
+        
+        swingAnchor = { key: 'neckBase', pivot: neckBase, drop: 0, rotation: this.model.rotation.z };
+      }
+    } else if (FACE_ANCHOR_TYPES.includes(jewelryType)) {
+      // Glasses, nose pins and maang tikka sit on named face anchors
+      const points = {};
+      landmarks.forEach(lm => {
+        points[lm.name] = lm;
+      });
+      const anchor = getFaceAnchor(points, { ...this.item, type: jewelryType });
+      
+      if (anchor) {
+        // The placeholder spans twice its scale; match the item's width
+        this.modelScale = anchor.size / 2;
         this.model.scale.set(this.modelScale, this.modelScale, this.modelScale);
+        
+        // Hanging pieces sit below their hook (landmarks have y down)
+        const drop = anchor.hang || this.dangle ? this.modelScale : 0;
+        this.modelPosition.set(anchor.point.x, anchor.point.y + drop, anchor.point.z || 0);
+        this.model.position.copy(this.modelPosition);
+        
+        // Tilt with the head's roll, as with the necklace's collar slope
+        this.model.rotation.z = -anchor.roll * (Math.PI / 180);
+        
+        swingAnchor = { key: jewelryType, pivot: anchor.point, drop, rotation: 0 };
       }
     }
     
@@ -324,35 +537,217 @@ class Jewelry3DRenderer {
         }
       }
     }
+    
+    // Necklaces rest on the torso, which doesn't turn with the head
+    if (headPose && jewelryType !== 'necklace') {
+      this.orientWithHeadPose(headPose);
+    }
+    
+    if (this.dangle && swingAnchor) {
+      const leftEar = landmarks.find(lm => lm.name === 'leftEar');
+      const rightEar = landmarks.find(lm => lm.name === 'rightEar');
+      const mmPerUnit = leftEar && rightEar ? mmPerUnitFromEars(leftEar, rightEar, headPose?.yaw) : 0;
+      
+      const swing = this.physics.update(swingAnchor.key, swingAnchor.pivot, timestamp, { ...this.dangle, mmPerUnit });
+      this.hangFromPivot(swingAnchor.pivot, swing, swingAnchor.drop, swingAnchor.rotation);
+    }
+  }
+  
+  /**
+   * Set the catalog item being shown
+   * 
+   * @param {Object} item Jewelry item
+   */
+  setItem(item) {
+    this.item = item;
+    this.setDangle(getDangleParams(item));
+  }
+  
+  /**
+   * Set or clear the pendulum parameters when the item changes
+   * 
+   * @param {Object} dangle { length, damping } from getDangleParams, or null
+   */
+  setDangle(dangle) {
+    this.dangle = dangle;
+    this.physics.reset();
+  }
+  
+  /**
+   * Hang the model under gravity from a pivot, swung by the given angle
+   * 
+   * Landmarks use image axes (y down), so a swing towards +x is a clockwise
+   * turn in Three.js terms, as with the necklace's collar slope.
+   * 
+   * @param {Object} pivot Anchor landmark ({ x, y, z })
+   * @param {Number} swing Swing angle in degrees (from DanglePhysics)
+   * @param {Number} drop Distance from the pivot to the model's centre
+   * @param {Number} rotation Model's rotation about z at rest, in radians
+   */
+  hangFromPivot(pivot, swing, drop, rotation = 0) {
+    const angle = swing * (Math.PI / 180);
+    
+    this.modelPosition.set(
+      pivot.x + Math.sin(angle) * drop,
+      pivot.y + Math.cos(angle) * drop,
+      pivot.z || 0
+    );
+    this.model.position.copy(this.modelPosition);
+    
+    // A piece hanging below its pivot keeps only the head's turn about the
+    // vertical axis; gravity sets the rest
+    if (drop > 0) {
+      this.model.rotation.x = 0;
+    }
+    this.model.rotation.z = rotation - angle;
+  }
+  
+  /**
+   * Rotate the model with the head and match the camera to the one that
+   * captured the frame
+   * 
+   * @param {Object} headPose { pitch, yaw, roll } in degrees (camera axes:
+   *   x right, y down, z away), plus intrinsics when available
+   */
+  orientWithHeadPose({ pitch = 0, yaw = 0, roll = 0, intrinsics = null }) {
+    if (!this.model) return;
+    
+    this.headPoseToEuler({ pitch, yaw, roll }, this.modelRotation);
+    this.model.rotation.copy(this.modelRotation);
+    
+    if (intrinsics) {
+      this.matchCameraIntrinsics(intrinsics);
+    }
+  }
+  
+  /**
+   * Convert a head pose to a Three.js rotation
+   * 
+   * @param {Object} headPose { pitch, yaw, roll } in degrees
+   * @param {THREE.Euler} target Euler to write into
+   * @returns {THREE.Euler} target
+   */
+  headPoseToEuler({ pitch = 0, yaw = 0, roll = 0 }, target = new THREE.Euler()) {
+    // Three.js has y up and z towards the viewer: pitch carries over, roll
+    // flips, and yaw's sign convention already matches
+    const toRadians = Math.PI / 180;
+    return target.set(pitch * toRadians, yaw * toRadians, -roll * toRadians, 'ZYX');
+  }
+  
+  /**
+   * Fit the head occluder between the ears and turn it with the head
+   * 
+   * The occluder is an ellipsoid that writes depth but no color, standing in
+   * for the face and hair: anything behind it (the far earring of a turned
+   * head) fails the depth test and isn't drawn. It is slightly narrower than
+   * the ears so the near earring, hanging at the side of the head, stays visible.
+   * 
+   * @param {Object} leftEar Ear landmark ({ x, y, z })
+   * @param {Object} rightEar Ear landmark ({ x, y, z })
+   * @param {Object} headPose { pitch, yaw, roll } in degrees, if available
+   */
+  updateHeadOccluder(leftEar, rightEar, headPose = null) {
+    if (!this.scene) return;
+    
+    if (!this.headOccluder) {
+      this.headOccluder = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 32, 16),
+        new THREE.MeshBasicMaterial({ colorWrite: false })
+      );
+      
+      // Fill the depth buffer before any jewelry is drawn
+      this.headOccluder.renderOrder = -1;
+      this.scene.add(this.headOccluder);
+    }
+    
+    const halfSpan = this.calculateDistance(leftEar, rightEar) / 2;
+    const rotation = headPose ? this.headPoseToEuler(headPose) : new THREE.Euler();
+    
+    // The head's centre sits behind the line between the ears, and hair makes
+    // it deeper than it is wide
+    const back = new THREE.Vector3(0, 0, -HEAD_CENTER_DEPTH * halfSpan).applyEuler(rotation);
+    this.headOccluder.position.set(
+      (leftEar.x + rightEar.x) / 2,
+      (leftEar.y + rightEar.y) / 2,
+      ((leftEar.z || 0) + (rightEar.z || 0)) / 2
+    ).add(back);
+    this.headOccluder.rotation.copy(rotation);
+    this.headOccluder.scale.set(
+      halfSpan * HEAD_OCCLUDER_WIDTH,
+      halfSpan * HEAD_OCCLUDER_HEIGHT,
+      halfSpan * HEAD_OCCLUDER_DEPTH
+    );
+    this.headOccluder.visible = true;
+  }
+  
+  /**
+   * Fade the model in and out, keeping each material's own opacity as the maximum
+   * 
+   * @param {Number} opacity From 0 (hidden) to 1
+   */
+  setModelOpacity(opacity) {
+    if (!this.model) return;
+    
+    this.model.visible = opacity >= MIN_VISIBLE_OPACITY;
+    
+    this.model.traverse(object => {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.filter(Boolean).forEach(material => {
+        if (material.userData.baseOpacity === undefined) {
+          material.userData.baseOpacity = material.opacity;
+          material.userData.baseTransparent = material.transparent;
+        }
+        
+        material.opacity = material.userData.baseOpacity * opacity;
+        material.transparent = material.userData.baseTransparent || opacity < 1;
+      });
+    });
+  }
+  
+  /**
+   * Match the render camera's vertical field of view to the capture camera
+   * 
+   * @param {Object} intrinsics { fy, cy } in pixels
+   */
+  matchCameraIntrinsics({ fy, cy }) {
+    if (!this.camera || !fy || !cy) return;
+    
+    const fov = 2 * Math.atan(cy / fy) * (180 / Math.PI);
+    if (Math.abs(this.camera.fov - fov) > 0.01) {
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
+    }
   }
   
   /**
    * Position jewelry using hand pose landmarks (for rings, bracelets, watches)
+   * 
+   * @param {Array} handPoses Hands with named landmarks, or null when tracking is lost
+   * @param {String} jewelryType Jewelry type
+   * @param {Number} timestamp Frame capture time in milliseconds (for smoothing)
    */
-  positionWithHandPose(handPoses, jewelryType) {
+  positionWithHandPose(handPoses, jewelryType, timestamp = performance.now()) {
+    handPoses = this.filterTracking(handPoses?.length ? handPoses : null, timestamp);
     if (!this.model || !handPoses || handPoses.length === 0) return;
     
-    // Use the first detected hand
-    const hand = handPoses[0];
+    // Use the hand the item is worn on, once it's in view
+    const hand = findHand(handPoses, handOf(this.item));
+    if (!hand) return;
     
     if (jewelryType === 'ring') {
-      // Find finger landmarks (usually index or ring finger)
-      const ringFinger = hand.landmarks.filter(lm => lm.name.includes('ringFinger'));
+      // Place it on its finger, at its position along the finger
+      const placement = ringPlacement(hand.landmarks, fingerOf(this.item), ringPositionOf(this.item));
       
-      if (ringFinger && ringFinger.length >= 2) {
-        // Position at middle of the finger
-        const fingerMiddle = ringFinger[1]; // Second joint
-        
-        this.modelPosition.set(fingerMiddle.x, fingerMiddle.y, fingerMiddle.z);
+      if (placement) {
+        this.modelPosition.set(placement.x, placement.y, placement.z);
         this.model.position.copy(this.modelPosition);
         
-        // Scale based on finger width
-        const fingerWidth = this.estimateFingerWidth(ringFinger);
-        this.modelScale = fingerWidth;
+        // Scale based on the finger's width where the ring sits
+        this.modelScale = placement.width;
         this.model.scale.set(this.modelScale, this.modelScale, this.modelScale);
         
         // Rotate to align with finger orientation
-        this.alignWithFingerOrientation(ringFinger);
+        this.alignWithFingerOrientation(placement.axis);
       }
     } else if (jewelryType === 'bracelet' || jewelryType === 'watch') {
       // Find wrist landmark
@@ -373,6 +768,37 @@ class Jewelry3DRenderer {
     }
   }
   
+  /**
+   * Smooth landmarks with the tracking filter, if one was provided
+   */
+  filterTracking(tracking, timestamp) {
+    return this.trackingFilter ? this.trackingFilter.update(tracking, timestamp) : tracking;
+  }
+  
+  /**
+   * Predict the model position for a frame without a detection
+   * 
+   * @param {String} jewelryType Jewelry type
+   * @param {Number} timestamp Frame time in milliseconds
+   */
+  predictPosition(jewelryType, timestamp = performance.now()) {
+    const predicted = this.trackingFilter?.predict(timestamp);
+    if (!predicted) return;
+    
+    // Position from the prediction without feeding it back into the filter
+    const filter = this.trackingFilter;
+    this.trackingFilter = null;
+    try {
+      if (predicted[0]?.landmarks) {
+        this.positionWithHandPose(predicted, jewelryType, timestamp);
+      } else {
+        this.positionWithFaceLandmarks(predicted, jewelryType, timestamp);
+      }
+    } finally {
+      this.trackingFilter = filter;
+    }
+  }
+  
   /**
    * Calculate distance between two landmarks
    */
@@ -400,55 +826,20 @@ class Jewelry3DRenderer {
   }
   
   /**
-   * Estimate finger width from landmarks
-   */
-  estimateFingerWidth(fingerLandmarks) {
-    if (fingerLandmarks.length < 2) return 0.02;
-    
-    // Calculate average segment length
-    let totalLength = 0;
-    let segments = 0;
-    
-    for (let i = 0; i < fingerLandmarks.length - 1; i++) {
-      totalLength += this.calculateDistance(fingerLandmarks[i], fingerLandmarks[i + 1]);
-      segments++;
-    }
-    
-    // Estimate width as a fraction of finger length
-    return segments > 0 ? (totalLength / segments) * 0.3 : 0.02;
-  }
-  
-  /**
-   * Estimate wrist width from hand landmarks
+   * Estimate wrist width from hand landmarks (see WristSizing)
    */
   estimateWristWidth(handLandmarks) {
-    const wrist = handLandmarks.find(lm => lm.name === 'wrist');
-    const pinkyBase = handLandmarks.find(lm => lm.name === 'pinky_mcp');
-    const thumbBase = handLandmarks.find(lm => lm.name === 'thumb_cmc');
-    
-    if (wrist && pinkyBase && thumbBase) {
-      return this.calculateDistance(pinkyBase, thumbBase);
-    }
-    
-    // Default fallback value
-    return 0.1;
+    return estimateWristWidth(handLandmarks) || 0.1; // Default fallback value
   }
   
   /**
    * Align model with finger orientation
+   * 
+   * @param {Object} axis Unit vector along the finger towards its tip
    */
-  alignWithFingerOrientation(fingerLandmarks) {
-    if (fingerLandmarks.length < 2) return;
-    
-    // Calculate finger direction vector
-    const base = fingerLandmarks[0];
-    const tip = fingerLandmarks[fingerLandmarks.length - 1];
-    
-    const direction = new THREE.Vector3(
-      tip.x - base.x,
-      tip.y - base.y,
-      tip.z - base.z
-    ).normalize();
+  alignWithFingerOrientation(axis) {
+    const direction = new THREE.Vector3(axis.x, axis.y, axis.z);
+    if (direction.lengthSq() === 0) return;
     
     // Create rotation from direction vector
     const up = new THREE.Vector3(0, 1, 0);
@@ -561,13 +952,30 @@ class Jewelry3DRenderer {
     // Remove event listeners
     window.removeEventListener('resize', this.onWindowResize);
     
+    this.removeModel();
+    
+    if (this.headOccluder) {
+      this.headOccluder.geometry.dispose();
+      this.headOccluder.material.dispose();
+      this.headOccluder = null;
+    }
+    
     // Clear references
     this.scene = null;
     this.camera = null;
     this.renderer = null;
     this.controls = null;
-    this.model = null;
   }
 }
 
+// Which of MESH_GROUPS a mesh belongs to, from its own name or a parent's
+function meshGroupOf(object) {
+  for (let node = object; node; node = node.parent) {
+    const name = node.name.toLowerCase();
+    const group = MESH_GROUPS.find(candidate => name.includes(candidate));
+    if (group) return group === 'chain' ? 'metal' : group;
+  }
+  return null;
+}
+
 export default Jewelry3DRenderer;
\ No newline at end of file
@@ -1,5 +1,11 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import NeckEstimator from '../models/NeckEstimator';
+import { getDangleParams, mmPerUnitFromEars } from './DanglePhysics';
+import { getAnchorPoints, getFaceAnchor } from '../models/FaceAnchors';
+import { estimateWristWidth } from './WristSizing';
+import modelLoader from './ModelLoader';
+import { handOf } from '../models/Handedness';
+import { fingerOf, ringPlacement, ringPositionOf } from '../models/HandKeypoints';
 
 /**
  * JewelryRenderer
@@ -11,16 +17,19 @@ export class JewelryRenderer {
   constructor() {
     this.models = {};
     this.textures = {};
-    this.modelLoader = new GLTFLoader();
     this.textureLoader = new THREE.TextureLoader();
+    this.neckEstimator = new NeckEstimator();
     
     // Cached positions for smoother transitions
     this.smoothedPositions = {
       earrings: { left: null, right: null },
       necklace: null,
-      ring: null,
+      // Keyed by hand and finger, as a look can have several rings
+      ring: {},
       bracelet: null,
-      watch: null
+      watch: null,
+      // Keyed by item type, as glasses, a nose pin and a tikka can be worn together
+      faceAnchor: {}
     };
     
     // Smoothing factor (0 = no smoothing, 1 = maximum smoothing)
@@ -31,41 +40,45 @@ export class JewelryRenderer {
   }
   
   /**
-   * Preload a jewelry model or texture for faster rendering
+   * Preload a jewelry model and its overlay images for faster rendering
+   * (uses the catalog's modelPath and image URL fields, including uploaded assets)
    */
   async preload(jewelryItem) {
     if (!jewelryItem) return;
     
-    const modelUrl = jewelryItem.modelUrl;
-    const textureUrl = jewelryItem.textureUrl;
-    
-    try {
-      // Preload 3D model if available
-      if (modelUrl && !this.models[modelUrl]) {
+    const modelUrl = jewelryItem.modelPath;
+    const imageUrls = [
+      jewelryItem.imageUrl,
+      jewelryItem.leftImageUrl,
+      jewelryItem.rightImageUrl
+    ].filter(Boolean);
+    
+    // Load the model and each overlay independently, so one failing
+    // (often the optional model) doesn't stop the others loading
+    const loads = imageUrls
+      .filter(url => !this.textures[url])
+      .map(async (url) => {
+        this.textures[url] = await this.loadTexture(url);
+      });
+    
+    if (modelUrl && !this.models[modelUrl]) {
+      loads.push((async () => {
         this.models[modelUrl] = await this.loadModel(modelUrl);
-      }
-      
-      // Preload texture if available
-      if (textureUrl && !this.textures[textureUrl]) {
-        this.textures[textureUrl] = await this.loadTexture(textureUrl);
-      }
-    } catch (error) {
-      console.error('Error preloading jewelry assets:', error);
+      })());
     }
+    
+    const results = await Promise.allSettled(loads);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Error preloading jewelry assets:', result.reason));
   }
   
   /**
-   * Load a 3D model from URL
+   * Load a 3D model from URL (through ModelLoader, so Jewelry3DRenderer
+   * finds it already cached)
    */
   loadModel(url) {
-    return new Promise((resolve, reject) => {
-      this.modelLoader.load(
-        url,
-        (gltf) => resolve(gltf),
-        undefined,
-        (error) => reject(error)
-      );
-    });
+    return modelLoader.load(url);
   }
   
   /**
@@ -84,28 +97,44 @@ export class JewelryRenderer {
   
   /**
    * Render jewelry on canvas based on tracking points
+   * 
+   * Tracking points use coordinates normalised to 0-1 of the frame size.
+   * Returns the placements used, e.g. for reporting how an item was drawn.
+   * 
+   * @param {Object} options For frame sequences, a DanglePhysics that swings
+   *   dangling items and the frame's timestamp in milliseconds
+   * @returns {Object} { type, placements } where each placement is
+   *   { slot, imageUrl, x, y, size, rotation, drawn } in canvas pixels, plus
+   *   swing (degrees) and pivot for dangling items
    */
-  async render(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight) {
-    if (!canvasContext || !jewelryItem) return;
+  async render(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight, { physics = null, timestamp = 0 } = {}) {
+    if (!canvasContext || !jewelryItem) return null;
     
     const jewelryType = jewelryItem.type;
+    let placements = [];
     
     // Decide which rendering method to use based on jewelry type
     switch (jewelryType) {
+      case 'earring':
       case 'earrings':
-        await this.renderEarrings(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight);
+        placements = await this.renderEarrings(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight, physics, timestamp);
         break;
       case 'necklace':
-        await this.renderNecklace(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight);
+        placements = await this.renderNecklace(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight, physics, timestamp);
         break;
       case 'ring':
-        await this.renderRing(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight);
+        placements = await this.renderRing(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight);
         break;
       case 'bracelet':
-        await this.renderBracelet(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight);
+        placements = await this.renderBracelet(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight);
         break;
       case 'watch':
-        await this.renderWatch(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight);
+        placements = await this.renderWatch(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight);
+        break;
+      case 'glasses':
+      case 'nose-pin':
+      case 'maang-tikka':
+        placements = await this.renderFaceAnchored(canvasContext, jewelryItem, trackingPoints, videoWidth, videoHeight, physics, timestamp);
         break;
       default:
         console.warn(`Unsupported jewelry type: ${jewelryType}`);
@@ -113,13 +142,15 @@ export class JewelryRenderer {
     
     // Save the last rendered type for optimization
     this.lastRenderedType = jewelryType;
+    
+    return { type: jewelryType, placements };
   }
   
   /**
    * Render earrings based on face landmarks
    */
-  async renderEarrings(canvasContext, earrings, trackingPoints, videoWidth, videoHeight) {
-    if (!trackingPoints.face) return;
+  async renderEarrings(canvasContext, earrings, trackingPoints, videoWidth, videoHeight, physics = null, timestamp = 0) {
+    if (!trackingPoints.face) return [];
     
     const { face } = trackingPoints;
     
@@ -127,7 +158,7 @@ export class JewelryRenderer {
     const leftEarPoint = this.getLeftEarringPosition(face);
     const rightEarPoint = this.getRightEarringPosition(face);
     
-    if (!leftEarPoint || !rightEarPoint) return;
+    if (!leftEarPoint || !rightEarPoint) return [];
     
     // Apply smoothing for stable rendering
     this.smoothedPositions.earrings.left = this.smoothPosition(
@@ -145,151 +176,256 @@ export class JewelryRenderer {
     const leftEar = this.smoothedPositions.earrings.left;
     const rightEar = this.smoothedPositions.earrings.right;
     
-    // Calculate scale based on face size
+    // Calculate scale based on face size (outer eye corners)
     const eyeDistance = this.calculateDistance(
-      face.landmarks[27], // Left eye outer corner (example index)
-      face.landmarks[33]  // Right eye outer corner (example index)
+      face.landmarks[33],  // Left eye outer corner
+      face.landmarks[263]  // Right eye outer corner
     );
     
-    const scale = eyeDistance * earrings.sizeAdjustment || 0.15;
-    
-    try {
-      // Render left earring
-      if (earrings.leftImageUrl) {
-        await this.drawImageAtPoint(
-          canvasContext,
-          earrings.leftImageUrl,
-          leftEar.x * videoWidth,
-          leftEar.y * videoHeight,
-          scale * videoWidth,
-          face.rotation || 0
-        );
+    // Eye distance shrinks as the head turns; undo that so earrings keep their size
+    const yawRadians = (face.rotation?.yaw || 0) * Math.PI / 180;
+    const turnCompensation = 1 / Math.max(Math.cos(yawRadians), 0.5);
+    const scale = (eyeDistance * 0.3 * turnCompensation || 0.05) * (earrings.sizeAdjustment || 1.0);
+    
+    // Earrings turn with the head: tilt with roll, and narrow as they're seen
+    // more side-on with yaw (head pose angles are in degrees)
+    const rotation = face.rotation?.roll || 0;
+    const scaleX = Math.max(Math.cos(yawRadians), 0.2);
+    
+    const placements = [
+      {
+        slot: 'leftEar',
+        imageUrl: earrings.leftImageUrl,
+        x: leftEar.x * videoWidth,
+        y: leftEar.y * videoHeight,
+        size: scale * videoWidth,
+        rotation,
+        scaleX
+      },
+      {
+        slot: 'rightEar',
+        imageUrl: earrings.rightImageUrl,
+        x: rightEar.x * videoWidth,
+        y: rightEar.y * videoHeight,
+        size: scale * videoWidth,
+        rotation,
+        scaleX
       }
+    ];
+    
+    const dangle = getDangleParams(earrings);
+    if (dangle) {
+      const mmPerUnit = mmPerUnitFromEars(placements[0], placements[1], face.rotation?.yaw);
       
-      // Render right earring
-      if (earrings.rightImageUrl) {
-        await this.drawImageAtPoint(
-          canvasContext,
-          earrings.rightImageUrl,
-          rightEar.x * videoWidth,
-          rightEar.y * videoHeight,
-          scale * videoWidth,
-          face.rotation || 0
-        );
-      }
-    } catch (error) {
-      console.error('Error rendering earrings:', error);
+      // Drops hang from the lobe under gravity rather than tilting with the head
+      placements.forEach(placement => {
+        placement.pivot = { x: placement.x, y: placement.y };
+        placement.y += placement.size / 2;
+        placement.rotation = 0;
+        placement.swing = physics
+          ? physics.update(placement.slot, placement.pivot, timestamp, { ...dangle, mmPerUnit })
+          : 0;
+      });
     }
+    
+    return this.drawPlacements(canvasContext, placements);
   }
   
   /**
    * Render necklace based on face/neck landmarks
    */
-  async renderNecklace(canvasContext, necklace, trackingPoints, videoWidth, videoHeight) {
-    if (!trackingPoints.face) return;
+  async renderNecklace(canvasContext, necklace, trackingPoints, videoWidth, videoHeight, physics = null, timestamp = 0) {
+    if (!trackingPoints.face) return [];
     
     const { face } = trackingPoints;
     
-    // Get neck base point (approximated from face landmarks)
-    const neckPoint = this.getNeckPosition(face);
+    // Estimate the neck base, collarbones and chain drape (in pixels)
+    const neck = this.getNeckPosition(face, videoWidth, videoHeight);
     
-    if (!neckPoint) return;
+    if (!neck) return [];
+    
+    // Centre the image on the chain: halfway between the collar line and
+    // the lowest point of the drape
+    const lowest = neck.drapeCurve[Math.floor(neck.drapeCurve.length / 2)];
+    const chainCenter = {
+      x: (neck.collarLeft.x + neck.collarRight.x + 2 * lowest.x) / 4,
+      y: (neck.collarLeft.y + neck.collarRight.y + 2 * lowest.y) / 4,
+      z: lowest.z
+    };
     
     // Apply smoothing for stable rendering
     this.smoothedPositions.necklace = this.smoothPosition(
       this.smoothedPositions.necklace,
-      neckPoint,
+      chainCenter,
       this.smoothingFactor
     );
     
-    const neck = this.smoothedPositions.necklace;
+    const center = this.smoothedPositions.necklace;
     
-    // Calculate scale based on face/shoulder width
-    const shoulderWidth = this.estimateShoulderWidth(face);
-    const scale = shoulderWidth * (necklace.sizeAdjustment || 1.0);
+    // Necklace images span the collarbones plus the strands rising up the neck
+    const size = neck.width * 1.25 * (necklace.sizeAdjustment || 1.0);
     
-    try {
-      // Render necklace image
-      if (necklace.imageUrl) {
-        await this.drawImageAtPoint(
-          canvasContext,
-          necklace.imageUrl,
-          neck.x * videoWidth,
-          neck.y * videoHeight,
-          scale * videoWidth,
-          face.rotation || 0
-        );
-      }
-    } catch (error) {
-      console.error('Error rendering necklace:', error);
+    const placement = {
+      slot: 'neck',
+      imageUrl: necklace.imageUrl,
+      x: center.x,
+      y: center.y,
+      size,
+      rotation: neck.angle,
+      drapeCurve: neck.drapeCurve
+    };
+    
+    // A pendant necklace swings from the neck base as the wearer moves
+    const dangle = getDangleParams(necklace);
+    if (dangle) {
+      const landmarks = face.landmarks;
+      const mmPerUnit = mmPerUnitFromEars(
+        { x: landmarks[234].x * videoWidth, y: landmarks[234].y * videoHeight },
+        { x: landmarks[454].x * videoWidth, y: landmarks[454].y * videoHeight },
+        face.rotation?.yaw
+      );
+      
+      placement.pivot = { x: neck.neckBase.x, y: neck.neckBase.y };
+      placement.swing = physics
+        ? physics.update(placement.slot, placement.pivot, timestamp, { ...dangle, mmPerUnit })
+        : 0;
     }
+    
+    return this.drawPlacements(canvasContext, [placement]);
   }
   
   /**
-   * Render ring based on hand pose data
+   * Render glasses, a nose pin or a maang tikka at its face anchor
+   * (see FaceAnchors), sized from the distance between the pupils
    */
-  async renderRing(canvasContext, ring, trackingPoints, videoWidth, videoHeight) {
-    // Choose hand based on preference or availability
-    const hand = ring.preferredHand === 'left' 
-      ? trackingPoints.leftHand 
-      : (trackingPoints.rightHand || trackingPoints.leftHand);
+  async renderFaceAnchored(canvasContext, item, trackingPoints, videoWidth, videoHeight, physics = null, timestamp = 0) {
+    if (!trackingPoints.face) return [];
     
-    if (!hand) return;
+    const { face } = trackingPoints;
     
-    // Get finger anchor point (usually ring finger)
-    const fingerIndex = ring.fingerIndex || 3; // Default to ring finger
-    const fingerPoint = this.getFingerRingPosition(hand, fingerIndex);
+    // Measure in pixels so the pupil distance doesn't depend on the aspect ratio
+    const landmarks = face.landmarks.map(point => ({
+      x: point.x * videoWidth,
+      y: point.y * videoHeight,
+      z: (point.z || 0) * videoWidth
+    }));
+    const anchor = getFaceAnchor(getAnchorPoints(landmarks), item);
     
-    if (!fingerPoint) return;
+    if (!anchor) return [];
     
     // Apply smoothing for stable rendering
-    this.smoothedPositions.ring = this.smoothPosition(
-      this.smoothedPositions.ring,
-      fingerPoint,
+    this.smoothedPositions.faceAnchor[item.type] = this.smoothPosition(
+      this.smoothedPositions.faceAnchor[item.type],
+      anchor.point,
       this.smoothingFactor
     );
     
-    const fingerPos = this.smoothedPositions.ring;
-    
-    // Calculate scale based on finger width
-    const fingerWidth = this.estimateFingerWidth(hand, fingerIndex);
-    const scale = fingerWidth * (ring.sizeAdjustment || 1.5);
+    const point = this.smoothedPositions.faceAnchor[item.type];
+    
+    // Pupil distance shrinks as the head turns; keep the size and narrow
+    // glasses instead, as they're seen more side-on
+    const yawRadians = (face.rotation?.yaw || 0) * Math.PI / 180;
+    const turnCompensation = 1 / Math.max(Math.cos(yawRadians), 0.5);
+    
+    const placement = {
+      slot: item.type,
+      imageUrl: item.imageUrl,
+      x: point.x,
+      y: point.y,
+      size: anchor.size * turnCompensation,
+      rotation: face.rotation?.roll ?? anchor.roll,
+      scaleX: item.type === 'glasses' ? Math.max(Math.cos(yawRadians), 0.2) : 1
+    };
     
-    // Calculate rotation based on finger orientation
-    const rotation = this.calculateFingerRotation(hand, fingerIndex);
+    // A maang tikka hangs from the hairline under gravity
+    if (anchor.hang) {
+      placement.pivot = { x: point.x, y: point.y };
+      placement.y += placement.size / 2;
+      placement.rotation = 0;
+    }
     
-    try {
-      // Render ring image
-      if (ring.imageUrl) {
-        await this.drawImageAtPoint(
-          canvasContext,
-          ring.imageUrl,
-          fingerPos.x * videoWidth,
-          fingerPos.y * videoHeight,
-          scale * videoWidth,
-          rotation
-        );
-      }
-    } catch (error) {
-      console.error('Error rendering ring:', error);
+    const dangle = getDangleParams(item);
+    if (dangle && physics) {
+      const mmPerUnit = landmarks[234] && landmarks[454]
+        ? mmPerUnitFromEars(landmarks[234], landmarks[454], face.rotation?.yaw)
+        : 0;
+      placement.pivot = placement.pivot || { x: point.x, y: point.y };
+      placement.swing = physics.update(placement.slot, placement.pivot, timestamp, { ...dangle, mmPerUnit });
     }
+    
+    return this.drawPlacements(canvasContext, [placement]);
+  }
+  
+  /**
+   * The tracked hand an item is worn on (trackingPoints are keyed by the
+   * wearer's hand, see Handedness)
+   * 
+   * @param {Object} item Ring, bracelet or watch
+   * @param {Object} trackingPoints Tracking points with leftHand/rightHand
+   * @returns {Object|null} The hand, or null when it isn't in view
+   */
+  getWearerHand(item, trackingPoints) {
+    return (handOf(item) === 'left' ? trackingPoints.leftHand : trackingPoints.rightHand) || null;
+  }
+  
+  /**
+   * Render ring based on hand pose data
+   */
+  async renderRing(canvasContext, ring, trackingPoints, videoWidth, videoHeight) {
+    // Only on the hand it's worn on; nothing is drawn until that hand is seen
+    const hand = this.getWearerHand(ring, trackingPoints);
+    
+    if (!hand) return [];
+    
+    // Place it on its finger, at its position along the finger (landmarks
+    // are normalised, so they're scaled to pixels to keep the finger's
+    // direction and width true)
+    const finger = fingerOf(ring);
+    const position = ringPositionOf(ring);
+    const placement = ringPlacement(
+      hand.landmarks.map(point => ({ x: point.x * videoWidth, y: point.y * videoHeight, z: 0 })),
+      finger,
+      position
+    );
+    
+    if (!placement) return [];
+    
+    // Apply smoothing for stable rendering (each hand, finger and position
+    // separately, as a look can have several rings)
+    const ringKey = `${handOf(ring)}:${finger}:${position}`;
+    this.smoothedPositions.ring[ringKey] = this.smoothPosition(
+      this.smoothedPositions.ring[ringKey],
+      { x: placement.x, y: placement.y, z: 0 },
+      this.smoothingFactor
+    );
+    
+    const fingerPos = this.smoothedPositions.ring[ringKey];
+    
+    return this.drawPlacements(canvasContext, [{
+      slot: 'finger',
+      imageUrl: ring.imageUrl,
+      x: fingerPos.x,
+      y: fingerPos.y,
+      // Sized by the finger's width where the ring sits
+      size: placement.width * (ring.sizeAdjustment || 1.2),
+      // Turned to lie across the finger's axis
+      rotation: placement.angle
+    }]);
   }
   
   /**
    * Render bracelet based on hand/wrist tracking
    */
   async renderBracelet(canvasContext, bracelet, trackingPoints, videoWidth, videoHeight) {
-    // Choose hand based on preference or availability
-    const hand = bracelet.preferredHand === 'left' 
-      ? trackingPoints.leftHand 
-      : (trackingPoints.rightHand || trackingPoints.leftHand);
+    // Only on the wrist it's worn on
+    const hand = this.getWearerHand(bracelet, trackingPoints);
     
-    if (!hand) return;
+    if (!hand) return [];
     
     // Get wrist anchor point
     const wristPoint = this.getWristPosition(hand);
     
-    if (!wristPoint) return;
+    if (!wristPoint) return [];
     
     // Apply smoothing for stable rendering
     this.smoothedPositions.bracelet = this.smoothPosition(
@@ -304,24 +440,15 @@ export class JewelryRenderer {
     const wristWidth = this.estimateWristWidth(hand);
     const scale = wristWidth * (bracelet.sizeAdjustment || 1.2);
     
-    // Calculate rotation based on arm orientation
-    const rotation = this.calculateArmRotation(hand);
-    
-    try {
-      // Render bracelet image
-      if (bracelet.imageUrl) {
-        await this.drawImageAtPoint(
-          canvasContext,
-          bracelet.imageUrl,
-          wrist.x * videoWidth,
-          wrist.y * videoHeight,
-          scale * videoWidth,
-          rotation
-        );
-      }
-    } catch (error) {
-      console.error('Error rendering bracelet:', error);
-    }
+    return this.drawPlacements(canvasContext, [{
+      slot: 'wrist',
+      imageUrl: bracelet.imageUrl,
+      x: wrist.x * videoWidth,
+      y: wrist.y * videoHeight,
+      size: scale * videoWidth,
+      // Calculate rotation based on arm orientation
+      rotation: this.calculateArmRotation(hand)
+    }]);
   }
   
   /**
@@ -329,17 +456,14 @@ export class JewelryRenderer {
    */
   async renderWatch(canvasContext, watch, trackingPoints, videoWidth, videoHeight) {
     // Similar to bracelet rendering but may include different positioning or scale
-    // Choose hand based on preference or availability
-    const hand = watch.preferredHand === 'left' 
-      ? trackingPoints.leftHand 
-      : (trackingPoints.rightHand || trackingPoints.leftHand);
+    const hand = this.getWearerHand(watch, trackingPoints);
     
-    if (!hand) return;
+    if (!hand) return [];
     
     // Get wrist anchor point for watch (slightly different from bracelet)
     const watchPoint = this.getWatchPosition(hand);
     
-    if (!watchPoint) return;
+    if (!watchPoint) return [];
     
     // Apply smoothing for stable rendering
     this.smoothedPositions.watch = this.smoothPosition(
@@ -354,24 +478,15 @@ export class JewelryRenderer {
     const wristWidth = this.estimateWristWidth(hand);
     const scale = wristWidth * (watch.sizeAdjustment || 1.5);
     
-    // Calculate rotation based on arm orientation
-    const rotation = this.calculateArmRotation(hand);
-    
-    try {
-      // Render watch image
-      if (watch.imageUrl) {
-        await this.drawImageAtPoint(
-          canvasContext,
-          watch.imageUrl,
-          wristPos.x * videoWidth,
-          wristPos.y * videoHeight,
-          scale * videoWidth,
-          rotation
-        );
-      }
-    } catch (error) {
-      console.error('Error rendering watch:', error);
-    }
+    return this.drawPlacements(canvasContext, [{
+      slot: 'wrist',
+      imageUrl: watch.imageUrl,
+      x: wristPos.x * videoWidth,
+      y: wristPos.y * videoHeight,
+      size: scale * videoWidth,
+      // Calculate rotation based on arm orientation
+      rotation: this.calculateArmRotation(hand)
+    }]);
   }
   
   /**
@@ -403,44 +518,23 @@ export class JewelryRenderer {
     }
   }
   
-  // Get position for necklace
-  getNeckPosition(face) {
+  // Get neck base, collarbones and chain drape for necklace, in pixels
+  // (proportions only hold once normalised x and y share a scale)
+  getNeckPosition(face, videoWidth, videoHeight) {
     try {
-      // Approximate neck position based on chin and shoulders
-      const chinIndex = 152; // Example index for chin
-      const chin = face.landmarks[chinIndex];
-      
-      // Estimate neck position below chin
-      return {
-        x: chin.x,
-        y: chin.y + 0.1, // Offset below chin
-        z: chin.z
+      const landmarks = face.landmarks.map(point => ({
+        x: point.x * videoWidth,
+        y: point.y * videoHeight,
+        z: (point.z || 0) * videoWidth
+      }));
+      const shoulders = face.shoulders && {
+        left: { ...face.shoulders.left, x: face.shoulders.left.x * videoWidth, y: face.shoulders.left.y * videoHeight },
+        right: { ...face.shoulders.right, x: face.shoulders.right.x * videoWidth, y: face.shoulders.right.y * videoHeight }
       };
-    } catch (error) {
-      console.error('Error getting neck position:', error);
-      return null;
-    }
-  }
-  
-  // Get position for ring on finger
-  getFingerRingPosition(hand, fingerIndex) {
-    try {
-      // MediaPipe hand landmarks
-      // fingerIndex: 0=thumb, 1=index, 2=middle, 3=ring, 4=pinky
-      const baseJointIndex = fingerIndex * 4 + 1; // Base joint of the finger
-      const middleJointIndex = fingerIndex * 4 + 2; // Middle joint of the finger
-      
-      const baseJoint = hand.landmarks[baseJointIndex];
-      const middleJoint = hand.landmarks[middleJointIndex];
       
-      // Position the ring between the base and middle joint
-      return {
-        x: (baseJoint.x * 0.3) + (middleJoint.x * 0.7),
-        y: (baseJoint.y * 0.3) + (middleJoint.y * 0.7),
-        z: (baseJoint.z * 0.3) + (middleJoint.z * 0.7)
-      };
+      return this.neckEstimator.estimate(landmarks, { shoulders });
     } catch (error) {
-      console.error('Error getting finger ring position:', error);
+      console.error('Error getting neck position:', error);
       return null;
     }
   }
@@ -492,87 +586,10 @@ export class JewelryRenderer {
     );
   }
   
-  // Estimate shoulder width based on face
-  estimateShoulderWidth(face) {
-    try {
-      // Use face width to estimate shoulder width
-      const leftCheekIndex = 234; // Example index for left cheek
-      const rightCheekIndex = 454; // Example index for right cheek
-      
-      const faceWidth = this.calculateDistance(
-        face.landmarks[leftCheekIndex],
-        face.landmarks[rightCheekIndex]
-      );
-      
-      // Shoulder width is typically about 3x face width
-      return faceWidth * 3;
-    } catch (error) {
-      console.error('Error estimating shoulder width:', error);
-      return 0.3; // Default fallback value
-    }
-  }
-  
-  // Estimate finger width for ring sizing
-  estimateFingerWidth(hand, fingerIndex) {
-    try {
-      // MediaPipe hand landmarks
-      const baseJointIndex = fingerIndex * 4 + 1;
-      
-      // Adjacent finger indices for width estimation
-      const adjacentFinger1 = Math.max(0, fingerIndex - 1);
-      const adjacentFinger2 = Math.min(4, fingerIndex + 1);
-      
-      const baseJoint1 = hand.landmarks[adjacentFinger1 * 4 + 1];
-      const baseJoint2 = hand.landmarks[adjacentFinger2 * 4 + 1];
-      
-      // Estimate width based on distance to adjacent fingers
-      return this.calculateDistance(baseJoint1, baseJoint2) * 0.4;
-    } catch (error) {
-      console.error('Error estimating finger width:', error);
-      return 0.02; // Default fallback value
-    }
-  }
-  
   // Estimate wrist width for bracelet/watch sizing
   estimateWristWidth(hand) {
-    try {
-      // MediaPipe hand landmarks
-      const wristIndex = 0;
-      const thumbBaseIndex = 1;
-      const pinkyBaseIndex = 17;
-      
-      const wrist = hand.landmarks[wristIndex];
-      const thumbBase = hand.landmarks[thumbBaseIndex];
-      const pinkyBase = hand.landmarks[pinkyBaseIndex];
-      
-      // Calculate wrist width based on hand width at base
-      return this.calculateDistance(thumbBase, pinkyBase) * 1.2;
-    } catch (error) {
-      console.error('Error estimating wrist width:', error);
-      return 0.1; // Default fallback value
-    }
-  }
-  
-  // Calculate finger rotation for proper ring alignment
-  calculateFingerRotation(hand, fingerIndex) {
-    try {
-      // MediaPipe hand landmarks
-      const baseJointIndex = fingerIndex * 4 + 1;
-      const tipJointIndex = fingerIndex * 4 + 4;
-      
-      const baseJoint = hand.landmarks[baseJointIndex];
-      const tipJoint = hand.landmarks[tipJointIndex];
-      
-      // Calculate angle in radians, then convert to degrees
-      const angleRad = Math.atan2(
-        tipJoint.y - baseJoint.y,
-        tipJoint.x - baseJoint.x
-      );
-      return angleRad * (180 / Math.PI);
-    } catch (error) {
-      console.error('Error calculating finger rotation:', error);
-      return 0; // Default fallback value
-    }
+    // Shared with wrist sizing so what's drawn matches what's measured
+    return estimateWristWidth(hand.landmarks) || 0.1; // Default fallback value
   }
   
   // Calculate arm rotation for bracelet/watch alignment
@@ -602,13 +619,14 @@ export class JewelryRenderer {
    */
   
   // Draw image at specified point with scaling and rotation
-  async drawImageAtPoint(canvasContext, imageUrl, x, y, size, rotation = 0) {
-    // Create image element if it doesn't exist in cache
+  async drawImageAtPoint(canvasContext, imageUrl, x, y, size, rotation = 0, scaleX = 1) {
+    // Load and cache the texture if it hasn't been preloaded
     if (!this.textures[imageUrl]) {
-      await this.loadTexture(imageUrl);
+      this.textures[imageUrl] = await this.loadTexture(imageUrl);
     }
     
-    const img = this.textures[imageUrl];
+    // Canvas drawing needs the texture's underlying image element
+    const img = this.textures[imageUrl]?.image;
     
     if (!img) {
       throw new Error(`Failed to load image: ${imageUrl}`);
@@ -625,6 +643,11 @@ export class JewelryRenderer {
       canvasContext.rotate(rotation * Math.PI / 180);
     }
     
+    // Foreshorten horizontally for pieces seen at an angle
+    if (scaleX !== 1) {
+      canvasContext.scale(scaleX, 1);
+    }
+    
     // Draw the image centered at the point
     canvasContext.drawImage(
       img,
@@ -638,6 +661,46 @@ export class JewelryRenderer {
     canvasContext.restore();
   }
   
+  // Draw each placement that has an image, recording whether it was drawn
+  async drawPlacements(canvasContext, placements) {
+    for (const placement of placements) {
+      placement.drawn = false;
+      
+      if (!placement.imageUrl) continue;
+      
+      // Swing dangling pieces about their pivot (positive swing moves the
+      // hanging end towards image right, which is a counter-clockwise turn here)
+      const swinging = placement.swing && placement.pivot;
+      if (swinging) {
+        canvasContext.save();
+        canvasContext.translate(placement.pivot.x, placement.pivot.y);
+        canvasContext.rotate(-placement.swing * Math.PI / 180);
+        canvasContext.translate(-placement.pivot.x, -placement.pivot.y);
+      }
+      
+      try {
+        await this.drawImageAtPoint(
+          canvasContext,
+          placement.imageUrl,
+          placement.x,
+          placement.y,
+          placement.size,
+          placement.rotation,
+          placement.scaleX
+        );
+        placement.drawn = true;
+      } catch (error) {
+        console.error(`Error rendering jewelry at ${placement.slot}:`, error);
+      } finally {
+        if (swinging) {
+          canvasContext.restore();
+        }
+      }
+    }
+    
+    return placements;
+  }
+  
   // Apply position smoothing to reduce jitter
   smoothPosition(previousPosition, newPosition, smoothFactor) {
     if (!previousPosition) return newPosition;
@@ -654,9 +717,10 @@ export class JewelryRenderer {
     this.smoothedPositions = {
       earrings: { left: null, right: null },
       necklace: null,
-      ring: null,
+      ring: {},
       bracelet: null,
-      watch: null
+      watch: null,
+      faceAnchor: {}
     };
     
     this.lastRenderedType = null;
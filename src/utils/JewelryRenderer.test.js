@@ -0,0 +1,50 @@
+import { JewelryRenderer } from './JewelryRenderer';
+import modelLoader from './ModelLoader';
+
+// three's example loaders are ES modules Jest doesn't transform
+jest.mock('./ModelLoader', () => ({ __esModule: true, default: { load: jest.fn() } }));
+
+const EARRINGS = {
+  id: 'e1',
+  type: 'earring',
+  modelPath: '/models/missing.glb',
+  leftImageUrl: '/images/left.png',
+  rightImageUrl: '/images/right.png'
+};
+
+describe('JewelryRenderer.preload', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+  
+  test('loads the overlays when the model fails', async () => {
+    const renderer = new JewelryRenderer();
+    modelLoader.load.mockRejectedValue(new Error('404'));
+    renderer.loadTexture = jest.fn(async url => ({ url }));
+    
+    await renderer.preload(EARRINGS);
+    
+    expect(Object.keys(renderer.textures)).toEqual(['/images/left.png', '/images/right.png']);
+    expect(renderer.models).toEqual({});
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+  
+  test('loads the model and the other overlays when one overlay fails', async () => {
+    const renderer = new JewelryRenderer();
+    const gltf = { scene: {} };
+    modelLoader.load.mockResolvedValue(gltf);
+    renderer.loadTexture = jest.fn(async url => {
+      if (url === '/images/left.png') throw new Error('404');
+      return { url };
+    });
+    
+    await renderer.preload(EARRINGS);
+    
+    expect(Object.keys(renderer.textures)).toEqual(['/images/right.png']);
+    expect(renderer.models['/models/missing.glb']).toBe(gltf);
+  });
+});
@@ -0,0 +1,86 @@
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module';
+
+// Where the Draco decoder (draco_decoder.wasm and its wrapper) is served from:
+// public/draco holds the copy from three/examples/jsm/libs/draco, which
+// matches the installed three's DRACOLoader
+const DRACO_DECODER_PATH = process.env.REACT_APP_DRACO_DECODER_PATH ||
+  `${process.env.PUBLIC_URL}/draco/`;
+
+/**
+ * ModelLoader
+ * 
+ * Loads GLB/GLTF jewelry models, decompressing Draco and meshopt geometry,
+ * and caches them by URL so each model is fetched once however many
+ * renderers show it. Loads in flight are shared too: a second request for
+ * the same URL waits on the first and gets its progress as well.
+ */
+class ModelLoader {
+  constructor() {
+    this.dracoLoader = new DRACOLoader();
+    this.dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+    
+    this.gltfLoader = new GLTFLoader();
+    this.gltfLoader.setDRACOLoader(this.dracoLoader);
+    this.gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+    
+    // URL -> { promise, listeners } (listeners only while loading)
+    this.cache = new Map();
+  }
+  
+  /**
+   * Load a model, or return the cached one
+   * 
+   * The GLTF is shared between everyone who loads the URL, so callers should
+   * clone gltf.scene rather than change it.
+   * 
+   * @param {String} url Model URL (the catalog's modelPath)
+   * @param {Object} options onProgress: called with { url, loaded, total,
+   *   progress } as the file downloads, progress being 0-1 or null when the
+   *   server doesn't send a length
+   * @returns {Promise<Object>} The parsed GLTF
+   */
+  load(url, { onProgress } = {}) {
+    let entry = this.cache.get(url);
+    
+    if (!entry) {
+      entry = { promise: null, listeners: new Set() };
+      entry.promise = this.gltfLoader.loadAsync(url, event => {
+        const total = event.lengthComputable ? event.total : 0;
+        const progress = { url, loaded: event.loaded, total, progress: total ? event.loaded / total : null };
+        entry.listeners.forEach(listener => listener(progress));
+      }).finally(() => {
+        entry.listeners.clear();
+      }).catch(error => {
+        // Forget failures so the next request tries again
+        this.cache.delete(url);
+        throw error;
+      });
+      this.cache.set(url, entry);
+    }
+    
+    if (onProgress) {
+      entry.listeners.add(onProgress);
+    }
+    
+    return entry.promise;
+  }
+  
+  /**
+   * Drop cached models
+   * 
+   * @param {String} url Model to drop; all of them when left out
+   */
+  clear(url) {
+    if (url) {
+      this.cache.delete(url);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+// Export as singleton
+const modelLoader = new ModelLoader();
+export default modelLoader;
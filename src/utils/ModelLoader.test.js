@@ -0,0 +1,109 @@
+import modelLoader from './ModelLoader';
+
+// three's example loaders are ES modules Jest doesn't transform
+jest.mock('three/examples/jsm/loaders/GLTFLoader', () => ({
+  GLTFLoader: class {
+    setDRACOLoader(loader) {
+      this.dracoLoader = loader;
+    }
+    
+    setMeshoptDecoder(decoder) {
+      this.meshoptDecoder = decoder;
+    }
+  }
+}));
+jest.mock('three/examples/jsm/loaders/DRACOLoader', () => ({
+  DRACOLoader: class {
+    setDecoderPath(path) {
+      this.decoderPath = path;
+    }
+  }
+}));
+jest.mock('three/examples/jsm/libs/meshopt_decoder.module', () => ({ MeshoptDecoder: { supported: true } }));
+
+// A load that the test finishes, reporting progress along the way
+function pendingLoad() {
+  const load = {};
+  load.promise = new Promise((resolve, reject) => {
+    load.resolve = resolve;
+    load.reject = reject;
+  });
+  return load;
+}
+
+describe('ModelLoader', () => {
+  beforeEach(() => {
+    modelLoader.clear();
+    modelLoader.gltfLoader.loadAsync = jest.fn(async url => ({ scene: { name: url } }));
+  });
+  
+  test('decodes Draco geometry with the decoder served from public/', () => {
+    expect(modelLoader.dracoLoader.decoderPath).toBe(`${process.env.PUBLIC_URL}/draco/`);
+    expect(modelLoader.gltfLoader.dracoLoader).toBe(modelLoader.dracoLoader);
+    expect(modelLoader.gltfLoader.meshoptDecoder).toBeDefined();
+  });
+  
+  test('fetches each model once however many times it is loaded', async () => {
+    const [first, second] = await Promise.all([
+      modelLoader.load('/models/ring.glb'),
+      modelLoader.load('/models/ring.glb')
+    ]);
+    const other = await modelLoader.load('/models/earring.glb');
+    
+    expect(first).toBe(second);
+    expect(other.scene.name).toBe('/models/earring.glb');
+    expect(modelLoader.gltfLoader.loadAsync).toHaveBeenCalledTimes(2);
+  });
+  
+  test('reports progress to everyone waiting on a load, until it finishes', async () => {
+    const load = pendingLoad();
+    let reportProgress;
+    modelLoader.gltfLoader.loadAsync.mockImplementation((url, onProgress) => {
+      reportProgress = onProgress;
+      return load.promise;
+    });
+    const first = jest.fn();
+    const second = jest.fn();
+    
+    const loading = Promise.all([
+      modelLoader.load('/models/ring.glb', { onProgress: first }),
+      modelLoader.load('/models/ring.glb', { onProgress: second })
+    ]);
+    reportProgress({ lengthComputable: true, loaded: 50, total: 200 });
+    reportProgress({ lengthComputable: false, loaded: 80, total: 0 });
+    
+    const expected = [
+      [{ url: '/models/ring.glb', loaded: 50, total: 200, progress: 0.25 }],
+      [{ url: '/models/ring.glb', loaded: 80, total: 0, progress: null }]
+    ];
+    expect(first.mock.calls).toEqual(expected);
+    expect(second.mock.calls).toEqual(expected);
+    
+    load.resolve({ scene: {} });
+    await loading;
+    reportProgress({ lengthComputable: true, loaded: 200, total: 200 });
+    expect(first).toHaveBeenCalledTimes(2);
+  });
+  
+  test('tries a failed model again on the next load', async () => {
+    modelLoader.gltfLoader.loadAsync.mockRejectedValueOnce(new Error('404'));
+    
+    await expect(modelLoader.load('/models/ring.glb')).rejects.toThrow('404');
+    await expect(modelLoader.load('/models/ring.glb')).resolves.toEqual({ scene: { name: '/models/ring.glb' } });
+    expect(modelLoader.gltfLoader.loadAsync).toHaveBeenCalledTimes(2);
+  });
+  
+  test('clear drops one cached model, or all of them', async () => {
+    await modelLoader.load('/models/ring.glb');
+    await modelLoader.load('/models/earring.glb');
+    
+    modelLoader.clear('/models/ring.glb');
+    await modelLoader.load('/models/ring.glb');
+    await modelLoader.load('/models/earring.glb');
+    expect(modelLoader.gltfLoader.loadAsync).toHaveBeenCalledTimes(3);
+    
+    modelLoader.clear();
+    await modelLoader.load('/models/earring.glb');
+    expect(modelLoader.gltfLoader.loadAsync).toHaveBeenCalledTimes(4);
+  });
+});
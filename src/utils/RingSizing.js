@@ -0,0 +1,390 @@
+/**
+ * RingSizing
+ * 
+ * Turns HandPoseDetector landmarks into ring sizes. Landmarks are in pixels,
+ * so the pixel scale is calibrated first. The scale comes from a reference
+ * object of known width held in the frame (a bank card or a coin), or from
+ * the iris, whose diameter varies little between adults. MediaPipe gives no
+ * points on the sides of a finger, so finger width is estimated from the
+ * spacing of the knuckles. The width is converted to a circumference and
+ * looked up in the US, UK, EU, Indian and Japanese ring-size tables.
+ * 
+ * Every estimate carries a 95% confidence interval that combines the
+ * calibration's uncertainty, the frame-to-frame spread of the measurements
+ * and the uncertainty of the width-from-knuckles ratio.
+ */
+
+/**
+ * Reference objects: width in mm and its standard deviation in mm. The iris
+ * is the adult horizontal visible iris diameter.
+ */
+export const REFERENCE_OBJECTS = {
+  card: { label: 'Bank card (long edge)', widthMm: 85.6, sdMm: 0.1 },
+  'us-quarter': { label: 'US quarter', widthMm: 24.26, sdMm: 0.05 },
+  'euro-1': { label: '1 euro coin', widthMm: 23.25, sdMm: 0.05 },
+  'uk-pound': { label: '£1 coin', widthMm: 23.43, sdMm: 0.05 },
+  'inr-10': { label: '₹10 coin', widthMm: 27, sdMm: 0.1 },
+  'jpy-100': { label: '¥100 coin', widthMm: 22.6, sdMm: 0.05 },
+  iris: { label: 'Iris', widthMm: 11.7, sdMm: 0.5 }
+};
+
+// Standard deviation of a landmark or marked edge position, in pixels
+const PIXEL_SD = 2;
+
+// Relative uncertainty from holding the hand at a different distance from the
+// camera than the eyes when calibrating from the iris
+const IRIS_DEPTH_SD = 0.05;
+
+// MediaPipe Face Mesh iris edge landmarks (need refineLandmarks)
+const IRIS_EDGES = {
+  left: { horizontal: [469, 471], vertical: [470, 472] },
+  right: { horizontal: [474, 476], vertical: [475, 477] }
+};
+
+/**
+ * Fingers that take rings: the MediaPipe Hands knuckle (MCP) landmark, the
+ * neighbouring knuckles, and finger width as a share of the knuckle spacing
+ * (fingers held together touch, so the spacing is close to their width)
+ */
+export const RING_FINGERS = {
+  index: { mcp: 5, neighbours: [9], widthRatio: 0.95 },
+  middle: { mcp: 9, neighbours: [5, 13], widthRatio: 0.95 },
+  ring: { mcp: 13, neighbours: [9, 17], widthRatio: 0.95 },
+  pinky: { mcp: 17, neighbours: [13], widthRatio: 0.85 }
+};
+
+// Relative uncertainty of the width ratios above, across hands
+const WIDTH_RATIO_SD = 0.06;
+
+// Finger thickness (palm to back) as a share of its width
+const THICKNESS_RATIO = 0.85;
+
+// Wrist and middle knuckle, whose distance shows how far the palm is tilted
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+
+// Samples where the knuckle line is foreshortened more than this are dropped
+const MIN_FORESHORTENING = 0.7;
+
+// Samples needed before estimating, and the most kept
+const MIN_SAMPLES = 5;
+const MAX_SAMPLES = 90;
+
+// z for a 95% interval
+const Z_95 = 1.96;
+
+// UK letters; sizes go in half letters from A (37.8 mm) in 0.625 mm steps
+const UK_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Ring-size tables: each size with its inner circumference in mm, ascending
+ */
+export const RING_SIZE_TABLES = {
+  // Diameter 11.63 mm at size 0, 0.8128 mm (0.032") more per size
+  us: range(3, 13.5, 0.5).map(size => ({
+    size: formatHalf(size),
+    circumferenceMm: Math.PI * (11.63 + 0.8128 * size)
+  })),
+  uk: range(0, UK_LETTERS.length - 0.5, 0.5).map(step => ({
+    size: UK_LETTERS[Math.floor(step)] + (step % 1 ? '½' : ''),
+    circumferenceMm: 37.8 + step * 1.25
+  })),
+  // ISO 8653: the size is the inner circumference in mm
+  eu: range(41, 76, 1).map(size => ({ size: String(size), circumferenceMm: size })),
+  // Indian jewellers and JIS both step 1 mm per size from 41 mm at size 1
+  india: range(1, 36, 1).map(size => ({ size: String(size), circumferenceMm: 40 + size })),
+  japan: range(1, 36, 1).map(size => ({ size: String(size), circumferenceMm: 40 + size }))
+};
+
+export const RING_SIZE_SYSTEMS = {
+  us: 'US',
+  uk: 'UK',
+  eu: 'EU',
+  india: 'India',
+  japan: 'Japan'
+};
+
+/**
+ * Pixel scale from a reference object whose width was measured in the image
+ * 
+ * @param {String} reference Key of REFERENCE_OBJECTS
+ * @param {Number} widthPx Measured width of the object in pixels
+ * @param {Object} options pixelSd: uncertainty of the measurement in pixels
+ * @returns {Object} { mmPerPixel, relativeError, source }
+ */
+export function calibrateFromReference(reference, widthPx, { pixelSd = PIXEL_SD } = {}) {
+  const object = REFERENCE_OBJECTS[reference];
+  if (!object) {
+    throw new Error(`Unknown reference object: ${reference}`);
+  }
+  if (!(widthPx > 0)) {
+    throw new Error('Reference width must be a positive number of pixels');
+  }
+  
+  return {
+    mmPerPixel: object.widthMm / widthPx,
+    relativeError: Math.hypot(object.sdMm / object.widthMm, pixelSd / widthPx),
+    source: reference
+  };
+}
+
+/**
+ * Pixel scale from the irises in a face mesh, for a hand held beside the face
+ * 
+ * @param {Array} landmarks Face mesh landmarks in pixels, with iris landmarks
+ * @returns {Object|null} { mmPerPixel, relativeError, source: 'iris' }, or
+ *   null without iris landmarks
+ */
+export function calibrateFromIris(landmarks) {
+  // Lids cover the top and bottom, turning narrows the sides; take the larger
+  const diameters = Object.values(IRIS_EDGES)
+    .map(({ horizontal, vertical }) => Math.max(
+      distanceBetween(landmarks, horizontal),
+      distanceBetween(landmarks, vertical)
+    ))
+    .filter(diameter => diameter > 0);
+  
+  if (diameters.length === 0) return null;
+  
+  const diameterPx = diameters.reduce((sum, diameter) => sum + diameter, 0) / diameters.length;
+  const iris = REFERENCE_OBJECTS.iris;
+  
+  return {
+    mmPerPixel: iris.widthMm / diameterPx,
+    relativeError: Math.hypot(
+      iris.sdMm / iris.widthMm,
+      PIXEL_SD / (diameterPx * Math.sqrt(diameters.length)),
+      IRIS_DEPTH_SD
+    ),
+    source: 'iris'
+  };
+}
+
+/**
+ * Width of a finger at its base, in pixels, from the knuckle spacing
+ * 
+ * @param {Array} landmarks Hand landmarks in pixels (HandPoseDetector imageLandmarks)
+ * @param {String} finger Key of RING_FINGERS
+ * @param {Array} worldLandmarks Hand landmarks in 3D (HandPoseDetector
+ *   landmarks), used to undo foreshortening when the palm is tilted
+ * @returns {Object|null} { widthPx, spacingPx, foreshortening } where
+ *   foreshortening is 1 when the knuckles face the camera
+ */
+export function measureFingerWidth(landmarks, finger = 'ring', worldLandmarks = null) {
+  const { mcp, neighbours, widthRatio } = RING_FINGERS[finger] || {};
+  if (mcp === undefined || !landmarks?.[mcp]) return null;
+  
+  const spacings = neighbours
+    .filter(index => landmarks[index])
+    .map(index => distanceBetween(landmarks, [mcp, index]));
+  if (spacings.length === 0) return null;
+  
+  let spacingPx = spacings.reduce((sum, spacing) => sum + spacing, 0) / spacings.length;
+  let foreshortening = 1;
+  
+  // Compare the knuckle line with the palm in 3D: whichever is less
+  // shortened on screen gives the true pixels per 3D unit
+  if (worldLandmarks?.[mcp] && worldLandmarks[WRIST] && worldLandmarks[MIDDLE_MCP]) {
+    const worldSpacing = neighbours
+      .filter(index => worldLandmarks[index])
+      .map(index => distanceBetween(worldLandmarks, [mcp, index]))
+      .reduce((sum, spacing, i, all) => sum + spacing / all.length, 0);
+    const palmPx = distanceBetween(landmarks, [WRIST, MIDDLE_MCP]);
+    const palmWorld = distanceBetween(worldLandmarks, [WRIST, MIDDLE_MCP]);
+    
+    if (worldSpacing > 0 && palmWorld > 0) {
+      const scale = Math.max(spacingPx / worldSpacing, palmPx / palmWorld);
+      foreshortening = spacingPx / (worldSpacing * scale);
+      spacingPx = worldSpacing * scale;
+    }
+  }
+  
+  return {
+    widthPx: spacingPx * widthRatio,
+    spacingPx,
+    foreshortening
+  };
+}
+
+/**
+ * Circumference of a finger of the given width, taking its cross-section as
+ * an ellipse
+ * 
+ * @param {Number} widthMm Finger width in mm
+ * @returns {Number} Circumference in mm
+ */
+export function circumferenceFromWidth(widthMm) {
+  return ellipseCircumference(widthMm, widthMm * THICKNESS_RATIO);
+}
+
+/**
+ * Circumference of an ellipse (Ramanujan's approximation)
+ * 
+ * @param {Number} widthMm Width across, in mm
+ * @param {Number} depthMm Depth front to back, in mm
+ * @returns {Number} Circumference in mm
+ */
+export function ellipseCircumference(widthMm, depthMm) {
+  const a = widthMm / 2;
+  const b = depthMm / 2;
+  return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+}
+
+/**
+ * Nearest size in each system for an inner circumference
+ * 
+ * @param {Number} circumferenceMm Inner circumference in mm
+ * @returns {Object} Size label keyed by system (null when off the table)
+ */
+export function sizesForCircumference(circumferenceMm) {
+  return Object.fromEntries(Object.entries(RING_SIZE_TABLES).map(([system, table]) => {
+    const nearest = table.reduce((best, entry) => (
+      Math.abs(entry.circumferenceMm - circumferenceMm) < Math.abs(best.circumferenceMm - circumferenceMm)
+        ? entry
+        : best
+    ));
+    
+    // Off the end of the table by more than one step
+    const step = table[1].circumferenceMm - table[0].circumferenceMm;
+    const offTable = Math.abs(nearest.circumferenceMm - circumferenceMm) > step;
+    
+    return [system, offTable ? null : nearest.size];
+  }));
+}
+
+/**
+ * One-line summary of a ring size estimate, for people and for the assistant
+ * 
+ * @param {Object} estimate RingSizer.estimate() result
+ * @returns {String}
+ */
+export function describeRingSize(estimate) {
+  const { circumferenceMm, interval, sizes, sizeRanges } = estimate;
+  const systems = Object.keys(RING_SIZE_SYSTEMS)
+    .filter(system => sizes[system])
+    .map(system => {
+      const [low, high] = sizeRanges[system];
+      return `${RING_SIZE_SYSTEMS[system]} ${sizes[system]} (${low || '?'} to ${high || '?'})`;
+    });
+  
+  const finger = estimate.finger[0].toUpperCase() + estimate.finger.slice(1);
+  
+  return `${finger} finger about ${circumferenceMm.toFixed(1)} mm around ` +
+    `(95% interval ${interval.lowMm.toFixed(1)} to ${interval.highMm.toFixed(1)} mm), ` +
+    `measured over ${estimate.samples} frames calibrated by ${estimate.calibration}: ${systems.join(', ')}`;
+}
+
+/**
+ * Collects finger measurements over several frames and estimates ring sizes
+ */
+export class RingSizer {
+  constructor() {
+    this.samples = [];
+  }
+  
+  /**
+   * Add one frame's measurements
+   * 
+   * @param {Object} hand HandPoseDetector result (imageLandmarks in pixels,
+   *   landmarks in 3D)
+   * @param {Object} calibration calibrateFromReference or calibrateFromIris
+   *   result for the same frame
+   * @returns {Boolean} Whether the frame was usable
+   */
+  addSample(hand, calibration) {
+    if (!hand || !calibration?.mmPerPixel) return false;
+    
+    const imageLandmarks = hand.imageLandmarks || hand.landmarks;
+    const worldLandmarks = hand.imageLandmarks ? hand.landmarks : null;
+    
+    const widthsMm = {};
+    Object.keys(RING_FINGERS).forEach(finger => {
+      const measured = measureFingerWidth(imageLandmarks, finger, worldLandmarks);
+      if (measured && measured.foreshortening >= MIN_FORESHORTENING) {
+        widthsMm[finger] = {
+          value: measured.widthPx * calibration.mmPerPixel,
+          pixelError: PIXEL_SD / measured.spacingPx
+        };
+      }
+    });
+    
+    if (Object.keys(widthsMm).length === 0) return false;
+    
+    this.samples.push({ widthsMm, calibration });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+    return true;
+  }
+  
+  /**
+   * Estimate the ring size for a finger
+   * 
+   * @param {String} finger Key of RING_FINGERS
+   * @returns {Object|null} { finger, circumferenceMm, diameterMm, interval:
+   *   { confidence, lowMm, highMm }, sizes, sizeRanges ([low, high] per
+   *   system), samples, calibration }, or null until enough frames are in
+   */
+  estimate(finger = 'ring') {
+    const samples = this.samples.filter(sample => sample.widthsMm[finger]);
+    if (samples.length < MIN_SAMPLES) return null;
+    
+    const widths = samples.map(sample => sample.widthsMm[finger].value);
+    const meanWidth = widths.reduce((sum, width) => sum + width, 0) / widths.length;
+    
+    // Frame-to-frame noise averages out; the calibration and the width ratio don't
+    const spread = Math.sqrt(widths.reduce((sum, width) => sum + (width - meanWidth) ** 2, 0) / (widths.length - 1));
+    const meanPixelError = samples.reduce((sum, sample) => sum + sample.widthsMm[finger].pixelError, 0) / samples.length;
+    const randomError = Math.max(spread / meanWidth, meanPixelError) / Math.sqrt(samples.length);
+    const calibrationError = samples.reduce((sum, sample) => sum + sample.calibration.relativeError, 0) / samples.length;
+    const relativeError = Math.hypot(randomError, calibrationError, WIDTH_RATIO_SD);
+    
+    const circumferenceMm = circumferenceFromWidth(meanWidth);
+    const lowMm = circumferenceMm * (1 - Z_95 * relativeError);
+    const highMm = circumferenceMm * (1 + Z_95 * relativeError);
+    
+    const sizes = sizesForCircumference(circumferenceMm);
+    const lowSizes = sizesForCircumference(lowMm);
+    const highSizes = sizesForCircumference(highMm);
+    
+    return {
+      finger,
+      circumferenceMm,
+      diameterMm: circumferenceMm / Math.PI,
+      interval: { confidence: 0.95, lowMm, highMm },
+      sizes,
+      sizeRanges: Object.fromEntries(Object.keys(sizes).map(system => [
+        system,
+        [lowSizes[system], highSizes[system]]
+      ])),
+      samples: samples.length,
+      calibration: [...new Set(samples.map(sample => sample.calibration.source))].join(', ')
+    };
+  }
+  
+  reset() {
+    this.samples = [];
+  }
+}
+
+function distanceBetween(points, [a, b]) {
+  const p = points?.[a];
+  const q = points?.[b];
+  if (!p || !q) return 0;
+  
+  return Math.hypot(p.x - q.x, p.y - q.y, (p.z || 0) - (q.z || 0));
+}
+
+function range(start, end, step) {
+  const values = [];
+  for (let value = start; value <= end + 1e-9; value += step) {
+    values.push(value);
+  }
+  return values;
+}
+
+function formatHalf(size) {
+  return size % 1 ? `${Math.floor(size)}½` : String(size);
+}
+
+export default RingSizer;
@@ -0,0 +1,87 @@
+import RingSizer, {
+  calibrateFromReference,
+  measureFingerWidth,
+  circumferenceFromWidth,
+  ellipseCircumference,
+  sizesForCircumference,
+  describeRingSize
+} from './RingSizing';
+import { syntheticHand } from '../testUtils/hands';
+
+// HandPoseDetector result for the synthetic hand: knuckles 40px apart
+function detectedHand() {
+  const { keypoints, keypoints3D } = syntheticHand();
+  return { imageLandmarks: keypoints, landmarks: keypoints3D };
+}
+
+describe('RingSizing', () => {
+  test('calibrates the pixel scale from a reference object', () => {
+    const calibration = calibrateFromReference('card', 856);
+    
+    expect(calibration.mmPerPixel).toBeCloseTo(0.1);
+    expect(calibration.source).toBe('card');
+    expect(calibration.relativeError).toBeGreaterThan(0);
+    expect(() => calibrateFromReference('saucer', 100)).toThrow('Unknown reference object');
+    expect(() => calibrateFromReference('card', 0)).toThrow();
+  });
+  
+  test('measures finger width from the knuckle spacing', () => {
+    const { imageLandmarks, landmarks } = detectedHand();
+    
+    expect(measureFingerWidth(imageLandmarks, 'ring')).toEqual({ widthPx: 38, spacingPx: 40, foreshortening: 1 });
+    expect(measureFingerWidth(imageLandmarks, 'pinky').widthPx).toBeCloseTo(34);
+    expect(measureFingerWidth(imageLandmarks, 'ring', landmarks).foreshortening).toBeCloseTo(1);
+    expect(measureFingerWidth(imageLandmarks, 'thumb')).toBeNull();
+  });
+  
+  test('undoes foreshortening when the palm is turned', () => {
+    const { imageLandmarks, landmarks } = detectedHand();
+    const turned = imageLandmarks.map(point => ({ ...point, x: 320 + (point.x - 320) / 2 }));
+    
+    const measured = measureFingerWidth(turned, 'ring', landmarks);
+    
+    expect(measured.foreshortening).toBeCloseTo(0.5, 1);
+    expect(measured.widthPx).toBeCloseTo(38, 0);
+  });
+  
+  test('converts widths to circumferences and ring sizes', () => {
+    expect(ellipseCircumference(10, 10)).toBeCloseTo(Math.PI * 10);
+    expect(circumferenceFromWidth(18)).toBeLessThan(Math.PI * 18);
+    
+    expect(sizesForCircumference(54)).toEqual({ us: '7', uk: 'N', eu: '54', india: '14', japan: '14' });
+    expect(sizesForCircumference(10)).toEqual({ us: null, uk: null, eu: null, india: null, japan: null });
+  });
+  
+  test('RingSizer estimates once it has enough frames', () => {
+    const sizer = new RingSizer();
+    const calibration = calibrateFromReference('card', 171.2);
+    
+    for (let frame = 0; frame < 4; frame++) {
+      expect(sizer.addSample(detectedHand(), calibration)).toBe(true);
+    }
+    expect(sizer.estimate('ring')).toBeNull();
+    
+    sizer.addSample(detectedHand(), calibration);
+    const estimate = sizer.estimate('ring');
+    
+    // 38px at 0.5mm per pixel
+    expect(estimate.circumferenceMm).toBeCloseTo(circumferenceFromWidth(19));
+    expect(estimate.interval.lowMm).toBeLessThan(estimate.circumferenceMm);
+    expect(estimate.interval.highMm).toBeGreaterThan(estimate.circumferenceMm);
+    expect(estimate.samples).toBe(5);
+    expect(estimate.calibration).toBe('card');
+    expect(estimate.sizeRanges.eu).toHaveLength(2);
+    expect(describeRingSize(estimate)).toMatch(/^Ring finger about \d+\.\d mm around \(95% interval/);
+    
+    sizer.reset();
+    expect(sizer.estimate('ring')).toBeNull();
+  });
+  
+  test('RingSizer skips frames without a hand or a calibration', () => {
+    const sizer = new RingSizer();
+    
+    expect(sizer.addSample(null, calibrateFromReference('card', 856))).toBe(false);
+    expect(sizer.addSample(detectedHand(), null)).toBe(false);
+    expect(sizer.samples).toHaveLength(0);
+  });
+});
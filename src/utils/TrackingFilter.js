@@ -0,0 +1,228 @@
+/**
+ * TrackingFilter
+ * 
+ * Temporal smoothing between the detectors and the renderers. Every landmark
+ * point ({ x, y, z }) and rotation ({ pitch, yaw, roll }) in a detection result
+ * gets its own One Euro filter, which smooths heavily when a point is nearly
+ * still (removing jitter) and lightly when it moves fast (avoiding lag).
+ * The filtered velocity is also used to predict positions on frames where
+ * detection was skipped. Works on any result shape: ARVirtualTryOn detection
+ * arrays, JewelryRenderer trackingPoints and Jewelry3DRenderer landmark lists.
+ * 
+ * See Casiez et al., "1€ Filter" (CHI 2012).
+ */
+
+/**
+ * Tuning per jewelry type. minCutoff (Hz) sets smoothing at rest, beta how
+ * quickly smoothing drops with speed (per pixel/second), dCutoff (Hz) the
+ * smoothing of the speed estimate. maxPredictionMs caps extrapolation.
+ */
+export const TRACKING_PROFILES = {
+  // Ears move with the head; keep earrings steady without lagging turns
+  earring: { minCutoff: 1.0, beta: 0.007, dCutoff: 1.0, maxPredictionMs: 100 },
+  // Large item, small jitter is very visible along the chain
+  necklace: { minCutoff: 0.6, beta: 0.004, dCutoff: 1.0, maxPredictionMs: 80 },
+  // Fingers move quickly and detection is noisier
+  ring: { minCutoff: 1.5, beta: 0.02, dCutoff: 1.0, maxPredictionMs: 120 },
+  bracelet: { minCutoff: 1.2, beta: 0.015, dCutoff: 1.0, maxPredictionMs: 120 },
+  watch: { minCutoff: 1.2, beta: 0.015, dCutoff: 1.0, maxPredictionMs: 120 },
+  // Glasses frame the eyes, where any lag or jitter is noticed first
+  glasses: { minCutoff: 1.2, beta: 0.01, dCutoff: 1.0, maxPredictionMs: 100 },
+  'nose-pin': { minCutoff: 1.0, beta: 0.008, dCutoff: 1.0, maxPredictionMs: 100 },
+  'maang-tikka': { minCutoff: 1.0, beta: 0.007, dCutoff: 1.0, maxPredictionMs: 100 },
+  default: { minCutoff: 1.0, beta: 0.01, dCutoff: 1.0, maxPredictionMs: 100 }
+};
+
+const POINT_AXES = ['x', 'y', 'z'];
+const ROTATION_AXES = ['pitch', 'yaw', 'roll'];
+
+/**
+ * One Euro filter for a single value
+ */
+export class OneEuroFilter {
+  constructor({ minCutoff = 1.0, beta = 0, dCutoff = 1.0 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+  
+  /**
+   * @param {Number} value Raw value
+   * @param {Number} timestamp Time in milliseconds
+   * @param {Number} scale Multiplier bringing the speed into the units beta is tuned for
+   * @returns {Number} Filtered value
+   */
+  filter(value, timestamp, scale = 1) {
+    if (this.lastTime === null) {
+      this.value = value;
+      this.velocity = 0;
+      this.lastTime = timestamp;
+      return value;
+    }
+    
+    const dt = (timestamp - this.lastTime) / 1000;
+    if (dt <= 0) {
+      return this.value;
+    }
+    this.lastTime = timestamp;
+    
+    // Smooth the speed estimate, then pick a cutoff from it
+    const rawVelocity = (value - this.value) / dt;
+    this.velocity = lowPass(this.velocity, rawVelocity, smoothingAlpha(this.dCutoff, dt));
+    
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.velocity * scale);
+    this.value = lowPass(this.value, value, smoothingAlpha(cutoff, dt));
+    
+    return this.value;
+  }
+  
+  /**
+   * Extrapolate the filtered value along its current velocity
+   * 
+   * @param {Number} timestamp Time in milliseconds
+   * @param {Number} maxAheadMs Longest extrapolation allowed
+   */
+  predict(timestamp, maxAheadMs) {
+    if (this.lastTime === null) return null;
+    
+    const ahead = Math.min(Math.max(timestamp - this.lastTime, 0), maxAheadMs) / 1000;
+    return this.value + this.velocity * ahead;
+  }
+  
+  reset() {
+    this.value = null;
+    this.velocity = 0;
+    this.lastTime = null;
+  }
+}
+
+export class TrackingFilter {
+  /**
+   * @param {String} itemType Jewelry type used to pick a tuning profile
+   * @param {Object} options scale: pixels per coordinate unit (e.g. the frame
+   *   width for normalised landmarks), and overrides for any profile setting
+   */
+  constructor(itemType, { scale = 1, ...overrides } = {}) {
+    this.profile = { ...(TRACKING_PROFILES[itemType] || TRACKING_PROFILES.default), ...overrides };
+    this.scale = scale;
+    this.filters = new Map();
+    this.lastResult = null;
+  }
+  
+  /**
+   * Filter a new detection result
+   * 
+   * @param {Object|Array|null} detection Detector or renderer input; null when nothing was found
+   * @param {Number} timestamp Capture time of the frame in milliseconds
+   * @returns {Object|Array|null} Same shape with smoothed points, or null
+   */
+  update(detection, timestamp = performance.now()) {
+    // Tracking lost: start fresh instead of sliding from a stale position
+    if (!detection) {
+      this.reset();
+      return null;
+    }
+    
+    this.lastResult = this.map(detection, '', (filter, value, scale) => filter.filter(value, timestamp, scale));
+    return this.lastResult;
+  }
+  
+  /**
+   * Predict the last result forward for a frame without a detection
+   * 
+   * @param {Number} timestamp Time of the frame being drawn in milliseconds
+   * @returns {Object|Array|null} Predicted result, or null if not tracking
+   */
+  predict(timestamp = performance.now()) {
+    if (!this.lastResult) return null;
+    
+    return this.map(this.lastResult, '', filter => filter.predict(timestamp, this.profile.maxPredictionMs));
+  }
+  
+  /**
+   * Forget all state (tracking lost, item changed, camera switched)
+   */
+  reset() {
+    this.filters.clear();
+    this.lastResult = null;
+  }
+  
+  get isTracking() {
+    return this.lastResult !== null;
+  }
+  
+  /**
+   * Copy a result, passing each point and rotation axis through fn
+   */
+  map(node, path, fn) {
+    if (Array.isArray(node)) {
+      // Key hands by handedness and named landmarks by name so filters follow
+      // the same point even if the detector reorders them
+      return node.map((child, index) => this.map(child, `${path}/${childKey(child, index)}`, fn));
+    }
+    
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+    
+    if (isPoint(node)) {
+      return this.mapAxes(node, path, POINT_AXES, this.scale, fn);
+    }
+    
+    if (isRotation(node)) {
+      return this.mapAxes(node, path, ROTATION_AXES, 1, fn);
+    }
+    
+    const result = {};
+    Object.keys(node).forEach(key => {
+      result[key] = this.map(node[key], `${path}/${key}`, fn);
+    });
+    return result;
+  }
+  
+  mapAxes(node, path, axes, scale, fn) {
+    const result = { ...node };
+    
+    axes.forEach(axis => {
+      if (typeof node[axis] !== 'number') return;
+      
+      const key = `${path}.${axis}`;
+      let filter = this.filters.get(key);
+      if (!filter) {
+        filter = new OneEuroFilter(this.profile);
+        this.filters.set(key, filter);
+      }
+      
+      const value = fn(filter, node[axis], scale);
+      if (value !== null) {
+        result[axis] = value;
+      }
+    });
+    
+    return result;
+  }
+}
+
+function isPoint(node) {
+  return typeof node.x === 'number' && typeof node.y === 'number';
+}
+
+function isRotation(node) {
+  return ROTATION_AXES.some(axis => typeof node[axis] === 'number');
+}
+
+function childKey(child, index) {
+  return child?.handedness || child?.name || index;
+}
+
+function smoothingAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+function lowPass(previous, value, alpha) {
+  return alpha * value + (1 - alpha) * previous;
+}
+
+export default TrackingFilter;
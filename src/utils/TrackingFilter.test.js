@@ -0,0 +1,105 @@
+import TrackingFilter, { OneEuroFilter, TRACKING_PROFILES } from './TrackingFilter';
+
+describe('OneEuroFilter', () => {
+  test('passes the first value through and holds a still value', () => {
+    const filter = new OneEuroFilter({ minCutoff: 1 });
+    
+    expect(filter.filter(10, 0)).toBe(10);
+    expect(filter.filter(10, 33)).toBe(10);
+  });
+  
+  test('smooths a jump instead of following it at once', () => {
+    const filter = new OneEuroFilter({ minCutoff: 1 });
+    filter.filter(0, 0);
+    
+    const value = filter.filter(100, 33);
+    
+    expect(value).toBeGreaterThan(0);
+    expect(value).toBeLessThan(100);
+  });
+  
+  test('follows fast movement more closely as beta rises', () => {
+    const still = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+    const quick = new OneEuroFilter({ minCutoff: 1, beta: 0.1 });
+    
+    [still, quick].forEach(filter => {
+      for (let frame = 0; frame <= 10; frame++) {
+        filter.filter(frame * 20, frame * 33);
+      }
+    });
+    
+    expect(Math.abs(200 - quick.value)).toBeLessThan(Math.abs(200 - still.value));
+  });
+  
+  test('predicts along the current velocity, capped', () => {
+    const filter = new OneEuroFilter({ minCutoff: 1 });
+    expect(filter.predict(0, 100)).toBeNull();
+    
+    for (let frame = 0; frame <= 30; frame++) {
+      filter.filter(frame * 10, frame * 10);
+    }
+    
+    expect(filter.predict(300, 100)).toBe(filter.value);
+    expect(filter.predict(350, 100)).toBeGreaterThan(filter.value);
+    expect(filter.predict(1000, 100)).toBeCloseTo(filter.predict(400, 100));
+  });
+});
+
+describe('TrackingFilter', () => {
+  test('picks a profile by jewelry type, with overrides', () => {
+    expect(new TrackingFilter('ring').profile).toEqual(TRACKING_PROFILES.ring);
+    expect(new TrackingFilter('anklet').profile).toEqual(TRACKING_PROFILES.default);
+    expect(new TrackingFilter('ring', { beta: 0.5 }).profile.beta).toBe(0.5);
+  });
+  
+  test('filters points and rotations and keeps the rest of the result', () => {
+    const tracker = new TrackingFilter('earring');
+    const detection = {
+      score: 0.9,
+      keypoints: [{ name: 'nose', x: 100, y: 100, z: 0 }],
+      rotation: { pitch: 0, yaw: 10, roll: 0 }
+    };
+    
+    expect(tracker.update(detection, 0)).toEqual(detection);
+    
+    const next = tracker.update({
+      ...detection,
+      keypoints: [{ name: 'nose', x: 120, y: 100, z: 0 }],
+      rotation: { pitch: 0, yaw: 20, roll: 0 }
+    }, 33);
+    
+    expect(next.score).toBe(0.9);
+    expect(next.keypoints[0].name).toBe('nose');
+    expect(next.keypoints[0].x).toBeGreaterThan(100);
+    expect(next.keypoints[0].x).toBeLessThan(120);
+    expect(next.rotation.yaw).toBeGreaterThan(10);
+    expect(next.rotation.yaw).toBeLessThan(20);
+    expect(tracker.isTracking).toBe(true);
+  });
+  
+  test('follows hands by handedness when the detector reorders them', () => {
+    const tracker = new TrackingFilter('ring');
+    const left = { handedness: 'Left', keypoints: [{ x: 100, y: 100 }] };
+    const right = { handedness: 'Right', keypoints: [{ x: 500, y: 100 }] };
+    
+    tracker.update([left, right], 0);
+    const [first, second] = tracker.update([right, left], 33);
+    
+    expect(first.keypoints[0].x).toBe(500);
+    expect(second.keypoints[0].x).toBe(100);
+  });
+  
+  test('resets when tracking is lost, and predicts only while tracking', () => {
+    const tracker = new TrackingFilter('ring');
+    
+    expect(tracker.predict(0)).toBeNull();
+    
+    tracker.update({ x: 0, y: 0 }, 0);
+    tracker.update({ x: 10, y: 0 }, 33);
+    expect(tracker.predict(66).x).toBeGreaterThan(tracker.lastResult.x);
+    
+    expect(tracker.update(null, 100)).toBeNull();
+    expect(tracker.isTracking).toBe(false);
+    expect(tracker.update({ x: 300, y: 0 }, 133)).toEqual({ x: 300, y: 0 });
+  });
+});
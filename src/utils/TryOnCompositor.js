@@ -0,0 +1,553 @@
+import WorkerDetector from '../models/WorkerDetector';
+import Look, { detectionTargetFor } from '../models/Look';
+import { JewelryRenderer } from './JewelryRenderer';
+import TrackingFilter from './TrackingFilter';
+import DanglePhysics from './DanglePhysics';
+
+/**
+ * TryOnCompositor
+ * 
+ * Runs the detectors a look needs on an image or frame and composites every
+ * item in it onto the image with JewelryRenderer at full resolution, in the
+ * look's layer order. Used for photo and video try-on (and any other offline,
+ * non-live processing). Wherever a look is taken, a single item or an array
+ * of items works too (see Look.from).
+ */
+
+const RESULT_IMAGE_TYPE = 'image/jpeg';
+const RESULT_IMAGE_QUALITY = 0.92;
+
+// Frames are sampled at this rate; the browser doesn't expose the source rate
+const DEFAULT_VIDEO_FPS = 30;
+const RESULT_VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const RESULT_VIDEO_BITRATE = 5000000;
+
+// Composited frames are held in memory until encoding, so long or large
+// videos are sampled less often and scaled down to stay within these
+const MAX_VIDEO_FRAMES = 600;
+const MAX_VIDEO_DIMENSION = 1280;
+
+// How long to wait for the browser to work out a recording's duration
+const VIDEO_DURATION_TIMEOUT_MS = 10000;
+
+export class TryOnCompositor {
+  constructor() {
+    this.faceDetector = null;
+    this.handDetector = null;
+    this.renderer = new JewelryRenderer();
+  }
+  
+  /**
+   * Which landmarks an item is placed on
+   * 
+   * @param {Object} item Jewelry item
+   * @returns {String|null} 'face', 'hand' or null if unsupported
+   */
+  detectionTarget(item) {
+    return detectionTargetFor(item);
+  }
+  
+  /**
+   * Load the detectors and assets a look needs
+   * 
+   * @param {Look|Array|Object} items Look, items or a single item
+   */
+  async prepare(items) {
+    const look = Look.from(items);
+    
+    if (look.isEmpty()) {
+      throw new Error('Nothing selected to try on');
+    }
+    
+    const unsupported = look.items.find(item => !detectionTargetFor(item));
+    if (unsupported) {
+      throw new Error(`Unsupported jewelry type: ${unsupported.type}`);
+    }
+    
+    await Promise.all([
+      ...look.targets().map(target => this.getDetector(target)),
+      ...look.items.map(item => this.renderer.preload(item))
+    ]);
+  }
+  
+  /**
+   * Detect the landmarks for an item in an image
+   * 
+   * @param {HTMLCanvasElement|HTMLImageElement|HTMLVideoElement} source Image to analyse
+   * @param {Object} item Jewelry item
+   * @param {Number} width Source width in pixels
+   * @param {Number} height Source height in pixels
+   * @returns {Object|null} { trackingPoints, metadata }, or null if nothing was found
+   */
+  async detect(source, item, width, height) {
+    return this.detectTarget(source, this.detectionTarget(item), width, height);
+  }
+  
+  /**
+   * Detect the landmarks for every target a look needs, running each
+   * detector once however many items use it
+   * 
+   * @param {CanvasImageSource} source Image to analyse
+   * @param {Look} look Look to place
+   * @param {Number} width Source width in pixels
+   * @param {Number} height Source height in pixels
+   * @param {Object} options mirrored: whether the source is a mirror image
+   * @returns {Object} Detection ({ trackingPoints, metadata } or null) keyed
+   *   by target
+   */
+  async detectLook(source, look, width, height, { mirrored = false } = {}) {
+    const targets = look.targets();
+    const detections = await Promise.all(
+      targets.map(target => this.detectTarget(source, target, width, height, { mirrored }))
+    );
+    
+    return Object.fromEntries(targets.map((target, index) => [target, detections[index]]));
+  }
+  
+  /**
+   * Detect the face or hands in an image
+   * 
+   * @param {CanvasImageSource} source Image to analyse
+   * @param {String} target 'face' or 'hand'
+   * @param {Number} width Source width in pixels
+   * @param {Number} height Source height in pixels
+   * @param {Object} options mirrored: whether the source is a mirror image,
+   *   so hands are told apart correctly
+   * @returns {Object|null} { trackingPoints, metadata }, or null if nothing was found
+   */
+  async detectTarget(source, target, width, height, { mirrored = false } = {}) {
+    const detector = await this.getDetector(target);
+    const results = await detector.detect(source, { throttle: false, mirrored });
+    
+    if (!results || results.length === 0) return null;
+    
+    // JewelryRenderer expects coordinates normalised to the frame size
+    const normalize = points => points.map(point => ({
+      x: point.x / width,
+      y: point.y / height,
+      z: (point.z || 0) / width
+    }));
+    
+    if (target === 'face') {
+      const face = results[0];
+      
+      return {
+        trackingPoints: {
+          face: {
+            landmarks: normalize(face.landmarks),
+            rotation: face.rotation,
+            headPose: face.headPose
+          }
+        },
+        metadata: {
+          target,
+          confidence: face.confidence,
+          boundingBox: face.boundingBox,
+          rotation: face.rotation,
+          headPose: face.headPose,
+          faceSize: face.faceSize,
+          keypoints: face.keypoints
+        }
+      };
+    }
+    
+    const trackingPoints = {};
+    results.forEach(hand => {
+      const key = hand.handedness === 'Left' ? 'leftHand' : 'rightHand';
+      trackingPoints[key] = {
+        landmarks: normalize(hand.imageLandmarks || hand.landmarks),
+        handedness: hand.handedness
+      };
+    });
+    
+    return {
+      trackingPoints,
+      metadata: {
+        target,
+        hands: results.map(hand => ({
+          handedness: hand.handedness,
+          confidence: hand.confidence,
+          orientation: hand.orientation,
+          measurements: hand.measurements,
+          keypoints: hand.keypoints
+        }))
+      }
+    };
+  }
+  
+  /**
+   * Detect and composite a look onto one image or frame
+   * 
+   * @param {CanvasImageSource} source Image or frame
+   * @param {Look|Array|Object} items Look, items or a single item
+   * @param {Object} options width/height (defaults to the source size),
+   *   canvas to draw into, and for sequences a TrackingFilter per target
+   *   (filters: { face, hand }), a DanglePhysics and the frame's timestamp in
+   *   milliseconds, and whether the source is mirrored
+   * @returns {Object} { canvas, detection, placement } where detection holds
+   *   the detection metadata (or null when not found) for each target the
+   *   look needs, and placement the placements of every item, each tagged
+   *   with its itemId
+   */
+  async compositeFrame(source, items, { width, height, canvas = null, filters = {}, physics = null, timestamp = 0, mirrored = false } = {}) {
+    const look = Look.from(items);
+    const frameWidth = width || source.naturalWidth || source.videoWidth || source.width;
+    const frameHeight = height || source.naturalHeight || source.videoHeight || source.height;
+    
+    const output = canvas || document.createElement('canvas');
+    output.width = frameWidth;
+    output.height = frameHeight;
+    
+    const ctx = output.getContext('2d');
+    ctx.drawImage(source, 0, 0, frameWidth, frameHeight);
+    
+    const detections = await this.detectLook(output, look, frameWidth, frameHeight, { mirrored });
+    
+    // Face and hands are filtered separately, each tuned for the items on it
+    const trackingPoints = {};
+    const detection = {};
+    Object.entries(detections).forEach(([target, found]) => {
+      const filter = filters[target];
+      Object.assign(trackingPoints, filter
+        ? filter.update(found?.trackingPoints || null, timestamp)
+        : found?.trackingPoints);
+      detection[target] = found ? found.metadata : null;
+    });
+    
+    // Smoothing comes from the filter; never blend with an earlier image
+    this.renderer.clearCache();
+    
+    // Draw back to front so pieces overlap the way they're worn
+    const placement = [];
+    for (const item of look.items) {
+      const rendering = await this.renderer.render(ctx, item, trackingPoints, frameWidth, frameHeight, { physics, timestamp });
+      rendering?.placements.forEach(itemPlacement => {
+        placement.push({ ...itemPlacement, itemId: item.id });
+      });
+    }
+    
+    return {
+      canvas: output,
+      detection,
+      placement
+    };
+  }
+  
+  /**
+   * Composite a look onto a captured or uploaded photo
+   * 
+   * @param {Object} media Photo media ({ src, file?, mirrored? })
+   * @param {Look|Array|Object} items Look, items or a single item
+   * @returns {Object} { blob, url, width, height, detection, placement }
+   *   (see compositeFrame)
+   */
+  async processPhoto(media, items) {
+    const look = Look.from(items);
+    await this.prepare(look);
+    
+    // Decode at full resolution (src may be a data: or blob: URL)
+    const sourceBlob = media.file || media.blob || await (await fetch(media.src)).blob();
+    const image = await createImageBitmap(sourceBlob);
+    
+    try {
+      const { canvas, detection, placement } = await this.compositeFrame(image, look, {
+        width: image.width,
+        height: image.height,
+        mirrored: Boolean(media.mirrored)
+      });
+      
+      const blob = await canvasToBlob(canvas);
+      
+      return {
+        blob,
+        url: URL.createObjectURL(blob),
+        width: image.width,
+        height: image.height,
+        detection,
+        placement
+      };
+    } finally {
+      image.close();
+    }
+  }
+  
+  /**
+   * Composite a look onto every frame of a recorded or uploaded video
+   * 
+   * Frames are decoded by seeking a video element, composited with landmarks
+   * tracked across frames, held as JPEGs and then replayed in real time into
+   * a MediaRecorder so the output keeps the source timing. Audio is dropped.
+   * At most MAX_VIDEO_FRAMES frames are held: longer videos are sampled at a
+   * lower rate, and frames are scaled to fit MAX_VIDEO_DIMENSION.
+   * 
+   * @param {Object} media Video media ({ src, blob?, file?, mirrored? })
+   * @param {Look|Array|Object} items Look, items or a single item
+   * @param {Object} options fps to sample at (at most), and onProgress, called
+   *   with { phase: 'compositing'|'encoding', totalFrames, processedFrames }
+   * @returns {Object} { blob, url, width, height, duration, fps, frameData }
+   *   where fps is the rate actually sampled and each frame reports whether
+   *   every target the look needs was detected, and which hands were seen
+   */
+  async processVideo(media, items, { fps = DEFAULT_VIDEO_FPS, onProgress = () => {} } = {}) {
+    const look = Look.from(items);
+    await this.prepare(look);
+    
+    const sourceBlob = media.file || media.blob;
+    const sourceUrl = sourceBlob ? URL.createObjectURL(sourceBlob) : media.src;
+    const video = await loadVideo(sourceUrl);
+    
+    try {
+      const scale = Math.min(1, MAX_VIDEO_DIMENSION / Math.max(video.videoWidth, video.videoHeight));
+      const width = Math.round(video.videoWidth * scale);
+      const height = Math.round(video.videoHeight * scale);
+      const duration = await getVideoDuration(video);
+      const sampleFps = Math.min(fps, MAX_VIDEO_FRAMES / duration);
+      const totalFrames = Math.min(MAX_VIDEO_FRAMES, Math.max(1, Math.floor(duration * sampleFps)));
+      
+      const canvas = document.createElement('canvas');
+      const frames = [];
+      const frameData = [];
+      
+      // Track landmarks across frames (they're normalised, so scale speeds to
+      // pixels), tuned for the front-most item on each target
+      const filters = Object.fromEntries(look.targets().map(target => {
+        const front = look.itemsFor(target).slice(-1)[0];
+        return [target, new TrackingFilter(front.type, { scale: width })];
+      }));
+      
+      // Swing dangling pieces with the movement between frames
+      const physics = new DanglePhysics();
+      onProgress({ phase: 'compositing', totalFrames, processedFrames: 0 });
+      
+      for (let frameNumber = 0; frameNumber < totalFrames; frameNumber++) {
+        const timeMs = (frameNumber / sampleFps) * 1000;
+        await seekVideo(video, timeMs / 1000);
+        
+        const { detection, placement } = await this.compositeFrame(video, look, {
+          width,
+          height,
+          canvas,
+          filters,
+          physics,
+          timestamp: timeMs,
+          mirrored: Boolean(media.mirrored)
+        });
+        
+        const found = Object.values(detection);
+        
+        frames.push(await canvasToBlob(canvas));
+        frameData.push({
+          frameNumber: frameNumber + 1,
+          timeMs,
+          detected: found.every(Boolean),
+          detectedTargets: Object.keys(detection).filter(target => detection[target]),
+          detectedHands: (detection.hand?.hands || []).map(hand => hand.handedness.toLowerCase()),
+          confidence: lowestConfidence(found),
+          placement
+        });
+        
+        onProgress({ phase: 'compositing', totalFrames, processedFrames: frameNumber + 1 });
+      }
+      
+      onProgress({ phase: 'encoding', totalFrames, processedFrames: totalFrames });
+      const blob = await encodeFrames(frames, { width, height, fps: sampleFps });
+      
+      return {
+        blob,
+        url: URL.createObjectURL(blob),
+        width,
+        height,
+        duration,
+        fps: sampleFps,
+        frameData
+      };
+    } finally {
+      this.renderer.clearCache();
+      video.removeAttribute('src');
+      video.load();
+      if (sourceBlob) {
+        URL.revokeObjectURL(sourceUrl);
+      }
+    }
+  }
+  
+  /**
+   * Create and initialise a detector on first use (off the main thread
+   * where the browser allows it)
+   */
+  async getDetector(target) {
+    if (target === 'face') {
+      if (!this.faceDetector) {
+        const detector = new WorkerDetector('face');
+        if (!(await detector.initialize())) {
+          throw new Error('Failed to initialize face landmark detector');
+        }
+        this.faceDetector = detector;
+      }
+      return this.faceDetector;
+    }
+    
+    if (!this.handDetector) {
+      const detector = new WorkerDetector('hand');
+      if (!(await detector.initialize())) {
+        throw new Error('Failed to initialize hand pose detector');
+      }
+      this.handDetector = detector;
+    }
+    return this.handDetector;
+  }
+  
+  /**
+   * Release detector resources
+   */
+  dispose() {
+    this.faceDetector?.dispose();
+    this.handDetector?.dispose();
+    this.faceDetector = null;
+    this.handDetector = null;
+    this.renderer.clearCache();
+  }
+}
+
+/**
+ * Load a video element far enough to read its size and seek it
+ */
+function loadVideo(src) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.addEventListener('loadeddata', () => resolve(video), { once: true });
+    video.addEventListener('error', () => reject(new Error('Failed to load video for try-on')), { once: true });
+    video.src = src;
+  });
+}
+
+/**
+ * Duration in seconds; MediaRecorder WebM files report Infinity until the
+ * browser has been made to scan to the end
+ */
+async function getVideoDuration(video) {
+  if (Number.isFinite(video.duration)) {
+    return video.duration;
+  }
+  
+  await new Promise((resolve, reject) => {
+    const cleanUp = () => {
+      clearTimeout(timer);
+      video.removeEventListener('durationchange', onChange);
+      video.removeEventListener('error', onError);
+    };
+    const onChange = () => {
+      if (Number.isFinite(video.duration)) {
+        cleanUp();
+        resolve();
+      }
+    };
+    const onError = () => {
+      cleanUp();
+      reject(new Error('Failed to read video duration'));
+    };
+    const timer = setTimeout(() => {
+      cleanUp();
+      reject(new Error('Timed out reading video duration'));
+    }, VIDEO_DURATION_TIMEOUT_MS);
+    
+    video.addEventListener('durationchange', onChange);
+    video.addEventListener('error', onError);
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+  });
+  
+  await seekVideo(video, 0);
+  return video.duration;
+}
+
+/**
+ * Seek and wait until the frame at that time is ready to draw
+ */
+function seekVideo(video, time) {
+  return new Promise((resolve, reject) => {
+    const onSeeked = () => {
+      video.removeEventListener('error', onError);
+      resolve();
+    };
+    const onError = () => {
+      video.removeEventListener('seeked', onSeeked);
+      reject(new Error(`Failed to seek video to ${time.toFixed(3)}s`));
+    };
+    
+    video.addEventListener('seeked', onSeeked, { once: true });
+    video.addEventListener('error', onError, { once: true });
+    video.currentTime = time;
+  });
+}
+
+/**
+ * Lowest detection confidence across targets, or null if any was missed
+ */
+function lowestConfidence(detections) {
+  const confidences = detections.map(metadata => metadata?.confidence ?? metadata?.hands?.[0]?.confidence ?? null);
+  return confidences.includes(null) ? null : Math.min(...confidences);
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      result => (result ? resolve(result) : reject(new Error('Failed to encode try-on image'))),
+      RESULT_IMAGE_TYPE,
+      RESULT_IMAGE_QUALITY
+    );
+  });
+}
+
+/**
+ * Replay composited frames at their original rate into a MediaRecorder
+ */
+async function encodeFrames(frames, { width, height, fps }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  
+  const stream = canvas.captureStream(fps);
+  const mimeType = RESULT_VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: RESULT_VIDEO_BITRATE });
+  const chunks = [];
+  
+  recorder.ondataavailable = event => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve, reject) => {
+    recorder.onstop = resolve;
+    recorder.onerror = event => reject(event.error || new Error('Failed to record try-on video'));
+  });
+  
+  // Decode the first frame before recording starts so it isn't held short
+  let next = await createImageBitmap(frames[0]);
+  recorder.start();
+  const startTime = performance.now();
+  
+  for (let i = 0; i < frames.length; i++) {
+    ctx.drawImage(next, 0, 0, width, height);
+    next.close();
+    
+    next = i + 1 < frames.length ? await createImageBitmap(frames[i + 1]) : null;
+    
+    // Hold each frame until the next one is due
+    const wait = startTime + ((i + 1) * 1000) / fps - performance.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+  
+  recorder.stop();
+  stream.getTracks().forEach(track => track.stop());
+  await stopped;
+  
+  return new Blob(chunks, { type: mimeType || 'video/webm' });
+}
+
+// Export as singleton
+const tryOnCompositor = new TryOnCompositor();
+export default tryOnCompositor;
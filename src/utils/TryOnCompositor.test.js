@@ -0,0 +1,79 @@
+import { TryOnCompositor } from './TryOnCompositor';
+import HandPoseDetector from '../models/HandPoseDetector';
+import { syntheticHand } from '../testUtils/hands';
+
+// Workers don't run under Jest; the detector is set directly instead
+jest.mock('../models/WorkerDetector', () => jest.fn());
+// three's example loaders are ES modules Jest doesn't transform
+jest.mock('./ModelLoader', () => ({ __esModule: true, default: { load: jest.fn() } }));
+jest.mock('@tensorflow/tfjs-core', () => ({ setBackend: jest.fn(async () => true) }));
+jest.mock('@tensorflow/tfjs-backend-webgl', () => ({}));
+jest.mock('@tensorflow-models/hand-pose-detection', () => ({ SupportedModels: {}, createDetector: jest.fn() }));
+
+const RING = {
+  id: 'r1',
+  name: 'Gold Band',
+  type: 'ring',
+  imageUrl: '/rings/gold-band.png',
+  fingerIndex: 3,
+  preferredHand: 'right'
+};
+
+// A 2D context that records what is drawn
+function recordingCanvas() {
+  const ctx = {
+    drawImage: jest.fn(),
+    save: jest.fn(),
+    restore: jest.fn(),
+    translate: jest.fn(),
+    rotate: jest.fn(),
+    scale: jest.fn()
+  };
+  return { ctx, canvas: { getContext: () => ctx } };
+}
+
+describe('TryOnCompositor', () => {
+  test('draws a ring on the detected ring finger', async () => {
+    const compositor = new TryOnCompositor();
+    
+    // The real detector, with only the model's inference stubbed
+    const detector = new HandPoseDetector();
+    detector.model = { estimateHands: jest.fn(async () => [syntheticHand({ handedness: 'Left' })]) };
+    detector.isInitialized = true;
+    compositor.handDetector = detector;
+    
+    const ringImage = { width: 64, height: 64 };
+    compositor.renderer.textures[RING.imageUrl] = { image: ringImage };
+    
+    const { ctx, canvas } = recordingCanvas();
+    const source = { width: 640, height: 480 };
+    const { detection, placement } = await compositor.compositeFrame(source, RING, { canvas });
+    
+    expect(detection.hand.hands[0].handedness).toBe('Right');
+    expect(placement).toHaveLength(1);
+    expect(placement[0]).toEqual(expect.objectContaining({ itemId: 'r1', drawn: true }));
+    
+    // Between the ring finger's knuckle (340, 300) and middle joint (340, 270)
+    expect(placement[0].x).toBeCloseTo(340);
+    expect(placement[0].y).toBeGreaterThan(270);
+    expect(placement[0].y).toBeLessThan(300);
+    expect(ctx.drawImage).toHaveBeenCalledWith(ringImage, expect.any(Number), expect.any(Number), placement[0].size, placement[0].size);
+  });
+  
+  test('leaves a ring off when its hand is not in the frame', async () => {
+    const compositor = new TryOnCompositor();
+    const detector = new HandPoseDetector();
+    // Labelled Right in an unmirrored frame, so the wearer's left
+    detector.model = { estimateHands: jest.fn(async () => [syntheticHand({ handedness: 'Right' })]) };
+    detector.isInitialized = true;
+    compositor.handDetector = detector;
+    compositor.renderer.textures[RING.imageUrl] = { image: {} };
+    
+    const { ctx, canvas } = recordingCanvas();
+    const { placement } = await compositor.compositeFrame({ width: 640, height: 480 }, RING, { canvas });
+    
+    expect(placement).toHaveLength(0);
+    // Only the source frame is drawn
+    expect(ctx.drawImage).toHaveBeenCalledTimes(1);
+  });
+});
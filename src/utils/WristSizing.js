@@ -0,0 +1,650 @@
+/**
+ * WristSizing
+ * 
+ * Measures the wrist for bracelets and watches. MediaPipe has no points on
+ * the sides of the wrist, so its edges are found in the video frame by
+ * scanning across the wrist from the wrist landmark until the skin ends.
+ * Seen with the palm to the camera the scan spans the wrist's width; turned
+ * sideways, its depth. The 3D landmarks give how far the wrist is turned in
+ * each frame, so frames at several rotations fit both, and the wrist's
+ * cross-section is taken as an ellipse to get its circumference.
+ * 
+ * The pixel scale is calibrated as for rings (see RingSizing). The result is
+ * matched against the catalog's bangle diameters, bracelet lengths and watch
+ * strap ranges, and every estimate carries a 95% confidence interval so that
+ * items near the limit are flagged as borderline rather than as fitting.
+ */
+
+import { ellipseCircumference } from './RingSizing';
+
+// MediaPipe Hands landmarks
+const WRIST = 0;
+const INDEX_MCP = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+
+// The scan line sits this share of the wrist-to-middle-knuckle length up the
+// forearm from the wrist landmark, across the wrist bones
+const WRIST_OFFSET = 0.15;
+
+// Edge detection: a pixel is off the skin when its colour or brightness
+// differs from the skin at the centre of the wrist by more than these
+// (YCbCr units), for this many pixels in a row
+const CHROMA_THRESHOLD = 14;
+const LUMA_THRESHOLD = 50;
+const EDGE_RUN = 3;
+
+// Standard deviation of an edge position, in pixels
+const PIXEL_SD = 2;
+
+// Wrist width as a share of the index-to-little knuckle span, used when the
+// edges can't be found, and its relative uncertainty across hands
+const WRIST_WIDTH_RATIO = 0.95;
+const WRIST_WIDTH_RATIO_SD = 0.1;
+
+// Wrist depth as a share of its width, assumed until the wrist has been seen
+// turned sideways, and the relative error that adds to the circumference
+const DEPTH_RATIO = 0.7;
+const DEPTH_PRIOR_SD = 0.05;
+
+// Relative error of taking the wrist's cross-section as an ellipse
+const ELLIPSE_SD = 0.03;
+
+// Rotations (radians from palm-to-camera) that count as seeing the wrist's
+// width and its depth
+const FACE_ON_MAX = Math.PI / 6;
+const EDGE_ON_MIN = (55 * Math.PI) / 180;
+
+// Knuckle spans foreshortened more than this are dropped
+const MIN_FORESHORTENING = 0.7;
+
+// Smallest bangle that slides over the hand (thumb tucked in towards the
+// little finger) as a share of the knuckle span, and its relative uncertainty
+const HAND_PASSAGE_RATIO = 1.05;
+const HAND_PASSAGE_SD = 0.06;
+
+// A bangle this much larger than the hand passage slips off (mm)
+const BANGLE_SLACK_MAX = 10;
+
+// Chain bracelet length beyond the wrist circumference (mm)
+const BRACELET_EASE = { min: 8, ideal: 15, max: 30 };
+
+// Samples needed before estimating, and the most kept
+const MIN_SAMPLES = 8;
+const MAX_SAMPLES = 150;
+
+// z for a 95% interval
+const Z_95 = 1.96;
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Bangle sizes as sold in India and widely elsewhere: "2-6" is an inner
+ * diameter of 2 6/16 inches
+ */
+export const BANGLE_SIZES = [2, 4, 6, 8, 10, 12, 14].map(sixteenths => ({
+  size: `2-${sixteenths}`,
+  diameterMm: (2 + sixteenths / 16) * MM_PER_INCH
+}));
+
+/**
+ * How well an item fits: 'fits' across the whole confidence interval,
+ * 'borderline' at the estimate only, 'too-small' or 'too-large' for the
+ * wearer, or 'unknown' without a measurement or catalog size
+ */
+export const FIT_STATUSES = ['fits', 'borderline', 'too-small', 'too-large', 'unknown'];
+
+const FIT_MESSAGES = {
+  bangle: {
+    fits: 'should slide over your hand and stay on',
+    borderline: 'may be a squeeze over your hand',
+    'too-small': "won't slide over your hand",
+    'too-large': 'is likely to slip off your hand'
+  },
+  chain: {
+    fits: 'should sit comfortably on your wrist',
+    borderline: 'may be a little tight or loose',
+    'too-small': 'is too short for your wrist',
+    'too-large': 'will hang loose on your wrist'
+  },
+  strap: {
+    fits: 'strap adjusts to your wrist',
+    borderline: 'strap may be at the end of its adjustment',
+    'too-small': 'strap is too short for your wrist',
+    'too-large': "strap won't tighten enough for your wrist"
+  }
+};
+
+/**
+ * Wrist width from a single frame's knuckles, in the landmarks' own units,
+ * for scaling wristwear on screen
+ * 
+ * @param {Array} landmarks Hand landmarks in MediaPipe order
+ * @returns {Number|null} Projected wrist width, or null without knuckles
+ */
+export function estimateWristWidth(landmarks) {
+  const span = distanceBetween(landmarks, [INDEX_MCP, PINKY_MCP]);
+  return span > 0 ? span * WRIST_WIDTH_RATIO : null;
+}
+
+/**
+ * How far the wrist is turned about the forearm from facing the camera
+ * 
+ * @param {Array} worldLandmarks Hand landmarks in 3D
+ * @returns {Number|null} Radians, 0 with the palm or back of the hand to the
+ *   camera and π/2 side on; null without landmarks or when the forearm
+ *   points at the camera
+ */
+export function rotationAboutForearm(worldLandmarks) {
+  const wrist = worldLandmarks?.[WRIST];
+  const index = worldLandmarks?.[INDEX_MCP];
+  const middle = worldLandmarks?.[MIDDLE_MCP];
+  const pinky = worldLandmarks?.[PINKY_MCP];
+  if (!wrist || !index || !middle || !pinky) return null;
+  
+  const axis = normalize(subtract(wrist, middle));
+  const normal = cross(subtract(index, wrist), subtract(pinky, wrist));
+  
+  // Compare the palm normal and the view direction across the forearm
+  const normalAcross = rejectFrom(normal, axis);
+  const viewAcross = rejectFrom({ x: 0, y: 0, z: 1 }, axis);
+  const lengths = length(normalAcross) * length(viewAcross);
+  if (!(lengths > 1e-9)) return null;
+  
+  return Math.acos(Math.min(1, Math.abs(dot(normalAcross, viewAcross)) / lengths));
+}
+
+/**
+ * Width of the wrist across the screen, found by scanning out from the
+ * wrist landmark to the edges of the skin
+ * 
+ * @param {ImageData} imageData The video frame the landmarks were found in
+ * @param {Array} landmarks Hand landmarks in pixels
+ * @returns {Object|null} { extentPx, center, direction }, or null when either
+ *   edge isn't found before the scan leaves the frame or goes too far
+ */
+export function measureWristExtent(imageData, landmarks) {
+  const wrist = landmarks?.[WRIST];
+  const middle = landmarks?.[MIDDLE_MCP];
+  if (!imageData || !wrist || !middle) return null;
+  
+  const palmLength = Math.hypot(wrist.x - middle.x, wrist.y - middle.y);
+  if (!(palmLength > 0)) return null;
+  
+  // Along the forearm, away from the hand, and across it
+  const along = { x: (wrist.x - middle.x) / palmLength, y: (wrist.y - middle.y) / palmLength };
+  const direction = { x: -along.y, y: along.x };
+  const center = {
+    x: wrist.x + along.x * WRIST_OFFSET * palmLength,
+    y: wrist.y + along.y * WRIST_OFFSET * palmLength
+  };
+  
+  const skin = sampleSkin(imageData, center);
+  if (!skin) return null;
+  
+  // A wrist is well under a palm length across, even side on
+  const reach = Math.round(palmLength);
+  const edges = [1, -1].map(sign => findEdge(imageData, center, {
+    x: direction.x * sign,
+    y: direction.y * sign
+  }, skin, reach));
+  
+  if (edges.some(edge => edge === null)) return null;
+  
+  return {
+    extentPx: edges[0] + edges[1],
+    center,
+    direction
+  };
+}
+
+/**
+ * Nearest standard bangle size at least as large as a diameter
+ * 
+ * @param {Number} diameterMm Smallest inner diameter that fits, in mm
+ * @returns {Object|null} BANGLE_SIZES entry, or null when larger than all
+ */
+export function bangleSizeFor(diameterMm) {
+  return BANGLE_SIZES.find(entry => entry.diameterMm >= diameterMm) || null;
+}
+
+/**
+ * Whether a bracelet or watch fits the measured wrist
+ * 
+ * Bangles are judged by whether they slide over the hand (innerDiameterMm),
+ * chain bracelets by their length over the wrist (lengthMm), and watches and
+ * adjustable bracelets by the range of wrists their strap fits (wristMinMm
+ * and wristMaxMm).
+ * 
+ * @param {Object} item Catalog item
+ * @param {Object} estimate WristSizer.estimate() result
+ * @returns {Object} { itemId, kind, status, message } where status is one
+ *   of FIT_STATUSES
+ */
+export function assessFit(item, estimate) {
+  const kind = fitKindOf(item);
+  const name = item?.name || item?.type || 'This item';
+  const result = (status, message) => ({ itemId: item?.id, kind, status, message });
+  
+  if (!kind) return result('unknown', `${name} has no size listed`);
+  if (!estimate) return result('unknown', 'Measure your wrist to check the fit');
+  
+  let status;
+  
+  if (kind === 'bangle') {
+    const passage = estimate.handPassageMm;
+    if (!passage) return result('unknown', 'Show your knuckles to the camera to check the fit');
+    
+    status = classifyFit(
+      passageMm => item.innerDiameterMm >= passageMm && item.innerDiameterMm <= passageMm + BANGLE_SLACK_MAX,
+      [passage.lowMm, passage.valueMm, passage.highMm],
+      passageMm => item.innerDiameterMm < passageMm
+    );
+  } else {
+    const { circumferenceMm, interval } = estimate;
+    const circumferences = [interval.lowMm, circumferenceMm, interval.highMm];
+    
+    status = kind === 'chain'
+      ? classifyFit(
+        wristMm => item.lengthMm >= wristMm + BRACELET_EASE.min && item.lengthMm <= wristMm + BRACELET_EASE.max,
+        circumferences,
+        wristMm => item.lengthMm < wristMm + BRACELET_EASE.min
+      )
+      : classifyFit(
+        wristMm => wristMm >= (item.wristMinMm ?? 0) && wristMm <= (item.wristMaxMm ?? Infinity),
+        circumferences,
+        wristMm => wristMm > (item.wristMaxMm ?? Infinity)
+      );
+  }
+  
+  return result(status, `${name} ${FIT_MESSAGES[kind][status]}`);
+}
+
+/**
+ * One-line summary of a wrist estimate, for people and for the assistant
+ * 
+ * @param {Object} estimate WristSizer.estimate() result
+ * @returns {String}
+ */
+export function describeWristSize(estimate) {
+  const { circumferenceMm, interval, widthMm, depthMm, suggestions } = estimate;
+  
+  const shape = estimate.method === 'edges' && estimate.rotationCoverage.edgeOn
+    ? `${widthMm.toFixed(0)} mm wide and ${depthMm.toFixed(0)} mm deep`
+    : `${widthMm.toFixed(0)} mm wide (depth assumed from typical proportions)`;
+  const method = estimate.method === 'edges' ? "the wrist's edges" : 'the knuckles';
+  
+  const advice = [
+    suggestions.bangleSize && `bangle size ${suggestions.bangleSize} (${suggestions.bangleDiameterMm.toFixed(1)} mm inside)`,
+    `chain bracelet about ${suggestions.braceletLengthMm.toFixed(0)} mm (${(suggestions.braceletLengthMm / MM_PER_INCH).toFixed(1)} in)`,
+    `watch strap fitting a ${suggestions.strapWristMm.toFixed(0)} mm wrist`
+  ].filter(Boolean);
+  
+  return `Wrist about ${circumferenceMm.toFixed(0)} mm around ` +
+    `(95% interval ${interval.lowMm.toFixed(0)} to ${interval.highMm.toFixed(0)} mm), ${shape}, ` +
+    `measured from ${method} over ${estimate.samples} frames calibrated by ${estimate.calibration}: ` +
+    advice.join(', ');
+}
+
+/**
+ * Collects wrist measurements over frames at different rotations and
+ * estimates its circumference and the sizes to suggest
+ */
+export class WristSizer {
+  constructor() {
+    this.samples = [];
+  }
+  
+  /**
+   * Add one frame's measurements
+   * 
+   * @param {Object} hand HandPoseDetector result (imageLandmarks in pixels,
+   *   landmarks in 3D)
+   * @param {Object} calibration calibrateFromReference or calibrateFromIris
+   *   result for the same frame
+   * @param {ImageData} imageData The frame itself, to find the wrist's edges
+   *   in; without it only the knuckles are measured
+   * @returns {Boolean} Whether the frame was usable
+   */
+  addSample(hand, calibration, imageData = null) {
+    if (!hand || !calibration?.mmPerPixel) return false;
+    
+    const imageLandmarks = hand.imageLandmarks || hand.landmarks;
+    const worldLandmarks = hand.imageLandmarks ? hand.landmarks : null;
+    const { mmPerPixel } = calibration;
+    
+    const rotation = rotationAboutForearm(worldLandmarks);
+    const extent = rotation !== null ? measureWristExtent(imageData, imageLandmarks) : null;
+    const span = measureKnuckleSpan(imageLandmarks, worldLandmarks);
+    const usableSpan = span && span.foreshortening >= MIN_FORESHORTENING ? span : null;
+    
+    if (!extent && !usableSpan) return false;
+    
+    this.samples.push({
+      rotation,
+      extentMm: extent ? extent.extentPx * mmPerPixel : null,
+      extentError: extent ? (PIXEL_SD * Math.SQRT2) / extent.extentPx : null,
+      spanMm: usableSpan ? usableSpan.spanPx * mmPerPixel : null,
+      spanError: usableSpan ? (PIXEL_SD * Math.SQRT2) / usableSpan.spanPx : null,
+      calibration
+    });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+    return true;
+  }
+  
+  /**
+   * Which rotations the wrist has been seen at
+   * 
+   * @returns {Object} { faceOn, edgeOn }: whether its width and its depth
+   *   have been seen
+   */
+  coverage() {
+    const rotations = this.samples
+      .filter(sample => sample.extentMm !== null)
+      .map(sample => sample.rotation);
+    
+    return {
+      faceOn: rotations.some(rotation => rotation <= FACE_ON_MAX),
+      edgeOn: rotations.some(rotation => rotation >= EDGE_ON_MIN)
+    };
+  }
+  
+  /**
+   * Estimate the wrist's size
+   * 
+   * @returns {Object|null} { circumferenceMm, widthMm, depthMm, method
+   *   ('edges' or 'knuckles'), rotationCoverage, interval: { confidence,
+   *   lowMm, highMm }, handPassageMm: { valueMm, lowMm, highMm } or null,
+   *   suggestions: { bangleSize, bangleDiameterMm, braceletLengthMm,
+   *   strapWristMm }, samples, calibration }, or null until enough frames
+   *   are in
+   */
+  estimate() {
+    const edgeSamples = this.samples.filter(sample => sample.extentMm !== null);
+    const spanSamples = this.samples.filter(sample => sample.spanMm !== null);
+    
+    const coverage = this.coverage();
+    const wrist = edgeSamples.length >= MIN_SAMPLES
+      ? fitEllipse(edgeSamples, coverage)
+      : spanSamples.length >= MIN_SAMPLES && fitFromKnuckles(spanSamples);
+    if (!wrist) return null;
+    
+    const used = wrist.method === 'edges' ? edgeSamples : spanSamples;
+    const calibrationError = meanOf(used.map(sample => sample.calibration.relativeError));
+    const relativeError = Math.hypot(wrist.randomError, calibrationError, wrist.modelError);
+    
+    const circumferenceMm = ellipseCircumference(wrist.widthMm, wrist.depthMm);
+    const handPassageMm = estimateHandPassage(spanSamples);
+    const bangle = handPassageMm && bangleSizeFor(handPassageMm.valueMm);
+    
+    return {
+      circumferenceMm,
+      widthMm: wrist.widthMm,
+      depthMm: wrist.depthMm,
+      method: wrist.method,
+      rotationCoverage: coverage,
+      interval: {
+        confidence: 0.95,
+        lowMm: circumferenceMm * (1 - Z_95 * relativeError),
+        highMm: circumferenceMm * (1 + Z_95 * relativeError)
+      },
+      handPassageMm,
+      suggestions: {
+        bangleSize: bangle?.size || null,
+        bangleDiameterMm: bangle?.diameterMm || null,
+        braceletLengthMm: circumferenceMm + BRACELET_EASE.ideal,
+        strapWristMm: circumferenceMm
+      },
+      samples: used.length,
+      calibration: [...new Set(used.map(sample => sample.calibration.source))].join(', ')
+    };
+  }
+  
+  reset() {
+    this.samples = [];
+  }
+}
+
+/**
+ * Fit the wrist's width and depth to the extents seen at each rotation: an
+ * ellipse turned by θ spans √(a² cos²θ + b² sin²θ) across the screen
+ */
+function fitEllipse(samples, coverage) {
+  const rows = samples.map(sample => ({
+    c: Math.cos(sample.rotation) ** 2,
+    s: Math.sin(sample.rotation) ** 2,
+    extent: sample.extentMm / 2
+  }));
+  
+  let a2;
+  let b2;
+  let params = 2;
+  
+  if (coverage.faceOn && coverage.edgeOn) {
+    // Least squares for a² and b²
+    const scc = sumOf(rows, row => row.c * row.c);
+    const scs = sumOf(rows, row => row.c * row.s);
+    const sss = sumOf(rows, row => row.s * row.s);
+    const scy = sumOf(rows, row => row.c * row.extent ** 2);
+    const ssy = sumOf(rows, row => row.s * row.extent ** 2);
+    const det = scc * sss - scs * scs;
+    
+    if (det > 1e-9) {
+      a2 = (scy * sss - ssy * scs) / det;
+      b2 = (ssy * scc - scy * scs) / det;
+    }
+  }
+  
+  // Without both views (or a sensible fit) assume the usual depth
+  if (!(a2 > 0 && b2 > 0)) {
+    params = 1;
+    const ratio2 = DEPTH_RATIO ** 2;
+    a2 = sumOf(rows, row => row.extent ** 2 * (row.c + ratio2 * row.s)) /
+      sumOf(rows, row => (row.c + ratio2 * row.s) ** 2);
+    b2 = ratio2 * a2;
+  }
+  
+  // Frame-to-frame noise averages out
+  const residuals = rows.map(row => {
+    const modelled = Math.sqrt(a2 * row.c + b2 * row.s);
+    return (row.extent - modelled) / modelled;
+  });
+  const spread = Math.sqrt(sumOf(residuals, residual => residual ** 2) / Math.max(1, rows.length - params));
+  const pixelError = meanOf(samples.map(sample => sample.extentError));
+  
+  return {
+    method: 'edges',
+    widthMm: 2 * Math.sqrt(a2),
+    depthMm: 2 * Math.sqrt(b2),
+    randomError: Math.max(spread, pixelError) / Math.sqrt(rows.length),
+    modelError: params === 2 ? ELLIPSE_SD : Math.hypot(ELLIPSE_SD, DEPTH_PRIOR_SD)
+  };
+}
+
+/**
+ * Wrist from the knuckle span alone, when its edges can't be found
+ */
+function fitFromKnuckles(samples) {
+  const { mean, randomError } = averageSpan(samples);
+  const widthMm = mean * WRIST_WIDTH_RATIO;
+  
+  return {
+    method: 'knuckles',
+    widthMm,
+    depthMm: widthMm * DEPTH_RATIO,
+    randomError,
+    modelError: Math.hypot(ELLIPSE_SD, DEPTH_PRIOR_SD, WRIST_WIDTH_RATIO_SD)
+  };
+}
+
+/**
+ * Smallest bangle diameter that slides over the hand
+ */
+function estimateHandPassage(samples) {
+  if (samples.length < MIN_SAMPLES) return null;
+  
+  const { mean, randomError } = averageSpan(samples);
+  const calibrationError = meanOf(samples.map(sample => sample.calibration.relativeError));
+  const relativeError = Math.hypot(randomError, calibrationError, HAND_PASSAGE_SD);
+  const valueMm = mean * HAND_PASSAGE_RATIO;
+  
+  return {
+    valueMm,
+    lowMm: valueMm * (1 - Z_95 * relativeError),
+    highMm: valueMm * (1 + Z_95 * relativeError)
+  };
+}
+
+function averageSpan(samples) {
+  const spans = samples.map(sample => sample.spanMm);
+  const mean = meanOf(spans);
+  const spread = Math.sqrt(sumOf(spans, span => (span - mean) ** 2) / Math.max(1, spans.length - 1));
+  const pixelError = meanOf(samples.map(sample => sample.spanError));
+  
+  return {
+    mean,
+    randomError: Math.max(spread / mean, pixelError) / Math.sqrt(spans.length)
+  };
+}
+
+/**
+ * Index-to-little knuckle span in pixels, corrected for a tilted palm the
+ * same way as finger widths (see RingSizing.measureFingerWidth)
+ */
+function measureKnuckleSpan(landmarks, worldLandmarks) {
+  let spanPx = distanceBetween(landmarks, [INDEX_MCP, PINKY_MCP]);
+  if (!(spanPx > 0)) return null;
+  
+  let foreshortening = 1;
+  const spanWorld = distanceBetween(worldLandmarks, [INDEX_MCP, PINKY_MCP]);
+  const palmWorld = distanceBetween(worldLandmarks, [WRIST, MIDDLE_MCP]);
+  
+  if (spanWorld > 0 && palmWorld > 0) {
+    const palmPx = distanceBetween(landmarks, [WRIST, MIDDLE_MCP]);
+    const scale = Math.max(spanPx / spanWorld, palmPx / palmWorld);
+    foreshortening = spanPx / (spanWorld * scale);
+    spanPx = spanWorld * scale;
+  }
+  
+  return { spanPx, foreshortening };
+}
+
+function fitKindOf(item) {
+  if (item?.innerDiameterMm) return 'bangle';
+  if (item?.lengthMm) return 'chain';
+  if (item?.wristMinMm || item?.wristMaxMm) return 'strap';
+  return null;
+}
+
+function classifyFit(fitsAt, [low, value, high], tooSmallAt) {
+  if ([low, value, high].every(fitsAt)) return 'fits';
+  if (fitsAt(value)) return 'borderline';
+  return tooSmallAt(value) ? 'too-small' : 'too-large';
+}
+
+// Average skin colour in a small patch, in YCbCr
+function sampleSkin(imageData, center) {
+  const colours = [];
+  for (let dy = -2; dy <= 2; dy++) {
+    for (let dx = -2; dx <= 2; dx++) {
+      const colour = pixelAt(imageData, center.x + dx, center.y + dy);
+      if (colour) colours.push(colour);
+    }
+  }
+  if (colours.length === 0) return null;
+  
+  return {
+    y: meanOf(colours.map(colour => colour.y)),
+    cb: meanOf(colours.map(colour => colour.cb)),
+    cr: meanOf(colours.map(colour => colour.cr))
+  };
+}
+
+// Distance from the centre to where the skin ends, or null if not found
+function findEdge(imageData, center, step, skin, reach) {
+  let run = 0;
+  
+  for (let distance = 1; distance <= reach; distance++) {
+    const colour = pixelAt(imageData, center.x + step.x * distance, center.y + step.y * distance);
+    if (!colour) return null;
+    
+    const offSkin = Math.hypot(colour.cb - skin.cb, colour.cr - skin.cr) > CHROMA_THRESHOLD ||
+      Math.abs(colour.y - skin.y) > LUMA_THRESHOLD;
+    
+    run = offSkin ? run + 1 : 0;
+    if (run === EDGE_RUN) {
+      // The edge lies just before the first pixel off the skin
+      return distance - EDGE_RUN + 0.5;
+    }
+  }
+  
+  return null;
+}
+
+function pixelAt(imageData, x, y) {
+  const px = Math.round(x);
+  const py = Math.round(y);
+  if (px < 0 || py < 0 || px >= imageData.width || py >= imageData.height) return null;
+  
+  const offset = (py * imageData.width + px) * 4;
+  const r = imageData.data[offset];
+  const g = imageData.data[offset + 1];
+  const b = imageData.data[offset + 2];
+  
+  return {
+    y: 0.299 * r + 0.587 * g + 0.114 * b,
+    cb: 128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+    cr: 128 + 0.5 * r - 0.418688 * g - 0.081312 * b
+  };
+}
+
+function distanceBetween(points, [a, b]) {
+  const p = points?.[a];
+  const q = points?.[b];
+  if (!p || !q) return 0;
+  
+  return Math.hypot(p.x - q.x, p.y - q.y, (p.z || 0) - (q.z || 0));
+}
+
+function subtract(p, q) {
+  return { x: p.x - q.x, y: p.y - q.y, z: (p.z || 0) - (q.z || 0) };
+}
+
+function dot(p, q) {
+  return p.x * q.x + p.y * q.y + p.z * q.z;
+}
+
+function cross(p, q) {
+  return {
+    x: p.y * q.z - p.z * q.y,
+    y: p.z * q.x - p.x * q.z,
+    z: p.x * q.y - p.y * q.x
+  };
+}
+
+function length(p) {
+  return Math.hypot(p.x, p.y, p.z);
+}
+
+function normalize(p) {
+  const size = length(p) || 1;
+  return { x: p.x / size, y: p.y / size, z: p.z / size };
+}
+
+// The part of p at right angles to the unit vector axis
+function rejectFrom(p, axis) {
+  const along = dot(p, axis);
+  return { x: p.x - along * axis.x, y: p.y - along * axis.y, z: p.z - along * axis.z };
+}
+
+function sumOf(values, fn) {
+  return values.reduce((sum, value) => sum + fn(value), 0);
+}
+
+function meanOf(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+export default WristSizer;
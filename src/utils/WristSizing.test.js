@@ -0,0 +1,160 @@
+import WristSizer, {
+  assessFit,
+  bangleSizeFor,
+  describeWristSize,
+  estimateWristWidth,
+  measureWristExtent,
+  rotationAboutForearm
+} from './WristSizing';
+import { calibrateFromReference } from './RingSizing';
+import { syntheticHand } from '../testUtils/hands';
+
+// HandPoseDetector result for the synthetic hand: knuckles 120px across
+function detectedHand() {
+  const { keypoints, keypoints3D } = syntheticHand();
+  return { imageLandmarks: keypoints, landmarks: keypoints3D };
+}
+
+// A 200x200 frame with a vertical band of skin halfWidth pixels either side of the middle
+function wristImage(halfWidth) {
+  const width = 200;
+  const height = 200;
+  const data = new Uint8ClampedArray(width * height * 4);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const colour = Math.abs(x - 100) <= halfWidth ? [224, 172, 140] : [40, 60, 160];
+      data.set([...colour, 255], offset);
+    }
+  }
+  
+  return { width, height, data };
+}
+
+// Wrist and middle knuckle for a hand pointing straight up the frame
+const UPRIGHT = [];
+UPRIGHT[0] = { x: 100, y: 150 };
+UPRIGHT[9] = { x: 100, y: 50 };
+
+// A card 171.2px wide: 0.5 mm per pixel
+const CALIBRATION = calibrateFromReference('card', 171.2);
+
+const ESTIMATE = {
+  circumferenceMm: 160,
+  interval: { lowMm: 155, highMm: 165 },
+  handPassageMm: { valueMm: 63, lowMm: 60, highMm: 66 }
+};
+
+describe('WristSizing', () => {
+  test('scales the wrist width from the knuckle span', () => {
+    expect(estimateWristWidth(syntheticHand().keypoints)).toBeCloseTo(114);
+    expect(estimateWristWidth([])).toBeNull();
+  });
+  
+  test('measures how far the wrist is turned from the palm facing the camera', () => {
+    const { landmarks } = detectedHand();
+    const sideOn = landmarks.map(point => ({ x: point.z, y: point.y, z: point.x }));
+    
+    expect(rotationAboutForearm(landmarks)).toBeCloseTo(0);
+    expect(rotationAboutForearm(sideOn)).toBeCloseTo(Math.PI / 2);
+    expect(rotationAboutForearm(null)).toBeNull();
+  });
+  
+  test('finds the edges of the skin across the wrist', () => {
+    const extent = measureWristExtent(wristImage(30), UPRIGHT);
+    
+    expect(extent.extentPx).toBeCloseTo(61);
+    expect(extent.center).toEqual({ x: 100, y: 165 });
+    expect(Math.abs(extent.direction.x)).toBeCloseTo(1);
+  });
+  
+  test('gives up when an edge runs out of the frame', () => {
+    expect(measureWristExtent(wristImage(150), UPRIGHT)).toBeNull();
+    expect(measureWristExtent(null, UPRIGHT)).toBeNull();
+  });
+  
+  test('picks the smallest bangle size that is large enough', () => {
+    expect(bangleSizeFor(55).size).toBe('2-4');
+    expect(bangleSizeFor(57.15).size).toBe('2-4');
+    expect(bangleSizeFor(75)).toBeNull();
+  });
+  
+  test('judges a bangle by whether it slides over the hand and stays on', () => {
+    expect(assessFit({ id: 'b1', name: 'Kada', innerDiameterMm: 68 }, ESTIMATE))
+      .toEqual({ itemId: 'b1', kind: 'bangle', status: 'fits', message: 'Kada should slide over your hand and stay on' });
+    expect(assessFit({ innerDiameterMm: 64 }, ESTIMATE).status).toBe('borderline');
+    expect(assessFit({ innerDiameterMm: 58 }, ESTIMATE).status).toBe('too-small');
+    expect(assessFit({ innerDiameterMm: 80 }, ESTIMATE).status).toBe('too-large');
+  });
+  
+  test('judges a chain bracelet by its length over the wrist', () => {
+    expect(assessFit({ lengthMm: 180 }, ESTIMATE).status).toBe('fits');
+    expect(assessFit({ lengthMm: 170 }, ESTIMATE).status).toBe('borderline');
+    expect(assessFit({ lengthMm: 165 }, ESTIMATE).status).toBe('too-small');
+    expect(assessFit({ lengthMm: 200 }, ESTIMATE).status).toBe('too-large');
+  });
+  
+  test('judges a strap by the range of wrists it fits', () => {
+    expect(assessFit({ wristMinMm: 140, wristMaxMm: 180 }, ESTIMATE).status).toBe('fits');
+    expect(assessFit({ wristMinMm: 140, wristMaxMm: 150 }, ESTIMATE).status).toBe('too-small');
+    expect(assessFit({ wristMinMm: 170, wristMaxMm: 200 }, ESTIMATE).status).toBe('too-large');
+  });
+  
+  test('cannot judge the fit without a size or a measurement', () => {
+    expect(assessFit({ name: 'Charm' }, ESTIMATE).status).toBe('unknown');
+    expect(assessFit({ lengthMm: 180 }, null).status).toBe('unknown');
+    expect(assessFit({ innerDiameterMm: 60 }, { ...ESTIMATE, handPassageMm: null }).status).toBe('unknown');
+  });
+});
+
+describe('WristSizer', () => {
+  function sizerWith(frames) {
+    const sizer = new WristSizer();
+    for (let i = 0; i < frames; i++) {
+      sizer.addSample(detectedHand(), CALIBRATION);
+    }
+    return sizer;
+  }
+  
+  test('waits for enough frames before estimating', () => {
+    expect(sizerWith(7).estimate()).toBeNull();
+  });
+  
+  test('estimates from the knuckles when the wrist\'s edges are not measured', () => {
+    const estimate = sizerWith(8).estimate();
+    
+    expect(estimate.method).toBe('knuckles');
+    expect(estimate.widthMm).toBeCloseTo(57);
+    expect(estimate.depthMm).toBeCloseTo(39.9);
+    expect(estimate.interval.lowMm).toBeLessThan(estimate.circumferenceMm);
+    expect(estimate.interval.highMm).toBeGreaterThan(estimate.circumferenceMm);
+    expect(estimate.handPassageMm.valueMm).toBeCloseTo(63);
+    expect(estimate.suggestions.bangleSize).toBe('2-8');
+    expect(estimate.rotationCoverage).toEqual({ faceOn: false, edgeOn: false });
+    expect(estimate.calibration).toBe('card');
+  });
+  
+  test('ignores frames without a hand or calibration', () => {
+    const sizer = new WristSizer();
+    
+    expect(sizer.addSample(null, CALIBRATION)).toBe(false);
+    expect(sizer.addSample(detectedHand(), null)).toBe(false);
+    expect(sizer.addSample(detectedHand(), CALIBRATION)).toBe(true);
+  });
+  
+  test('summarises the estimate in one line', () => {
+    const summary = describeWristSize(sizerWith(8).estimate());
+    
+    expect(summary).toMatch(/^Wrist about \d+ mm around/);
+    expect(summary).toContain('measured from the knuckles over 8 frames calibrated by card');
+    expect(summary).toContain('bangle size 2-8');
+  });
+  
+  test('reset discards the frames', () => {
+    const sizer = sizerWith(8);
+    sizer.reset();
+    
+    expect(sizer.estimate()).toBeNull();
+  });
+});